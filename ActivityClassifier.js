@@ -0,0 +1,198 @@
+/**
+ * ActivityClassifier - 歩数ごとの活動（歩行・走行・階段の上り/下り）の分類を担当するコンポーネント
+ *
+ * 直近の一定時間（スライディングウィンドウ）のセンサーデータから以下の特徴量を求め、
+ * 閾値によるルールで現在の活動を判定する。
+ * - ケイデンス（1分あたりの歩数）
+ * - ピーク振幅（重力方向の動的加速度の最大値）
+ * - 重力方向の加速度の分散
+ *
+ * 走行はケイデンスと振幅がともに大きい。階段はケイデンスが低く上下動が大きく、
+ * 下りは着地の衝撃でピーク振幅が特に大きくなる。閾値は一般的な歩容に基づく目安である。
+ *
+ * 要件: 1.1 - 加速度センサーのデータを分析して歩数としてカウントする
+ */
+
+// 依存モジュールの取得（ブラウザ環境ではwindowに登録済み、Node.js環境（テスト用）ではrequire）
+const ActivityClassifierModules = (typeof module !== 'undefined' && module.exports)
+  ? require('./StepDetector.js')
+  : window;
+
+class ActivityClassifier {
+  /**
+   * ActivityClassifierのコンストラクタ
+   */
+  constructor() {
+    this.WINDOW_DURATION = 3000; // 特徴量を求める時間窓（ミリ秒）
+    this.IDLE_TIMEOUT = 2000; // この時間歩数がない場合は静止とみなす（ミリ秒）
+    this.GRAVITY_CUTOFF = 0.2; // 重力方向推定用ローパスフィルタのカットオフ周波数（Hz）
+    this.RUNNING_MIN_CADENCE = 140; // 走行とみなすケイデンスの下限（歩/分）
+    this.RUNNING_MIN_AMPLITUDE = 5; // 走行とみなすピーク振幅の下限（m/s²）
+    this.STAIRS_MAX_CADENCE = 105; // 階段とみなすケイデンスの上限（歩/分）
+    this.STAIRS_MIN_VARIANCE = 3; // 階段とみなす重力方向の分散の下限（(m/s²)²）
+    this.STAIRS_DOWN_MIN_AMPLITUDE = 6; // 階段の下りとみなすピーク振幅の下限（m/s²）
+    // 歩数を記録する活動（静止は歩数を持たない）
+    this.STEP_ACTIVITIES = ['walking', 'running', 'stairs-up', 'stairs-down'];
+    this.ACTIVITY_LABELS = {
+      idle: '🧍 静止',
+      walking: '🚶 歩行',
+      running: '🏃 走行',
+      'stairs-up': '⬆️ 階段（上り）',
+      'stairs-down': '⬇️ 階段（下り）'
+    };
+    this.reset();
+  }
+
+  /**
+   * センサーのサンプルを追加
+   * @param {Object} acceleration - 加速度データ（x, y, z: m/s²、vertical: GravityProjector で求めた重力方向の成分（任意））
+   * @param {number} timestamp - センサーがサンプルを取得した時刻（ミリ秒）
+   */
+  addSample(acceleration, timestamp) {
+    const interval = this.lastSampleTime === null || timestamp <= this.lastSampleTime
+      ? 1000 / 60
+      : timestamp - this.lastSampleTime;
+    this.lastSampleTime = timestamp;
+
+    const vertical = typeof acceleration.vertical === 'number'
+      ? acceleration.vertical
+      : this.projectVertical(acceleration, interval);
+    if (vertical === null) {
+      return;
+    }
+
+    this.samples.push({ timestamp, vertical });
+    this.trimWindow(timestamp);
+  }
+
+  /**
+   * 重力方向の成分が与えられない場合に、加速度を推定した重力方向に射影する
+   * @param {Object} acceleration - 加速度データ（x, y, z: m/s²）
+   * @param {number} interval - 直前のサンプルからの経過時間（ミリ秒）
+   * @returns {number|null} 重力を差し引いた上下方向の動的加速度（重力の向きが定まらない場合はnull）
+   */
+  projectVertical(acceleration, interval) {
+    // 各軸のローパスフィルタで重力ベクトルを推定
+    if (this.gravity === null) {
+      this.gravity = { x: acceleration.x, y: acceleration.y, z: acceleration.z };
+    } else {
+      const alpha = ActivityClassifierModules.lowPassAlpha(this.GRAVITY_CUTOFF, interval);
+      this.gravity.x += alpha * (acceleration.x - this.gravity.x);
+      this.gravity.y += alpha * (acceleration.y - this.gravity.y);
+      this.gravity.z += alpha * (acceleration.z - this.gravity.z);
+    }
+
+    // 加速度を重力方向に射影し、重力を差し引いた上下方向の動的加速度を求める
+    const gravityMagnitude = Math.sqrt(this.gravity.x ** 2 + this.gravity.y ** 2 + this.gravity.z ** 2);
+    if (gravityMagnitude === 0) {
+      return null;
+    }
+    return (acceleration.x * this.gravity.x +
+      acceleration.y * this.gravity.y +
+      acceleration.z * this.gravity.z) / gravityMagnitude - gravityMagnitude;
+  }
+
+  /**
+   * 検出された歩数を追加
+   * @param {number} timestamp - 歩数を検出したセンサー時刻（ミリ秒）
+   */
+  addStep(timestamp) {
+    this.stepTimes.push(timestamp);
+    this.trimWindow(timestamp);
+  }
+
+  /**
+   * 時間窓より古いサンプルと歩数を破棄
+   * @param {number} timestamp - 最新のセンサー時刻（ミリ秒）
+   */
+  trimWindow(timestamp) {
+    const windowStart = timestamp - this.WINDOW_DURATION;
+    while (this.samples.length > 0 && this.samples[0].timestamp < windowStart) {
+      this.samples.shift();
+    }
+    while (this.stepTimes.length > 0 && this.stepTimes[0] < windowStart) {
+      this.stepTimes.shift();
+    }
+  }
+
+  /**
+   * 時間窓内の特徴量を計算
+   * @returns {{cadence: number|null, peakAmplitude: number, verticalVariance: number}}
+   *   ケイデンス（歩/分、歩数が2歩未満の場合はnull）、ピーク振幅（m/s²）、重力方向の分散（(m/s²)²）
+   */
+  getFeatures() {
+    const stepCount = this.stepTimes.length;
+    const stepSpan = stepCount >= 2 ? this.stepTimes[stepCount - 1] - this.stepTimes[0] : 0;
+    const cadence = stepSpan > 0 ? (stepCount - 1) * 60000 / stepSpan : null;
+
+    const count = this.samples.length;
+    if (count === 0) {
+      return { cadence, peakAmplitude: 0, verticalVariance: 0 };
+    }
+
+    let peakAmplitude = 0;
+    let sum = 0;
+    for (const { vertical } of this.samples) {
+      peakAmplitude = Math.max(peakAmplitude, Math.abs(vertical));
+      sum += vertical;
+    }
+    const mean = sum / count;
+    const verticalVariance = this.samples.reduce((total, { vertical }) => total + (vertical - mean) ** 2, 0) / count;
+
+    return { cadence, peakAmplitude, verticalVariance };
+  }
+
+  /**
+   * 現在の活動を判定
+   * @param {number} timestamp - 最新のセンサー時刻（ミリ秒）
+   * @returns {string} 活動の種類（idle, walking, running, stairs-up, stairs-down）
+   */
+  classify(timestamp) {
+    const lastStepTime = this.stepTimes[this.stepTimes.length - 1];
+    if (lastStepTime === undefined || timestamp - lastStepTime > this.IDLE_TIMEOUT) {
+      return 'idle';
+    }
+
+    const { cadence, peakAmplitude, verticalVariance } = this.getFeatures();
+    if (cadence === null) {
+      // 歩き始め：ケイデンスが求まるまでは歩行とみなす
+      return 'walking';
+    }
+    if (cadence >= this.RUNNING_MIN_CADENCE && peakAmplitude >= this.RUNNING_MIN_AMPLITUDE) {
+      return 'running';
+    }
+    if (cadence <= this.STAIRS_MAX_CADENCE && verticalVariance >= this.STAIRS_MIN_VARIANCE) {
+      return peakAmplitude >= this.STAIRS_DOWN_MIN_AMPLITUDE ? 'stairs-down' : 'stairs-up';
+    }
+    return 'walking';
+  }
+
+  /**
+   * 活動の表示名を取得
+   * @param {string} activity - 活動の種類
+   * @returns {string} 表示名（未知の種類の場合は種類をそのまま返す）
+   */
+  getLabel(activity) {
+    return this.ACTIVITY_LABELS[activity] || activity;
+  }
+
+  /**
+   * 状態を初期化
+   */
+  reset() {
+    this.gravity = null;
+    this.lastSampleTime = null;
+    this.samples = [];
+    this.stepTimes = [];
+  }
+}
+
+// エクスポート（Node.js環境用）
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ActivityClassifier;
+}
+
+// エクスポート（ブラウザ環境用）
+if (typeof window !== 'undefined') {
+  window.ActivityClassifier = ActivityClassifier;
+}
@@ -0,0 +1,148 @@
+/**
+ * ActivityClassifier ユニットテスト
+ *
+ * テスト対象:
+ * - 特徴量（ケイデンス、ピーク振幅、重力方向の分散）の計算
+ * - 歩行・走行・階段の上り/下り・静止の判定
+ * - 端末の向きに依存しない判定（重力方向への射影）
+ */
+
+const ActivityClassifier = require('./ActivityClassifier');
+
+const SAMPLE_RATE = 60;
+
+/**
+ * 一定のリズムの動きを入力する（1歩1周期の上下動、各周期の始めに歩数を追加）
+ * @returns {number} 最後のサンプルの時刻（ミリ秒）
+ */
+function feedGait(classifier, { stepsPerSecond, amplitude, duration = 4000, impact = 0, axis = 'z', startTime = 0 }) {
+  const samplesPerStep = Math.round(SAMPLE_RATE / stepsPerSecond);
+  const total = Math.round(duration * SAMPLE_RATE / 1000);
+  let timestamp = startTime;
+  for (let i = 0; i < total; i++) {
+    timestamp = startTime + i * 1000 / SAMPLE_RATE;
+    const isStep = i % samplesPerStep === 0;
+    const dynamic = amplitude * Math.sin(2 * Math.PI * i / samplesPerStep) + (isStep ? impact : 0);
+    const acceleration = { x: 0, y: 0, z: 0 };
+    acceleration[axis] = 9.81 + dynamic;
+    classifier.addSample(acceleration, timestamp);
+    if (isStep) {
+      classifier.addStep(timestamp);
+    }
+  }
+  return timestamp;
+}
+
+describe('ActivityClassifier', () => {
+  let classifier;
+
+  beforeEach(() => {
+    classifier = new ActivityClassifier();
+  });
+
+  describe('特徴量', () => {
+    test('歩数の間隔からケイデンスを求める', () => {
+      feedGait(classifier, { stepsPerSecond: 2, amplitude: 2 });
+
+      expect(classifier.getFeatures().cadence).toBeCloseTo(120, 0);
+    });
+
+    test('重力方向の動的加速度からピーク振幅と分散を求める', () => {
+      feedGait(classifier, { stepsPerSecond: 2, amplitude: 2 });
+
+      const { peakAmplitude, verticalVariance } = classifier.getFeatures();
+      expect(peakAmplitude).toBeGreaterThan(1.8);
+      expect(peakAmplitude).toBeLessThan(2.5);
+      // 正弦波の分散は振幅の2乗の1/2
+      expect(verticalVariance).toBeGreaterThan(1.6);
+      expect(verticalVariance).toBeLessThan(2.4);
+    });
+
+    test('歩数が2歩未満の場合はケイデンスを求めない', () => {
+      classifier.addSample({ x: 0, y: 0, z: 9.81 }, 0);
+      classifier.addStep(0);
+
+      expect(classifier.getFeatures().cadence).toBeNull();
+    });
+
+    test('時間窓より古いデータは特徴量に含めない', () => {
+      const end = feedGait(classifier, { stepsPerSecond: 3, amplitude: 8 });
+      feedGait(classifier, { stepsPerSecond: 2, amplitude: 2, startTime: end + 1000 / SAMPLE_RATE });
+
+      expect(classifier.getFeatures().cadence).toBeCloseTo(120, 0);
+      expect(classifier.getFeatures().peakAmplitude).toBeLessThan(3);
+    });
+  });
+
+  describe('活動の判定', () => {
+    test('普通の歩行は歩行と判定される', () => {
+      const end = feedGait(classifier, { stepsPerSecond: 2, amplitude: 2 });
+
+      expect(classifier.classify(end)).toBe('walking');
+    });
+
+    test('ケイデンスと振幅が大きい場合は走行と判定される', () => {
+      const end = feedGait(classifier, { stepsPerSecond: 3, amplitude: 8 });
+
+      expect(classifier.classify(end)).toBe('running');
+    });
+
+    test('速い歩行でも振幅が小さい場合は走行と判定されない', () => {
+      const end = feedGait(classifier, { stepsPerSecond: 2.5, amplitude: 2 });
+
+      expect(classifier.classify(end)).toBe('walking');
+    });
+
+    test('ケイデンスが低く上下動が大きい場合は階段の上りと判定される', () => {
+      const end = feedGait(classifier, { stepsPerSecond: 1.5, amplitude: 3 });
+
+      expect(classifier.classify(end)).toBe('stairs-up');
+    });
+
+    test('階段の動きで着地の衝撃が大きい場合は階段の下りと判定される', () => {
+      const end = feedGait(classifier, { stepsPerSecond: 1.5, amplitude: 3, impact: 6 });
+
+      expect(classifier.classify(end)).toBe('stairs-down');
+    });
+
+    test('歩数がない場合は静止と判定される', () => {
+      classifier.addSample({ x: 0, y: 0, z: 9.81 }, 0);
+
+      expect(classifier.classify(0)).toBe('idle');
+    });
+
+    test('最後の歩数から一定時間が経過すると静止と判定される', () => {
+      const end = feedGait(classifier, { stepsPerSecond: 2, amplitude: 2 });
+
+      expect(classifier.classify(end + 1000)).toBe('walking');
+      expect(classifier.classify(end + 2500)).toBe('idle');
+    });
+
+    test('歩き始め（ケイデンスが求まる前）は歩行と判定される', () => {
+      classifier.addSample({ x: 0, y: 0, z: 9.81 }, 0);
+      classifier.addStep(0);
+
+      expect(classifier.classify(0)).toBe('walking');
+    });
+
+    test('端末の向きが異なっても重力方向の動きで判定される', () => {
+      const end = feedGait(classifier, { stepsPerSecond: 1.5, amplitude: 3, axis: 'x' });
+
+      expect(classifier.classify(end)).toBe('stairs-up');
+    });
+  });
+
+  test('活動の表示名を取得できる', () => {
+    expect(classifier.getLabel('walking')).toBe('🚶 歩行');
+    expect(classifier.getLabel('unknown')).toBe('unknown');
+  });
+
+  test('reset()で時間窓のデータが破棄される', () => {
+    feedGait(classifier, { stepsPerSecond: 2, amplitude: 2 });
+
+    classifier.reset();
+
+    expect(classifier.getFeatures()).toEqual({ cadence: null, peakAmplitude: 0, verticalVariance: 0 });
+    expect(classifier.classify(0)).toBe('idle');
+  });
+});
@@ -0,0 +1,85 @@
+/**
+ * CadenceTracker - ケイデンス（1分あたりの歩数）の計算を担当するコンポーネント
+ *
+ * 直近の一定時間（ローリングウィンドウ）の歩数の時刻から現在のケイデンスを求め、
+ * さらに指数移動平均で平滑化した平均ケイデンスを保持する。
+ * 歩数の間隔が大きく空いた場合は新しい歩行の区間とみなし、ウィンドウと平均を初期化する。
+ */
+class CadenceTracker {
+  /**
+   * CadenceTrackerのコンストラクタ
+   */
+  constructor() {
+    this.WINDOW_DURATION = 10000; // ケイデンスを求める時間窓（ミリ秒）
+    this.MAX_STEP_INTERVAL = 2000; // これ以上間隔が空いた場合は新しい歩行の区間とみなす（ミリ秒）
+    this.SMOOTHING_TIME_CONSTANT = 30000; // 平均ケイデンスの平滑化の時定数（ミリ秒）
+    this.reset();
+  }
+
+  /**
+   * 歩数の時刻を追加し、ケイデンスを更新
+   * @param {number} timestamp - 歩数を検出したセンサー時刻（ミリ秒）
+   */
+  addStep(timestamp) {
+    const lastTime = this.stepTimes[this.stepTimes.length - 1];
+    if (lastTime !== undefined && timestamp - lastTime > this.MAX_STEP_INTERVAL) {
+      // 立ち止まった後の歩き出し：前の区間の歩数は含めない
+      this.reset();
+    }
+
+    this.stepTimes.push(timestamp);
+    while (timestamp - this.stepTimes[0] > this.WINDOW_DURATION) {
+      this.stepTimes.shift();
+    }
+
+    const count = this.stepTimes.length;
+    const span = timestamp - this.stepTimes[0];
+    if (count < 2 || span <= 0) {
+      return;
+    }
+    this.cadence = (count - 1) * 60000 / span;
+
+    // 歩数の間隔に応じた係数で指数移動平均を更新（サンプリングの粗さに依存しない平滑化）
+    if (this.averageCadence === null) {
+      this.averageCadence = this.cadence;
+    } else {
+      const alpha = 1 - Math.exp(-(timestamp - lastTime) / this.SMOOTHING_TIME_CONSTANT);
+      this.averageCadence += alpha * (this.cadence - this.averageCadence);
+    }
+  }
+
+  /**
+   * 現在のケイデンスを取得
+   * @returns {number|null} ケイデンス（歩/分）、2歩未満の場合はnull
+   */
+  getCadence() {
+    return this.cadence;
+  }
+
+  /**
+   * 平滑化した平均ケイデンスを取得
+   * @returns {number|null} 平均ケイデンス（歩/分）、2歩未満の場合はnull
+   */
+  getAverageCadence() {
+    return this.averageCadence;
+  }
+
+  /**
+   * 状態を初期化
+   */
+  reset() {
+    this.stepTimes = [];
+    this.cadence = null;
+    this.averageCadence = null;
+  }
+}
+
+// エクスポート（Node.js環境用）
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CadenceTracker;
+}
+
+// エクスポート（ブラウザ環境用）
+if (typeof window !== 'undefined') {
+  window.CadenceTracker = CadenceTracker;
+}
@@ -0,0 +1,85 @@
+/**
+ * CadenceTracker ユニットテスト
+ *
+ * テスト対象:
+ * - ローリングウィンドウの歩数からのケイデンスの計算
+ * - 平均ケイデンスの平滑化
+ * - 立ち止まった後の歩き出しでの初期化
+ */
+
+const CadenceTracker = require('./CadenceTracker');
+
+/**
+ * 一定間隔の歩数を追加する
+ * @returns {number} 最後の歩数の時刻（ミリ秒）
+ */
+function addSteps(tracker, count, { start = 0, interval = 500 } = {}) {
+  let timestamp = start;
+  for (let i = 0; i < count; i++) {
+    timestamp = start + i * interval;
+    tracker.addStep(timestamp);
+  }
+  return timestamp;
+}
+
+describe('CadenceTracker', () => {
+  let tracker;
+
+  beforeEach(() => {
+    tracker = new CadenceTracker();
+  });
+
+  test('歩数が2歩未満の場合はケイデンスを求めない', () => {
+    tracker.addStep(0);
+
+    expect(tracker.getCadence()).toBeNull();
+    expect(tracker.getAverageCadence()).toBeNull();
+  });
+
+  test('歩数の間隔から1分あたりの歩数を求める', () => {
+    addSteps(tracker, 10, { interval: 500 });
+
+    expect(tracker.getCadence()).toBeCloseTo(120);
+  });
+
+  test('時間窓より古い歩数はケイデンスに含めない', () => {
+    const last = addSteps(tracker, 30, { interval: 500 });
+    addSteps(tracker, 40, { start: last + 375, interval: 375 });
+
+    expect(tracker.getCadence()).toBeCloseTo(160);
+  });
+
+  test('平均ケイデンスは急な変化を平滑化する', () => {
+    const last = addSteps(tracker, 30, { interval: 500 });
+    addSteps(tracker, 4, { start: last + 375, interval: 375 });
+
+    expect(tracker.getCadence()).toBeGreaterThan(tracker.getAverageCadence());
+    expect(tracker.getAverageCadence()).toBeGreaterThan(120);
+    expect(tracker.getAverageCadence()).toBeLessThan(tracker.getCadence());
+  });
+
+  test('一定のリズムが続くと平均ケイデンスはケイデンスに近づく', () => {
+    const last = addSteps(tracker, 30, { interval: 500 });
+    addSteps(tracker, 400, { start: last + 375, interval: 375 });
+
+    expect(tracker.getAverageCadence()).toBeCloseTo(160, 0);
+  });
+
+  test('間隔が大きく空いた後の歩数は新しい歩行の区間として計算する', () => {
+    const last = addSteps(tracker, 10, { interval: 500 });
+
+    tracker.addStep(last + 5000);
+
+    expect(tracker.getCadence()).toBeNull();
+    expect(tracker.getAverageCadence()).toBeNull();
+  });
+
+  test('reset()でケイデンスが初期化される', () => {
+    addSteps(tracker, 10);
+
+    tracker.reset();
+
+    expect(tracker.getCadence()).toBeNull();
+    expect(tracker.stepTimes).toEqual([]);
+  });
+});
@@ -0,0 +1,169 @@
+/**
+ * CalorieEstimator - 歩数から活動消費カロリーを推定するコンポーネント
+ *
+ * 身体活動のメッツ表（Ainsworth et al., 2011 Compendium of Physical Activities）から
+ * 活動の種類と速度に応じたメッツを求め、以下の式で活動消費カロリーを計算する。
+ *
+ *   活動消費カロリー（kcal）= (補正メッツ - 1) × 体重（kg）× 時間（h）
+ *
+ * 安静時の消費（1メッツ分）を差し引いた、活動による増加分のみを推定する。
+ * 身長・年齢・性別が入力されている場合は、Harris-Benedict式による安静時代謝から
+ * メッツを個人に合わせて補正する（Kozey et al., 2010 の補正メッツ）。
+ */
+
+// 歩行のメッツ表（速度 km/h → メッツ、Compendium 17151〜17231）
+const WALKING_METS = [
+  { speed: 3.2, met: 2.8 },
+  { speed: 4.0, met: 3.0 },
+  { speed: 4.8, met: 3.5 },
+  { speed: 5.6, met: 4.3 },
+  { speed: 6.4, met: 5.0 },
+  { speed: 7.2, met: 7.0 }
+];
+
+// 走行のメッツ表（速度 km/h → メッツ、Compendium 12020〜12110）
+const RUNNING_METS = [
+  { speed: 6.4, met: 6.0 },
+  { speed: 8.0, met: 8.3 },
+  { speed: 9.7, met: 9.8 },
+  { speed: 11.3, met: 11.0 },
+  { speed: 12.9, met: 11.8 },
+  { speed: 14.5, met: 12.8 },
+  { speed: 16.1, met: 14.5 }
+];
+
+// 階段の上りのメッツ表（ケイデンス 歩/分 → メッツ、Compendium 17133 ゆっくり〜17134 速い）
+const STAIRS_UP_METS = [
+  { cadence: 70, met: 4.0 },
+  { cadence: 110, met: 8.8 }
+];
+
+// 階段の下りのメッツ（Compendium 17070）
+const STAIRS_DOWN_MET = 3.5;
+
+/**
+ * 表の値を線形補間する（範囲外は端の値）
+ * @param {Array<Object>} table - 昇順に並んだ表
+ * @param {string} key - 入力の列名
+ * @param {number} value - 入力値
+ * @returns {number} 補間したメッツ
+ */
+function interpolateMet(table, key, value) {
+  if (value <= table[0][key]) {
+    return table[0].met;
+  }
+  for (let i = 1; i < table.length; i++) {
+    const upper = table[i];
+    if (value <= upper[key]) {
+      const lower = table[i - 1];
+      const ratio = (value - lower[key]) / (upper[key] - lower[key]);
+      return lower.met + ratio * (upper.met - lower.met);
+    }
+  }
+  return table[table.length - 1].met;
+}
+
+class CalorieEstimator {
+  /**
+   * CalorieEstimatorのコンストラクタ
+   * @param {Object} [profile] - ユーザープロファイル（weight: kg, height: cm, age: 歳, sex: 'male' | 'female'）
+   */
+  constructor(profile = {}) {
+    this.DEFAULT_WEIGHT = 60; // 体重が未入力の場合に仮定する体重（kg）
+    this.DEFAULT_CADENCE = 100; // ケイデンスが不明な場合（手動カウントなど）に仮定するケイデンス（歩/分）
+    this.STANDARD_RESTING_VO2 = 3.5; // 1メッツの酸素摂取量（ml/kg/分）
+    this.KCAL_PER_LITER_O2 = 5; // 酸素1リットルあたりの消費カロリー（kcal）
+    this.weight = null;
+    this.height = null;
+    this.age = null;
+    this.sex = null;
+    this.configure(profile);
+  }
+
+  /**
+   * ユーザープロファイルを反映
+   * @param {Object} profile - ユーザープロファイル（未入力の項目はnull）
+   */
+  configure(profile) {
+    if (!profile) {
+      return;
+    }
+    this.weight = profile.weight || null;
+    this.height = profile.height || null;
+    this.age = profile.age || null;
+    this.sex = profile.sex || null;
+  }
+
+  /**
+   * 活動の種類と速度からメッツを求める
+   * @param {string} activity - 活動の種類（walking, running, stairs-up, stairs-down）
+   * @param {number} speed - 移動速度（km/h）
+   * @param {number} cadence - ケイデンス（歩/分）
+   * @returns {number} メッツ
+   */
+  getMet(activity, speed, cadence) {
+    switch (activity) {
+      case 'running':
+        return interpolateMet(RUNNING_METS, 'speed', speed);
+      case 'stairs-up':
+        return interpolateMet(STAIRS_UP_METS, 'cadence', cadence);
+      case 'stairs-down':
+        return STAIRS_DOWN_MET;
+      default:
+        return interpolateMet(WALKING_METS, 'speed', speed);
+    }
+  }
+
+  /**
+   * 安静時代謝に基づくメッツの補正係数を求める
+   * @returns {number} 補正係数（身長・年齢・性別・体重のいずれかが未入力の場合は1）
+   *
+   * メッツ表は安静時の酸素摂取量を 3.5 ml/kg/分 と仮定している。
+   * Harris-Benedict式で求めた個人の安静時代謝を同じ単位に換算し、その比で補正する。
+   */
+  getMetCorrectionFactor() {
+    const { weight, height, age, sex } = this;
+    if (!weight || !height || !age || !sex) {
+      return 1;
+    }
+
+    const restingKcalPerDay = sex === 'male'
+      ? 66.473 + 13.7516 * weight + 5.0033 * height - 6.755 * age
+      : 655.0955 + 9.5634 * weight + 1.8496 * height - 4.6756 * age;
+    const restingVo2 = restingKcalPerDay / this.KCAL_PER_LITER_O2 * 1000 / 1440 / weight;
+    return restingVo2 > 0 ? this.STANDARD_RESTING_VO2 / restingVo2 : 1;
+  }
+
+  /**
+   * 歩数から活動消費カロリーを推定
+   * @param {Object} params - 推定に使う値
+   * @param {number} params.steps - 歩数
+   * @param {number} params.distance - 歩数分の推定移動距離（メートル）
+   * @param {number|null} [params.cadence] - ケイデンス（歩/分）、不明な場合はnull
+   * @param {string} [params.activity] - 活動の種類、不明な場合は歩行とみなす
+   * @returns {number} 活動消費カロリー（kcal）
+   */
+  estimateCalories({ steps, distance, cadence, activity }) {
+    if (!(steps > 0)) {
+      return 0;
+    }
+
+    const stepsPerMinute = cadence > 0 ? cadence : this.DEFAULT_CADENCE;
+    const hours = steps / stepsPerMinute / 60;
+    const speed = distance / 1000 / hours;
+    const met = this.getMet(activity || 'walking', speed, stepsPerMinute) * this.getMetCorrectionFactor();
+    const weight = this.weight || this.DEFAULT_WEIGHT;
+
+    return Math.max(0, met - 1) * weight * hours;
+  }
+}
+
+// エクスポート（Node.js環境用）
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CalorieEstimator;
+}
+
+// エクスポート（ブラウザ環境用）
+if (typeof window !== 'undefined') {
+  window.CalorieEstimator = CalorieEstimator;
+}
@@ -0,0 +1,110 @@
+/**
+ * CalorieEstimator ユニットテスト
+ *
+ * テスト対象:
+ * - 活動の種類と速度に応じたメッツ
+ * - 安静時代謝によるメッツの補正
+ * - 歩数からの活動消費カロリーの推定
+ */
+
+const CalorieEstimator = require('./CalorieEstimator');
+
+describe('CalorieEstimator', () => {
+  describe('メッツ', () => {
+    const estimator = new CalorieEstimator();
+
+    test('歩行は速度に応じてメッツ表を線形補間する', () => {
+      expect(estimator.getMet('walking', 4.8, 100)).toBeCloseTo(3.5);
+      expect(estimator.getMet('walking', 5.2, 100)).toBeCloseTo(3.9);
+    });
+
+    test('表の範囲外の速度は端の値を使用する', () => {
+      expect(estimator.getMet('walking', 1, 60)).toBe(2.8);
+      expect(estimator.getMet('running', 25, 190)).toBe(14.5);
+    });
+
+    test('走行は歩行より高いメッツになる', () => {
+      expect(estimator.getMet('running', 8.0, 160)).toBeCloseTo(8.3);
+      expect(estimator.getMet('running', 7.2, 150)).toBeGreaterThan(estimator.getMet('walking', 6.4, 150));
+    });
+
+    test('階段の上りはケイデンス、下りは一定のメッツを使用する', () => {
+      expect(estimator.getMet('stairs-up', 2, 90)).toBeCloseTo(6.4);
+      expect(estimator.getMet('stairs-down', 2, 90)).toBe(3.5);
+    });
+  });
+
+  describe('安静時代謝による補正', () => {
+    test('身長・体重・年齢・性別のいずれかが未入力の場合は補正しない', () => {
+      const estimator = new CalorieEstimator({ weight: 70, height: 175, age: 30, sex: null });
+
+      expect(estimator.getMetCorrectionFactor()).toBe(1);
+    });
+
+    test('Harris-Benedict式の安静時代謝から補正係数を求める', () => {
+      const estimator = new CalorieEstimator({ weight: 70, height: 175, age: 30, sex: 'male' });
+
+      // 安静時代謝 1702kcal/日 ≒ 3.377 ml/kg/分
+      expect(estimator.getMetCorrectionFactor()).toBeCloseTo(1.0365, 3);
+    });
+
+    test('安静時代謝が低い人ほどメッツを大きく補正する', () => {
+      const younger = new CalorieEstimator({ weight: 60, height: 160, age: 25, sex: 'female' });
+      const older = new CalorieEstimator({ weight: 60, height: 160, age: 70, sex: 'female' });
+
+      expect(older.getMetCorrectionFactor()).toBeGreaterThan(younger.getMetCorrectionFactor());
+    });
+  });
+
+  describe('活動消費カロリー', () => {
+    test('歩数が0の場合は0を返す', () => {
+      const estimator = new CalorieEstimator({ weight: 70 });
+
+      expect(estimator.estimateCalories({ steps: 0, distance: 0, cadence: null, activity: 'walking' })).toBe(0);
+    });
+
+    test('安静時の1メッツ分を差し引いて体重と時間から求める', () => {
+      const estimator = new CalorieEstimator({ weight: 70 });
+
+      // 6000歩・4.8km を 100歩/分で歩いた場合（1時間、3.5メッツ）
+      const calories = estimator.estimateCalories({ steps: 6000, distance: 4800, cadence: 100, activity: 'walking' });
+
+      expect(calories).toBeCloseTo(2.5 * 70);
+    });
+
+    test('体重が未入力の場合は既定の体重を使用する', () => {
+      const estimator = new CalorieEstimator();
+
+      const calories = estimator.estimateCalories({ steps: 6000, distance: 4800, cadence: 100, activity: 'walking' });
+
+      expect(calories).toBeCloseTo(2.5 * 60);
+    });
+
+    test('ケイデンスが不明な場合は既定のケイデンスで時間を求める', () => {
+      const estimator = new CalorieEstimator({ weight: 70 });
+
+      const withoutCadence = estimator.estimateCalories({ steps: 100, distance: 80, cadence: null });
+      const withDefault = estimator.estimateCalories({ steps: 100, distance: 80, cadence: 100, activity: 'walking' });
+
+      expect(withoutCadence).toBeCloseTo(withDefault);
+    });
+
+    test('同じ歩数でも走行の方が消費カロリーが大きい', () => {
+      const estimator = new CalorieEstimator({ weight: 70 });
+
+      const walking = estimator.estimateCalories({ steps: 1000, distance: 700, cadence: 110, activity: 'walking' });
+      const running = estimator.estimateCalories({ steps: 1000, distance: 1100, cadence: 160, activity: 'running' });
+
+      expect(running).toBeGreaterThan(walking);
+    });
+
+    test('configure()でプロファイルの変更を反映する', () => {
+      const estimator = new CalorieEstimator({ weight: 70 });
+      estimator.configure({ weight: 35, height: null, age: null, sex: null });
+
+      const calories = estimator.estimateCalories({ steps: 6000, distance: 4800, cadence: 100, activity: 'walking' });
+
+      expect(calories).toBeCloseTo(2.5 * 35);
+    });
+  });
+});
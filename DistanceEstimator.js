@@ -0,0 +1,85 @@
+/**
+ * DistanceEstimator - 歩数から移動距離を推定するコンポーネント
+ *
+ * 基準の歩幅は、ユーザーが入力した歩幅（実測値）があればそれを、なければ身長から求める。
+ * 歩幅はケイデンスが高いほど長くなる（走行時は歩行時より大きく伸びる）ため、
+ * 基準のケイデンスからの差に応じて歩幅を伸縮させる。
+ */
+class DistanceEstimator {
+  /**
+   * DistanceEstimatorのコンストラクタ
+   * @param {Object} [profile] - ユーザープロファイル（height: 身長（cm）, strideLength: 歩幅（cm））
+   */
+  constructor(profile = {}) {
+    this.STRIDE_HEIGHT_RATIO = 0.415; // 普通の歩行での歩幅と身長の比
+    this.DEFAULT_STRIDE_LENGTH = 70; // 身長も歩幅も未入力の場合の歩幅（cm）
+    this.REFERENCE_CADENCE = 110; // 基準の歩幅に対応するケイデンス（歩/分、普通の歩行）
+    this.CADENCE_STRIDE_SLOPE = 0.01; // ケイデンス1歩/分あたりの歩幅の伸び（基準の歩幅に対する比率）
+    this.MIN_STRIDE_FACTOR = 0.6; // 歩幅の倍率の下限（ゆっくり歩く場合）
+    this.MAX_STRIDE_FACTOR = 1.9; // 歩幅の倍率の上限（全力で走る場合）
+    this.height = null;
+    this.strideLength = null;
+    this.configure(profile);
+  }
+
+  /**
+   * ユーザープロファイルを反映
+   * @param {Object} profile - ユーザープロファイル（height, strideLength: cm、未入力の場合はnull）
+   */
+  configure(profile) {
+    if (!profile) {
+      return;
+    }
+    this.height = profile.height || null;
+    this.strideLength = profile.strideLength || null;
+  }
+
+  /**
+   * 基準のケイデンスでの歩幅を取得
+   * @returns {number} 歩幅（cm）
+   */
+  getBaseStrideLength() {
+    if (this.strideLength) {
+      return this.strideLength;
+    }
+    if (this.height) {
+      return this.height * this.STRIDE_HEIGHT_RATIO;
+    }
+    return this.DEFAULT_STRIDE_LENGTH;
+  }
+
+  /**
+   * ケイデンスに応じた歩幅を取得
+   * @param {number|null} cadence - ケイデンス（歩/分）、不明な場合はnull
+   * @returns {number} 歩幅（cm）
+   */
+  getStrideLength(cadence) {
+    if (typeof cadence !== 'number' || !Number.isFinite(cadence)) {
+      return this.getBaseStrideLength();
+    }
+
+    const factor = 1 + (cadence - this.REFERENCE_CADENCE) * this.CADENCE_STRIDE_SLOPE;
+    const clampedFactor = Math.min(this.MAX_STRIDE_FACTOR, Math.max(this.MIN_STRIDE_FACTOR, factor));
+    return this.getBaseStrideLength() * clampedFactor;
+  }
+
+  /**
+   * 歩数から移動距離を推定
+   * @param {number} steps - 歩数
+   * @param {number|null} cadence - 歩いたときのケイデンス（歩/分）、不明な場合はnull
+   * @returns {number} 移動距離（メートル）
+   */
+  estimateDistance(steps, cadence) {
+    return steps * this.getStrideLength(cadence) / 100;
+  }
+}
+
+// エクスポート（Node.js環境用）
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = DistanceEstimator;
+}
+
+// エクスポート（ブラウザ環境用）
+if (typeof window !== 'undefined') {
+  window.DistanceEstimator = DistanceEstimator;
+}
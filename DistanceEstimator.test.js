@@ -0,0 +1,75 @@
+/**
+ * DistanceEstimator ユニットテスト
+ *
+ * テスト対象:
+ * - 身長・実測した歩幅からの基準の歩幅
+ * - ケイデンスに応じた歩幅の伸縮
+ * - 歩数からの移動距離の推定
+ */
+
+const DistanceEstimator = require('./DistanceEstimator');
+
+describe('DistanceEstimator', () => {
+  describe('基準の歩幅', () => {
+    test('未入力の場合は既定の歩幅を使用する', () => {
+      const estimator = new DistanceEstimator();
+
+      expect(estimator.getBaseStrideLength()).toBe(70);
+    });
+
+    test('身長から歩幅を求める', () => {
+      const estimator = new DistanceEstimator({ height: 180, strideLength: null });
+
+      expect(estimator.getBaseStrideLength()).toBeCloseTo(74.7);
+    });
+
+    test('実測した歩幅は身長より優先される', () => {
+      const estimator = new DistanceEstimator({ height: 180, strideLength: 65 });
+
+      expect(estimator.getBaseStrideLength()).toBe(65);
+    });
+
+    test('configure()でプロファイルの変更を反映する', () => {
+      const estimator = new DistanceEstimator({ height: 180, strideLength: 65 });
+
+      estimator.configure({ height: null, strideLength: null });
+
+      expect(estimator.getBaseStrideLength()).toBe(70);
+    });
+  });
+
+  describe('ケイデンスに応じた歩幅', () => {
+    let estimator;
+
+    beforeEach(() => {
+      estimator = new DistanceEstimator({ height: null, strideLength: 70 });
+    });
+
+    test('基準のケイデンスでは基準の歩幅になる', () => {
+      expect(estimator.getStrideLength(110)).toBeCloseTo(70);
+    });
+
+    test('ケイデンスが高いほど歩幅が長くなる', () => {
+      expect(estimator.getStrideLength(130)).toBeGreaterThan(estimator.getStrideLength(110));
+      expect(estimator.getStrideLength(170)).toBeGreaterThan(estimator.getStrideLength(130));
+      expect(estimator.getStrideLength(90)).toBeLessThan(estimator.getStrideLength(110));
+    });
+
+    test('歩幅の伸縮には上限と下限がある', () => {
+      expect(estimator.getStrideLength(400)).toBeCloseTo(70 * 1.9);
+      expect(estimator.getStrideLength(10)).toBeCloseTo(70 * 0.6);
+    });
+
+    test('ケイデンスが不明な場合は基準の歩幅を使用する', () => {
+      expect(estimator.getStrideLength(null)).toBe(70);
+      expect(estimator.getStrideLength(NaN)).toBe(70);
+    });
+  });
+
+  test('歩数と歩幅から移動距離（メートル）を推定する', () => {
+    const estimator = new DistanceEstimator({ height: null, strideLength: 70 });
+
+    expect(estimator.estimateDistance(1000, null)).toBeCloseTo(700);
+    expect(estimator.estimateDistance(1000, 170)).toBeGreaterThan(estimator.estimateDistance(1000, 110));
+  });
+});
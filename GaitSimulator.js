@@ -0,0 +1,229 @@
+/**
+ * GaitSimulator - 歩行時の加速度センサーのデータを合成するシミュレーター
+ *
+ * 歩数が既知の、実際の歩行に近い加速度の列（重力を含む、端末座標系）を生成する。
+ * - 上下方向：1歩ごとに1周期の振動（着地の衝撃を表す2倍の周波数の成分を含む）
+ * - 前後方向：上下方向と位相のずれた1歩ごとの振動
+ * - 左右方向：2歩（1ストライド）ごとの体の揺れ
+ * 1歩ごとにケイデンスをばらつかせ、歩き始めと立ち止まりの前後は振幅を滑らかに変化させる。
+ * 乱数はシード付きのため、同じ設定からは常に同じデータが生成される。
+ *
+ * プロパティベーステストでの歩数検出の検証と、センサーのない環境でのシミュレーション（SimulatedSensorAdapter）に使用する。
+ */
+
+/**
+ * シード付きの疑似乱数生成器（mulberry32）を作成
+ * @param {number} seed - シード
+ * @returns {Function} 0以上1未満の乱数を返す関数
+ */
+function createGaitRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+class GaitSimulator {
+  /**
+   * GaitSimulatorのコンストラクタ
+   * @param {Object} [options] - シミュレーションの設定
+   * @param {number} [options.cadence=110] - ケイデンス（歩/分）
+   * @param {number} [options.amplitude=2.5] - 上下方向の加速度の振幅（m/s²）
+   * @param {Object} [options.orientation] - 端末の向き（pitch: 前後の傾き、roll: 左右の傾き、度）
+   *   0度ずつの場合は画面を上にして水平（重力はz軸）、pitch 90度の場合は縦向き（重力はy軸）
+   * @param {number} [options.noise=0.15] - 各軸に加えるセンサーノイズの標準偏差（m/s²）
+   * @param {number} [options.gravity=9.81] - 重力加速度（m/s²）
+   * @param {number} [options.sampleRate=60] - サンプリング周波数（Hz）
+   * @param {number} [options.cadenceVariability=0.03] - 1歩ごとのケイデンスのばらつき（標準偏差の比率）
+   * @param {Array<{afterSteps: number, duration: number}>} [options.pauses] - 立ち止まり（何歩目の後に何ミリ秒）
+   * @param {number} [options.idleBefore=1000] - 歩き始める前の静止時間（ミリ秒）
+   * @param {number} [options.idleAfter=1000] - 歩き終わった後の静止時間（ミリ秒）
+   * @param {number} [options.startTime=0] - 最初のサンプルのタイムスタンプ（ミリ秒）
+   * @param {number} [options.seed=1] - 乱数のシード
+   */
+  constructor(options = {}) {
+    this.HARMONIC_RATIO = 0.25; // 上下方向の2倍の周波数の成分（着地の衝撃）の比率
+    this.FORWARD_RATIO = 0.5; // 上下方向に対する前後方向の振幅の比率
+    this.LATERAL_RATIO = 0.3; // 上下方向に対する左右方向の振幅の比率
+    this.MIN_ENVELOPE = 0.5; // 歩き始めと立ち止まりの前後の振幅の最小倍率
+    this.RAMP_STEPS = 1.5; // 振幅を変化させる歩数
+
+    const {
+      cadence = 110,
+      amplitude = 2.5,
+      orientation = { pitch: 0, roll: 0 },
+      noise = 0.15,
+      gravity = 9.81,
+      sampleRate = 60,
+      cadenceVariability = 0.03,
+      pauses = [],
+      idleBefore = 1000,
+      idleAfter = 1000,
+      startTime = 0,
+      seed = 1
+    } = options;
+
+    if (!(cadence > 0) || !(sampleRate > 0)) {
+      throw new Error('Invalid gait simulation: cadence and sampleRate must be positive');
+    }
+
+    this.cadence = cadence;
+    this.amplitude = amplitude;
+    this.orientation = { pitch: orientation.pitch || 0, roll: orientation.roll || 0 };
+    this.noise = noise;
+    this.gravity = gravity;
+    this.sampleRate = sampleRate;
+    this.cadenceVariability = cadenceVariability;
+    this.pauses = [...pauses].sort((a, b) => a.afterSteps - b.afterSteps);
+    this.idleBefore = idleBefore;
+    this.idleAfter = idleAfter;
+    this.startTime = startTime;
+    this.seed = seed;
+  }
+
+  /**
+   * 端末座標系での上下・前後・左右の単位ベクトルを求める
+   * @returns {{up: number[], forward: number[], side: number[]}} 各方向の単位ベクトル（x, y, z）
+   */
+  getAxes() {
+    const pitch = this.orientation.pitch * Math.PI / 180;
+    const roll = this.orientation.roll * Math.PI / 180;
+    const up = [Math.sin(roll) * Math.cos(pitch), Math.sin(pitch), Math.cos(roll) * Math.cos(pitch)];
+
+    // 上下方向に垂直な前後方向と、両方に垂直な左右方向
+    const reference = Math.abs(up[0]) < 0.9 ? [1, 0, 0] : [0, 1, 0];
+    const forwardRaw = [
+      up[1] * reference[2] - up[2] * reference[1],
+      up[2] * reference[0] - up[0] * reference[2],
+      up[0] * reference[1] - up[1] * reference[0]
+    ];
+    const length = Math.sqrt(forwardRaw[0] ** 2 + forwardRaw[1] ** 2 + forwardRaw[2] ** 2);
+    const forward = forwardRaw.map((value) => value / length);
+    const side = [
+      up[1] * forward[2] - up[2] * forward[1],
+      up[2] * forward[0] - up[0] * forward[2],
+      up[0] * forward[1] - up[1] * forward[0]
+    ];
+    return { up, forward, side };
+  }
+
+  /**
+   * 指定した歩数の歩行の加速度データを生成
+   * @param {number} steps - 歩数（0以上の整数）
+   * @returns {{samples: Array<{x: number, y: number, z: number, timestamp: number, interval: number}>, steps: number}}
+   *   センサーのサンプル（StepCounter.onMotionDetected() に渡せる形式）と歩数
+   * @throws {Error} 歩数が不正な場合
+   */
+  generate(steps) {
+    if (!Number.isInteger(steps) || steps < 0) {
+      throw new Error(`Invalid step count: ${steps}`);
+    }
+
+    const random = createGaitRandom(this.seed);
+    const gaussian = () => {
+      const u = 1 - random();
+      const v = random();
+      return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+    };
+
+    const interval = 1000 / this.sampleRate;
+    const { up, forward, side } = this.getAxes();
+    const samples = [];
+    const pushSample = (vertical, longitudinal, lateral) => {
+      const values = [0, 1, 2].map((axis) =>
+        (this.gravity + vertical) * up[axis] + longitudinal * forward[axis] + lateral * side[axis] +
+        this.noise * gaussian());
+      samples.push({
+        x: values[0],
+        y: values[1],
+        z: values[2],
+        timestamp: this.startTime + samples.length * interval,
+        interval
+      });
+    };
+    const idle = (duration) => {
+      const count = Math.round(duration / interval);
+      for (let i = 0; i < count; i++) {
+        pushSample(0, 0, 0);
+      }
+    };
+
+    // 立ち止まりで区切った歩行の区間（開始・終了の歩数）
+    const boundaries = [0];
+    for (const pause of this.pauses) {
+      if (pause.afterSteps > boundaries[boundaries.length - 1] && pause.afterSteps < steps) {
+        boundaries.push(pause.afterSteps);
+      }
+    }
+    boundaries.push(steps);
+
+    idle(this.idleBefore);
+    let phase = 0; // 歩行の位相（1周期 = 1歩）
+    let frequency = this.cadence / 60;
+    for (let i = 0; i < boundaries.length - 1; i++) {
+      const boutStart = boundaries[i];
+      const boutEnd = boundaries[i + 1];
+
+      while (phase < boutEnd) {
+        const ramp = Math.min(1, (phase - boutStart) / this.RAMP_STEPS, (boutEnd - phase) / this.RAMP_STEPS);
+        const envelope = this.amplitude * (this.MIN_ENVELOPE + (1 - this.MIN_ENVELOPE) * ramp);
+        const angle = 2 * Math.PI * phase;
+        pushSample(
+          envelope * (Math.sin(angle) + this.HARMONIC_RATIO * Math.sin(2 * angle + 0.8)),
+          envelope * this.FORWARD_RATIO * Math.sin(angle + 1.2),
+          envelope * this.LATERAL_RATIO * Math.sin(angle / 2)
+        );
+
+        const nextPhase = Math.min(boutEnd, phase + frequency / this.sampleRate);
+        if (Math.floor(nextPhase) > Math.floor(phase)) {
+          // 1歩ごとにケイデンスをばらつかせる
+          frequency = this.cadence / 60 * Math.max(0.5, 1 + this.cadenceVariability * gaussian());
+        }
+        phase = nextPhase;
+      }
+
+      if (i < boundaries.length - 2) {
+        const pause = this.pauses.find((candidate) => candidate.afterSteps === boutEnd);
+        idle(pause.duration);
+      }
+    }
+    idle(this.idleAfter);
+
+    return { samples, steps };
+  }
+
+  /**
+   * 指定した歩数の歩行を ReplaySensorAdapter で再生できるトレースとして生成
+   * @param {number} steps - 歩数（0以上の整数）
+   * @returns {Object} トレース（SensorAdapter.stopRecording() と同じ形式）
+   */
+  generateTrace(steps) {
+    const { samples } = this.generate(steps);
+    return {
+      version: 1,
+      recordedAt: null,
+      userAgent: null,
+      samples: samples.map(({ x, y, z, timestamp, interval }) => ({
+        timestamp,
+        interval,
+        accelerationIncludingGravity: { x, y, z },
+        acceleration: null,
+        rotationRate: null
+      }))
+    };
+  }
+}
+
+// エクスポート（Node.js環境用）
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = GaitSimulator;
+}
+
+// エクスポート（ブラウザ環境用）
+if (typeof window !== 'undefined') {
+  window.GaitSimulator = GaitSimulator;
+}
@@ -0,0 +1,155 @@
+/**
+ * GaitSimulator ユニットテスト
+ *
+ * テスト対象:
+ * - サンプルのタイムスタンプとサンプリング間隔
+ * - 端末の向きと重力
+ * - 立ち止まり・静止時間
+ * - シードによる再現性
+ * - ReplaySensorAdapter で再生できるトレースの生成
+ */
+
+const GaitSimulator = require('./GaitSimulator');
+
+/**
+ * サンプルの各軸の平均（重力の向き）を求める
+ */
+function meanAcceleration(samples) {
+  const sum = samples.reduce((total, { x, y, z }) => ({ x: total.x + x, y: total.y + y, z: total.z + z }), { x: 0, y: 0, z: 0 });
+  return { x: sum.x / samples.length, y: sum.y / samples.length, z: sum.z / samples.length };
+}
+
+describe('GaitSimulator', () => {
+  describe('サンプルの生成', () => {
+    test('サンプリング周波数の間隔でタイムスタンプを付ける', () => {
+      const simulator = new GaitSimulator({ sampleRate: 50, startTime: 1000 });
+
+      const { samples, steps } = simulator.generate(10);
+
+      expect(steps).toBe(10);
+      expect(samples[0].timestamp).toBe(1000);
+      expect(samples[1].timestamp - samples[0].timestamp).toBeCloseTo(20);
+      expect(samples.every((sample) => sample.interval === 20)).toBe(true);
+    });
+
+    test('歩数とケイデンスに応じた長さになる', () => {
+      const simulator = new GaitSimulator({ cadence: 120, sampleRate: 60, cadenceVariability: 0, idleBefore: 0, idleAfter: 0 });
+
+      const { samples } = simulator.generate(20);
+
+      // 120歩/分で20歩 = 10秒
+      expect(samples.length).toBeCloseTo(600, -1);
+    });
+
+    test('静止時間と立ち止まりの時間が加わる', () => {
+      const options = { cadenceVariability: 0, sampleRate: 50, idleBefore: 0, idleAfter: 0 };
+      const walking = new GaitSimulator(options).generate(20).samples.length;
+
+      const withIdle = new GaitSimulator({ ...options, idleBefore: 1000, idleAfter: 2000 }).generate(20).samples.length;
+      const withPause = new GaitSimulator({ ...options, pauses: [{ afterSteps: 10, duration: 3000 }] }).generate(20).samples.length;
+
+      expect(withIdle - walking).toBe(150);
+      expect(withPause - walking).toBe(150);
+    });
+
+    test('歩数の範囲外の立ち止まりは無視する', () => {
+      const options = { cadenceVariability: 0, idleBefore: 0, idleAfter: 0 };
+      const walking = new GaitSimulator(options).generate(10).samples.length;
+
+      const simulator = new GaitSimulator({ ...options, pauses: [{ afterSteps: 0, duration: 1000 }, { afterSteps: 10, duration: 1000 }] });
+
+      expect(simulator.generate(10).samples.length).toBe(walking);
+    });
+
+    test('歩数が0の場合は静止時間のみになる', () => {
+      const simulator = new GaitSimulator({ sampleRate: 50, idleBefore: 1000, idleAfter: 1000, noise: 0 });
+
+      const { samples } = simulator.generate(0);
+
+      expect(samples).toHaveLength(100);
+      expect(samples.every(({ x, y, z }) => x === 0 && y === 0 && z === 9.81)).toBe(true);
+    });
+
+    test('同じシードからは同じデータ、異なるシードからは異なるデータが生成される', () => {
+      const first = new GaitSimulator({ seed: 42 }).generate(10).samples;
+      const second = new GaitSimulator({ seed: 42 }).generate(10).samples;
+      const other = new GaitSimulator({ seed: 43 }).generate(10).samples;
+
+      expect(second).toEqual(first);
+      expect(other).not.toEqual(first);
+    });
+
+    test('不正な歩数や設定の場合はエラーを投げる', () => {
+      expect(() => new GaitSimulator().generate(-1)).toThrow('Invalid step count');
+      expect(() => new GaitSimulator().generate(1.5)).toThrow('Invalid step count');
+      expect(() => new GaitSimulator({ cadence: 0 })).toThrow('Invalid gait simulation');
+    });
+  });
+
+  describe('端末の向きと重力', () => {
+    test('水平に置いた場合は重力がz軸にかかる', () => {
+      const { samples } = new GaitSimulator({ noise: 0 }).generate(20);
+
+      const mean = meanAcceleration(samples);
+
+      expect(mean.z).toBeCloseTo(9.81, 0);
+      expect(Math.abs(mean.x)).toBeLessThan(0.5);
+      expect(Math.abs(mean.y)).toBeLessThan(0.5);
+    });
+
+    test('縦向き（pitch 90度）の場合は重力がy軸にかかる', () => {
+      const { samples } = new GaitSimulator({ orientation: { pitch: 90, roll: 0 }, noise: 0 }).generate(20);
+
+      const mean = meanAcceleration(samples);
+
+      expect(mean.y).toBeCloseTo(9.81, 0);
+      expect(Math.abs(mean.z)).toBeLessThan(0.5);
+    });
+
+    test('重力加速度を変更できる', () => {
+      const { samples } = new GaitSimulator({ gravity: 3.71, noise: 0 }).generate(0);
+
+      expect(samples[0].z).toBeCloseTo(3.71);
+    });
+
+    test('上下・前後・左右の方向は互いに直交する単位ベクトルになる', () => {
+      const { up, forward, side } = new GaitSimulator({ orientation: { pitch: 35, roll: -60 } }).getAxes();
+      const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+
+      expect(dot(up, up)).toBeCloseTo(1);
+      expect(dot(forward, forward)).toBeCloseTo(1);
+      expect(dot(side, side)).toBeCloseTo(1);
+      expect(dot(up, forward)).toBeCloseTo(0);
+      expect(dot(up, side)).toBeCloseTo(0);
+      expect(dot(forward, side)).toBeCloseTo(0);
+    });
+
+    test('振幅に応じて重力方向の加速度が変化する', () => {
+      const range = (amplitude) => {
+        const values = new GaitSimulator({ amplitude, noise: 0, idleBefore: 0, idleAfter: 0 }).generate(20).samples.map(({ z }) => z);
+        return Math.max(...values) - Math.min(...values);
+      };
+
+      expect(range(4)).toBeCloseTo(range(2) * 2, 1);
+    });
+  });
+
+  describe('トレースの生成', () => {
+    test('ReplaySensorAdapter で再生できる形式のトレースを生成する', () => {
+      const simulator = new GaitSimulator({ seed: 7 });
+      const { samples } = simulator.generate(5);
+
+      const trace = simulator.generateTrace(5);
+
+      expect(trace.version).toBe(1);
+      expect(trace.samples).toHaveLength(samples.length);
+      expect(trace.samples[0]).toEqual({
+        timestamp: samples[0].timestamp,
+        interval: samples[0].interval,
+        accelerationIncludingGravity: { x: samples[0].x, y: samples[0].y, z: samples[0].z },
+        acceleration: null,
+        rotationRate: null
+      });
+    });
+  });
+});
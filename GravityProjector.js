@@ -0,0 +1,139 @@
+/**
+ * GravityProjector - 加速度を重力方向に射影し、端末の向きに依存しない成分を求める前処理
+ *
+ * 端末は前後のポケット、手、かばんなど様々な向きで持たれるため、端末座標系の x, y, z は
+ * 持ち方によって意味が変わる。各軸のローパスフィルタで重力ベクトルを推定し、
+ * 加速度を重力方向とそれに垂直な面に分解することで、以下の成分を求める。
+ * - vertical: 重力方向（上向きが正）の動的加速度（重力を差し引いた値）
+ * - horizontal: 重力に垂直な面内の加速度の大きさ
+ * どちらも端末の向きに依存しないため、検出アルゴリズムは持ち方によらず同じように扱える。
+ *
+ * ジャイロスコープの角速度（rotationRate）がある場合は、推定した重力ベクトルを端末の回転に
+ * 合わせて回してからローパスフィルタを適用する。ズボンのポケットのように歩行中に端末が
+ * 大きく揺れる場合でも、重力方向の推定が遅れにくくなる。
+ *
+ * StepCounter がセンサーのサンプルを検出アルゴリズムや活動の分類に渡す前に適用する。
+ */
+
+// 依存モジュールの取得（ブラウザ環境ではwindowに登録済み、Node.js環境（テスト用）ではrequire）
+const GravityProjectorModules = (typeof module !== 'undefined' && module.exports)
+  ? require('./StepDetector.js')
+  : window;
+
+class GravityProjector {
+  /**
+   * GravityProjectorのコンストラクタ
+   */
+  constructor() {
+    this.GRAVITY_CUTOFF = 0.2; // 重力ベクトル推定用ローパスフィルタのカットオフ周波数（Hz）
+    this.NOMINAL_INTERVAL = 1000 / 60; // サンプル間隔が不明な場合に仮定する間隔（ミリ秒、約60Hz）
+    this.reset();
+  }
+
+  /**
+   * サンプルを処理し、重力方向と水平方向の成分を加える
+   * @param {Object} acceleration - 加速度データ（x, y, z: m/s²、interval: サンプリング間隔（ミリ秒、任意）、
+   *   rotationRate: 角速度（alpha, beta, gamma: deg/s、任意））
+   * @param {number} timestamp - センサーがサンプルを取得した時刻（ミリ秒）
+   * @returns {Object} 元のサンプルに vertical, horizontal（m/s²）と gravity（推定した重力ベクトル）を加えたもの
+   */
+  process(acceleration, timestamp) {
+    const interval = this.getSampleInterval(acceleration, timestamp);
+
+    // 各軸のローパスフィルタで重力ベクトルを推定（最初のサンプルで初期化）
+    if (this.gravity === null) {
+      this.gravity = { x: acceleration.x, y: acceleration.y, z: acceleration.z };
+    } else {
+      if (acceleration.rotationRate) {
+        this.rotateGravity(acceleration.rotationRate, interval);
+      }
+      const alpha = GravityProjectorModules.lowPassAlpha(this.GRAVITY_CUTOFF, interval);
+      this.gravity.x += alpha * (acceleration.x - this.gravity.x);
+      this.gravity.y += alpha * (acceleration.y - this.gravity.y);
+      this.gravity.z += alpha * (acceleration.z - this.gravity.z);
+    }
+
+    const gravity = { ...this.gravity };
+    const gravityMagnitude = Math.sqrt(gravity.x ** 2 + gravity.y ** 2 + gravity.z ** 2);
+    if (gravityMagnitude === 0) {
+      // 重力の向きが定まらない（自由落下や重力を含まないデータ）場合は射影しない
+      return { ...acceleration, vertical: 0, horizontal: 0, gravity };
+    }
+
+    // 重力を差し引いた動的加速度を、重力方向の成分とそれに垂直な成分に分解
+    const dynamic = {
+      x: acceleration.x - gravity.x,
+      y: acceleration.y - gravity.y,
+      z: acceleration.z - gravity.z
+    };
+    const vertical = (dynamic.x * gravity.x + dynamic.y * gravity.y + dynamic.z * gravity.z) / gravityMagnitude;
+    const horizontal = Math.sqrt(Math.max(0,
+      dynamic.x ** 2 + dynamic.y ** 2 + dynamic.z ** 2 - vertical ** 2));
+
+    return { ...acceleration, vertical, horizontal, gravity };
+  }
+
+  /**
+   * 推定した重力ベクトルを端末の回転に合わせて回す
+   * @param {{alpha: number, beta: number, gamma: number}} rotationRate - 角速度（deg/s、alpha: z軸、beta: x軸、gamma: y軸まわり）
+   * @param {number} interval - 直前のサンプルからの経過時間（ミリ秒）
+   *
+   * 端末座標系から見た重力ベクトル g は、端末が角速度 ω で回転すると dg/dt = -ω × g で変化する。
+   */
+  rotateGravity(rotationRate, interval) {
+    const dt = interval / 1000;
+    const wx = rotationRate.beta * Math.PI / 180;
+    const wy = rotationRate.gamma * Math.PI / 180;
+    const wz = rotationRate.alpha * Math.PI / 180;
+    const { x, y, z } = this.gravity;
+
+    this.gravity.x -= (wy * z - wz * y) * dt;
+    this.gravity.y -= (wz * x - wx * z) * dt;
+    this.gravity.z -= (wx * y - wy * x) * dt;
+  }
+
+  /**
+   * 直前のサンプルからの経過時間を求める
+   * @param {Object} acceleration - 加速度データ
+   * @param {number} timestamp - サンプルの時刻（ミリ秒）
+   * @returns {number} 経過時間（ミリ秒）
+   */
+  getSampleInterval(acceleration, timestamp) {
+    const elapsed = this.lastSampleTime === null ? 0 : timestamp - this.lastSampleTime;
+    this.lastSampleTime = timestamp;
+
+    if (elapsed > 0) {
+      return elapsed;
+    }
+    if (typeof acceleration.interval === 'number' && acceleration.interval > 0) {
+      return acceleration.interval;
+    }
+    return this.NOMINAL_INTERVAL;
+  }
+
+  /**
+   * 推定した重力ベクトルを取得
+   * @returns {{x: number, y: number, z: number}|null} 重力ベクトル（まだサンプルがない場合はnull）
+   */
+  getGravity() {
+    return this.gravity ? { ...this.gravity } : null;
+  }
+
+  /**
+   * 重力の推定を初期化
+   */
+  reset() {
+    this.gravity = null;
+    this.lastSampleTime = null;
+  }
+}
+
+// エクスポート（Node.js環境用）
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = GravityProjector;
+}
+
+// エクスポート（ブラウザ環境用）
+if (typeof window !== 'undefined') {
+  window.GravityProjector = GravityProjector;
+}
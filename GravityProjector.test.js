@@ -0,0 +1,113 @@
+/**
+ * GravityProjector ユニットテスト
+ *
+ * テスト対象:
+ * - 重力ベクトルの推定
+ * - 重力方向（上下）と水平方向の成分への分解
+ * - 端末の向きに依存しないこと
+ * - ジャイロスコープによる重力方向の追従
+ */
+
+const GravityProjector = require('./GravityProjector');
+const GaitSimulator = require('./GaitSimulator');
+
+/**
+ * シミュレーションした歩行を処理し、上下方向の成分の列を返す
+ */
+function projectGait(orientation) {
+  const projector = new GravityProjector();
+  const { samples } = new GaitSimulator({ orientation, noise: 0, cadenceVariability: 0 }).generate(30);
+  return samples.map((sample) => projector.process(sample, sample.timestamp));
+}
+
+describe('GravityProjector', () => {
+  test('静止中は推定した重力が加速度と一致し、動的な成分は0になる', () => {
+    const projector = new GravityProjector();
+
+    let result;
+    for (let i = 0; i < 100; i++) {
+      result = projector.process({ x: 0, y: 9.81, z: 0 }, i * 20);
+    }
+
+    expect(result.gravity).toEqual({ x: 0, y: 9.81, z: 0 });
+    expect(result.vertical).toBeCloseTo(0);
+    expect(result.horizontal).toBeCloseTo(0);
+  });
+
+  test('重力方向の変化を上向きを正とする上下成分として返す', () => {
+    const projector = new GravityProjector();
+    for (let i = 0; i < 100; i++) {
+      projector.process({ x: 9.81, y: 0, z: 0 }, i * 20);
+    }
+
+    const up = projector.process({ x: 11.81, y: 0, z: 0 }, 2000);
+    const side = new GravityProjector();
+    side.process({ x: 9.81, y: 0, z: 0 }, 0);
+    const sideways = side.process({ x: 9.81, y: 3, z: 4 }, 20);
+
+    expect(up.vertical).toBeGreaterThan(1.9);
+    expect(up.horizontal).toBeCloseTo(0);
+    expect(sideways.vertical).toBeCloseTo(0, 0);
+    expect(sideways.horizontal).toBeGreaterThan(4.5);
+  });
+
+  test('元のサンプルの値を保持する', () => {
+    const projector = new GravityProjector();
+
+    const result = projector.process({ x: 1, y: 2, z: 9, timestamp: 100, interval: 16 }, 100);
+
+    expect(result).toEqual(expect.objectContaining({ x: 1, y: 2, z: 9, timestamp: 100, interval: 16 }));
+  });
+
+  test('端末の向きが異なっても上下・水平方向の成分はほぼ同じになる', () => {
+    const flat = projectGait({ pitch: 0, roll: 0 });
+    const portrait = projectGait({ pitch: 90, roll: 0 });
+    const tilted = projectGait({ pitch: 40, roll: -70 });
+
+    // 重力の推定が安定した後のサンプルで比較
+    for (let i = 200; i < flat.length; i += 10) {
+      expect(portrait[i].vertical).toBeCloseTo(flat[i].vertical, 1);
+      expect(tilted[i].vertical).toBeCloseTo(flat[i].vertical, 1);
+      expect(tilted[i].horizontal).toBeCloseTo(flat[i].horizontal, 1);
+    }
+  });
+
+  test('重力の大きさが0の場合は射影しない', () => {
+    const projector = new GravityProjector();
+
+    const result = projector.process({ x: 0, y: 0, z: 0 }, 0);
+
+    expect(result.vertical).toBe(0);
+    expect(result.horizontal).toBe(0);
+  });
+
+  test('リセットすると重力の推定をやり直す', () => {
+    const projector = new GravityProjector();
+    projector.process({ x: 0, y: 0, z: 9.81 }, 0);
+
+    projector.reset();
+
+    expect(projector.getGravity()).toBe(null);
+    projector.process({ x: 9.81, y: 0, z: 0 }, 20);
+    expect(projector.getGravity()).toEqual({ x: 9.81, y: 0, z: 0 });
+  });
+
+  test('角速度がある場合は端末の回転に合わせて重力方向を追従する', () => {
+    // x軸まわりに90deg/sで1秒間回転（重力はz軸からy軸へ移る）
+    const rotate = (withGyroscope) => {
+      const projector = new GravityProjector();
+      let maxError = 0;
+      for (let i = 0; i <= 50; i++) {
+        const angle = Math.min(i, 50) * 0.02 * Math.PI / 2;
+        const actual = { x: 0, y: 9.81 * Math.sin(angle), z: 9.81 * Math.cos(angle) };
+        const sample = { ...actual, ...(withGyroscope ? { rotationRate: { alpha: 0, beta: 90, gamma: 0 } } : {}) };
+        const { gravity } = projector.process(sample, i * 20);
+        maxError = Math.max(maxError, Math.hypot(gravity.x - actual.x, gravity.y - actual.y, gravity.z - actual.z));
+      }
+      return maxError;
+    };
+
+    expect(rotate(true)).toBeLessThan(0.5);
+    expect(rotate(false)).toBeGreaterThan(3);
+  });
+});
@@ -0,0 +1,248 @@
+/**
+ * ReplaySensorAdapter - 記録したセンサーのトレースを再生するセンサーアダプター
+ *
+ * SensorAdapter の記録モードで保存したトレース（JSON/CSV）のサンプルを
+ * devicemotion イベントと同じ形に戻し、SensorAdapter と同じ処理でコールバックに渡す。
+ * StepCounter の sensorAdapter として差し替えることで、ユーザーから報告された
+ * 誤カウントをブラウザでもJestでも再現できる。
+ *
+ * 再生速度は speed で指定する（1: 実時間、2: 2倍速、Infinity: 待たずに一括で再生）。
+ * replayAll() を使うとタイマーを使わずに残りのサンプルを同期的に再生できる。
+ */
+
+// 依存モジュールの取得（ブラウザ環境ではwindowに登録済み、Node.js環境（テスト用）ではrequire）
+const ReplaySensorModules = (typeof module !== 'undefined' && module.exports)
+  ? { SensorAdapter: require('./SensorAdapter.js') }
+  : window;
+
+class ReplaySensorAdapter extends ReplaySensorModules.SensorAdapter {
+  /**
+   * ReplaySensorAdapterのコンストラクタ
+   * @param {Object|string} trace - トレース（オブジェクト、またはJSON/CSVの文字列）
+   * @param {Object} [options] - 再生の設定
+   * @param {number} [options.speed=1] - 再生速度の倍率（Infinityの場合は待たずに再生）
+   * @param {Function} [options.onEnd] - すべてのサンプルを再生し終えたときに呼び出されるコールバック関数
+   * @throws {Error} トレースを読み込めない場合
+   */
+  constructor(trace, { speed = 1, onEnd = null } = {}) {
+    super();
+    if (!(speed > 0)) {
+      throw new Error(`Invalid replay speed: ${speed}`);
+    }
+
+    this.trace = typeof trace === 'string' ? ReplaySensorAdapter.parseTrace(trace) : trace;
+    if (!this.trace || !Array.isArray(this.trace.samples)) {
+      throw new Error('Invalid sensor trace: samples are missing');
+    }
+
+    this.speed = speed;
+    this.onEnd = onEnd;
+    this.position = 0; // 次に再生するサンプルの位置
+    this.timer = null;
+    this.replayStartedAt = null; // 再生を開始（再開）した実時刻（ミリ秒）
+    this.replayStartPosition = 0; // 再生を開始（再開）したときのサンプルの位置
+    this.permissionState = 'granted';
+  }
+
+  /**
+   * トレースは常に再生できる
+   * @returns {boolean} 常にtrue
+   */
+  isAvailable() {
+    return true;
+  }
+
+  /**
+   * 権限は不要
+   * @returns {Promise<boolean>} 常にtrue
+   */
+  async requestPermission() {
+    return true;
+  }
+
+  /**
+   * 権限は不要
+   * @returns {Promise<string>} 常に'granted'
+   */
+  async checkPermission() {
+    return this.permissionState;
+  }
+
+  /**
+   * 再生を開始（停止した位置から再開）
+   * @param {Function} callback - 加速度データ（x, y, z, timestamp, interval）を受け取るコールバック関数
+   */
+  async startListening(callback) {
+    if (this.isListening) {
+      return;
+    }
+
+    this.callback = callback;
+    this.isListening = true;
+    this.backend = 'replay';
+    if (this.speed !== Infinity) {
+      this.replayStartedAt = Date.now();
+      this.replayStartPosition = this.position;
+      this.scheduleNext();
+    } else {
+      this.timer = setTimeout(() => this.replayAll(), 0);
+    }
+  }
+
+  /**
+   * 再生を一時停止
+   */
+  stopListening() {
+    if (!this.isListening) {
+      return;
+    }
+
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.isListening = false;
+    this.callback = null;
+    this.backend = null;
+  }
+
+  /**
+   * 次のサンプルの再生時刻にタイマーを設定
+   */
+  scheduleNext() {
+    if (this.position >= this.trace.samples.length) {
+      this.finish();
+      return;
+    }
+
+    const samples = this.trace.samples;
+    const offset = samples[this.position].timestamp - samples[this.replayStartPosition].timestamp;
+    const delay = Math.max(0, this.replayStartedAt + offset / this.speed - Date.now());
+    this.timer = setTimeout(() => this.playDueSamples(), delay);
+  }
+
+  /**
+   * 再生時刻を過ぎたサンプルをまとめて再生（タイマーの遅延で再生が遅れないように）
+   */
+  playDueSamples() {
+    const samples = this.trace.samples;
+    const elapsed = (Date.now() - this.replayStartedAt) * this.speed;
+    const startTimestamp = samples[this.replayStartPosition].timestamp;
+
+    while (this.isListening && this.position < samples.length &&
+           samples[this.position].timestamp - startTimestamp <= elapsed) {
+      this.handleMotion(ReplaySensorAdapter.toMotionEvent(samples[this.position]));
+      this.position++;
+    }
+
+    if (this.isListening) {
+      this.scheduleNext();
+    }
+  }
+
+  /**
+   * 残りのサンプルをタイマーを使わずに同期的に再生
+   * @returns {number} 再生したサンプル数
+   */
+  replayAll() {
+    const samples = this.trace.samples;
+    const start = this.position;
+    while (this.position < samples.length) {
+      this.handleMotion(ReplaySensorAdapter.toMotionEvent(samples[this.position]));
+      this.position++;
+    }
+    this.finish();
+    return this.position - start;
+  }
+
+  /**
+   * 再生を終了し、終了を通知
+   */
+  finish() {
+    this.stopListening();
+    if (this.onEnd) {
+      this.onEnd();
+    }
+  }
+
+  /**
+   * すべてのサンプルを再生し終えたかどうか
+   * @returns {boolean} 再生し終えた場合はtrue
+   */
+  isFinished() {
+    return this.position >= this.trace.samples.length;
+  }
+
+  /**
+   * 再生位置を先頭に戻す
+   */
+  rewind() {
+    this.position = 0;
+  }
+
+  /**
+   * トレースのサンプルを devicemotion イベントと同じ形に変換
+   * @param {Object} sample - トレースのサンプル
+   * @returns {Object} SensorAdapter.handleMotion() に渡せるイベント
+   */
+  static toMotionEvent(sample) {
+    return {
+      timeStamp: sample.timestamp,
+      interval: sample.interval,
+      accelerationIncludingGravity: sample.accelerationIncludingGravity,
+      acceleration: sample.acceleration,
+      rotationRate: sample.rotationRate
+    };
+  }
+
+  /**
+   * JSON/CSV形式のトレースを読み込む
+   * @param {string} text - SensorAdapter.serializeTrace() で出力した文字列
+   * @returns {Object} トレース（samples を持つオブジェクト）
+   * @throws {Error} 形式が不正な場合
+   */
+  static parseTrace(text) {
+    const trimmed = text.trim();
+    if (trimmed.startsWith('{')) {
+      return JSON.parse(trimmed);
+    }
+
+    const [header, ...rows] = trimmed.split(/\r?\n/);
+    const columns = header.split(',');
+    if (!columns.includes('timestamp')) {
+      throw new Error('Invalid sensor trace: timestamp column is missing');
+    }
+
+    const samples = rows.filter((row) => row.length > 0).map((row) => {
+      const cells = row.split(',');
+      const sample = {};
+      columns.forEach((column, index) => {
+        const [field, key] = column.split('.');
+        const value = cells[index] === undefined || cells[index] === '' ? null : Number(cells[index]);
+        if (key) {
+          sample[field] = sample[field] || {};
+          sample[field][key] = value;
+        } else {
+          sample[field] = value;
+        }
+      });
+
+      // 軸の値がすべて空の項目は、イベントに含まれていなかったものとする
+      for (const [field, value] of Object.entries(sample)) {
+        if (value !== null && typeof value === 'object' && Object.values(value).every((axis) => axis === null)) {
+          sample[field] = null;
+        }
+      }
+      return sample;
+    });
+    return { samples };
+  }
+}
+
+// エクスポート（Node.js環境用）
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ReplaySensorAdapter;
+}
+
+// エクスポート（ブラウザ環境用）
+if (typeof window !== 'undefined') {
+  window.ReplaySensorAdapter = ReplaySensorAdapter;
+}
@@ -0,0 +1,191 @@
+/**
+ * ReplaySensorAdapter ユニットテスト
+ *
+ * テスト対象:
+ * - トレースの実時間・倍速での再生
+ * - 再生の一時停止と再開
+ * - JSON/CSV形式のトレースの読み込み
+ * - StepCounter への再生による歩数の再現
+ */
+
+const ReplaySensorAdapter = require('./ReplaySensorAdapter');
+const SensorAdapter = require('./SensorAdapter');
+const StepCounter = require('./StepCounter');
+const StorageManager = require('./StorageManager');
+
+/**
+ * 一定のリズムの歩行のトレースを作成（60Hz）
+ */
+function createWalkingTrace(steps, stepsPerSecond = 2) {
+  const sampleRate = 60;
+  const total = Math.round(steps / stepsPerSecond * sampleRate);
+  const samples = [];
+  for (let i = 0; i < total; i++) {
+    const z = 9.81 + 2 * Math.sin(2 * Math.PI * stepsPerSecond * i / sampleRate);
+    samples.push({
+      timestamp: 1000 + i * 1000 / sampleRate,
+      interval: 1000 / sampleRate,
+      accelerationIncludingGravity: { x: 0, y: 0, z },
+      acceleration: null,
+      rotationRate: null
+    });
+  }
+  return { version: 1, recordedAt: '2024-01-01T00:00:00.000Z', userAgent: null, samples };
+}
+
+/**
+ * 100ミリ秒間隔の短いトレースを作成
+ */
+function createShortTrace() {
+  return {
+    samples: [0, 100, 200, 300].map((timestamp) => ({
+      timestamp,
+      interval: 100,
+      accelerationIncludingGravity: { x: 0, y: 0, z: 9.8 },
+      acceleration: null,
+      rotationRate: null
+    }))
+  };
+}
+
+describe('ReplaySensorAdapter', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  describe('再生', () => {
+    test('実時間でサンプルを再生し、記録時のタイムスタンプを渡す', async () => {
+      const callback = jest.fn();
+      const adapter = new ReplaySensorAdapter(createShortTrace());
+
+      await adapter.startListening(callback);
+      jest.advanceTimersByTime(150);
+
+      expect(callback).toHaveBeenCalledTimes(2);
+      expect(callback).toHaveBeenLastCalledWith({ x: 0, y: 0, z: 9.8, timestamp: 100, interval: 100 });
+    });
+
+    test('倍速で再生できる', async () => {
+      const callback = jest.fn();
+      const adapter = new ReplaySensorAdapter(createShortTrace(), { speed: 2 });
+
+      await adapter.startListening(callback);
+      jest.advanceTimersByTime(100);
+
+      expect(callback).toHaveBeenCalledTimes(3);
+    });
+
+    test('Infinityの場合は待たずにすべて再生する', async () => {
+      const callback = jest.fn();
+      const adapter = new ReplaySensorAdapter(createShortTrace(), { speed: Infinity });
+
+      await adapter.startListening(callback);
+      jest.advanceTimersByTime(0);
+
+      expect(callback).toHaveBeenCalledTimes(4);
+    });
+
+    test('再生し終えたら終了を通知し、リスニングを停止する', async () => {
+      const onEnd = jest.fn();
+      const adapter = new ReplaySensorAdapter(createShortTrace(), { onEnd });
+
+      await adapter.startListening(jest.fn());
+      jest.advanceTimersByTime(1000);
+
+      expect(onEnd).toHaveBeenCalledTimes(1);
+      expect(adapter.isFinished()).toBe(true);
+      expect(adapter.isListening).toBe(false);
+    });
+
+    test('停止した位置から再開できる', async () => {
+      const callback = jest.fn();
+      const adapter = new ReplaySensorAdapter(createShortTrace());
+
+      await adapter.startListening(callback);
+      jest.advanceTimersByTime(150);
+      adapter.stopListening();
+      jest.advanceTimersByTime(1000);
+
+      expect(callback).toHaveBeenCalledTimes(2);
+
+      await adapter.startListening(callback);
+      jest.advanceTimersByTime(1000);
+
+      expect(callback).toHaveBeenCalledTimes(4);
+    });
+
+    test('replayAll()でタイマーを使わずに残りを再生できる', async () => {
+      const callback = jest.fn();
+      const adapter = new ReplaySensorAdapter(createShortTrace());
+      adapter.callback = callback;
+
+      expect(adapter.replayAll()).toBe(4);
+      expect(callback).toHaveBeenCalledTimes(4);
+    });
+
+    test('センサーの利用可否と権限は常に有効', async () => {
+      const adapter = new ReplaySensorAdapter(createShortTrace());
+
+      expect(adapter.isAvailable()).toBe(true);
+      await expect(adapter.requestPermission()).resolves.toBe(true);
+    });
+
+    test('不正なトレースや再生速度の場合はエラーを投げる', () => {
+      expect(() => new ReplaySensorAdapter({})).toThrow('Invalid sensor trace');
+      expect(() => new ReplaySensorAdapter(createShortTrace(), { speed: 0 })).toThrow('Invalid replay speed');
+    });
+  });
+
+  describe('トレースの読み込み', () => {
+    test('JSON形式の文字列から再生できる', () => {
+      const trace = createShortTrace();
+      const adapter = new ReplaySensorAdapter(SensorAdapter.serializeTrace(trace, 'json'));
+
+      expect(adapter.trace).toEqual(trace);
+    });
+
+    test('CSV形式の文字列を読み込める（値がない項目はnull）', () => {
+      const trace = createShortTrace();
+      trace.samples[0].rotationRate = { alpha: 1.5, beta: null, gamma: -2 };
+
+      const parsed = ReplaySensorAdapter.parseTrace(SensorAdapter.serializeTrace(trace, 'csv'));
+
+      expect(parsed.samples).toEqual(trace.samples);
+    });
+
+    test('timestampの列がないCSVはエラーを投げる', () => {
+      expect(() => ReplaySensorAdapter.parseTrace('x,y,z\n1,2,3')).toThrow('timestamp column is missing');
+    });
+  });
+
+  describe('StepCounterでの再現', () => {
+    beforeEach(() => {
+      localStorage.clear();
+    });
+
+    test('再生した歩数はセンサーデータを直接入力した場合と一致する', async () => {
+      const trace = createWalkingTrace(20);
+
+      const direct = new StepCounter(new StorageManager(), new SensorAdapter());
+      await direct.initialize();
+      for (const sample of trace.samples) {
+        direct.onMotionDetected({ ...sample.accelerationIncludingGravity, timestamp: sample.timestamp, interval: sample.interval });
+      }
+
+      localStorage.clear();
+      const adapter = new ReplaySensorAdapter(trace, { speed: 10 });
+      const replayed = new StepCounter(new StorageManager(), adapter);
+      await replayed.initialize();
+      await replayed.startSensorListening();
+      jest.advanceTimersByTime(trace.samples.length * 1000 / 60 / 10 + 100);
+
+      expect(adapter.isFinished()).toBe(true);
+      expect(replayed.getCurrentSteps()).toBeGreaterThan(0);
+      expect(replayed.getCurrentSteps()).toBe(direct.getCurrentSteps());
+    });
+  });
+});
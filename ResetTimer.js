@@ -18,28 +18,36 @@ class ResetTimer {
     this.stepCounter = stepCounter;
     this.storageManager = storageManager;
     this.timerId = null;
+    this.pendingReset = null; // タイマーで実行中のリセット（完了するまで、完了後はnull）
+    this.resetTime = null; // 保存されたリセット時刻（start() で読み込む）
   }
 
   /**
    * タイマーを開始
+   * @returns {Promise<void>}
    * 
    * 要件:
    * - 3.3: 次のリセット時刻を24時間後に設定する
    * - 3.4: アプリが起動していない間にリセット時刻を過ぎた場合、次回起動時にリセットを実行する
    */
-  start() {
-    const resetTime = this.storageManager.getResetTime();
+  async start() {
+    const resetTime = await this.storageManager.getResetTime();
+    this.resetTime = resetTime;
     const nextReset = this.calculateNextResetTime(resetTime);
     const now = Date.now();
     
     // 既にリセット時刻を過ぎている場合は即座にリセット
     // これは、アプリが起動していない間にリセット時刻を過ぎた場合の処理
     const lastReset = this.calculateLastResetTime(resetTime);
-    const savedData = this.storageManager.loadStepData();
+    // 書き込みを待っている歩数も含めて確認するため、先に保存する（起動時は保存するデータがない）
+    await this.stepCounter.flushStepData();
+    const savedData = await this.storageManager.loadStepData();
     
     // 保存されたデータが最後のリセット時刻より前の場合、リセットが必要
     if (savedData && savedData.timestamp < lastReset) {
-      this.executeReset();
+      // 保存されたデータを、その日次期間（リセットを見逃した期間）の記録として履歴に保存する
+      // （起動時は StepCounter が古いデータを破棄する前に呼び出す）
+      await this.executeReset(savedData.timestamp, savedData);
     }
     
     // 次のリセットまでの時間を計算
@@ -59,8 +67,17 @@ class ResetTimer {
       clearTimeout(this.timerId);
     }
     
+    const resetAt = Date.now() + milliseconds;
     this.timerId = setTimeout(() => {
-      this.executeReset();
+      // タイマーが遅れて発火しても、リセット時刻の直前までの期間として記録する
+      const pendingReset = this.executeReset(resetAt - 1)
+        .catch((error) => console.error('Failed to execute reset:', error))
+        .finally(() => {
+          if (this.pendingReset === pendingReset) {
+            this.pendingReset = null;
+          }
+        });
+      this.pendingReset = pendingReset;
       // 次の24時間後にリセットをスケジュール
       this.scheduleReset(24 * 60 * 60 * 1000);
     }, milliseconds);
@@ -68,35 +85,50 @@ class ResetTimer {
 
   /**
    * リセットを実行
+   * @param {number} [periodTime] - 終了した日次期間内の時刻（Unix時間ミリ秒、省略時は直前の時刻）
+   * @param {Object} [savedData] - 記録する保存された歩数データ（省略時は StepCounter の現在の値）
+   * @returns {Promise<void>}
    * 
    * 要件:
    * - 3.1: 現在時刻がリセット時刻に到達した場合、歩数カウンターを0にリセットする
    * - 3.2: リセットが実行された場合、前日の歩数データを履歴として保存する
    */
-  executeReset() {
-    // 現在の歩数を履歴として保存
-    const currentSteps = this.stepCounter.getCurrentSteps();
-    this.storageManager.saveHistory({
-      steps: currentSteps,
-      date: new Date().toISOString()
+  async executeReset(periodTime = Date.now() - 1, savedData = null) {
+    // 歩数・活動ごとの歩数・推定移動距離・推定消費カロリーを、終了した日次期間の記録として履歴に保存
+    const resetTime = this.resetTime !== null ? this.resetTime : await this.storageManager.getResetTime();
+    const totals = savedData
+      ? { steps: savedData.steps, activities: savedData.activities, distance: savedData.distance, calories: savedData.calories }
+      : {
+        steps: this.stepCounter.getCurrentSteps(),
+        activities: this.stepCounter.getActivitySteps(),
+        distance: this.stepCounter.getDistance(),
+        calories: this.stepCounter.getCalories()
+      };
+    await this.storageManager.saveHistory({
+      startedAt: this.calculateLastResetTime(resetTime, periodTime),
+      endedAt: this.calculateNextResetTime(resetTime, periodTime),
+      resetTime,
+      ...totals,
+      recordedAt: Date.now()
     });
     
-    // 歩数をリセット
-    this.stepCounter.reset();
+    // 歩数をリセット（リセット後のデータの保存を待ち、続けて確認しても同じ期間を記録し直さないようにする）
+    await this.stepCounter.reset();
   }
 
   /**
    * 次のリセット時刻を計算
    * @param {string} resetTime - リセット時刻（HH:MM形式）
-   * @returns {number} 次のリセット時刻（Unix時間ミリ秒）
+   * @param {number} [time=Date.now()] - 基準の時刻（Unix時間ミリ秒）
+   * @returns {number} 基準の時刻より後の最初のリセット時刻（Unix時間ミリ秒）
    * 
    * 要件: 3.3 - 次のリセット時刻を24時間後に設定する
    */
-  calculateNextResetTime(resetTime) {
-    const now = new Date();
+  calculateNextResetTime(resetTime, time = Date.now()) {
+    const now = new Date(time);
     const [hours, minutes] = resetTime.split(':').map(Number);
     
-    const nextReset = new Date();
+    const nextReset = new Date(time);
     nextReset.setHours(hours, minutes, 0, 0);
     
     // 既に今日のリセット時刻を過ぎている場合は明日に設定
@@ -110,15 +142,16 @@ class ResetTimer {
   /**
    * 最後のリセット時刻を計算
    * @param {string} resetTime - リセット時刻（HH:MM形式）
-   * @returns {number} 最後のリセット時刻（Unix時間ミリ秒）
+   * @param {number} [time=Date.now()] - 基準の時刻（Unix時間ミリ秒）
+   * @returns {number} 基準の時刻以前の最後のリセット時刻（Unix時間ミリ秒）
    * 
    * 要件: 3.4 - アプリが起動していない間にリセット時刻を過ぎた場合の判定に使用
    */
-  calculateLastResetTime(resetTime) {
-    const now = new Date();
+  calculateLastResetTime(resetTime, time = Date.now()) {
+    const now = new Date(time);
     const [hours, minutes] = resetTime.split(':').map(Number);
     
-    const lastReset = new Date();
+    const lastReset = new Date(time);
     lastReset.setHours(hours, minutes, 0, 0);
     
     // 今日のリセット時刻がまだ来ていない場合は、昨日のリセット時刻を返す
@@ -132,16 +165,17 @@ class ResetTimer {
   /**
    * リセット時刻を更新
    * @param {string} newResetTime - 新しいリセット時刻（HH:MM形式）
+   * @returns {Promise<boolean>} 保存に成功した場合はtrue
    * 
    * 要件: 4.4 - リセット時刻が変更された場合、次のリセット予定時刻を再計算する
    */
-  updateResetTime(newResetTime) {
+  async updateResetTime(newResetTime) {
     // リセット時刻を保存
-    const success = this.storageManager.setResetTime(newResetTime);
+    const success = await this.storageManager.setResetTime(newResetTime);
     
     if (success) {
       // タイマーを再スケジュール
-      this.start();
+      await this.start();
     }
     
     return success;
@@ -157,13 +191,25 @@ class ResetTimer {
     }
   }
 
+  /**
+   * タイマーで実行中のリセットの完了を待つ（確認し直す前に、同じ期間を重ねて記録しないため）
+   * @returns {Promise<void>}
+   */
+  async waitForPendingReset() {
+    if (this.pendingReset) {
+      await this.pendingReset;
+    }
+  }
+
   /**
    * 次のリセット時刻を取得（表示用）
-   * @returns {number} 次のリセット時刻（Unix時間ミリ秒）
+   * @returns {number|null} 次のリセット時刻（Unix時間ミリ秒）、タイマーを開始する前はnull
    */
   getNextResetTime() {
-    const resetTime = this.storageManager.getResetTime();
-    return this.calculateNextResetTime(resetTime);
+    if (this.resetTime === null) {
+      return null;
+    }
+    return this.calculateNextResetTime(this.resetTime);
   }
 }
 
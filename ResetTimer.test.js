@@ -19,7 +19,11 @@ describe('ResetTimer', () => {
     // モックの初期化
     mockStepCounter = {
       getCurrentSteps: jest.fn(),
-      reset: jest.fn()
+      getActivitySteps: jest.fn(() => ({ walking: 0, running: 0, 'stairs-up': 0, 'stairs-down': 0 })),
+      getDistance: jest.fn(() => 0),
+      getCalories: jest.fn(() => 0),
+      reset: jest.fn(),
+      flushStepData: jest.fn(async () => true)
     };
 
     mockStorageManager = {
@@ -30,10 +34,10 @@ describe('ResetTimer', () => {
     };
 
     // デフォルトのモック動作
-    mockStorageManager.getResetTime.mockReturnValue('00:00');
-    mockStorageManager.setResetTime.mockReturnValue(true);
-    mockStorageManager.saveHistory.mockReturnValue(true);
-    mockStorageManager.loadStepData.mockReturnValue(null);
+    mockStorageManager.getResetTime.mockResolvedValue('00:00');
+    mockStorageManager.setResetTime.mockResolvedValue(true);
+    mockStorageManager.saveHistory.mockResolvedValue(true);
+    mockStorageManager.loadStepData.mockResolvedValue(null);
     mockStepCounter.getCurrentSteps.mockReturnValue(0);
 
     resetTimer = new ResetTimer(mockStepCounter, mockStorageManager);
@@ -115,43 +119,70 @@ describe('ResetTimer', () => {
 
       expect(lastReset).toBe(expected);
     });
+
+    test('should calculate the reset times around a given time', () => {
+      const time = new Date('2024-03-10T14:00:00').getTime();
+
+      expect(resetTimer.calculateLastResetTime('15:00', time)).toBe(new Date('2024-03-09T15:00:00').getTime());
+      expect(resetTimer.calculateNextResetTime('15:00', time)).toBe(new Date('2024-03-10T15:00:00').getTime());
+    });
   });
 
   describe('executeReset', () => {
-    test('should save current steps to history and reset counter', () => {
+    test('should save current steps to history and reset counter', async () => {
       // 現在の歩数を1000に設定
       mockStepCounter.getCurrentSteps.mockReturnValue(1000);
+      mockStepCounter.getActivitySteps.mockReturnValue({ walking: 900, running: 100, 'stairs-up': 0, 'stairs-down': 0 });
+      mockStepCounter.getDistance.mockReturnValue(720.5);
+      mockStepCounter.getCalories.mockReturnValue(35.2);
 
       // リセットを実行
-      resetTimer.executeReset();
+      await resetTimer.executeReset();
 
       // 履歴が保存されたことを確認
       expect(mockStorageManager.saveHistory).toHaveBeenCalledWith({
         steps: 1000,
-        date: expect.any(String)
+        activities: { walking: 900, running: 100, 'stairs-up': 0, 'stairs-down': 0 },
+        distance: 720.5,
+        calories: 35.2,
+        startedAt: expect.any(Number),
+        endedAt: expect.any(Number),
+        resetTime: '00:00',
+        recordedAt: expect.any(Number)
       });
 
       // 歩数がリセットされたことを確認
       expect(mockStepCounter.reset).toHaveBeenCalled();
     });
 
-    test('should save history with ISO date format', () => {
+    test('should save history for the period that just ended', async () => {
+      jest.setSystemTime(new Date('2024-01-02T20:00:00'));
+      mockStorageManager.getResetTime.mockResolvedValue('20:00');
       mockStepCounter.getCurrentSteps.mockReturnValue(500);
 
-      resetTimer.executeReset();
+      await resetTimer.executeReset();
 
       const call = mockStorageManager.saveHistory.mock.calls[0][0];
-      expect(call.date).toMatch(/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{3}Z$/);
+      expect(call.startedAt).toBe(new Date('2024-01-01T20:00:00').getTime());
+      expect(call.endedAt).toBe(new Date('2024-01-02T20:00:00').getTime());
+      expect(call.resetTime).toBe('20:00');
+      expect(call.recordedAt).toBe(Date.now());
     });
 
-    test('should handle zero steps', () => {
+    test('should handle zero steps', async () => {
       mockStepCounter.getCurrentSteps.mockReturnValue(0);
 
-      resetTimer.executeReset();
+      await resetTimer.executeReset();
 
       expect(mockStorageManager.saveHistory).toHaveBeenCalledWith({
         steps: 0,
-        date: expect.any(String)
+        activities: { walking: 0, running: 0, 'stairs-up': 0, 'stairs-down': 0 },
+        distance: 0,
+        calories: 0,
+        startedAt: expect.any(Number),
+        endedAt: expect.any(Number),
+        resetTime: '00:00',
+        recordedAt: expect.any(Number)
       });
       expect(mockStepCounter.reset).toHaveBeenCalled();
     });
@@ -178,19 +209,51 @@ describe('ResetTimer', () => {
       expect(resetTimer.timerId).not.toBe(firstTimerId);
     });
 
-    test('should execute reset when timer fires', () => {
+    test('should execute reset when timer fires', async () => {
       mockStepCounter.getCurrentSteps.mockReturnValue(100);
 
       resetTimer.scheduleReset(1000);
 
-      // タイマーを進める
-      jest.advanceTimersByTime(1000);
+      // タイマーを進める（履歴の保存を待ってからリセットされる）
+      await jest.advanceTimersByTimeAsync(1000);
 
       // リセットが実行されたことを確認
       expect(mockStorageManager.saveHistory).toHaveBeenCalled();
       expect(mockStepCounter.reset).toHaveBeenCalled();
     });
 
+    test('should record the period ending at the scheduled time even if the timer fires late', async () => {
+      jest.setSystemTime(new Date('2024-01-01T23:59:00'));
+      await resetTimer.start();
+
+      // 端末の負荷などでタイマーの発火が遅れた場合
+      jest.setSystemTime(new Date('2024-01-02T00:00:05'));
+      await jest.advanceTimersByTimeAsync(60 * 1000);
+
+      expect(mockStorageManager.saveHistory).toHaveBeenCalledWith(expect.objectContaining({
+        startedAt: new Date('2024-01-01T00:00:00').getTime(),
+        endedAt: new Date('2024-01-02T00:00:00').getTime()
+      }));
+    });
+
+    test('should let callers wait for a reset started by the timer', async () => {
+      let finishHistory;
+      mockStorageManager.saveHistory.mockImplementation(() => new Promise((resolve) => { finishHistory = resolve; }));
+      resetTimer.scheduleReset(1000);
+      jest.advanceTimersByTime(1000);
+
+      let waited = false;
+      const waiting = resetTimer.waitForPendingReset().then(() => { waited = true; });
+      await Promise.resolve();
+      expect(waited).toBe(false);
+
+      finishHistory(true);
+      await waiting;
+
+      expect(mockStepCounter.reset).toHaveBeenCalled();
+      expect(resetTimer.pendingReset).toBeNull();
+    });
+
     test('should reschedule for 24 hours after reset executes', () => {
       resetTimer.scheduleReset(1000);
 
@@ -203,59 +266,134 @@ describe('ResetTimer', () => {
   });
 
   describe('start', () => {
-    test('should schedule reset for future time', () => {
+    test('should schedule reset for future time', async () => {
       // 現在時刻を2024-01-01 10:00:00に設定
       const now = new Date('2024-01-01T10:00:00');
       jest.setSystemTime(now);
 
-      mockStorageManager.getResetTime.mockReturnValue('15:00');
-      mockStorageManager.loadStepData.mockReturnValue({
+      mockStorageManager.getResetTime.mockResolvedValue('15:00');
+      mockStorageManager.loadStepData.mockResolvedValue({
         steps: 100,
         timestamp: now.getTime()
       });
 
-      resetTimer.start();
+      await resetTimer.start();
 
       // タイマーが設定されたことを確認
       expect(resetTimer.timerId).not.toBeNull();
     });
 
-    test('should execute reset immediately if data is older than last reset time', () => {
+    test('should execute reset immediately if data is older than last reset time', async () => {
       // 現在時刻を2024-01-01 16:00:00に設定
       const now = new Date('2024-01-01T16:00:00');
       jest.setSystemTime(now);
 
-      mockStorageManager.getResetTime.mockReturnValue('15:00');
+      mockStorageManager.getResetTime.mockResolvedValue('15:00');
       
       // 昨日のデータ（リセット時刻より前）
-      mockStorageManager.loadStepData.mockReturnValue({
+      mockStorageManager.loadStepData.mockResolvedValue({
         steps: 1000,
         timestamp: new Date('2024-01-01T10:00:00').getTime()
       });
 
       mockStepCounter.getCurrentSteps.mockReturnValue(1000);
 
-      resetTimer.start();
+      await resetTimer.start();
 
       // リセットが即座に実行されたことを確認
       expect(mockStorageManager.saveHistory).toHaveBeenCalled();
       expect(mockStepCounter.reset).toHaveBeenCalled();
     });
 
-    test('should not execute reset if data is newer than last reset time', () => {
+    test('should record a missed reset for the period of the saved data', async () => {
+      // 3日間起動しなかった場合も、保存されたデータの日次期間の記録になる
+      jest.setSystemTime(new Date('2024-01-05T09:00:00'));
+      mockStorageManager.getResetTime.mockResolvedValue('06:00');
+      mockStorageManager.loadStepData.mockResolvedValue({
+        steps: 1000,
+        timestamp: new Date('2024-01-02T05:00:00').getTime()
+      });
+      // 起動時は StepCounter が保存されたデータを読み込む前に呼び出される
+      mockStepCounter.getCurrentSteps.mockReturnValue(0);
+
+      await resetTimer.start();
+
+      expect(mockStorageManager.saveHistory).toHaveBeenCalledWith(expect.objectContaining({
+        steps: 1000,
+        startedAt: new Date('2024-01-01T06:00:00').getTime(),
+        endedAt: new Date('2024-01-02T06:00:00').getTime(),
+        resetTime: '06:00'
+      }));
+    });
+
+    test('should save pending steps before checking for a missed reset', async () => {
+      jest.setSystemTime(new Date('2024-01-02T09:00:00'));
+      mockStepCounter.flushStepData.mockImplementation(async () => {
+        // 書き込みを待っていた歩数が保存される
+        mockStorageManager.loadStepData.mockResolvedValue({ steps: 1200, timestamp: new Date('2024-01-01T23:00:00').getTime() });
+        return true;
+      });
+      mockStorageManager.loadStepData.mockResolvedValue({ steps: 1000, timestamp: new Date('2024-01-01T22:00:00').getTime() });
+
+      await resetTimer.start();
+
+      expect(mockStepCounter.flushStepData).toHaveBeenCalled();
+      expect(mockStorageManager.saveHistory).toHaveBeenCalledWith(expect.objectContaining({ steps: 1200 }));
+    });
+
+    describe('missed reset checked more than once', () => {
+      let storageManager;
+      let timer;
+
+      beforeEach(async () => {
+        const { MemoryStorageAdapter } = require('./StorageAdapter');
+        storageManager = new StorageManager(new MemoryStorageAdapter());
+        const stepCounter = new StepCounter(storageManager, { startListening: jest.fn(), stopListening: jest.fn() });
+        timer = new ResetTimer(stepCounter, storageManager);
+        jest.setSystemTime(new Date('2024-01-02T09:00:00'));
+        await storageManager.saveStepData({ steps: 1000, timestamp: new Date('2024-01-01T20:00:00').getTime() });
+      });
+
+      afterEach(() => {
+        timer.stop();
+      });
+
+      test('should record the period once when started twice at the same time', async () => {
+        // 再表示のたびに確認し直す場合など、確認が重なっても同じ期間を二重に数えない
+        await Promise.all([timer.start(), timer.start()]);
+        await timer.start();
+
+        const history = await storageManager.loadHistory();
+        expect(history).toHaveLength(1);
+        expect(history[0]).toMatchObject({ date: '2024-01-01', steps: 1000 });
+      });
+
+      test('should record the period once when the reset could not be saved before the next start', async () => {
+        jest.spyOn(storageManager, 'saveStepData').mockResolvedValueOnce(false);
+
+        await timer.start();
+        await timer.start();
+
+        const history = await storageManager.loadHistory();
+        expect(history).toHaveLength(1);
+        expect(history[0]).toMatchObject({ date: '2024-01-01', steps: 1000 });
+      });
+    });
+
+    test('should not execute reset if data is newer than last reset time', async () => {
       // 現在時刻を2024-01-01 16:00:00に設定
       const now = new Date('2024-01-01T16:00:00');
       jest.setSystemTime(now);
 
-      mockStorageManager.getResetTime.mockReturnValue('15:00');
+      mockStorageManager.getResetTime.mockResolvedValue('15:00');
       
       // 今日のリセット後のデータ
-      mockStorageManager.loadStepData.mockReturnValue({
+      mockStorageManager.loadStepData.mockResolvedValue({
         steps: 100,
         timestamp: new Date('2024-01-01T15:30:00').getTime()
       });
 
-      resetTimer.start();
+      await resetTimer.start();
 
       // リセットが実行されていないことを確認
       expect(mockStorageManager.saveHistory).not.toHaveBeenCalled();
@@ -264,11 +402,11 @@ describe('ResetTimer', () => {
   });
 
   describe('updateResetTime', () => {
-    test('should update reset time and reschedule timer', () => {
+    test('should update reset time and reschedule timer', async () => {
       const newResetTime = '06:00';
-      mockStorageManager.setResetTime.mockReturnValue(true);
+      mockStorageManager.setResetTime.mockResolvedValue(true);
 
-      const result = resetTimer.updateResetTime(newResetTime);
+      const result = await resetTimer.updateResetTime(newResetTime);
 
       expect(result).toBe(true);
       expect(mockStorageManager.setResetTime).toHaveBeenCalledWith(newResetTime);
@@ -277,10 +415,10 @@ describe('ResetTimer', () => {
       expect(resetTimer.timerId).not.toBeNull();
     });
 
-    test('should return false if storage update fails', () => {
-      mockStorageManager.setResetTime.mockReturnValue(false);
+    test('should return false if storage update fails', async () => {
+      mockStorageManager.setResetTime.mockResolvedValue(false);
 
-      const result = resetTimer.updateResetTime('06:00');
+      const result = await resetTimer.updateResetTime('06:00');
 
       expect(result).toBe(false);
     });
@@ -306,17 +444,22 @@ describe('ResetTimer', () => {
   });
 
   describe('getNextResetTime', () => {
-    test('should return next reset time', () => {
+    test('should return next reset time', async () => {
       // 現在時刻を2024-01-01 10:00:00に設定
       const now = new Date('2024-01-01T10:00:00');
       jest.setSystemTime(now);
 
-      mockStorageManager.getResetTime.mockReturnValue('15:00');
+      mockStorageManager.getResetTime.mockResolvedValue('15:00');
 
+      await resetTimer.start();
       const nextReset = resetTimer.getNextResetTime();
       const expected = new Date('2024-01-01T15:00:00').getTime();
 
       expect(nextReset).toBe(expected);
     });
+
+    test('should return null before the reset time is loaded', () => {
+      expect(resetTimer.getNextResetTime()).toBeNull();
+    });
   });
 });
@@ -0,0 +1,105 @@
+/**
+ * RotationGate - ジャイロスコープの角速度で歩行以外の動きによる歩数を除外するコンポーネント
+ *
+ * 端末を手の中で回す・持ち替えるといった動作では、上下方向の加速度に比べて角速度が大きい。
+ * 直近の一定時間の角速度と上下方向の加速度の実効値（RMS）を求め、角速度が大きく、
+ * かつ上下方向の加速度に対して角速度が大きすぎる間は、検出された歩数を除外する。
+ * ズボンのポケットで歩く場合も脚の振りで角速度は大きくなるが、着地による上下方向の加速度も
+ * 大きいため除外されない。角速度を取得できない端末（rotationRate のないサンプル）では何もしない。
+ *
+ * 要件: 1.1 - 加速度センサーのデータを分析して歩数としてカウントする
+ */
+class RotationGate {
+  /**
+   * RotationGateのコンストラクタ
+   */
+  constructor() {
+    this.WINDOW_DURATION = 1000; // 実効値を求める時間窓（ミリ秒）
+    this.MIN_HANDLING_ROTATION = 90; // 端末の操作とみなす角速度の実効値の下限（deg/s）
+    this.MAX_ROTATION_RATIO = 100; // 上下方向の加速度（m/s²）に対する角速度（deg/s）の比率の上限
+    this.rejectedSteps = 0; // デバッグ用：除外した歩数の累計
+    this.reset();
+  }
+
+  /**
+   * センサーのサンプルを追加
+   * @param {Object} sample - GravityProjector で処理したサンプル（vertical: m/s²、rotationRate: deg/s（任意））
+   * @param {number} timestamp - センサーがサンプルを取得した時刻（ミリ秒）
+   */
+  addSample(sample, timestamp) {
+    if (!sample.rotationRate) {
+      return;
+    }
+
+    const { alpha, beta, gamma } = sample.rotationRate;
+    this.samples.push({
+      timestamp,
+      rotation: Math.sqrt(alpha ** 2 + beta ** 2 + gamma ** 2),
+      vertical: typeof sample.vertical === 'number' ? sample.vertical : 0
+    });
+    while (timestamp - this.samples[0].timestamp > this.WINDOW_DURATION) {
+      this.samples.shift();
+    }
+  }
+
+  /**
+   * 直近の時間窓の特徴量を取得
+   * @returns {{rotationRms: number|null, verticalRms: number|null}} 角速度（deg/s）と上下方向の加速度（m/s²）の実効値、
+   *   角速度のサンプルがない場合はnull
+   */
+  getFeatures() {
+    const count = this.samples.length;
+    if (count === 0) {
+      return { rotationRms: null, verticalRms: null };
+    }
+
+    let rotationSum = 0;
+    let verticalSum = 0;
+    for (const { rotation, vertical } of this.samples) {
+      rotationSum += rotation ** 2;
+      verticalSum += vertical ** 2;
+    }
+    return { rotationRms: Math.sqrt(rotationSum / count), verticalRms: Math.sqrt(verticalSum / count) };
+  }
+
+  /**
+   * 端末が操作されている（歩行以外の回転が大きい）かを判定
+   * @returns {boolean} 操作されている場合はtrue
+   */
+  isHandling() {
+    const { rotationRms, verticalRms } = this.getFeatures();
+    if (rotationRms === null) {
+      return false;
+    }
+    return rotationRms >= this.MIN_HANDLING_ROTATION && rotationRms > this.MAX_ROTATION_RATIO * verticalRms;
+  }
+
+  /**
+   * 検出された歩数を受け入れるかを判定（端末の操作中は除外して数える）
+   * @returns {boolean} 受け入れる場合はtrue
+   */
+  acceptStep() {
+    if (this.isHandling()) {
+      this.rejectedSteps++;
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * 時間窓のサンプルを破棄
+   */
+  reset() {
+    this.samples = [];
+  }
+}
+
+// エクスポート（Node.js環境用）
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = RotationGate;
+}
+
+// エクスポート（ブラウザ環境用）
+if (typeof window !== 'undefined') {
+  window.RotationGate = RotationGate;
+}
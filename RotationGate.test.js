@@ -0,0 +1,83 @@
+/**
+ * RotationGate ユニットテスト
+ *
+ * テスト対象:
+ * - 角速度と上下方向の加速度の実効値
+ * - 端末の操作中（角速度が大きすぎる間）の歩数の除外
+ * - 角速度のないサンプルの扱い
+ */
+
+const RotationGate = require('./RotationGate');
+
+/**
+ * 一定の角速度と上下方向の加速度の振幅のサンプルを1秒分追加
+ */
+function addSamples(gate, rotation, verticalAmplitude, startTime = 0) {
+  for (let i = 0; i < 50; i++) {
+    const timestamp = startTime + i * 20;
+    gate.addSample({
+      vertical: verticalAmplitude * Math.sin(2 * Math.PI * i / 25),
+      rotationRate: { alpha: rotation, beta: 0, gamma: 0 }
+    }, timestamp);
+  }
+}
+
+describe('RotationGate', () => {
+  let gate;
+
+  beforeEach(() => {
+    gate = new RotationGate();
+  });
+
+  test('角速度と上下方向の加速度の実効値を求める', () => {
+    addSamples(gate, 120, 2);
+
+    const { rotationRms, verticalRms } = gate.getFeatures();
+
+    expect(rotationRms).toBeCloseTo(120);
+    expect(verticalRms).toBeCloseTo(Math.SQRT2, 1);
+  });
+
+  test('端末を手の中で回している間の歩数を除外する', () => {
+    addSamples(gate, 300, 0.5);
+
+    expect(gate.isHandling()).toBe(true);
+    expect(gate.acceptStep()).toBe(false);
+    expect(gate.rejectedSteps).toBe(1);
+  });
+
+  test('ポケットでの歩行のように上下方向の加速度も大きい場合は除外しない', () => {
+    addSamples(gate, 150, 4);
+
+    expect(gate.isHandling()).toBe(false);
+    expect(gate.acceptStep()).toBe(true);
+  });
+
+  test('角速度が小さい場合は除外しない', () => {
+    addSamples(gate, 40, 0.1);
+
+    expect(gate.isHandling()).toBe(false);
+  });
+
+  test('時間窓より古いサンプルは判定に使わない', () => {
+    addSamples(gate, 300, 0.5);
+    addSamples(gate, 0, 2, 2000);
+
+    expect(gate.isHandling()).toBe(false);
+  });
+
+  test('角速度のないサンプルは無視し、常に歩数を受け入れる', () => {
+    gate.addSample({ vertical: 0.1 }, 0);
+
+    expect(gate.getFeatures()).toEqual({ rotationRms: null, verticalRms: null });
+    expect(gate.acceptStep()).toBe(true);
+  });
+
+  test('リセットすると時間窓のサンプルを破棄する', () => {
+    addSamples(gate, 300, 0.5);
+
+    gate.reset();
+
+    expect(gate.isHandling()).toBe(false);
+  });
+});
@@ -7,14 +7,73 @@
  * - 1.4: センサーアクセス拒否時のエラーハンドリング
  * - 7.1: センサー利用不可時のエラーハンドリング
  * 
+ * センサーの取得方式（バックエンド）:
+ * - 'accelerometer': Generic Sensor API の Accelerometer（重力を含む加速度）
+ * - 'linear-acceleration': Generic Sensor API の LinearAccelerationSensor と GravitySensor の合成
+ * - 'devicemotion': 従来の devicemotion イベント
+ * ジャイロスコープ（devicemotion の rotationRate、Generic Sensor API の Gyroscope）の角速度は
+ * 加速度とは別のチャンネル（rotationRate: alpha, beta, gamma、deg/s）としてコールバックに渡す。
+ * Generic Sensor API はサンプリング周波数を指定でき、権限やハードウェアのエラーを
+ * error イベントで通知するため、利用できる場合は優先し、開始できない場合は devicemotion に切り替える。
+ *
+ * リスニング中はウォッチドッグがイベントの到着を監視する。ロック解除の後などにイベントが
+ * 途絶えた場合は 'stall' イベントを発行し、checkPermission() で権限を確認し直してリスナーを付け直す（'retry'）。
+ * イベントが再び届いた時点で 'recover' イベントを発行する。
+ *
+ * センサーの権限は次の状態を持ち、変化するたびに 'permission' イベントを発行する。
+ * - 'unknown': まだ確認していない
+ * - 'prompt': ユーザーの操作で権限を要求する必要がある
+ * - 'granted': 許可されている（権限の要求が不要な環境を含む）
+ * - 'denied': 拒否されている
+ * - 'unsupported': センサーを利用できない
+ * 起動時は checkPermission() でユーザーに確認を求めずに状態を調べる（Permissions API が使える場合は
+ * その結果、iOS 13+ では前回許可されていれば権限を確認し直す）。最後に分かった状態は保存し、次回の起動で使う。
+ * ただしユーザー操作の外で確認し直して許可されなかった場合は、要求が拒否されただけの可能性があるため保存しない。
+ *
  * iOS 18.2対応版
  */
 class SensorAdapter {
-  constructor() {
+  /**
+   * SensorAdapterのコンストラクタ
+   * @param {StorageManager} [storageManager] - 権限の状態の保存に使うStorageManager（省略した場合は保存しない）
+   */
+  constructor(storageManager = null) {
+    this.MAX_RECORDED_SAMPLES = 36000; // 記録するサンプル数の上限（60Hzで10分間分、ダウンロード時に文字列にしても端末のメモリに収まる量）
+    this.TRACE_VERSION = 1; // トレースの形式のバージョン
+    this.SENSOR_FREQUENCY = 60; // Generic Sensor API に要求するサンプリング周波数（Hz）
+    this.SAMPLE_RATE_SMOOTHING = 0.1; // 実際のサンプリング間隔の指数移動平均の係数
+    this.WATCHDOG_INTERVAL = 1000; // ウォッチドッグの確認間隔（ミリ秒）
+    this.STALL_TIMEOUT = 2000; // イベントが途絶えたと判定するまでの時間（ミリ秒）
+    this.MAX_RECOVERY_INTERVAL = 30000; // 再接続を試みる間隔の上限（ミリ秒）
+    this.EVENT_TYPES = ['stall', 'retry', 'recover', 'permission'];
+    this.PERMISSION_STATES = ['unknown', 'prompt', 'granted', 'denied', 'unsupported'];
+    this.storageManager = storageManager;
     this.isListening = false;
     this.callback = null;
     this.boundHandleMotion = null;
-    this.permissionGranted = false;
+    this.permissionState = 'unknown'; // 権限の状態（PERMISSION_STATES のいずれか）
+    this.permissionStatus = null; // Permissions API で取得した PermissionStatus（取得できない場合はnull）
+    this.recordedSamples = null; // 記録中の生のサンプル（上限に達した後はリングバッファ、記録していない場合はnull）
+    this.recordedSampleIndex = 0; // 上限に達した後に次のサンプルを書き込む位置（最も古いサンプルの位置）
+    this.recordingStartedAt = null;
+    this.backend = null; // 使用中のバックエンド（リスニングしていない場合はnull）
+    this.genericSensors = null; // Generic Sensor API のセンサー（accelerometer または linear と gravity、任意で gyroscope）
+    this.boundHandleReading = null;
+    this.boundHandleSensorError = null;
+    this.boundHandleGyroscopeError = null;
+    this.lastReadingTime = null; // Generic Sensor API の前回の読み取りの時刻
+    this.lastSampleTime = null; // 前回のサンプルの時刻（実際のサンプリング周波数の計測用）
+    this.averageInterval = null; // 実際のサンプリング間隔の移動平均（ミリ秒）
+    this.eventHandlers = {}; // イベントの種類ごとのハンドラー
+    this.watchdogTimer = null;
+    this.watchdogStartedAt = null; // ウォッチドッグを開始した時刻（ミリ秒）
+    this.lastEventAt = null; // 最後にイベントが届いた時刻（ミリ秒、まだ届いていない場合はnull）
+    this.stalled = false; // イベントが途絶えているかどうか
+    this.stalledAt = null; // イベントが途絶えたと判定した時刻（ミリ秒）
+    this.stallCount = 0; // イベントが途絶えた回数（診断用）
+    this.recoveryAttempts = 0; // 現在の停止からの再接続の試行回数
+    this.nextRecoveryAt = null; // 次に再接続を試みる時刻（ミリ秒）
+    this.recovering = false; // 再接続の処理中かどうか
   }
 
   /**
@@ -22,16 +81,169 @@ class SensorAdapter {
    * @returns {boolean} センサーが利用可能な場合はtrue
    */
   isAvailable() {
-    return typeof DeviceMotionEvent !== 'undefined' && 'DeviceMotionEvent' in window;
+    return this.selectBackend() !== 'devicemotion' ||
+      (typeof DeviceMotionEvent !== 'undefined' && 'DeviceMotionEvent' in window);
+  }
+
+  /**
+   * 利用できるバックエンドを選択（Generic Sensor API を優先）
+   * @returns {string} 'accelerometer'、'linear-acceleration' または 'devicemotion'
+   */
+  selectBackend() {
+    if (typeof window === 'undefined') {
+      return 'devicemotion';
+    }
+    if (typeof window.Accelerometer === 'function') {
+      return 'accelerometer';
+    }
+    if (typeof window.LinearAccelerationSensor === 'function' && typeof window.GravitySensor === 'function') {
+      return 'linear-acceleration';
+    }
+    return 'devicemotion';
+  }
+
+  /**
+   * 使用中のバックエンドを取得
+   * @returns {string|null} バックエンド（リスニングしていない場合はnull）
+   */
+  getBackend() {
+    return this.backend;
+  }
+
+  /**
+   * 実際に受信しているサンプリング周波数を取得
+   * @returns {number|null} サンプリング周波数（Hz）、まだ計測できていない場合はnull
+   */
+  getSampleRate() {
+    return this.averageInterval ? 1000 / this.averageInterval : null;
+  }
+
+  /**
+   * 権限が許可されているかどうか
+   * @returns {boolean} 権限の状態が 'granted' の場合はtrue
+   */
+  get permissionGranted() {
+    return this.permissionState === 'granted';
+  }
+
+  /**
+   * 権限の状態を取得
+   * @returns {string} 'unknown'、'prompt'、'granted'、'denied' または 'unsupported'
+   */
+  getPermissionState() {
+    return this.permissionState;
+  }
+
+  /**
+   * 権限の状態を更新し、変化した場合は保存して 'permission' イベントを発行
+   * @param {string} state - 新しい状態
+   * @param {boolean} [persist=true] - 新しい状態を保存する（falseの場合は保存した状態を変えない）
+   */
+  setPermissionState(state, persist = true) {
+    if (!this.PERMISSION_STATES.includes(state) || state === this.permissionState) {
+      return;
+    }
+
+    const previousState = this.permissionState;
+    this.permissionState = state;
+    if (this.storageManager && persist && state !== 'unknown') {
+      // 保存の完了は待たない（状態の変化はすぐに通知する）
+      this.storageManager.setPermissionState(state);
+    }
+    console.log(`センサーの権限: ${previousState} → ${state}`);
+    this.emit('permission', { state, previousState });
+  }
+
+  /**
+   * ユーザーに確認を求めずに権限の状態を調べる（起動時と再接続時に使用）
+   * @returns {Promise<string>} 調べた結果の権限の状態
+   */
+  async checkPermission() {
+    if (!this.isAvailable()) {
+      this.setPermissionState('unsupported');
+      return this.permissionState;
+    }
+
+    const queried = await this.queryPermission();
+    if (queried) {
+      this.setPermissionState(queried);
+      return this.permissionState;
+    }
+
+    if (typeof DeviceMotionEvent !== 'undefined' &&
+        typeof DeviceMotionEvent.requestPermission === 'function') {
+      // iOS 13+ は状態を問い合わせられないため、前回の状態を使う
+      // 前回許可されていればユーザー操作なしでも確認できることがある（できない場合は 'prompt' になる）
+      const stored = this.storageManager ? await this.storageManager.getPermissionState() : null;
+      if (stored === 'granted') {
+        await this.recheckPermission();
+      } else {
+        this.setPermissionState(stored === 'denied' ? 'denied' : 'prompt');
+      }
+      return this.permissionState;
+    }
+
+    // 権限リクエストが不要な環境（Android、古いiOSなど）
+    this.setPermissionState('granted');
+    return this.permissionState;
   }
 
   /**
-   * 権限をリクエスト（iOS 13+で必要）
+   * ユーザー操作の外で iOS 13+ の権限を確認し直す（前回許可されていた場合に使用）
+   * ユーザー操作の外では要求自体が拒否されることがあるため、許可されなかった場合は 'prompt' とするが保存しない
    * @returns {Promise<boolean>} 権限が付与された場合はtrue
    */
-  async requestPermission() {
+  async recheckPermission() {
+    try {
+      const permission = await DeviceMotionEvent.requestPermission();
+      if (permission === 'granted') {
+        this.setPermissionState('granted');
+        return true;
+      }
+    } catch (error) {
+      console.log('Permission recheck outside a user gesture failed:', error.message);
+    }
+
+    this.setPermissionState('prompt', false);
+    return false;
+  }
+
+  /**
+   * Permissions API で加速度センサーの権限を問い合わせる（状態の変化も監視する）
+   * @returns {Promise<string|null>} 'granted'、'prompt' または 'denied'、問い合わせできない場合はnull
+   */
+  async queryPermission() {
+    if (typeof navigator === 'undefined' || !navigator.permissions ||
+        typeof navigator.permissions.query !== 'function') {
+      return null;
+    }
+
+    try {
+      if (!this.permissionStatus) {
+        // devicemotion イベントも 'accelerometer' の権限で制御されるブラウザがある
+        this.permissionStatus = await navigator.permissions.query({ name: 'accelerometer' });
+        if (typeof this.permissionStatus.addEventListener === 'function') {
+          this.permissionStatus.addEventListener('change', () => {
+            this.setPermissionState(this.permissionStatus.state);
+          });
+        }
+      }
+      return this.permissionStatus.state;
+    } catch (error) {
+      // 'accelerometer' の権限に対応していないブラウザ（Safari、Firefox など）
+      console.log('Permissions API does not support accelerometer:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * 権限をリクエスト（iOS 13+で必要、ユーザー操作の中で呼び出す）
+   * @param {boolean} [recheck=false] - 既に許可されている場合も確認し直す
+   * @returns {Promise<boolean>} 権限が付与された場合はtrue
+   */
+  async requestPermission(recheck = false) {
     // 既に権限が付与されている場合
-    if (this.permissionGranted) {
+    if (this.permissionGranted && !recheck) {
       console.log('Permission already granted');
       return true;
     }
@@ -44,23 +256,32 @@ class SensorAdapter {
         const permission = await DeviceMotionEvent.requestPermission();
         console.log('Permission response:', permission);
         
-        this.permissionGranted = (permission === 'granted');
+        this.setPermissionState(permission === 'granted' ? 'granted' : 'denied');
         return this.permissionGranted;
       } catch (error) {
+        // ユーザー操作の外で呼び出された場合など（ユーザー操作で要求し直す必要がある）
         console.error('Permission request failed:', error);
+        this.setPermissionState('prompt');
         return false;
       }
     }
+
+    // Permissions API で拒否されている場合（ブラウザの設定で許可するまでイベントは届かない）
+    if (this.permissionStatus && this.permissionStatus.state === 'denied') {
+      this.setPermissionState('denied');
+      return false;
+    }
     
     // 権限リクエストが不要な環境（Android、古いiOSなど）
     console.log('Permission request not required (non-iOS or old iOS)');
-    this.permissionGranted = true;
+    this.setPermissionState('granted');
     return true;
   }
 
   /**
    * センサーのリスニングを開始
-   * @param {Function} callback - 加速度データを受け取るコールバック関数
+   * @param {Function} callback - 加速度データ（x, y, z, timestamp, interval、角速度がある場合は rotationRate）を
+   *   受け取るコールバック関数
    * @param {boolean} skipPermission - 権限リクエストをスキップ（既に取得済みの場合）
    * @throws {Error} センサーが利用できない場合、または権限が拒否された場合
    */
@@ -75,6 +296,7 @@ class SensorAdapter {
     // センサーの利用可否を確認
     if (!this.isAvailable()) {
       console.error('DeviceMotion API is not available');
+      this.setPermissionState('unsupported');
       throw new Error('DeviceMotion API is not available');
     }
 
@@ -93,37 +315,193 @@ class SensorAdapter {
 
     this.callback = callback;
     this.isListening = true;
+    this.lastSampleTime = null;
+    this.averageInterval = null;
 
-    // イベントリスナーをバインド（後で削除できるように）
-    this.boundHandleMotion = this.handleMotion.bind(this);
-    
-    // iOS 18対応: passive: false を明示的に指定
-    window.addEventListener('devicemotion', this.boundHandleMotion, { passive: false });
-    console.log('✅ devicemotion event listener added with passive: false');
+    this.attachListeners();
+    this.startWatchdog();
     console.log('📱 センサーアダプター状態:', {
+      backend: this.backend,
       isListening: this.isListening,
       hasCallback: !!this.callback,
       permissionGranted: this.permissionGranted
     });
+  }
+
+  /**
+   * バックエンドを選択してイベントのリスニングを開始
+   */
+  attachListeners() {
+    this.backend = this.selectBackend();
+    if (this.backend !== 'devicemotion' && !this.startGenericSensor()) {
+      this.backend = 'devicemotion';
+    }
+    if (this.backend === 'devicemotion') {
+      this.startDeviceMotion();
+    }
+  }
+
+  /**
+   * すべてのバックエンドのイベントのリスニングを解除
+   */
+  detachListeners() {
+    this.stopGenericSensor();
+    if (this.boundHandleMotion) {
+      window.removeEventListener('devicemotion', this.boundHandleMotion);
+      this.boundHandleMotion = null;
+    }
+  }
+
+  /**
+   * devicemotion イベントのリスニングを開始
+   */
+  startDeviceMotion() {
+    // イベントリスナーをバインド（後で削除できるように）
+    this.boundHandleMotion = this.handleMotion.bind(this);
     
-    // モーションイベントが実際に発火しているか確認
-    let motionEventsReceived = 0;
-    const testHandler = () => {
-      motionEventsReceived++;
-      if (motionEventsReceived === 1) {
-        console.log('✅ 最初のモーションイベントを検出');
-      }
-    };
-    window.addEventListener('devicemotion', testHandler, { passive: false });
-    
-    setTimeout(() => {
-      window.removeEventListener('devicemotion', testHandler);
-      if (motionEventsReceived === 0) {
-        console.warn('⚠️ 2秒以内にモーションイベントが検出されません - センサーが外れている候補');
-      } else {
-        console.log(`✅ ${motionEventsReceived}件のモーションイベントを検出しました`);
+    // iOS 18対応: passive: false を明示的に指定
+    window.addEventListener('devicemotion', this.boundHandleMotion, { passive: false });
+    console.log('✅ devicemotion event listener added with passive: false');
+  }
+
+  /**
+   * Generic Sensor API のセンサーを開始
+   * @returns {boolean} 開始できた場合はtrue（コンストラクタがエラーを投げた場合はfalse）
+   */
+  startGenericSensor() {
+    try {
+      const frequency = this.SENSOR_FREQUENCY;
+      this.genericSensors = this.backend === 'accelerometer'
+        ? { accelerometer: new window.Accelerometer({ frequency }) }
+        : { linear: new window.LinearAccelerationSensor({ frequency }), gravity: new window.GravitySensor({ frequency }) };
+      this.lastReadingTime = null;
+      this.boundHandleReading = this.handleSensorReading.bind(this);
+      this.boundHandleSensorError = this.handleSensorError.bind(this);
+
+      const primary = this.genericSensors.accelerometer || this.genericSensors.linear;
+      primary.addEventListener('reading', this.boundHandleReading);
+      for (const sensor of Object.values(this.genericSensors)) {
+        sensor.addEventListener('error', this.boundHandleSensorError);
+        sensor.start();
       }
-    }, 2000);
+      console.log(`✅ Generic Sensor API (${this.backend}) started at ${frequency}Hz`);
+      this.startGyroscope();
+      return true;
+    } catch (error) {
+      // 権限ポリシーで禁止されている場合など
+      console.warn('Generic Sensor API could not be started, falling back to devicemotion:', error);
+      this.stopGenericSensor();
+      return false;
+    }
+  }
+
+  /**
+   * Generic Sensor API のジャイロスコープを開始（利用できない場合は角速度なしで続ける）
+   */
+  startGyroscope() {
+    if (typeof window.Gyroscope !== 'function') {
+      return;
+    }
+
+    try {
+      const gyroscope = new window.Gyroscope({ frequency: this.SENSOR_FREQUENCY });
+      this.boundHandleGyroscopeError = this.handleGyroscopeError.bind(this);
+      gyroscope.addEventListener('error', this.boundHandleGyroscopeError);
+      gyroscope.start();
+      this.genericSensors.gyroscope = gyroscope;
+    } catch (error) {
+      console.warn('Gyroscope could not be started:', error);
+    }
+  }
+
+  /**
+   * ジャイロスコープのエラーを処理（加速度のセンサーはそのまま使い続ける）
+   * @param {Event} event - SensorErrorEvent
+   */
+  handleGyroscopeError(event) {
+    const error = event && event.error;
+    console.warn('Gyroscope error:', error ? `${error.name}: ${error.message}` : event);
+    this.stopGyroscope();
+  }
+
+  /**
+   * ジャイロスコープを停止
+   */
+  stopGyroscope() {
+    const gyroscope = this.genericSensors && this.genericSensors.gyroscope;
+    if (!gyroscope) {
+      return;
+    }
+
+    gyroscope.removeEventListener('error', this.boundHandleGyroscopeError);
+    gyroscope.stop();
+    delete this.genericSensors.gyroscope;
+    this.boundHandleGyroscopeError = null;
+  }
+
+  /**
+   * Generic Sensor API のセンサーを停止
+   */
+  stopGenericSensor() {
+    if (!this.genericSensors) {
+      return;
+    }
+
+    this.stopGyroscope();
+    for (const sensor of Object.values(this.genericSensors)) {
+      sensor.removeEventListener('reading', this.boundHandleReading);
+      sensor.removeEventListener('error', this.boundHandleSensorError);
+      sensor.stop();
+    }
+    this.genericSensors = null;
+    this.boundHandleReading = null;
+    this.boundHandleSensorError = null;
+  }
+
+  /**
+   * Generic Sensor API の読み取りを devicemotion イベントと同じ形にして処理
+   */
+  handleSensorReading() {
+    const { accelerometer, linear, gravity, gyroscope } = this.genericSensors;
+    const source = accelerometer || linear;
+    if (typeof source.x !== 'number' || (gravity && typeof gravity.x !== 'number')) {
+      // 重力の最初の読み取りがまだない場合
+      return;
+    }
+
+    const timestamp = typeof source.timestamp === 'number' ? source.timestamp : performance.now();
+    const interval = this.lastReadingTime !== null && timestamp > this.lastReadingTime
+      ? timestamp - this.lastReadingTime
+      : 1000 / this.SENSOR_FREQUENCY;
+    this.lastReadingTime = timestamp;
+
+    this.handleMotion({
+      timeStamp: timestamp,
+      interval,
+      accelerationIncludingGravity: accelerometer
+        ? { x: accelerometer.x, y: accelerometer.y, z: accelerometer.z }
+        : { x: linear.x + gravity.x, y: linear.y + gravity.y, z: linear.z + gravity.z },
+      acceleration: linear ? { x: linear.x, y: linear.y, z: linear.z } : null,
+      // Gyroscope は各軸まわりの角速度（rad/s）、rotationRate は alpha: z軸、beta: x軸、gamma: y軸（deg/s）
+      rotationRate: gyroscope && typeof gyroscope.x === 'number'
+        ? { alpha: gyroscope.z * 180 / Math.PI, beta: gyroscope.x * 180 / Math.PI, gamma: gyroscope.y * 180 / Math.PI }
+        : null
+    });
+  }
+
+  /**
+   * Generic Sensor API のエラーを処理（devicemotion に切り替える）
+   * @param {Event} event - SensorErrorEvent
+   */
+  handleSensorError(event) {
+    const error = event && event.error;
+    console.error('Generic Sensor error:', error ? `${error.name}: ${error.message}` : event);
+
+    this.stopGenericSensor();
+    if (this.isListening && this.backend !== 'devicemotion') {
+      this.backend = 'devicemotion';
+      this.startDeviceMotion();
+    }
   }
 
   /**
@@ -134,13 +512,12 @@ class SensorAdapter {
       return;
     }
 
-    if (this.boundHandleMotion) {
-      window.removeEventListener('devicemotion', this.boundHandleMotion);
-      this.boundHandleMotion = null;
-    }
+    this.stopWatchdog();
+    this.detachListeners();
     
     this.isListening = false;
     this.callback = null;
+    this.backend = null;
     console.log('Sensor listening stopped');
   }
 
@@ -149,21 +526,26 @@ class SensorAdapter {
    * @param {DeviceMotionEvent} event - デバイスモーションイベント
    */
   handleMotion(event) {
+    if (this.lastEventAt === null && this.watchdogTimer) {
+      console.log('✅ 最初のモーションイベントを検出');
+    }
+    this.lastEventAt = Date.now();
+    if (this.stalled) {
+      this.handleRecovered();
+    }
+
+    if (this.recordedSamples) {
+      this.recordSample(event);
+    }
+
     if (!this.callback) {
       console.warn('handleMotion: No callback registered');
       return;
     }
     
-    // iOS 18では accelerationIncludingGravity が null の場合がある
-    // acceleration, rotationRate の順で試す
-    let accelData = event.accelerationIncludingGravity;
-    if (!accelData) {
-      accelData = event.acceleration;
-    }
-    if (!accelData) {
-      // それでもない場合は rotationRate を使用（最後の手段）
-      accelData = event.rotationRate;
-    }
+    // iOS 18では accelerationIncludingGravity が null の場合があるため acceleration も試す
+    // （rotationRate は角速度で単位が異なるため、加速度の代わりには使わない）
+    const accelData = event.accelerationIncludingGravity || event.acceleration;
     
     if (!accelData) {
       console.warn('handleMotion: No acceleration data in event');
@@ -171,19 +553,336 @@ class SensorAdapter {
     }
 
     // 加速度データを抽出（null/undefinedの場合は0を使用）
+    // センサー側の時刻とサンプリング間隔も併せて渡す（処理の遅延に影響されない時間計算のため）
     const acceleration = {
       x: (accelData.x !== null && accelData.x !== undefined) ? accelData.x : 0,
       y: (accelData.y !== null && accelData.y !== undefined) ? accelData.y : 0,
-      z: (accelData.z !== null && accelData.z !== undefined) ? accelData.z : 0
+      z: (accelData.z !== null && accelData.z !== undefined) ? accelData.z : 0,
+      timestamp: typeof event.timeStamp === 'number' ? event.timeStamp : performance.now(),
+      interval: typeof event.interval === 'number' && event.interval > 0 ? event.interval : null
     };
 
+    // ジャイロスコープの角速度は別のチャンネルとして渡す（取得できない端末では省略）
+    const rotationRate = SensorAdapter.extractRotationRate(event.rotationRate);
+    if (rotationRate) {
+      acceleration.rotationRate = rotationRate;
+    }
+
     // 計算可能なデータのみを処理（厳密な0チェックは削除）
     if (typeof acceleration.x === 'number' && typeof acceleration.y === 'number' && typeof acceleration.z === 'number') {
+      this.updateSampleRate(acceleration.timestamp);
       this.callback(acceleration);
     }
   }
+
+  /**
+   * イベントの rotationRate から角速度を取り出す
+   * @param {Object|null} rotationRate - devicemotion イベントの rotationRate
+   * @returns {{alpha: number, beta: number, gamma: number}|null} 角速度（deg/s、値がない軸は0）、
+   *   どの軸にも値がない場合はnull
+   */
+  static extractRotationRate(rotationRate) {
+    if (!rotationRate) {
+      return null;
+    }
+    const axes = ['alpha', 'beta', 'gamma'];
+    if (!axes.some((axis) => typeof rotationRate[axis] === 'number')) {
+      return null;
+    }
+
+    const values = {};
+    for (const axis of axes) {
+      values[axis] = typeof rotationRate[axis] === 'number' ? rotationRate[axis] : 0;
+    }
+    return values;
+  }
+
+  /**
+   * サンプルの時刻から実際のサンプリング間隔の移動平均を更新
+   * @param {number} timestamp - サンプルの時刻（ミリ秒）
+   */
+  updateSampleRate(timestamp) {
+    if (this.lastSampleTime !== null && timestamp > this.lastSampleTime) {
+      const interval = timestamp - this.lastSampleTime;
+      this.averageInterval = this.averageInterval === null
+        ? interval
+        : this.averageInterval + this.SAMPLE_RATE_SMOOTHING * (interval - this.averageInterval);
+    }
+    this.lastSampleTime = timestamp;
+  }
+
+  /**
+   * イベントの到着を監視するウォッチドッグを開始
+   */
+  startWatchdog() {
+    this.stopWatchdog();
+    this.watchdogStartedAt = Date.now();
+    this.lastEventAt = null;
+    this.watchdogTimer = setInterval(() => this.checkStall(), this.WATCHDOG_INTERVAL);
+  }
+
+  /**
+   * ウォッチドッグを停止
+   */
+  stopWatchdog() {
+    if (this.watchdogTimer) {
+      clearInterval(this.watchdogTimer);
+      this.watchdogTimer = null;
+    }
+    this.stalled = false;
+    this.stalledAt = null;
+    this.recoveryAttempts = 0;
+    this.nextRecoveryAt = null;
+  }
+
+  /**
+   * イベントが途絶えていないか確認し、途絶えている場合は再接続を試みる
+   */
+  checkStall() {
+    if (!this.isListening) {
+      return;
+    }
+
+    const now = Date.now();
+    const silentFor = now - (this.lastEventAt !== null ? this.lastEventAt : this.watchdogStartedAt);
+    if (silentFor < this.STALL_TIMEOUT) {
+      return;
+    }
+
+    if (!this.stalled) {
+      this.stalled = true;
+      this.stalledAt = now;
+      this.stallCount++;
+      this.recoveryAttempts = 0;
+      this.nextRecoveryAt = now;
+      console.warn(`⚠️ センサーのイベントが${silentFor}ミリ秒途絶えています（${this.backend}、${this.stallCount}回目）`);
+      this.emit('stall', { silentFor, everReceived: this.lastEventAt !== null, stallCount: this.stallCount });
+    }
+
+    if (!this.recovering && now >= this.nextRecoveryAt) {
+      this.recoverFromStall();
+    }
+  }
+
+  /**
+   * リスナーを付け直し、権限を確認し直して再接続を試みる
+   * 再接続の間隔は試行ごとに倍にする（上限 MAX_RECOVERY_INTERVAL）
+   * @returns {Promise<void>}
+   */
+  async recoverFromStall() {
+    this.recovering = true;
+    this.recoveryAttempts++;
+    this.nextRecoveryAt = Date.now() +
+      Math.min(this.STALL_TIMEOUT * 2 ** this.recoveryAttempts, this.MAX_RECOVERY_INTERVAL);
+    console.log(`🔄 センサーの再接続を試みます（${this.recoveryAttempts}回目）`);
+
+    this.detachListeners();
+    // ユーザー操作の外なので権限は要求せず、調べるだけにする
+    const permissionGranted = await this.checkPermission() === 'granted';
+    this.recovering = false;
+    if (!this.isListening) {
+      // 再接続中に停止された場合
+      return;
+    }
+
+    // iOSではユーザー操作なしに権限を確認できないことがあるため、結果にかかわらず付け直す
+    this.attachListeners();
+    if (!permissionGranted) {
+      console.warn('⚠️ センサーの権限を確認できませんでした（ユーザー操作が必要な可能性があります）');
+    }
+    this.emit('retry', { attempt: this.recoveryAttempts, permissionGranted });
+  }
+
+  /**
+   * 途絶えていたイベントが再び届いたときの処理
+   */
+  handleRecovered() {
+    const stalledFor = Date.now() - this.stalledAt;
+    const attempts = this.recoveryAttempts;
+    this.stalled = false;
+    this.stalledAt = null;
+    this.recoveryAttempts = 0;
+    this.nextRecoveryAt = null;
+    this.setPermissionState('granted');
+    console.log(`✅ センサーのイベントが再開しました（${stalledFor}ミリ秒停止、再接続${attempts}回）`);
+    this.emit('recover', { stalledFor, attempts });
+  }
+
+  /**
+   * イベントが途絶えているかどうか
+   * @returns {boolean} 途絶えている場合はtrue
+   */
+  isStalled() {
+    return this.stalled;
+  }
+
+  /**
+   * イベントのハンドラーを登録
+   * @param {string} type - イベントの種類（'stall', 'retry', 'recover', 'permission'）
+   * @param {Function} handler - イベント（type, timestamp, backend と種類ごとの項目）を受け取るハンドラー
+   * @returns {boolean} 登録できた場合はtrue（未知の種類の場合はfalse）
+   */
+  on(type, handler) {
+    if (!this.EVENT_TYPES.includes(type) || typeof handler !== 'function') {
+      return false;
+    }
+    if (!this.eventHandlers[type]) {
+      this.eventHandlers[type] = [];
+    }
+    this.eventHandlers[type].push(handler);
+    return true;
+  }
+
+  /**
+   * イベントのハンドラーを削除
+   * @param {string} type - イベントの種類
+   * @param {Function} handler - 削除するハンドラー
+   */
+  off(type, handler) {
+    const handlers = this.eventHandlers[type];
+    const index = handlers ? handlers.indexOf(handler) : -1;
+    if (index > -1) {
+      handlers.splice(index, 1);
+    }
+  }
+
+  /**
+   * イベントを発行し、登録されたハンドラーを呼び出す
+   * @param {string} type - イベントの種類
+   * @param {Object} details - 種類ごとのペイロードの項目
+   */
+  emit(type, details) {
+    const handlers = this.eventHandlers[type];
+    if (!handlers || handlers.length === 0) {
+      return;
+    }
+
+    const event = { type, timestamp: Date.now(), backend: this.backend, ...details };
+    for (const handler of [...handlers]) {
+      try {
+        handler(event);
+      } catch (error) {
+        console.error(`Error handling sensor ${type} event:`, error);
+      }
+    }
+  }
+
+  /**
+   * 生のセンサーデータの記録を開始（歩数の誤カウントの再現用）
+   */
+  startRecording() {
+    this.recordedSamples = [];
+    this.recordedSampleIndex = 0;
+    this.recordingStartedAt = new Date().toISOString();
+  }
+
+  /**
+   * 記録中かどうか
+   * @returns {boolean} 記録中の場合はtrue
+   */
+  isRecording() {
+    return this.recordedSamples !== null;
+  }
+
+  /**
+   * 記録したサンプル数を取得
+   * @returns {number} サンプル数
+   */
+  getRecordedSampleCount() {
+    return this.recordedSamples ? this.recordedSamples.length : 0;
+  }
+
+  /**
+   * 記録を停止し、記録したトレースを取得
+   * @returns {Object|null} トレース（version, recordedAt, userAgent, samples）、記録していない場合はnull
+   */
+  stopRecording() {
+    if (!this.recordedSamples) {
+      return null;
+    }
+
+    const trace = {
+      version: this.TRACE_VERSION,
+      recordedAt: this.recordingStartedAt,
+      userAgent: typeof navigator !== 'undefined' ? navigator.userAgent : null,
+      // リングバッファを時系列順に並べ直す
+      samples: this.recordedSamples.slice(this.recordedSampleIndex).concat(this.recordedSamples.slice(0, this.recordedSampleIndex))
+    };
+    this.recordedSamples = null;
+    this.recordedSampleIndex = 0;
+    this.recordingStartedAt = null;
+    return trace;
+  }
+
+  /**
+   * devicemotion イベントの生のデータを記録（上限に達した後は最も古いサンプルを上書き）
+   * Generic Sensor API の読み取りも devicemotion イベントと同じ形で記録する
+   * @param {DeviceMotionEvent|Object} event - デバイスモーションイベント
+   */
+  recordSample(event) {
+    const pick = (data, keys) => {
+      if (!data) {
+        return null;
+      }
+      const values = {};
+      for (const key of keys) {
+        values[key] = typeof data[key] === 'number' ? data[key] : null;
+      }
+      return values;
+    };
+
+    const sample = {
+      timestamp: typeof event.timeStamp === 'number' ? event.timeStamp : performance.now(),
+      interval: typeof event.interval === 'number' ? event.interval : null,
+      accelerationIncludingGravity: pick(event.accelerationIncludingGravity, ['x', 'y', 'z']),
+      acceleration: pick(event.acceleration, ['x', 'y', 'z']),
+      rotationRate: pick(event.rotationRate, ['alpha', 'beta', 'gamma'])
+    };
+    if (this.recordedSamples.length < this.MAX_RECORDED_SAMPLES) {
+      this.recordedSamples.push(sample);
+      return;
+    }
+    // shift() は上限の件数では毎回の移動が重いため、固定長のリングバッファとして上書きする
+    this.recordedSamples[this.recordedSampleIndex] = sample;
+    this.recordedSampleIndex = (this.recordedSampleIndex + 1) % this.MAX_RECORDED_SAMPLES;
+  }
+
+  /**
+   * トレースをダウンロード用の文字列に変換
+   * @param {Object} trace - stopRecording() で取得したトレース
+   * @param {string} [format='json'] - 形式（'json' または 'csv'）
+   * @returns {string} トレースの文字列
+   * @throws {Error} 未知の形式の場合
+   */
+  static serializeTrace(trace, format = 'json') {
+    if (format === 'json') {
+      return JSON.stringify(trace);
+    }
+    if (format !== 'csv') {
+      throw new Error(`Unknown trace format: ${format}`);
+    }
+
+    const lines = [SensorAdapter.TRACE_CSV_COLUMNS.join(',')];
+    for (const sample of trace.samples) {
+      const row = SensorAdapter.TRACE_CSV_COLUMNS.map((column) => {
+        const [field, key] = column.split('.');
+        const value = key ? (sample[field] ? sample[field][key] : null) : sample[field];
+        return value === null || value === undefined ? '' : String(value);
+      });
+      lines.push(row.join(','));
+    }
+    return lines.join('\n');
+  }
 }
 
+// CSV形式のトレースの列（「項目.軸」は devicemotion イベントの各データの軸）
+SensorAdapter.TRACE_CSV_COLUMNS = [
+  'timestamp', 'interval',
+  'accelerationIncludingGravity.x', 'accelerationIncludingGravity.y', 'accelerationIncludingGravity.z',
+  'acceleration.x', 'acceleration.y', 'acceleration.z',
+  'rotationRate.alpha', 'rotationRate.beta', 'rotationRate.gamma'
+];
+
 // Node.js環境（テスト用）とブラウザ環境の両方に対応
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = SensorAdapter;
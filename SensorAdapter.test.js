@@ -5,10 +5,35 @@
  * - センサー権限リクエスト（要件1.3）
  * - センサーアクセス拒否時の処理（要件1.4, 7.1）
  * - センサー利用不可時の処理（要件7.1）
+ * - Generic Sensor API と devicemotion のバックエンドの選択
+ * - イベントが途絶えたときのウォッチドッグによる再接続
  */
 
 const SensorAdapter = require('./SensorAdapter');
 
+/**
+ * Generic Sensor API のセンサークラスのモックを作成
+ * 作成したインスタンスは instances に追加され、emit() で reading/error イベントを発火できる
+ */
+function createMockSensorClass() {
+  const MockSensor = jest.fn(function (options) {
+    this.options = options;
+    this.listeners = {};
+    this.x = null;
+    this.y = null;
+    this.z = null;
+    this.timestamp = null;
+    this.addEventListener = jest.fn((type, listener) => { this.listeners[type] = listener; });
+    this.removeEventListener = jest.fn((type) => { delete this.listeners[type]; });
+    this.start = jest.fn();
+    this.stop = jest.fn();
+    this.emit = (type, event) => this.listeners[type] && this.listeners[type](event);
+    MockSensor.instances.push(this);
+  });
+  MockSensor.instances = [];
+  return MockSensor;
+}
+
 describe('SensorAdapter', () => {
   let sensorAdapter;
   let mockCallback;
@@ -94,6 +119,109 @@ describe('SensorAdapter', () => {
     });
   });
 
+  describe('権限の状態', () => {
+    let storageManager;
+
+    /**
+     * navigator.permissions.query のモックを設定（state を返す PermissionStatus）
+     */
+    function mockPermissionsApi(state) {
+      const status = { state, listeners: {} };
+      status.addEventListener = jest.fn((type, listener) => { status.listeners[type] = listener; });
+      Object.defineProperty(global.navigator, 'permissions', {
+        value: { query: jest.fn().mockResolvedValue(status) },
+        configurable: true
+      });
+      return status;
+    }
+
+    beforeEach(() => {
+      storageManager = { getPermissionState: jest.fn(async () => null), setPermissionState: jest.fn(async () => true) };
+      sensorAdapter = new SensorAdapter(storageManager);
+      global.DeviceMotionEvent = {};
+      global.window.DeviceMotionEvent = global.DeviceMotionEvent;
+    });
+
+    afterEach(() => {
+      delete global.navigator.permissions;
+    });
+
+    test('最初は未確認で、状態が変化するとpermissionイベントを発行して保存する', async () => {
+      const onPermission = jest.fn();
+      sensorAdapter.on('permission', onPermission);
+
+      expect(sensorAdapter.getPermissionState()).toBe('unknown');
+
+      await sensorAdapter.requestPermission();
+      await sensorAdapter.requestPermission();
+
+      expect(sensorAdapter.getPermissionState()).toBe('granted');
+      expect(sensorAdapter.permissionGranted).toBe(true);
+      expect(onPermission).toHaveBeenCalledTimes(1);
+      expect(onPermission).toHaveBeenCalledWith(expect.objectContaining({ state: 'granted', previousState: 'unknown' }));
+      expect(storageManager.setPermissionState).toHaveBeenCalledWith('granted');
+    });
+
+    test('iOS 13+で拒否された場合はdenied、ユーザー操作が必要な場合はpromptになる', async () => {
+      global.DeviceMotionEvent.requestPermission = jest.fn().mockResolvedValue('denied');
+      await sensorAdapter.requestPermission();
+      expect(sensorAdapter.getPermissionState()).toBe('denied');
+
+      global.DeviceMotionEvent.requestPermission = jest.fn().mockRejectedValue(new Error('NotAllowedError'));
+      await sensorAdapter.requestPermission();
+      expect(sensorAdapter.getPermissionState()).toBe('prompt');
+    });
+
+    test('センサーが利用できない場合はunsupportedになる', async () => {
+      delete global.window.DeviceMotionEvent;
+
+      expect(await sensorAdapter.checkPermission()).toBe('unsupported');
+    });
+
+    test('Permissions API の結果を状態とし、変化を監視する', async () => {
+      const status = mockPermissionsApi('prompt');
+
+      expect(await sensorAdapter.checkPermission()).toBe('prompt');
+      expect(global.navigator.permissions.query).toHaveBeenCalledWith({ name: 'accelerometer' });
+
+      status.state = 'granted';
+      status.listeners.change();
+
+      expect(sensorAdapter.getPermissionState()).toBe('granted');
+    });
+
+    test('Permissions API で拒否されている場合は権限のリクエストに失敗する', async () => {
+      mockPermissionsApi('denied');
+      await sensorAdapter.checkPermission();
+
+      await expect(sensorAdapter.startListening(mockCallback)).rejects.toThrow('DeviceMotion permission denied');
+      expect(sensorAdapter.getPermissionState()).toBe('denied');
+    });
+
+    test('iOS 13+では前回許可されていた場合のみユーザー操作なしで確認する', async () => {
+      global.DeviceMotionEvent.requestPermission = jest.fn().mockResolvedValue('granted');
+
+      expect(await sensorAdapter.checkPermission()).toBe('prompt');
+      expect(global.DeviceMotionEvent.requestPermission).not.toHaveBeenCalled();
+
+      storageManager.getPermissionState.mockResolvedValue('granted');
+      expect(await sensorAdapter.checkPermission()).toBe('granted');
+      expect(global.DeviceMotionEvent.requestPermission).toHaveBeenCalled();
+    });
+
+    test('iOS 13+でユーザー操作の外で確認し直して許可されなかった場合はpromptにするが保存しない', async () => {
+      global.DeviceMotionEvent.requestPermission = jest.fn().mockRejectedValue(new Error('NotAllowedError'));
+      storageManager.getPermissionState.mockResolvedValue('granted');
+
+      expect(await sensorAdapter.checkPermission()).toBe('prompt');
+      expect(storageManager.setPermissionState).not.toHaveBeenCalled();
+    });
+
+    test('権限リクエストが不要な環境ではgrantedになる', async () => {
+      expect(await sensorAdapter.checkPermission()).toBe('granted');
+    });
+  });
+
   describe('startListening', () => {
     test('センサーが利用可能で権限がある場合、リスニングを開始する', async () => {
       global.DeviceMotionEvent = {
@@ -195,7 +323,32 @@ describe('SensorAdapter', () => {
       expect(mockCallback).toHaveBeenCalledWith({
         x: 1.5,
         y: 2.5,
-        z: 9.8
+        z: 9.8,
+        timestamp: expect.any(Number),
+        interval: null
+      });
+    });
+
+    test('イベントのタイムスタンプとサンプリング間隔をコールバックに渡す', async () => {
+      global.DeviceMotionEvent = {
+        requestPermission: jest.fn().mockResolvedValue('granted')
+      };
+      global.window.DeviceMotionEvent = global.DeviceMotionEvent;
+
+      await sensorAdapter.startListening(mockCallback);
+
+      sensorAdapter.handleMotion({
+        accelerationIncludingGravity: { x: 0, y: 0, z: 9.8 },
+        timeStamp: 12345.6,
+        interval: 16
+      });
+
+      expect(mockCallback).toHaveBeenCalledWith({
+        x: 0,
+        y: 0,
+        z: 9.8,
+        timestamp: 12345.6,
+        interval: 16
       });
     });
 
@@ -220,7 +373,9 @@ describe('SensorAdapter', () => {
       expect(mockCallback).toHaveBeenCalledWith({
         x: 0,
         y: 2.5,
-        z: 0
+        z: 0,
+        timestamp: expect.any(Number),
+        interval: null
       });
     });
 
@@ -239,6 +394,44 @@ describe('SensorAdapter', () => {
       expect(mockCallback).not.toHaveBeenCalled();
     });
 
+    test('rotationRateは加速度の代わりに使わない', () => {
+      sensorAdapter.callback = mockCallback;
+
+      sensorAdapter.handleMotion({ accelerationIncludingGravity: null, acceleration: null, rotationRate: { alpha: 30, beta: 40, gamma: 50 } });
+
+      expect(mockCallback).not.toHaveBeenCalled();
+    });
+
+    test('rotationRateを角速度のチャンネルとして加速度と一緒に渡す', () => {
+      sensorAdapter.callback = mockCallback;
+
+      sensorAdapter.handleMotion({
+        accelerationIncludingGravity: { x: 0, y: 0, z: 9.8 },
+        rotationRate: { alpha: 30, beta: null, gamma: -50 },
+        timeStamp: 100
+      });
+
+      expect(mockCallback).toHaveBeenCalledWith({
+        x: 0,
+        y: 0,
+        z: 9.8,
+        timestamp: 100,
+        interval: null,
+        rotationRate: { alpha: 30, beta: 0, gamma: -50 }
+      });
+    });
+
+    test('rotationRateに値がない場合は角速度を渡さない', () => {
+      sensorAdapter.callback = mockCallback;
+
+      sensorAdapter.handleMotion({
+        accelerationIncludingGravity: { x: 0, y: 0, z: 9.8 },
+        rotationRate: { alpha: null, beta: null, gamma: null }
+      });
+
+      expect(mockCallback.mock.calls[0][0]).not.toHaveProperty('rotationRate');
+    });
+
     test('コールバックが設定されていない場合は何もしない', () => {
       const mockEvent = {
         accelerationIncludingGravity: {
@@ -253,4 +446,391 @@ describe('SensorAdapter', () => {
       expect(mockCallback).not.toHaveBeenCalled();
     });
   });
+
+  describe('センサーデータの記録', () => {
+    const motionEvent = {
+      accelerationIncludingGravity: { x: 0.1, y: -0.2, z: 9.8 },
+      acceleration: { x: 0.1, y: -0.2, z: 0 },
+      rotationRate: { alpha: 1, beta: null, gamma: 3 },
+      timeStamp: 1000,
+      interval: 16
+    };
+
+    test('記録中は生のサンプルをタイムスタンプとサンプリング間隔付きで保存する', () => {
+      sensorAdapter.startRecording();
+      sensorAdapter.handleMotion(motionEvent);
+      sensorAdapter.handleMotion({ accelerationIncludingGravity: { x: 1, y: 2, z: 3 }, timeStamp: 1016 });
+
+      expect(sensorAdapter.isRecording()).toBe(true);
+      expect(sensorAdapter.getRecordedSampleCount()).toBe(2);
+
+      const trace = sensorAdapter.stopRecording();
+
+      expect(sensorAdapter.isRecording()).toBe(false);
+      expect(trace.version).toBe(1);
+      expect(trace.recordedAt).toEqual(expect.any(String));
+      expect(trace.samples).toEqual([
+        {
+          timestamp: 1000,
+          interval: 16,
+          accelerationIncludingGravity: { x: 0.1, y: -0.2, z: 9.8 },
+          acceleration: { x: 0.1, y: -0.2, z: 0 },
+          rotationRate: { alpha: 1, beta: null, gamma: 3 }
+        },
+        {
+          timestamp: 1016,
+          interval: null,
+          accelerationIncludingGravity: { x: 1, y: 2, z: 3 },
+          acceleration: null,
+          rotationRate: null
+        }
+      ]);
+    });
+
+    test('記録していない場合はサンプルを保存しない', () => {
+      sensorAdapter.handleMotion(motionEvent);
+
+      expect(sensorAdapter.getRecordedSampleCount()).toBe(0);
+      expect(sensorAdapter.stopRecording()).toBeNull();
+    });
+
+    test('上限を超えた場合は古いサンプルから破棄する', () => {
+      sensorAdapter.MAX_RECORDED_SAMPLES = 3;
+      sensorAdapter.startRecording();
+      for (let i = 0; i < 5; i++) {
+        sensorAdapter.handleMotion({ ...motionEvent, timeStamp: i });
+      }
+
+      const trace = sensorAdapter.stopRecording();
+
+      expect(trace.samples.map((sample) => sample.timestamp)).toEqual([2, 3, 4]);
+    });
+
+    test('上限を何周しても時系列順のトレースを返し、サンプル数は上限のまま', () => {
+      sensorAdapter.MAX_RECORDED_SAMPLES = 3;
+      sensorAdapter.startRecording();
+      for (let i = 0; i < 8; i++) {
+        sensorAdapter.handleMotion({ ...motionEvent, timeStamp: i });
+      }
+
+      expect(sensorAdapter.getRecordedSampleCount()).toBe(3);
+      const trace = sensorAdapter.stopRecording();
+
+      expect(trace.samples.map((sample) => sample.timestamp)).toEqual([5, 6, 7]);
+
+      sensorAdapter.startRecording();
+      sensorAdapter.handleMotion({ ...motionEvent, timeStamp: 10 });
+      expect(sensorAdapter.stopRecording().samples.map((sample) => sample.timestamp)).toEqual([10]);
+    });
+
+    test('トレースをJSONとCSVに変換できる', () => {
+      sensorAdapter.startRecording();
+      sensorAdapter.handleMotion(motionEvent);
+      const trace = sensorAdapter.stopRecording();
+
+      expect(JSON.parse(SensorAdapter.serializeTrace(trace, 'json'))).toEqual(trace);
+
+      const lines = SensorAdapter.serializeTrace(trace, 'csv').split('\n');
+      expect(lines[0]).toBe(SensorAdapter.TRACE_CSV_COLUMNS.join(','));
+      expect(lines[1]).toBe('1000,16,0.1,-0.2,9.8,0.1,-0.2,0,1,,3');
+    });
+
+    test('未知の形式の場合はエラーを投げる', () => {
+      expect(() => SensorAdapter.serializeTrace({ samples: [] }, 'xml')).toThrow('Unknown trace format: xml');
+    });
+  });
+
+  describe('バックエンドの選択', () => {
+    beforeEach(() => {
+      global.DeviceMotionEvent = {};
+      global.window.DeviceMotionEvent = global.DeviceMotionEvent;
+    });
+
+    test('Accelerometerがある場合はGeneric Sensor APIを優先する', async () => {
+      global.window.Accelerometer = createMockSensorClass();
+
+      await sensorAdapter.startListening(mockCallback, true);
+
+      const [sensor] = global.window.Accelerometer.instances;
+      expect(sensorAdapter.getBackend()).toBe('accelerometer');
+      expect(sensor.options).toEqual({ frequency: 60 });
+      expect(sensor.start).toHaveBeenCalled();
+      expect(global.window.addEventListener).not.toHaveBeenCalledWith('devicemotion', expect.any(Function), expect.anything());
+    });
+
+    test('Accelerometerの読み取りを加速度データとして渡す', async () => {
+      global.window.Accelerometer = createMockSensorClass();
+      await sensorAdapter.startListening(mockCallback, true);
+      const [sensor] = global.window.Accelerometer.instances;
+
+      Object.assign(sensor, { x: 0.5, y: -1, z: 9.8, timestamp: 1000 });
+      sensor.emit('reading');
+      Object.assign(sensor, { timestamp: 1020 });
+      sensor.emit('reading');
+
+      expect(mockCallback).toHaveBeenNthCalledWith(1, { x: 0.5, y: -1, z: 9.8, timestamp: 1000, interval: 1000 / 60 });
+      expect(mockCallback).toHaveBeenNthCalledWith(2, { x: 0.5, y: -1, z: 9.8, timestamp: 1020, interval: 20 });
+    });
+
+    test('LinearAccelerationSensorとGravitySensorの読み取りを合成する', async () => {
+      global.window.LinearAccelerationSensor = createMockSensorClass();
+      global.window.GravitySensor = createMockSensorClass();
+      await sensorAdapter.startListening(mockCallback, true);
+      const [linear] = global.window.LinearAccelerationSensor.instances;
+      const [gravity] = global.window.GravitySensor.instances;
+
+      // 重力の読み取りがまだない場合は渡さない
+      Object.assign(linear, { x: 1, y: 2, z: 3, timestamp: 500 });
+      linear.emit('reading');
+      expect(mockCallback).not.toHaveBeenCalled();
+
+      Object.assign(gravity, { x: 0, y: 0, z: 9.8 });
+      linear.emit('reading');
+
+      expect(sensorAdapter.getBackend()).toBe('linear-acceleration');
+      expect(gravity.start).toHaveBeenCalled();
+      expect(mockCallback).toHaveBeenCalledWith(expect.objectContaining({ x: 1, y: 2, z: 12.8, timestamp: 500 }));
+    });
+
+    test('Gyroscopeがある場合は角速度をdeg/sに変換して渡す', async () => {
+      global.window.Accelerometer = createMockSensorClass();
+      global.window.Gyroscope = createMockSensorClass();
+      await sensorAdapter.startListening(mockCallback, true);
+      const [accelerometer] = global.window.Accelerometer.instances;
+      const [gyroscope] = global.window.Gyroscope.instances;
+
+      Object.assign(gyroscope, { x: Math.PI, y: 0, z: -Math.PI / 2 });
+      Object.assign(accelerometer, { x: 0, y: 0, z: 9.8, timestamp: 1000 });
+      accelerometer.emit('reading');
+
+      expect(gyroscope.start).toHaveBeenCalled();
+      const { rotationRate } = mockCallback.mock.calls[0][0];
+      expect(rotationRate.alpha).toBeCloseTo(-90);
+      expect(rotationRate.beta).toBeCloseTo(180);
+      expect(rotationRate.gamma).toBeCloseTo(0);
+    });
+
+    test('Gyroscopeのエラーでは加速度のセンサーを使い続ける', async () => {
+      global.window.Accelerometer = createMockSensorClass();
+      global.window.Gyroscope = createMockSensorClass();
+      await sensorAdapter.startListening(mockCallback, true);
+      const [accelerometer] = global.window.Accelerometer.instances;
+      const [gyroscope] = global.window.Gyroscope.instances;
+
+      gyroscope.emit('error', { error: { name: 'NotReadableError', message: 'Could not connect to a sensor' } });
+      Object.assign(accelerometer, { x: 0, y: 0, z: 9.8, timestamp: 1000 });
+      accelerometer.emit('reading');
+
+      expect(gyroscope.stop).toHaveBeenCalled();
+      expect(accelerometer.stop).not.toHaveBeenCalled();
+      expect(sensorAdapter.getBackend()).toBe('accelerometer');
+      expect(mockCallback.mock.calls[0][0]).not.toHaveProperty('rotationRate');
+    });
+
+    test('Generic Sensor APIがない場合はdevicemotionを使う', async () => {
+      await sensorAdapter.startListening(mockCallback, true);
+
+      expect(sensorAdapter.getBackend()).toBe('devicemotion');
+      expect(global.window.addEventListener).toHaveBeenCalledWith('devicemotion', expect.any(Function), { passive: false });
+    });
+
+    test('センサーを作成できない場合はdevicemotionに切り替える', async () => {
+      global.window.Accelerometer = jest.fn(() => {
+        throw new Error('SecurityError');
+      });
+
+      await sensorAdapter.startListening(mockCallback, true);
+
+      expect(sensorAdapter.getBackend()).toBe('devicemotion');
+      expect(global.window.addEventListener).toHaveBeenCalledWith('devicemotion', expect.any(Function), { passive: false });
+    });
+
+    test('センサーのエラーイベントでdevicemotionに切り替える', async () => {
+      global.window.Accelerometer = createMockSensorClass();
+      await sensorAdapter.startListening(mockCallback, true);
+      const [sensor] = global.window.Accelerometer.instances;
+
+      sensor.emit('error', { error: { name: 'NotReadableError', message: 'Could not connect to a sensor' } });
+
+      expect(sensor.stop).toHaveBeenCalled();
+      expect(sensorAdapter.getBackend()).toBe('devicemotion');
+      expect(sensorAdapter.isListening).toBe(true);
+      expect(global.window.addEventListener).toHaveBeenCalledWith('devicemotion', expect.any(Function), { passive: false });
+    });
+
+    test('リスニングを停止するとセンサーを停止する', async () => {
+      global.window.Accelerometer = createMockSensorClass();
+      await sensorAdapter.startListening(mockCallback, true);
+      const [sensor] = global.window.Accelerometer.instances;
+
+      sensorAdapter.stopListening();
+
+      expect(sensor.stop).toHaveBeenCalled();
+      expect(sensor.removeEventListener).toHaveBeenCalledWith('reading', expect.any(Function));
+      expect(sensorAdapter.getBackend()).toBe(null);
+    });
+
+    test('Generic Sensor APIのみの環境でも利用可能と判定する', () => {
+      delete global.window.DeviceMotionEvent;
+      global.window.Accelerometer = createMockSensorClass();
+
+      expect(sensorAdapter.isAvailable()).toBe(true);
+    });
+
+    test('受信したサンプルの間隔から実際のサンプリング周波数を求める', () => {
+      sensorAdapter.callback = mockCallback;
+      expect(sensorAdapter.getSampleRate()).toBe(null);
+
+      for (let i = 0; i < 10; i++) {
+        sensorAdapter.handleMotion({ accelerationIncludingGravity: { x: 0, y: 0, z: 9.8 }, timeStamp: i * 20 });
+      }
+
+      expect(sensorAdapter.getSampleRate()).toBeCloseTo(50);
+    });
+  });
+
+  describe('ウォッチドッグ', () => {
+    const motionEvent = { accelerationIncludingGravity: { x: 0, y: 0, z: 9.8 }, timeStamp: 0 };
+
+    /**
+     * 再接続の処理（権限の確認）が終わるまで待つ
+     */
+    async function flushRecovery() {
+      for (let i = 0; i < 10; i++) {
+        await Promise.resolve();
+      }
+    }
+
+    beforeEach(async () => {
+      jest.useFakeTimers();
+      global.DeviceMotionEvent = {};
+      global.window.DeviceMotionEvent = global.DeviceMotionEvent;
+      await sensorAdapter.startListening(mockCallback, true);
+    });
+
+    afterEach(() => {
+      sensorAdapter.stopListening();
+      jest.useRealTimers();
+    });
+
+    test('イベントが届いている間は停止と判定しない', () => {
+      const onStall = jest.fn();
+      sensorAdapter.on('stall', onStall);
+
+      for (let i = 0; i < 10; i++) {
+        jest.advanceTimersByTime(500);
+        sensorAdapter.handleMotion(motionEvent);
+      }
+
+      expect(onStall).not.toHaveBeenCalled();
+      expect(sensorAdapter.isStalled()).toBe(false);
+    });
+
+    test('イベントが途絶えるとstallイベントを発行する', () => {
+      const onStall = jest.fn();
+      sensorAdapter.on('stall', onStall);
+      sensorAdapter.handleMotion(motionEvent);
+
+      jest.advanceTimersByTime(3000);
+
+      expect(sensorAdapter.isStalled()).toBe(true);
+      expect(onStall).toHaveBeenCalledTimes(1);
+      expect(onStall).toHaveBeenCalledWith(expect.objectContaining({
+        type: 'stall',
+        backend: 'devicemotion',
+        everReceived: true,
+        stallCount: 1
+      }));
+    });
+
+    test('停止するとリスナーを付け直し、権限を確認し直す', async () => {
+      const onRetry = jest.fn();
+      sensorAdapter.on('retry', onRetry);
+      const checkPermission = jest.spyOn(sensorAdapter, 'checkPermission');
+      const requestPermission = jest.spyOn(sensorAdapter, 'requestPermission');
+      global.window.addEventListener.mockClear();
+
+      jest.advanceTimersByTime(2000);
+      await flushRecovery();
+
+      expect(global.window.removeEventListener).toHaveBeenCalledWith('devicemotion', expect.any(Function));
+      expect(global.window.addEventListener).toHaveBeenCalledWith('devicemotion', expect.any(Function), { passive: false });
+      expect(checkPermission).toHaveBeenCalled();
+      expect(requestPermission).not.toHaveBeenCalled();
+      expect(onRetry).toHaveBeenCalledWith(expect.objectContaining({ type: 'retry', attempt: 1, permissionGranted: true }));
+    });
+
+    test('再接続の間隔は試行ごとに長くなる', async () => {
+      const onRetry = jest.fn();
+      sensorAdapter.on('retry', onRetry);
+
+      for (let i = 0; i < 14; i++) {
+        jest.advanceTimersByTime(1000);
+        await flushRecovery();
+      }
+
+      // 2秒後、4秒後、8秒後の3回
+      expect(onRetry).toHaveBeenCalledTimes(3);
+    });
+
+    test('権限を確認できない場合はretryイベントで通知する', async () => {
+      const onRetry = jest.fn();
+      sensorAdapter.on('retry', onRetry);
+      jest.spyOn(sensorAdapter, 'checkPermission').mockResolvedValue('prompt');
+
+      jest.advanceTimersByTime(2000);
+      await flushRecovery();
+
+      expect(onRetry).toHaveBeenCalledWith(expect.objectContaining({ permissionGranted: false }));
+      expect(sensorAdapter.isListening).toBe(true);
+    });
+
+    test('iOSでユーザー操作の外での確認が拒否されても保存した権限の状態を下げない', async () => {
+      const storageManager = { getPermissionState: jest.fn(async () => 'granted'), setPermissionState: jest.fn(async () => true) };
+      sensorAdapter.storageManager = storageManager;
+      global.DeviceMotionEvent.requestPermission = jest.fn().mockRejectedValue(new Error('NotAllowedError'));
+      const onRetry = jest.fn();
+      sensorAdapter.on('retry', onRetry);
+
+      jest.advanceTimersByTime(2000);
+      await flushRecovery();
+
+      expect(onRetry).toHaveBeenCalledWith(expect.objectContaining({ permissionGranted: false }));
+      expect(sensorAdapter.getPermissionState()).toBe('prompt');
+      expect(storageManager.setPermissionState).not.toHaveBeenCalled();
+      expect(sensorAdapter.isListening).toBe(true);
+    });
+
+    test('イベントが再び届くとrecoverイベントを発行する', () => {
+      const onRecover = jest.fn();
+      sensorAdapter.on('recover', onRecover);
+
+      jest.advanceTimersByTime(3000);
+      sensorAdapter.handleMotion(motionEvent);
+
+      expect(sensorAdapter.isStalled()).toBe(false);
+      expect(onRecover).toHaveBeenCalledWith(expect.objectContaining({ type: 'recover', stalledFor: 1000, attempts: 1 }));
+    });
+
+    test('リスニングを停止するとウォッチドッグも停止する', () => {
+      const onStall = jest.fn();
+      sensorAdapter.on('stall', onStall);
+
+      sensorAdapter.stopListening();
+      jest.advanceTimersByTime(5000);
+
+      expect(onStall).not.toHaveBeenCalled();
+    });
+
+    test('未知のイベントの種類は登録できず、削除したハンドラーは呼び出されない', () => {
+      const onStall = jest.fn();
+
+      expect(sensorAdapter.on('unknown', onStall)).toBe(false);
+      expect(sensorAdapter.on('stall', onStall)).toBe(true);
+      sensorAdapter.off('stall', onStall);
+      jest.advanceTimersByTime(3000);
+
+      expect(onStall).not.toHaveBeenCalled();
+    });
+  });
 });
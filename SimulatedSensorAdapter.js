@@ -0,0 +1,275 @@
+/**
+ * SimulatedSensorAdapter - センサーのないデスクトップ向けのシミュレーションのセンサーアダプター
+ *
+ * GaitSimulator で合成した加速度のサンプルを、実際のセンサーと同じように一定間隔で
+ * devicemotion イベントと同じ形にしてコールバックに渡す。StepCounter の sensorAdapter として
+ * 差し替えることで、StepCounter → StorageManager → UIController の一連の処理を端末なしで動かせる。
+ *
+ * モード:
+ * - 'gait': 一定のケイデンスで歩き続ける
+ * - 'keyboard': 静止した状態で、triggerStep()（キー入力など）ごとに1歩分のサンプルを送る
+ * 一時停止・再開（pause/resume）と再生速度（setSpeed）を操作できる。
+ */
+
+// 依存モジュールの取得（ブラウザ環境ではwindowに登録済み、Node.js環境（テスト用）ではrequire）
+const SimulatedSensorModules = (typeof module !== 'undefined' && module.exports)
+  ? { SensorAdapter: require('./SensorAdapter.js'), GaitSimulator: require('./GaitSimulator.js') }
+  : window;
+
+class SimulatedSensorAdapter extends SimulatedSensorModules.SensorAdapter {
+  /**
+   * SimulatedSensorAdapterのコンストラクタ
+   * @param {Object} [options] - シミュレーションの設定
+   * @param {string} [options.mode='gait'] - モード（'gait' または 'keyboard'）
+   * @param {number} [options.speed=1] - 速度の倍率
+   * @param {Object} [options.gait] - GaitSimulator の設定（cadence, amplitude, orientation など）
+   * @throws {Error} モードまたは速度が不正な場合
+   */
+  constructor({ mode = 'gait', speed = 1, gait = {} } = {}) {
+    super();
+    this.TICK_INTERVAL = 50; // サンプルを送る間隔（ミリ秒）
+    this.CHUNK_STEPS = 50; // 歩行モードで一度に生成する歩数
+    this.IDLE_CHUNK_DURATION = 1000; // 静止中に一度に生成する時間（ミリ秒）
+    this.MODES = ['gait', 'keyboard'];
+    this.SPEEDS = [1, 2, 5, 10]; // 画面とキー操作で選べる速度の倍率
+
+    if (!this.MODES.includes(mode)) {
+      throw new Error(`Unknown simulation mode: ${mode}`);
+    }
+    if (!(speed > 0) || !Number.isFinite(speed)) {
+      throw new Error(`Invalid simulation speed: ${speed}`);
+    }
+
+    this.mode = mode;
+    this.speed = speed;
+    this.gaitOptions = {
+      cadence: 110,
+      amplitude: 3,
+      orientation: { pitch: 80, roll: 10 }, // ズボンのポケットに縦向きに入れた状態
+      noise: 0.2,
+      sampleRate: 60,
+      ...gait,
+      idleBefore: 0,
+      idleAfter: 0
+    };
+    this.paused = false;
+    this.timer = null;
+    this.lastTickAt = null; // 前回サンプルを送った実時刻（ミリ秒）
+    this.pendingTime = 0; // まだサンプルを送っていないシミュレーション時間（ミリ秒）
+    this.clock = 0; // シミュレーション時刻（ミリ秒）
+    this.queue = []; // 生成済みで未送出のサンプル（x, y, z, steps: サンプルあたりの歩数, idle: 静止中のサンプルか）
+    this.chunkCount = 0; // 生成したデータの数（乱数のシードに使う）
+    this.simulatedSteps = 0; // 送ったサンプルに含まれる歩数（正解の歩数、小数を含む）
+    this.permissionState = 'granted';
+  }
+
+  /**
+   * シミュレーションは常に利用できる
+   * @returns {boolean} 常にtrue
+   */
+  isAvailable() {
+    return true;
+  }
+
+  /**
+   * 権限は不要
+   * @returns {Promise<boolean>} 常にtrue
+   */
+  async requestPermission() {
+    return true;
+  }
+
+  /**
+   * 権限は不要
+   * @returns {Promise<string>} 常に'granted'
+   */
+  async checkPermission() {
+    return this.permissionState;
+  }
+
+  /**
+   * サンプルの送出を開始
+   * @param {Function} callback - 加速度データ（x, y, z, timestamp, interval）を受け取るコールバック関数
+   */
+  async startListening(callback) {
+    if (this.isListening) {
+      return;
+    }
+
+    this.callback = callback;
+    this.isListening = true;
+    this.backend = 'simulated';
+    this.lastTickAt = Date.now();
+    this.timer = setInterval(() => this.tick(), this.TICK_INTERVAL);
+  }
+
+  /**
+   * サンプルの送出を停止
+   */
+  stopListening() {
+    if (!this.isListening) {
+      return;
+    }
+
+    clearInterval(this.timer);
+    this.timer = null;
+    this.isListening = false;
+    this.callback = null;
+    this.backend = null;
+    this.queue = [];
+    this.pendingTime = 0;
+  }
+
+  /**
+   * 一時停止（センサーは起動したまま、サンプルを送らない）
+   */
+  pause() {
+    this.paused = true;
+  }
+
+  /**
+   * 一時停止から再開
+   */
+  resume() {
+    this.paused = false;
+    this.lastTickAt = Date.now();
+  }
+
+  /**
+   * 一時停止中かどうか
+   * @returns {boolean} 一時停止中の場合はtrue
+   */
+  isPaused() {
+    return this.paused;
+  }
+
+  /**
+   * 速度の倍率を変更
+   * @param {number} speed - 速度の倍率（正の有限の数値）
+   * @returns {boolean} 変更できた場合はtrue
+   */
+  setSpeed(speed) {
+    if (!(speed > 0) || !Number.isFinite(speed)) {
+      return false;
+    }
+    this.speed = speed;
+    return true;
+  }
+
+  /**
+   * モードを変更（生成済みのサンプルは破棄する）
+   * @param {string} mode - 'gait' または 'keyboard'
+   * @returns {boolean} 変更できた場合はtrue
+   */
+  setMode(mode) {
+    if (!this.MODES.includes(mode)) {
+      return false;
+    }
+    this.mode = mode;
+    this.queue = [];
+    return true;
+  }
+
+  /**
+   * キー入力モードで1歩分のサンプルを送る（続けて呼ばれた場合は前の歩数の後に続ける）
+   * @returns {boolean} 受け付けた場合はtrue（キー入力モードでない場合、停止中の場合はfalse）
+   */
+  triggerStep() {
+    if (this.mode !== 'keyboard' || !this.isListening || this.paused) {
+      return false;
+    }
+
+    // 送出待ちの静止中のサンプルを破棄し、すぐに歩き出す
+    while (this.queue.length > 0 && this.queue[this.queue.length - 1].idle) {
+      this.queue.pop();
+    }
+    this.queue.push(...this.generateSamples(1));
+    return true;
+  }
+
+  /**
+   * これまでに送った歩数（正解の歩数）を取得
+   * @returns {number} 歩数
+   */
+  getSimulatedSteps() {
+    // 1歩分のサンプルを送り終えた時点で数える（小数の誤差を丸める）
+    return Math.floor(this.simulatedSteps + 1e-6);
+  }
+
+  /**
+   * 前回からの実時間に速度の倍率をかけた分だけシミュレーションを進める
+   */
+  tick() {
+    const now = Date.now();
+    const elapsed = now - this.lastTickAt;
+    this.lastTickAt = now;
+    if (this.paused) {
+      return;
+    }
+    this.advance(elapsed * this.speed);
+  }
+
+  /**
+   * シミュレーション時刻を進め、その間のサンプルをコールバックに渡す
+   * @param {number} duration - 進める時間（ミリ秒）
+   * @returns {number} 送ったサンプル数
+   */
+  advance(duration) {
+    const interval = 1000 / this.gaitOptions.sampleRate;
+    let count = 0;
+    this.pendingTime += duration;
+    while (this.isListening && this.pendingTime >= interval) {
+      this.pendingTime -= interval;
+      this.clock += interval;
+      const { x, y, z, steps } = this.nextSample();
+      this.simulatedSteps += steps;
+      this.handleMotion({
+        timeStamp: this.clock,
+        interval,
+        accelerationIncludingGravity: { x, y, z },
+        acceleration: null,
+        rotationRate: null
+      });
+      count++;
+    }
+    return count;
+  }
+
+  /**
+   * 次に送るサンプルを取得（なくなった場合はモードに応じて生成する）
+   * @returns {{x: number, y: number, z: number, steps: number, idle: boolean}} サンプル
+   */
+  nextSample() {
+    if (this.queue.length === 0) {
+      this.queue = this.mode === 'gait' ? this.generateSamples(this.CHUNK_STEPS) : this.generateSamples(0);
+    }
+    return this.queue.shift();
+  }
+
+  /**
+   * GaitSimulator でサンプルを生成
+   * @param {number} steps - 歩数（0の場合は静止中のサンプル）
+   * @returns {Array<{x: number, y: number, z: number, steps: number, idle: boolean}>} サンプル
+   *   （歩数はサンプル数で等分して各サンプルに割り当てる）
+   */
+  generateSamples(steps) {
+    this.chunkCount++;
+    const simulator = new SimulatedSensorModules.GaitSimulator({
+      ...this.gaitOptions,
+      idleBefore: steps === 0 ? this.IDLE_CHUNK_DURATION : 0,
+      seed: this.chunkCount
+    });
+    const { samples } = simulator.generate(steps);
+    return samples.map(({ x, y, z }) => ({ x, y, z, steps: steps / samples.length, idle: steps === 0 }));
+  }
+}
+
+// エクスポート（Node.js環境用）
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SimulatedSensorAdapter;
+}
+
+// エクスポート（ブラウザ環境用）
+if (typeof window !== 'undefined') {
+  window.SimulatedSensorAdapter = SimulatedSensorAdapter;
+}
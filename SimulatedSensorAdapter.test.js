@@ -0,0 +1,161 @@
+/**
+ * SimulatedSensorAdapter ユニットテスト
+ *
+ * テスト対象:
+ * - 歩行モードでの一定間隔のサンプルの送出と速度の倍率
+ * - 一時停止と再開、開始と停止
+ * - キー入力モードでの1歩ずつの送出
+ * - StepCounter → StorageManager への一連の処理での歩数の再現
+ */
+
+const SimulatedSensorAdapter = require('./SimulatedSensorAdapter');
+const StepCounter = require('./StepCounter');
+const StorageManager = require('./StorageManager');
+
+describe('SimulatedSensorAdapter', () => {
+  let adapter;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    if (adapter) {
+      adapter.stopListening();
+    }
+    jest.useRealTimers();
+  });
+
+  describe('サンプルの送出', () => {
+    test('権限なしで利用でき、開始すると60Hzでサンプルを送る', async () => {
+      const callback = jest.fn();
+      adapter = new SimulatedSensorAdapter();
+
+      expect(adapter.isAvailable()).toBe(true);
+      expect(await adapter.requestPermission()).toBe(true);
+
+      await adapter.startListening(callback);
+      jest.advanceTimersByTime(1000);
+
+      expect(adapter.getBackend()).toBe('simulated');
+      expect(callback.mock.calls.length).toBeGreaterThanOrEqual(59);
+      expect(callback.mock.calls.length).toBeLessThanOrEqual(60);
+      const [first, second] = callback.mock.calls.map(([sample]) => sample);
+      expect(second.timestamp - first.timestamp).toBeCloseTo(1000 / 60);
+      expect(first.interval).toBeCloseTo(1000 / 60);
+    });
+
+    test('速度の倍率に応じてシミュレーション時間が進む', async () => {
+      const callback = jest.fn();
+      adapter = new SimulatedSensorAdapter({ speed: 5 });
+
+      await adapter.startListening(callback);
+      jest.advanceTimersByTime(1000);
+
+      expect(callback.mock.calls.length).toBeGreaterThanOrEqual(299);
+      expect(adapter.setSpeed(0)).toBe(false);
+      expect(adapter.setSpeed(10)).toBe(true);
+      expect(adapter.speed).toBe(10);
+    });
+
+    test('一時停止中はサンプルを送らず、再開すると続きから送る', async () => {
+      const callback = jest.fn();
+      adapter = new SimulatedSensorAdapter();
+      await adapter.startListening(callback);
+      jest.advanceTimersByTime(500);
+      const count = callback.mock.calls.length;
+
+      adapter.pause();
+      jest.advanceTimersByTime(1000);
+
+      expect(adapter.isPaused()).toBe(true);
+      expect(callback.mock.calls.length).toBe(count);
+
+      adapter.resume();
+      jest.advanceTimersByTime(500);
+
+      expect(callback.mock.calls.length).toBeGreaterThan(count + 25);
+      expect(callback.mock.calls.length).toBeLessThanOrEqual(count + 30);
+    });
+
+    test('停止するとサンプルを送らない', async () => {
+      const callback = jest.fn();
+      adapter = new SimulatedSensorAdapter();
+      await adapter.startListening(callback);
+
+      adapter.stopListening();
+      jest.advanceTimersByTime(1000);
+
+      expect(callback).not.toHaveBeenCalled();
+      expect(adapter.isListening).toBe(false);
+    });
+
+    test('不正なモードや速度の場合はエラーを投げる', () => {
+      expect(() => new SimulatedSensorAdapter({ mode: 'run' })).toThrow('Unknown simulation mode');
+      expect(() => new SimulatedSensorAdapter({ speed: -1 })).toThrow('Invalid simulation speed');
+    });
+  });
+
+  describe('キー入力モード', () => {
+    test('1歩ずつ送った歩数を正解として数える', async () => {
+      adapter = new SimulatedSensorAdapter({ mode: 'keyboard' });
+      await adapter.startListening(jest.fn());
+
+      expect(adapter.triggerStep()).toBe(true);
+      expect(adapter.triggerStep()).toBe(true);
+      jest.advanceTimersByTime(3000);
+
+      expect(adapter.getSimulatedSteps()).toBe(2);
+    });
+
+    test('歩行モード、停止中、一時停止中は受け付けない', async () => {
+      adapter = new SimulatedSensorAdapter();
+      expect(adapter.triggerStep()).toBe(false);
+
+      await adapter.startListening(jest.fn());
+      expect(adapter.triggerStep()).toBe(false);
+
+      expect(adapter.setMode('keyboard')).toBe(true);
+      adapter.pause();
+      expect(adapter.triggerStep()).toBe(false);
+      expect(adapter.setMode('run')).toBe(false);
+    });
+  });
+
+  describe('StepCounterでの歩数の再現', () => {
+    beforeEach(() => {
+      localStorage.clear();
+    });
+
+    test('歩行モードで送った歩数とほぼ同じ歩数を数えて保存する', async () => {
+      const storageManager = new StorageManager();
+      adapter = new SimulatedSensorAdapter({ speed: 10 });
+      const stepCounter = new StepCounter(storageManager, adapter);
+      await stepCounter.initialize();
+      await stepCounter.startSensorListening();
+
+      jest.advanceTimersByTime(6000);
+
+      const expected = adapter.getSimulatedSteps();
+      expect(expected).toBeGreaterThan(100);
+      expect(Math.abs(stepCounter.getCurrentSteps() - expected)).toBeLessThanOrEqual(expected * 0.05);
+      await stepCounter.flushStepData();
+      expect((await storageManager.loadStepData()).steps).toBe(stepCounter.getCurrentSteps());
+    });
+
+    test('キー入力モードで続けて送った歩数を数える', async () => {
+      adapter = new SimulatedSensorAdapter({ mode: 'keyboard' });
+      const stepCounter = new StepCounter(new StorageManager(), adapter);
+      await stepCounter.initialize();
+      await stepCounter.startSensorListening();
+
+      for (let i = 0; i < 20; i++) {
+        adapter.triggerStep();
+      }
+      jest.advanceTimersByTime(15000);
+
+      expect(adapter.getSimulatedSteps()).toBe(20);
+      expect(Math.abs(stepCounter.getCurrentSteps() - 20)).toBeLessThanOrEqual(1);
+    });
+  });
+});
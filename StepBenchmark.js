@@ -0,0 +1,152 @@
+/**
+ * StepBenchmark - ラベル付きのセンサーのトレースで歩数検出の精度を測定するハーネス
+ *
+ * traces/manifest.json に列挙したトレース（正解の歩数とシナリオ付き）を
+ * ReplaySensorAdapter で StepCounter に再生し、以下を集計する。
+ * - トレースごとの誤差（検出した歩数 - 正解の歩数）と誤差率
+ * - 歩行のあるトレースの平均絶対誤差率（MAPE）
+ * - 歩行のないトレース（乗り物など）で誤って検出した歩数（偽陽性）
+ *
+ * Node.js 上でのみ動作する。直接実行する（npm run benchmark）と、すべての検出アルゴリズムの
+ * レポートを出力する。isStep() や検出アルゴリズムの変更による精度の低下は StepBenchmark.test.js で検出する。
+ */
+
+const StepCounter = require('./StepCounter.js');
+const StorageManager = require('./StorageManager.js');
+const { MemoryStorageAdapter } = require('./StorageAdapter.js');
+const ReplaySensorAdapter = require('./ReplaySensorAdapter.js');
+const { StepDetector } = require('./StepDetector.js');
+
+class StepBenchmark {
+  /**
+   * StepBenchmarkのコンストラクタ
+   * @param {Object} [options] - 測定の設定
+   * @param {string} [options.detectorType='peak'] - 歩数検出アルゴリズムの種類
+   * @param {Object} [options.walkingConfirmation] - 歩行確認の設定（省略時は無効）
+   */
+  constructor({ detectorType = 'peak', walkingConfirmation = { enabled: false, requiredSteps: 10 } } = {}) {
+    this.detectorType = detectorType;
+    this.walkingConfirmation = walkingConfirmation;
+  }
+
+  /**
+   * マニフェストに列挙されたトレースを読み込む
+   * @param {string} directory - manifest.json とトレースのファイルがあるディレクトリ
+   * @returns {Array<{file: string, scenario: string, steps: number, trace: Object}>} ラベル付きトレース
+   * @throws {Error} マニフェストまたはトレースを読み込めない場合
+   */
+  static loadTraces(directory) {
+    const fs = require('fs');
+    const path = require('path');
+
+    const manifest = JSON.parse(fs.readFileSync(path.join(directory, 'manifest.json'), 'utf8'));
+    return manifest.traces.map((entry) => {
+      if (!Number.isInteger(entry.steps) || entry.steps < 0) {
+        throw new Error(`Invalid ground-truth step count for trace: ${entry.file}`);
+      }
+      const text = fs.readFileSync(path.join(directory, entry.file), 'utf8');
+      return { ...entry, trace: ReplaySensorAdapter.parseTrace(text) };
+    });
+  }
+
+  /**
+   * 1つのトレースを再生して歩数を数える
+   * @param {Object} entry - loadTraces() で読み込んだラベル付きトレース
+   * @returns {Promise<Object>} トレースごとの結果
+   *   （file, scenario, expectedSteps, countedSteps, error, percentError: 歩行のないトレースはnull）
+   */
+  async runTrace(entry) {
+    // トレースごとに空のストレージで測定する
+    const sensorAdapter = new ReplaySensorAdapter(entry.trace);
+    const stepCounter = new StepCounter(new StorageManager(new MemoryStorageAdapter()), sensorAdapter);
+    await stepCounter.initialize();
+
+    if (!stepCounter.useDetector(this.detectorType)) {
+      throw new Error(`Unknown step detector: ${this.detectorType}`);
+    }
+    stepCounter.regularityGate.configure(this.walkingConfirmation);
+
+    await stepCounter.startSensorListening();
+    sensorAdapter.replayAll();
+
+    const countedSteps = stepCounter.getCurrentSteps();
+    const error = countedSteps - entry.steps;
+    return {
+      file: entry.file,
+      scenario: entry.scenario,
+      expectedSteps: entry.steps,
+      countedSteps,
+      error,
+      percentError: entry.steps > 0 ? Math.abs(error) / entry.steps * 100 : null
+    };
+  }
+
+  /**
+   * すべてのトレースを測定して集計
+   * @param {Array<Object>} entries - loadTraces() で読み込んだラベル付きトレース
+   * @returns {Promise<{detectorType: string, results: Array<Object>, mape: number|null, falsePositives: number}>}
+   *   トレースごとの結果、歩行のあるトレースのMAPE（%）、歩行のないトレースで検出した歩数の合計
+   */
+  async run(entries) {
+    const results = [];
+    for (const entry of entries) {
+      results.push(await this.runTrace(entry));
+    }
+
+    const walking = results.filter((result) => result.expectedSteps > 0);
+    const mape = walking.length > 0
+      ? walking.reduce((sum, result) => sum + result.percentError, 0) / walking.length
+      : null;
+    const falsePositives = results
+      .filter((result) => result.expectedSteps === 0)
+      .reduce((sum, result) => sum + result.countedSteps, 0);
+
+    return { detectorType: this.detectorType, results, mape, falsePositives };
+  }
+
+  /**
+   * 集計結果を表形式の文字列に整形
+   * @param {Object} report - run() の結果
+   * @returns {string} レポート
+   */
+  static formatReport(report) {
+    const lines = [`検出方式: ${report.detectorType}`];
+    for (const result of report.results) {
+      const percent = result.percentError === null ? '--' : `${result.percentError.toFixed(1)}%`;
+      const sign = result.error > 0 ? '+' : '';
+      lines.push(`  ${result.file.padEnd(20)} ${result.scenario.padEnd(8)} 正解=${String(result.expectedSteps).padStart(4)} 検出=${String(result.countedSteps).padStart(4)} 誤差=${sign}${result.error} (${percent})`);
+    }
+    lines.push(`  MAPE: ${report.mape === null ? '--' : `${report.mape.toFixed(1)}%`}  偽陽性: ${report.falsePositives}歩`);
+    return lines.join('\n');
+  }
+
+  /**
+   * すべての検出アルゴリズムでトレースを測定し、レポートを出力
+   * @param {string} directory - manifest.json とトレースのファイルがあるディレクトリ
+   * @returns {Promise<void>}
+   */
+  static async printReports(directory) {
+    const entries = StepBenchmark.loadTraces(directory);
+    const reports = [];
+    // 測定中の StepCounter の動作ログはレポートに混ぜない
+    const log = console.log;
+    console.log = () => {};
+    try {
+      for (const { type } of StepDetector.getAvailableTypes()) {
+        reports.push(await new StepBenchmark({ detectorType: type }).run(entries));
+      }
+    } finally {
+      console.log = log;
+    }
+    console.log(reports.map((report) => StepBenchmark.formatReport(report)).join('\n\n'));
+  }
+}
+
+if (require.main === module) {
+  StepBenchmark.printReports(require('path').join(__dirname, 'traces')).catch((error) => {
+    console.error(error);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = StepBenchmark;
@@ -0,0 +1,81 @@
+/**
+ * 歩数検出の精度の回帰テスト
+ *
+ * traces/ のうち歩行のあるトレースと歩行のないトレースを1つずつ各検出アルゴリズムで再生し、
+ * 精度（MAPE）と偽陽性が基準値を超えないことを確認する。
+ * isStep() や検出アルゴリズムを変更して精度が下がった場合はこのテストが失敗する。
+ * すべてのトレースでの精度は npm run benchmark（node StepBenchmark.js）で確認する。
+ */
+
+const path = require('path');
+const StepBenchmark = require('./StepBenchmark');
+
+// 回帰テストに使うトレース（歩行あり、歩行なし）
+const FIXTURES = ['pocket-walk.csv', 'bus-ride.csv'];
+
+// 検出アルゴリズムごとの基準値（現在の精度に余裕を持たせた上限）
+const THRESHOLDS = {
+  peak: { mape: 5, falsePositives: 10 },
+  threshold: { mape: 12, falsePositives: 10 },
+  'zero-crossing': { mape: 5, falsePositives: 10 },
+  autocorrelation: { mape: 5, falsePositives: 2 }
+};
+
+describe('歩数検出の精度ベンチマーク', () => {
+  let entries;
+
+  beforeAll(() => {
+    entries = StepBenchmark.loadTraces(path.join(__dirname, 'traces')).filter((entry) => FIXTURES.includes(entry.file));
+  });
+
+  test('歩行のあるトレースと歩行のないトレースがそれぞれ含まれる', () => {
+    expect(entries.some((entry) => entry.steps > 0)).toBe(true);
+    expect(entries.some((entry) => entry.steps === 0)).toBe(true);
+  });
+
+  test.each(Object.entries(THRESHOLDS))('%s: MAPEと偽陽性が基準値以内', async (detectorType, threshold) => {
+    const report = await new StepBenchmark({ detectorType }).run(entries);
+
+    expect(report.mape).toBeLessThanOrEqual(threshold.mape);
+    expect(report.falsePositives).toBeLessThanOrEqual(threshold.falsePositives);
+  });
+
+  test('既定の検出方式では、歩行のトレースの誤差率が10%以内', async () => {
+    const report = await new StepBenchmark().run(entries.filter((entry) => entry.steps > 0));
+
+    const failed = report.results.filter((result) => result.percentError > 10).map((result) => result.file);
+    expect(failed).toEqual([]);
+  });
+
+  test('歩行確認を有効にすると、歩行のないトレースで歩数を検出しない', async () => {
+    const benchmark = new StepBenchmark({ walkingConfirmation: { enabled: true, requiredSteps: 10 } });
+
+    const report = await benchmark.run(entries.filter((entry) => entry.steps === 0));
+
+    expect(report.falsePositives).toBe(0);
+  });
+
+  test('未知の検出アルゴリズムの場合はエラーになる', async () => {
+    await expect(new StepBenchmark({ detectorType: 'unknown' }).runTrace(entries[0]))
+      .rejects.toThrow('Unknown step detector: unknown');
+  });
+
+  test('レポートにトレースごとの誤差と集計が含まれる', () => {
+    const report = {
+      detectorType: 'peak',
+      results: [
+        { file: 'walk.csv', scenario: 'pocket', expectedSteps: 50, countedSteps: 52, error: 2, percentError: 4 },
+        { file: 'bus.csv', scenario: 'bus', expectedSteps: 0, countedSteps: 3, error: 3, percentError: null }
+      ],
+      mape: 4,
+      falsePositives: 3
+    };
+
+    const text = StepBenchmark.formatReport(report);
+
+    expect(text).toContain('検出方式: peak');
+    expect(text).toMatch(/walk\.csv.*正解= {2}50 検出= {2}52 誤差=\+2 \(4\.0%\)/);
+    expect(text).toMatch(/bus\.csv.*誤差=\+3 \(--\)/);
+    expect(text).toContain('MAPE: 4.0%  偽陽性: 3歩');
+  });
+});
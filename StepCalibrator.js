@@ -0,0 +1,218 @@
+/**
+ * StepCalibrator - 端末ごとの歩数検出パラメータのキャリブレーションを担当するコンポーネント
+ *
+ * ユーザーが決まった歩数（例: 20歩）を歩く間の生のセンサーデータを記録し、
+ * 記録したデータを検出アルゴリズムに再入力して、歩いた歩数を最もよく再現する
+ * パラメータをグリッド探索で選ぶ。探索するパラメータと範囲は各 StepDetector の
+ * calibrationGrid で定義される。
+ *
+ * 要件: 1.1 - 加速度センサーのデータを分析して歩数としてカウントする
+ */
+
+// 依存モジュールの取得（ブラウザ環境ではwindowに登録済み、Node.js環境（テスト用）ではrequire）
+const StepCalibratorModules = (typeof module !== 'undefined' && module.exports)
+  ? require('./StepDetector.js')
+  : window;
+
+/**
+ * パラメータの範囲から探索する値の一覧を生成する
+ * @param {{min: number, max: number, step: number}} range - 探索範囲
+ * @returns {Array<number>} 探索する値（浮動小数点の誤差を丸めたもの）
+ */
+function expandRange({ min, max, step }) {
+  const values = [];
+  const count = Math.round((max - min) / step);
+  for (let i = 0; i <= count; i++) {
+    values.push(Math.round((min + i * step) * 1000) / 1000);
+  }
+  return values;
+}
+
+class StepCalibrator {
+  /**
+   * StepCalibratorのコンストラクタ
+   */
+  constructor() {
+    this.MIN_TARGET_STEPS = 10; // キャリブレーションに必要な最小歩数
+    this.MAX_TARGET_STEPS = 200; // キャリブレーションで指定できる最大歩数
+    this.MAX_SAMPLES = 12000; // 記録するサンプル数の上限（100Hzで約2分）
+    this.targetSteps = null;
+    this.samples = [];
+    this.recording = false;
+  }
+
+  /**
+   * 記録を開始
+   * @param {number} targetSteps - ユーザーが歩く歩数（10〜200の整数）
+   * @returns {boolean} 開始できた場合はtrue
+   */
+  start(targetSteps) {
+    if (!this.isValidTargetSteps(targetSteps)) {
+      return false;
+    }
+    this.targetSteps = targetSteps;
+    this.samples = [];
+    this.recording = true;
+    return true;
+  }
+
+  /**
+   * 歩数の指定を検証
+   * @param {number} targetSteps - 検証する歩数
+   * @returns {boolean} 有効な歩数の場合はtrue
+   */
+  isValidTargetSteps(targetSteps) {
+    return Number.isInteger(targetSteps) &&
+      targetSteps >= this.MIN_TARGET_STEPS &&
+      targetSteps <= this.MAX_TARGET_STEPS;
+  }
+
+  /**
+   * センサーのサンプルを記録
+   * @param {Object} acceleration - 加速度データ（x, y, z: m/s²、interval: サンプリング間隔（ミリ秒、任意）、
+   *   vertical: 重力方向の成分（任意））
+   * @param {number} timestamp - センサーがサンプルを取得した時刻（ミリ秒）
+   */
+  record(acceleration, timestamp) {
+    if (!this.recording || this.samples.length >= this.MAX_SAMPLES) {
+      return;
+    }
+    this.samples.push({
+      x: acceleration.x,
+      y: acceleration.y,
+      z: acceleration.z,
+      interval: acceleration.interval,
+      vertical: acceleration.vertical,
+      timestamp
+    });
+  }
+
+  /**
+   * 記録中かを確認
+   * @returns {boolean}
+   */
+  isRecording() {
+    return this.recording;
+  }
+
+  /**
+   * 記録したサンプル数を取得
+   * @returns {number}
+   */
+  getSampleCount() {
+    return this.samples.length;
+  }
+
+  /**
+   * 記録を終了し、指定した検出アルゴリズムのパラメータを求める
+   * @param {string} detectorType - キャリブレーションする検出アルゴリズムの種類
+   * @returns {Object|null} キャリブレーションプロファイル、記録中でない・求められない場合はnull
+   */
+  finish(detectorType) {
+    if (!this.recording) {
+      return null;
+    }
+    this.recording = false;
+
+    const result = this.calibrate(detectorType, this.samples, this.targetSteps);
+    this.samples = [];
+    if (!result) {
+      return null;
+    }
+
+    return {
+      detectorType,
+      parameters: result.parameters,
+      targetSteps: this.targetSteps,
+      detectedSteps: result.detectedSteps,
+      calibratedAt: Date.now()
+    };
+  }
+
+  /**
+   * 記録を中止（記録したサンプルは破棄される）
+   */
+  cancel() {
+    this.recording = false;
+    this.samples = [];
+  }
+
+  /**
+   * 記録したサンプルから、目標の歩数を最もよく再現するパラメータをグリッド探索で求める
+   * @param {string} detectorType - 検出アルゴリズムの種類
+   * @param {Array<Object>} samples - 記録したサンプル
+   * @param {number} targetSteps - ユーザーが歩いた歩数
+   * @returns {{parameters: Object, detectedSteps: number}|null} 探索できない場合はnull
+   *
+   * 誤差が同じ候補が複数ある場合は、その中心に最も近い候補を選ぶ。
+   * 範囲の端の値よりも、歩行の強さが多少変わっても同じ歩数になりやすい。
+   */
+  calibrate(detectorType, samples, targetSteps) {
+    const grid = StepCalibratorModules.StepDetector.getCalibrationGrid(detectorType);
+    if (!grid || samples.length === 0) {
+      return null;
+    }
+
+    // 全パラメータの組み合わせを評価
+    const names = Object.keys(grid);
+    let candidates = [{}];
+    for (const name of names) {
+      const values = expandRange(grid[name]);
+      candidates = candidates.flatMap((candidate) => values.map((value) => ({ ...candidate, [name]: value })));
+    }
+
+    let bestError = Infinity;
+    let best = [];
+    for (const parameters of candidates) {
+      const detectedSteps = this.countSteps(detectorType, parameters, samples);
+      const error = Math.abs(detectedSteps - targetSteps);
+      if (error < bestError) {
+        bestError = error;
+        best = [];
+      }
+      if (error === bestError) {
+        best.push({ parameters, detectedSteps });
+      }
+    }
+
+    // 誤差が最小の候補の中心（範囲で正規化）に最も近い候補を選ぶ
+    const center = {};
+    for (const name of names) {
+      center[name] = best.reduce((sum, { parameters }) => sum + parameters[name], 0) / best.length;
+    }
+    const distance = ({ parameters }) => names.reduce((sum, name) => {
+      const span = grid[name].max - grid[name].min;
+      return sum + ((parameters[name] - center[name]) / span) ** 2;
+    }, 0);
+
+    return best.reduce((closest, candidate) => (distance(candidate) < distance(closest) ? candidate : closest));
+  }
+
+  /**
+   * 記録したサンプルを検出アルゴリズムに再入力し、検出された歩数を数える
+   * @param {string} detectorType - 検出アルゴリズムの種類
+   * @param {Object} parameters - 検出パラメータ
+   * @param {Array<Object>} samples - 記録したサンプル
+   * @returns {number} 検出された歩数
+   */
+  countSteps(detectorType, parameters, samples) {
+    const detector = StepCalibratorModules.StepDetector.create(detectorType, parameters);
+    let steps = 0;
+    for (const sample of samples) {
+      if (detector.detect(sample, sample.timestamp)) {
+        steps++;
+      }
+    }
+    return steps;
+  }
+}
+
+// エクスポート（Node.js環境用）
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = StepCalibrator;
+}
+
+// エクスポート（ブラウザ環境用）
+if (typeof window !== 'undefined') {
+  window.StepCalibrator = StepCalibrator;
+}
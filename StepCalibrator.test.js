@@ -0,0 +1,150 @@
+/**
+ * StepCalibrator ユニットテスト
+ *
+ * テスト対象:
+ * - センサーデータの記録の開始・中止・上限
+ * - 記録したデータから歩いた歩数を再現するパラメータの探索
+ * - キャリブレーションプロファイルの生成
+ */
+
+const StepCalibrator = require('./StepCalibrator');
+const { StepDetector } = require('./StepDetector');
+
+const SAMPLE_RATE = 60;
+
+/**
+ * 前後に静止区間を含む歩行のサンプル列を生成する（2歩/秒）
+ */
+function createCalibrationWalk(steps, amplitude) {
+  const samples = [];
+  const still = SAMPLE_RATE; // 前後1秒ずつ静止
+  const walking = steps * SAMPLE_RATE / 2;
+  for (let i = 0; i < still * 2 + walking; i++) {
+    const isWalking = i >= still && i < still + walking;
+    const z = 9.81 + (isWalking ? amplitude * Math.sin(2 * Math.PI * 2 * (i - still) / SAMPLE_RATE) : 0);
+    samples.push({ x: 0, y: 0, z, timestamp: 1000 + i * 1000 / SAMPLE_RATE });
+  }
+  return samples;
+}
+
+/**
+ * サンプル列を記録する
+ */
+function recordAll(calibrator, samples) {
+  for (const sample of samples) {
+    calibrator.record(sample, sample.timestamp);
+  }
+}
+
+describe('StepCalibrator', () => {
+  let calibrator;
+
+  beforeEach(() => {
+    calibrator = new StepCalibrator();
+  });
+
+  describe('記録', () => {
+    test('開始するまではサンプルを記録しない', () => {
+      calibrator.record({ x: 0, y: 0, z: 9.81 }, 0);
+
+      expect(calibrator.isRecording()).toBe(false);
+      expect(calibrator.getSampleCount()).toBe(0);
+    });
+
+    test('開始後はセンサー時刻付きでサンプルを記録する', () => {
+      calibrator.start(20);
+      calibrator.record({ x: 1, y: 2, z: 3, interval: 16 }, 1000);
+
+      expect(calibrator.isRecording()).toBe(true);
+      expect(calibrator.samples[0]).toEqual({ x: 1, y: 2, z: 3, interval: 16, timestamp: 1000 });
+    });
+
+    test('範囲外や整数以外の歩数では開始できない', () => {
+      expect(calibrator.start(9)).toBe(false);
+      expect(calibrator.start(201)).toBe(false);
+      expect(calibrator.start(20.5)).toBe(false);
+      expect(calibrator.isRecording()).toBe(false);
+    });
+
+    test('記録するサンプル数には上限がある', () => {
+      calibrator.MAX_SAMPLES = 5;
+      calibrator.start(20);
+
+      for (let i = 0; i < 10; i++) {
+        calibrator.record({ x: 0, y: 0, z: 9.81 }, i);
+      }
+
+      expect(calibrator.getSampleCount()).toBe(5);
+    });
+
+    test('cancel()で記録を中止し、サンプルを破棄する', () => {
+      calibrator.start(20);
+      calibrator.record({ x: 0, y: 0, z: 9.81 }, 0);
+
+      calibrator.cancel();
+
+      expect(calibrator.isRecording()).toBe(false);
+      expect(calibrator.getSampleCount()).toBe(0);
+      expect(calibrator.finish('peak')).toBeNull();
+    });
+  });
+
+  describe('パラメータの探索', () => {
+    test.each([
+      ['peak'],
+      ['threshold'],
+      ['zero-crossing']
+    ])('%s: 既定値では検出できない弱い歩行でも歩いた歩数を再現する', (type) => {
+      const samples = createCalibrationWalk(20, 0.5);
+      expect(calibrator.countSteps(type, {}, samples)).toBeLessThan(18);
+
+      const result = calibrator.calibrate(type, samples, 20);
+
+      expect(result.detectedSteps).toBe(20);
+      expect(calibrator.countSteps(type, result.parameters, samples)).toBe(20);
+    });
+
+    test('探索するのは検出アルゴリズムのcalibrationGridに定義されたパラメータのみ', () => {
+      const result = calibrator.calibrate('peak', createCalibrationWalk(20, 2), 20);
+
+      expect(Object.keys(result.parameters).sort())
+        .toEqual(Object.keys(StepDetector.getCalibrationGrid('peak')).sort());
+    });
+
+    test('誤差が同じ候補が複数ある場合は範囲の中心に近い値を選ぶ', () => {
+      const result = calibrator.calibrate('peak', createCalibrationWalk(20, 2), 20);
+
+      // 振幅が大きいため低い閾値から高い閾値まで20歩になる：端の値は選ばない
+      expect(result.parameters.stepThreshold).toBeGreaterThan(0.2);
+      expect(result.parameters.stepThreshold).toBeLessThan(2.0);
+    });
+
+    test('未登録の検出アルゴリズムやサンプルがない場合はnullを返す', () => {
+      expect(calibrator.calibrate('unknown', createCalibrationWalk(20, 2), 20)).toBeNull();
+      expect(calibrator.calibrate('peak', [], 20)).toBeNull();
+    });
+  });
+
+  describe('プロファイルの生成', () => {
+    test('finish()で記録を終了し、キャリブレーションプロファイルを返す', () => {
+      calibrator.start(20);
+      recordAll(calibrator, createCalibrationWalk(20, 0.5));
+
+      const profile = calibrator.finish('peak');
+
+      expect(profile).toEqual({
+        detectorType: 'peak',
+        parameters: expect.objectContaining({ stepThreshold: expect.any(Number), minStepInterval: expect.any(Number) }),
+        targetSteps: 20,
+        detectedSteps: 20,
+        calibratedAt: expect.any(Number)
+      });
+      expect(calibrator.isRecording()).toBe(false);
+      expect(calibrator.getSampleCount()).toBe(0);
+    });
+
+    test('記録中でない場合はnullを返す', () => {
+      expect(calibrator.finish('peak')).toBeNull();
+    });
+  });
+});
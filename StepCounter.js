@@ -4,10 +4,26 @@
  * 要件:
  * - 1.1: 加速度センサーが動きを検出した場合、その動きを分析して歩数としてカウントする
  * - 1.2: 歩数が増加した場合、更新された歩数を即座に画面に表示する
- * - 2.1: 歩数が更新された場合、ローカルストレージに即座に保存する
+ * - 2.1: 歩数が更新された場合、ストレージに保存する（書き込みはまとめて行い、失うのは最大 SAVE_INTERVAL_MS 分）
  * - 3.1: リセット時刻に到達した場合、歩数カウンターを0にリセットする
  * - 6.1: 歩数が負の値にならないことを保証する
  */
+
+// 依存モジュールの取得（ブラウザ環境では各ファイルがwindowに登録済み、Node.js環境（テスト用）ではrequire）
+const StepCounterModules = (typeof module !== 'undefined' && module.exports)
+  ? {
+    ...require('./StepDetector.js'),
+    GravityProjector: require('./GravityProjector.js'),
+    RotationGate: require('./RotationGate.js'),
+    StepRegularityGate: require('./StepRegularityGate.js'),
+    StepCalibrator: require('./StepCalibrator.js'),
+    ActivityClassifier: require('./ActivityClassifier.js'),
+    CadenceTracker: require('./CadenceTracker.js'),
+    DistanceEstimator: require('./DistanceEstimator.js'),
+    CalorieEstimator: require('./CalorieEstimator.js')
+  }
+  : window;
+
 class StepCounter {
   /**
    * StepCounterのコンストラクタ
@@ -15,14 +31,39 @@ class StepCounter {
    * @param {SensorAdapter} sensorAdapter - センサーアダプターのインスタンス
    */
   constructor(storageManager, sensorAdapter) {
+    this.DEFAULT_DETECTOR_TYPE = 'peak';
     this.currentSteps = 0;
     this.storageManager = storageManager;
     this.sensorAdapter = sensorAdapter;
     this.lastAcceleration = null;
-    this.stepThreshold = 0.5; // 歩数として認識する加速度の閾値（m/s²）- より敏感に
+    this.gravityProjector = new StepCounterModules.GravityProjector(); // 重力方向への射影（端末の向きに依存しない成分）
+    this.detector = StepCounterModules.StepDetector.create(this.DEFAULT_DETECTOR_TYPE); // 歩数検出アルゴリズム（Strategyパターン）
+    this.rotationGate = new StepCounterModules.RotationGate(); // ジャイロスコープによる端末の操作中の歩数の除外
+    this.regularityGate = new StepCounterModules.StepRegularityGate(); // 歩行確認（リズムのある連続した歩数のみ確定）
+    this.calibrator = new StepCounterModules.StepCalibrator(); // 検出パラメータのキャリブレーション
+    this.calibrationProfile = null; // 端末のキャリブレーションプロファイル（未実施の場合はnull）
+    this.activityClassifier = new StepCounterModules.ActivityClassifier(); // 活動（歩行・走行・階段）の分類
+    this.currentActivity = 'idle'; // 現在の活動
+    this.activitySteps = this.createEmptyActivitySteps(); // 活動ごとの歩数
+    this.cadenceTracker = new StepCounterModules.CadenceTracker(); // ケイデンス（歩/分）の計算
+    this.cadenceTarget = null; // 目標ケイデンスの設定（初期化時に読み込む）
+    this.distanceEstimator = new StepCounterModules.DistanceEstimator(); // 歩数からの移動距離の推定
+    this.userProfile = null; // ユーザープロファイル（初期化時に読み込む）
+    this.distance = 0; // 現在の日次期間の推定移動距離（メートル）
+    this.calorieEstimator = new StepCounterModules.CalorieEstimator(); // 歩数からの活動消費カロリーの推定
+    this.calories = 0; // 現在の日次期間の推定活動消費カロリー（kcal）
+    this.SAVE_INTERVAL_MS = 5000; // 歩数の更新から保存までの最大の待ち時間（クラッシュ時に失う歩数の上限）
+    this.SAVE_STEP_THRESHOLD = 20; // 待ち時間を待たずに保存する未保存の歩数
+    this.unsavedSteps = 0; // 最後の保存以降に加算した歩数
+    this.unsavedTimelineEntries = []; // 最後の保存以降にタイムラインに記録していない歩数（time, steps）
+    this.hasUnsavedChanges = false; // 保存されていない歩数データがあるかどうか
+    this.saveTimer = null; // 保存を予約したタイマーのID
     this.observers = []; // オブザーバーパターン用のリスナー配列
-    this.lastStepTime = 0; // 最後に歩数をカウントした時刻
-    this.minStepInterval = 200; // 最小歩数間隔（ミリ秒）- より短く
+    // 種類ごとのイベント（step: 検出した歩数の確定、manual: 手動カウント、reset: リセット、
+    // restore: 保存データからの復元、motion: センサーのサンプル受信）
+    this.EVENT_TYPES = ['step', 'manual', 'reset', 'restore', 'motion'];
+    this.eventHandlers = {}; // イベントの種類ごとのハンドラー配列
+    this.lastRestoreEvent = null; // 最後に発行した restore イベント（後から登録したハンドラーに渡す、リセット後はnull）
     this.motionCount = 0; // デバッグ用：モーションイベントのカウント
     this.maxMagnitude = 0; // デバッグ用：最大加速度の記録
   }
@@ -35,19 +76,41 @@ class StepCounter {
    * 注意: センサーの起動は別途行う必要があります（iOS対応のため）
    */
   async initialize() {
-    const savedData = this.storageManager.loadStepData();
+    // 端末のキャリブレーションプロファイルと、保存された歩数検出アルゴリズムを復元
+    this.calibrationProfile = await this.storageManager.getCalibrationProfile();
+    const detectorType = (await this.storageManager.getDetectorType()) || this.DEFAULT_DETECTOR_TYPE;
+    if (!this.useDetector(detectorType)) {
+      console.warn('Unknown step detector in storage, using default:', detectorType);
+      this.useDetector(this.DEFAULT_DETECTOR_TYPE);
+    }
+
+    // 歩行確認と目標ケイデンスの設定を復元
+    this.regularityGate.configure(await this.storageManager.getWalkingConfirmation());
+    this.cadenceTarget = await this.storageManager.getCadenceTarget();
+
+    // 距離・消費カロリーの推定に使うユーザープロファイルを復元
+    this.userProfile = await this.storageManager.getUserProfile();
+    this.distanceEstimator.configure(this.userProfile);
+    this.calorieEstimator.configure(this.userProfile);
+
+    const savedData = await this.storageManager.loadStepData();
+    this.lastRestoreEvent = null;
     
-    if (savedData && this.isCurrentPeriod(savedData.timestamp)) {
-      // 現在の日次期間内のデータの場合、歩数を復元
+    if (savedData && await this.isCurrentPeriod(savedData.timestamp)) {
+      // 現在の日次期間内のデータの場合、歩数・活動ごとの歩数・移動距離・消費カロリーを復元
       this.currentSteps = savedData.steps;
+      this.activitySteps = this.restoreActivitySteps(savedData.activities);
+      this.distance = Number.isFinite(savedData.distance) && savedData.distance >= 0 ? savedData.distance : 0;
+      this.calories = Number.isFinite(savedData.calories) && savedData.calories >= 0 ? savedData.calories : 0;
+      this.emit('restore', { delta: this.currentSteps, source: 'storage', savedAt: savedData.timestamp });
     } else {
       // 古いデータまたはデータがない場合、0で初期化
       this.currentSteps = 0;
+      this.activitySteps = this.createEmptyActivitySteps();
+      this.distance = 0;
+      this.calories = 0;
       // 初期状態を保存
-      this.storageManager.saveStepData({
-        steps: 0,
-        timestamp: Date.now()
-      });
+      await this.saveStepData();
     }
     
     console.log('StepCounter initialized with', this.currentSteps, 'steps');
@@ -59,6 +122,8 @@ class StepCounter {
    */
   async startSensorListening() {
     try {
+      // 停止していた間の重力の推定・フィルタ・時間窓の状態を再開後のサンプルに持ち越さない
+      this.resetSampleProcessing();
       await this.sensorAdapter.startListening(this.onMotionDetected.bind(this));
       console.log('Sensor listening started successfully');
     } catch (error) {
@@ -73,6 +138,12 @@ class StepCounter {
    * @param {number} acceleration.x - X軸の加速度（m/s²）
    * @param {number} acceleration.y - Y軸の加速度（m/s²）
    * @param {number} acceleration.z - Z軸の加速度（m/s²）
+   * @param {number} [acceleration.timestamp] - センサーがサンプルを取得した時刻（ミリ秒）
+   * @param {number} [acceleration.interval] - センサーのサンプリング間隔（ミリ秒）
+   * @param {Object} [acceleration.rotationRate] - ジャイロスコープの角速度（alpha, beta, gamma: deg/s）
+   * 
+   * サンプルは GravityProjector で重力方向（vertical）と水平方向（horizontal）の成分を
+   * 加えてから、検出アルゴリズム・活動の分類・キャリブレーションに渡す。
    * 
    * 要件: 1.1 - 動きを分析して歩数としてカウント
    */
@@ -85,12 +156,50 @@ class StepCounter {
       acceleration.y ** 2 + 
       acceleration.z ** 2
     );
-    
-    // デバッグ情報を通知（より詳細に）
-    this.notifyMotionDetected(acceleration, magnitude);
-    
-    if (this.isStep(acceleration)) {
-      this.incrementStep();
+    this.maxMagnitude = Math.max(this.maxMagnitude, magnitude); // デバッグ用
+
+    const sampleTime = this.getSampleTime(acceleration);
+    const sample = this.gravityProjector.process(acceleration, sampleTime);
+    this.emit('motion', {
+      delta: 0,
+      source: 'sensor',
+      sampleTime,
+      acceleration: { x: acceleration.x, y: acceleration.y, z: acceleration.z },
+      magnitude,
+      vertical: sample.vertical,
+      horizontal: sample.horizontal,
+      rotationRate: acceleration.rotationRate || null,
+      motionCount: this.motionCount
+    });
+
+    // キャリブレーション中は生のセンサーデータを記録
+    if (this.calibrator.isRecording()) {
+      this.calibrator.record(sample, sampleTime);
+    }
+
+    this.activityClassifier.addSample(sample, sampleTime);
+    this.rotationGate.addSample(sample, sampleTime);
+
+    let confirmedSteps = 0;
+    // 端末を手の中で回しているなど、角速度が大きすぎる間の歩数は除外
+    if (this.isStep(sample) && this.rotationGate.acceptStep()) {
+      this.activityClassifier.addStep(sampleTime);
+      this.cadenceTracker.addStep(sampleTime);
+      // 歩行確認：リズムのある連続した歩数が揃うまで保留し、揃った時点でまとめて確定
+      confirmedSteps = this.regularityGate.push(sampleTime);
+    }
+
+    // 歩行確認中（歩数が確定していない間）は静止として扱う
+    const isConfirming = this.regularityGate.enabled && !this.regularityGate.isWalking();
+    const activity = isConfirming ? 'idle' : this.activityClassifier.classify(sampleTime);
+    const activityChanged = activity !== this.currentActivity;
+    this.currentActivity = activity;
+
+    if (confirmedSteps > 0) {
+      // 確定した歩数は現在の活動として記録
+      this.addSteps(confirmedSteps, activity, sampleTime);
+    } else if (activityChanged) {
+      this.notifyObservers();
     }
   }
 
@@ -100,73 +209,339 @@ class StepCounter {
    * @param {number} acceleration.x - X軸の加速度（m/s²）
    * @param {number} acceleration.y - Y軸の加速度（m/s²）
    * @param {number} acceleration.z - Z軸の加速度（m/s²）
+   * @param {number} [acceleration.timestamp] - センサーがサンプルを取得した時刻（ミリ秒）
    * @returns {boolean} 歩数として認識する場合はtrue
    * 
+   * 判定は選択中の StepDetector に委譲する。歩数間隔などの時間計算は
+   * イベントの処理時刻ではなくセンサーの時刻で行う。
+   * 
    * 要件: 1.1 - 加速度センサーのデータを分析
    */
   isStep(acceleration) {
-    // 加速度の大きさを計算（ベクトルの長さ）
-    const magnitude = Math.sqrt(
-      acceleration.x ** 2 + 
-      acceleration.y ** 2 + 
-      acceleration.z ** 2
-    );
-    
-    // 最小歩数間隔のチェック（誤検知を防ぐ）
-    const now = Date.now();
-    const timeSinceLastStep = now - this.lastStepTime;
-    
-    // 閾値を超えており、かつ最小間隔が経過している場合のみ歩数として認識
-    const isStepDetected = magnitude > this.stepThreshold && timeSinceLastStep >= this.minStepInterval;
-    
-    if (isStepDetected) {
-      this.lastStepTime = now;
-      console.log(`✅ 歩数検出! magnitude=${magnitude.toFixed(2)} > threshold=${this.stepThreshold}`);
-      return true;
+    return this.detector.detect(acceleration, this.getSampleTime(acceleration));
+  }
+
+  /**
+   * サンプルのセンサー時刻を取得
+   * @param {Object} acceleration - 加速度データ
+   * @returns {number} センサー時刻（ミリ秒）、時刻を持たないサンプルの場合は現在時刻
+   */
+  getSampleTime(acceleration) {
+    return typeof acceleration.timestamp === 'number' ? acceleration.timestamp : Date.now();
+  }
+
+  /**
+   * 歩数検出アルゴリズムを切り替え、選択をストレージに保存する
+   * @param {string} type - 検出アルゴリズムの種類（StepDetector に登録された名前）
+   * @returns {Promise<boolean>} 切り替えに成功した場合はtrue
+   */
+  async setDetector(type) {
+    if (!this.useDetector(type)) {
+      return false;
     }
-    
-    return false;
+    await this.storageManager.setDetectorType(type);
+    return true;
+  }
+
+  /**
+   * 歩数検出アルゴリズムのインスタンスを生成して使用する
+   * @param {string} type - 検出アルゴリズムの種類
+   * @returns {boolean} 登録済みの種類の場合はtrue
+   *
+   * 同じ種類のキャリブレーションプロファイルがある場合は、そのパラメータを適用する。
+   */
+  useDetector(type) {
+    const profile = this.calibrationProfile;
+    const parameters = profile && profile.detectorType === type ? profile.parameters : undefined;
+    const detector = StepCounterModules.StepDetector.create(type, parameters);
+    if (!detector) {
+      return false;
+    }
+    this.detector = detector;
+    return true;
+  }
+
+  /**
+   * 歩行確認の設定を変更し、ストレージに保存する
+   * @param {Object} settings - 歩行確認の設定
+   * @param {boolean} settings.enabled - 歩行確認を有効にするか
+   * @param {number} settings.requiredSteps - 歩行と判定するのに必要な連続歩数
+   * @returns {Promise<boolean>} 保存に成功した場合はtrue
+   */
+  async setWalkingConfirmation(settings) {
+    if (!(await this.storageManager.setWalkingConfirmation(settings))) {
+      return false;
+    }
+    this.regularityGate.configure(settings);
+    this.regularityGate.reset();
+    return true;
+  }
+
+  /**
+   * キャリブレーションを開始（センサーデータの記録を開始）
+   * @param {number} targetSteps - ユーザーが歩く歩数
+   * @returns {boolean} 開始できた場合はtrue
+   */
+  startCalibration(targetSteps) {
+    return this.calibrator.start(targetSteps);
+  }
+
+  /**
+   * キャリブレーションを完了し、求めたパラメータを端末のプロファイルとして保存・適用する
+   * @returns {Promise<Object|null>} 保存したプロファイル、パラメータを求められないか保存に失敗した場合はnull
+   */
+  async finishCalibration() {
+    const profile = this.calibrator.finish(this.detector.type);
+    if (!profile || !(await this.storageManager.setCalibrationProfile(profile))) {
+      return null;
+    }
+
+    this.calibrationProfile = profile;
+    this.useDetector(profile.detectorType);
+    return profile;
+  }
+
+  /**
+   * キャリブレーションを中止
+   */
+  cancelCalibration() {
+    this.calibrator.cancel();
+  }
+
+  /**
+   * キャリブレーションプロファイルを削除し、既定のパラメータに戻す
+   * @returns {Promise<boolean>} 削除に成功した場合はtrue
+   */
+  async clearCalibration() {
+    if (!(await this.storageManager.clearCalibrationProfile())) {
+      return false;
+    }
+
+    this.calibrationProfile = null;
+    this.useDetector(this.detector.type);
+    return true;
+  }
+
+  /**
+   * 選択可能な歩数検出アルゴリズムの一覧を取得
+   * @returns {Array<{type: string, label: string}>}
+   */
+  getAvailableDetectors() {
+    return StepCounterModules.StepDetector.getAvailableTypes();
+  }
+
+  /**
+   * 歩数検出の内部状態（フィルタなど）を初期化
+   */
+  resetDetector() {
+    this.detector.reset();
   }
 
   /**
-   * 歩数を増やす
+   * サンプルの処理の状態（重力の推定、検出アルゴリズム、角速度と歩行確認のゲート、活動の分類、ケイデンス）を初期化
+   * 保留中の歩数（歩行確認の候補）は破棄される
+   */
+  resetSampleProcessing() {
+    this.gravityProjector.reset();
+    this.resetDetector();
+    this.rotationGate.reset();
+    this.regularityGate.reset();
+    this.activityClassifier.reset();
+    this.cadenceTracker.reset();
+  }
+
+  /**
+   * 歩数を1歩増やす（手動カウントなど、歩行確認を経由せずに即座に確定）
    * 
    * 要件:
    * - 1.2: 歩数が増加した場合、更新された歩数を即座に画面に表示する
-   * - 2.1: 歩数が更新された場合、ローカルストレージに即座に保存する
+   * - 2.1: 歩数が更新された場合、ストレージに保存する
    * - 6.1: 歩数が負の値にならないことを保証する
    */
   incrementStep() {
-    this.currentSteps++;
+    this.addSteps(1);
+  }
+
+  /**
+   * 歩数をまとめて加算する
+   * @param {number} count - 加算する歩数（1以上の整数）
+   * @param {string} [activity] - 歩数の活動（手動カウントなど、活動が不明な場合は省略）
+   * @param {number} [sampleTime] - 歩数を確定したセンサー時刻（ミリ秒）
+   * 
+   * 活動を指定した場合はセンサーで検出した歩数として 'step' イベントを、
+   * 省略した場合は手動カウントとして 'manual' イベントを発行する。
+   * 
+   * 要件:
+   * - 1.2: 歩数が増加した場合、更新された歩数を即座に画面に表示する
+   * - 2.1: 歩数が更新された場合、ストレージに保存する（scheduleSave() でまとめて書き込む）
+   */
+  addSteps(count, activity, sampleTime) {
+    if (!Number.isInteger(count) || count <= 0) {
+      return;
+    }
+
+    this.currentSteps += count;
+    if (activity in this.activitySteps) {
+      this.activitySteps[activity] += count;
+    }
+
+    // 検出した歩数は現在のケイデンスの歩幅で、手動カウントは基準の歩幅で距離を加算
+    const cadence = activity ? this.cadenceTracker.getCadence() : null;
+    const distance = this.distanceEstimator.estimateDistance(count, cadence);
+    this.distance += distance;
+    const calories = this.calorieEstimator.estimateCalories({ steps: count, distance, cadence, activity });
+    this.calories += calories;
     
-    // ローカルストレージに即座に保存
-    this.storageManager.saveStepData({
-      steps: this.currentSteps,
-      timestamp: Date.now()
-    });
+    // 1歩ごとには書き込まず、時間か歩数の閾値に達したときにまとめて保存（タイムラインの記録も同時に行う）
+    this.unsavedTimelineEntries.push({ time: Date.now(), steps: count });
+    this.scheduleSave(count);
     
     // オブザーバーに通知（UI更新）
     this.notifyObservers();
+
+    if (activity) {
+      this.emit('step', { delta: count, source: 'sensor', sampleTime, activity, cadence, distance, calories });
+    } else {
+      this.emit('manual', { delta: count, source: 'manual', distance, calories });
+    }
+  }
+
+  /**
+   * 歩数の更新後の保存を予約する
+   * @param {number} count - 加算した歩数
+   *
+   * 未保存の歩数が SAVE_STEP_THRESHOLD に達した場合はすぐに保存し、それ以外は最初の未保存の更新から
+   * SAVE_INTERVAL_MS 後に保存する（更新が続いても予約を延ばさないため、失うのは最大 SAVE_INTERVAL_MS 分）。
+   */
+  scheduleSave(count) {
+    this.unsavedSteps += count;
+    this.hasUnsavedChanges = true;
+
+    if (this.unsavedSteps >= this.SAVE_STEP_THRESHOLD) {
+      this.flushStepData();
+    } else if (this.saveTimer === null) {
+      this.saveTimer = setTimeout(() => this.flushStepData(), this.SAVE_INTERVAL_MS);
+    }
+  }
+
+  /**
+   * 予約した保存を取り消す
+   */
+  cancelScheduledSave() {
+    if (this.saveTimer !== null) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+    }
+  }
+
+  /**
+   * 保存されていない歩数データをすぐに保存する（ページの非表示・終了時など）
+   * @returns {Promise<boolean>} 保存に成功した場合、または未保存のデータがない場合はtrue
+   */
+  flushStepData() {
+    if (!this.hasUnsavedChanges) {
+      this.cancelScheduledSave();
+      return Promise.resolve(true);
+    }
+    return this.saveStepData();
+  }
+
+  /**
+   * 現在の歩数データ（歩数・活動ごとの歩数・移動距離・消費カロリー）をストレージに保存し、
+   * 未記録の歩数をタイムラインに記録する
+   * @returns {Promise<boolean>} 歩数データの保存に成功した場合はtrue
+   * 
+   * 要件: 2.1 - 歩数が更新された場合、ストレージに保存する
+   * 予約済みの保存は不要になるため取り消す。保存先への書き込みは呼び出した順に行われる。
+   * 書き込みに失敗した場合（保存先が例外を投げた場合を含む）は未保存のまま残し、SAVE_INTERVAL_MS 後に再試行する。
+   */
+  saveStepData() {
+    const savingSteps = this.unsavedSteps;
+    this.cancelScheduledSave();
+    this.unsavedSteps = 0;
+    this.hasUnsavedChanges = false;
+
+    if (this.unsavedTimelineEntries.length > 0) {
+      const entries = this.unsavedTimelineEntries;
+      this.unsavedTimelineEntries = [];
+      // 記録できなかった歩数は、以降に加算した歩数より前の記録として戻す
+      const requeueEntries = () => {
+        this.unsavedTimelineEntries.unshift(...entries);
+        this.retryFailedSave(0);
+      };
+      new Promise((resolve) => resolve(this.storageManager.recordSteps(entries)))
+        .then((recorded) => {
+          if (!recorded) {
+            requeueEntries();
+          }
+        })
+        .catch((error) => {
+          console.error('Failed to record steps:', error);
+          requeueEntries();
+        });
+    }
+
+    const data = {
+      steps: this.currentSteps,
+      activities: this.getActivitySteps(),
+      distance: this.distance,
+      calories: this.calories,
+      timestamp: Date.now()
+    };
+    // 呼び出し元は完了を待たないことがあるため、例外も失敗として扱い拒否されたPromiseを返さない
+    return new Promise((resolve) => resolve(this.storageManager.saveStepData(data)))
+      .catch((error) => {
+        console.error('Failed to save step data:', error);
+        return false;
+      })
+      .then((saved) => {
+        if (!saved) {
+          this.retryFailedSave(savingSteps);
+        }
+        return saved;
+      });
+  }
+
+  /**
+   * 書き込みに失敗した保存を未保存に戻し、再試行を予約する
+   * @param {number} count - 保存できなかった歩数
+   */
+  retryFailedSave(count) {
+    this.unsavedSteps += count;
+    this.hasUnsavedChanges = true;
+    if (this.saveTimer === null) {
+      this.saveTimer = setTimeout(() => this.flushStepData(), this.SAVE_INTERVAL_MS);
+    }
   }
 
   /**
    * 歩数をリセット
+   * @param {string} [source='timer'] - リセットの要因（'reset' イベントの source に設定）
+   * @returns {Promise<boolean>} リセット後の歩数データの保存に成功した場合はtrue
    * 
    * 要件:
    * - 3.1: リセット時刻に到達した場合、歩数カウンターを0にリセットする
    * - 6.1: 歩数が負の値にならないことを保証する
    */
-  reset() {
+  reset(source = 'timer') {
+    const previousSteps = this.currentSteps;
     this.currentSteps = 0;
+    this.activitySteps = this.createEmptyActivitySteps();
+    this.distance = 0;
+    this.calories = 0;
+
+    // 前の日次期間に検出された保留中の歩数とケイデンスは破棄
+    this.regularityGate.reset();
+    this.cadenceTracker.reset();
     
-    // ローカルストレージに保存
-    this.storageManager.saveStepData({
-      steps: 0,
-      timestamp: Date.now()
-    });
+    // 予約済みの保存を待たずにストレージに保存（通知は書き込みの完了を待たない）
+    const saved = this.saveStepData();
     
     // オブザーバーに通知（UI更新）
     this.notifyObservers();
+    this.lastRestoreEvent = null;
+    this.emit('reset', { delta: -previousSteps, source, previousSteps });
+    return saved;
   }
 
   /**
@@ -180,15 +555,130 @@ class StepCounter {
     return Math.max(0, this.currentSteps);
   }
 
+  /**
+   * 現在の活動を取得
+   * @returns {string} 活動の種類（idle, walking, running, stairs-up, stairs-down）
+   */
+  getCurrentActivity() {
+    return this.currentActivity;
+  }
+
+  /**
+   * 現在のケイデンスと目標範囲の判定を取得
+   * @returns {{cadence: number|null, averageCadence: number|null, target: Object|null, inTargetRange: boolean|null}}
+   *   ケイデンスと平均ケイデンス（歩/分、静止中はnull）、目標ケイデンスの設定、
+   *   目標範囲内かどうか（目標が無効またはケイデンスがない場合はnull）
+   */
+  getCadence() {
+    const isMoving = this.currentActivity !== 'idle';
+    const cadence = isMoving ? this.cadenceTracker.getCadence() : null;
+    const averageCadence = isMoving ? this.cadenceTracker.getAverageCadence() : null;
+    const target = this.cadenceTarget;
+    const inTargetRange = target && target.enabled && cadence !== null
+      ? cadence >= target.min && cadence <= target.max
+      : null;
+
+    return { cadence, averageCadence, target, inTargetRange };
+  }
+
+  /**
+   * 目標ケイデンスの設定を変更し、ストレージに保存する
+   * @param {Object} target - 目標ケイデンスの設定
+   * @param {boolean} target.enabled - 目標範囲を表示するか
+   * @param {number} target.min - 目標範囲の下限（歩/分）
+   * @param {number} target.max - 目標範囲の上限（歩/分）
+   * @returns {Promise<boolean>} 保存に成功した場合はtrue
+   */
+  async setCadenceTarget(target) {
+    if (!(await this.storageManager.setCadenceTarget(target))) {
+      return false;
+    }
+    this.cadenceTarget = { enabled: target.enabled, min: target.min, max: target.max };
+    this.notifyObservers();
+    return true;
+  }
+
+  /**
+   * 現在の日次期間の推定移動距離を取得
+   * @returns {number} 移動距離（メートル）
+   */
+  getDistance() {
+    return this.distance;
+  }
+
+  /**
+   * 現在の日次期間の推定活動消費カロリーを取得
+   * @returns {number} 活動消費カロリー（kcal）
+   */
+  getCalories() {
+    return this.calories;
+  }
+
+  /**
+   * ユーザープロファイルを変更し、ストレージに保存する
+   * @param {Object} profile - ユーザープロファイル（StorageManager.setUserProfile() と同じ形式）
+   * @returns {Promise<boolean>} 保存に成功した場合はtrue
+   *
+   * 変更後のプロファイルはこれから加算する距離・消費カロリーにのみ適用する（記録済みの値は変えない）。
+   */
+  async setUserProfile(profile) {
+    if (!(await this.storageManager.setUserProfile(profile))) {
+      return false;
+    }
+    this.userProfile = { ...profile };
+    this.distanceEstimator.configure(this.userProfile);
+    this.calorieEstimator.configure(this.userProfile);
+    this.notifyObservers();
+    return true;
+  }
+
+  /**
+   * 活動ごとの歩数を取得
+   * @returns {Object} 活動の種類 → 歩数（コピー）
+   */
+  getActivitySteps() {
+    return { ...this.activitySteps };
+  }
+
+  /**
+   * 活動ごとの歩数を0で初期化したオブジェクトを生成
+   * @returns {Object} 活動の種類 → 0
+   */
+  createEmptyActivitySteps() {
+    const activitySteps = {};
+    for (const activity of this.activityClassifier.STEP_ACTIVITIES) {
+      activitySteps[activity] = 0;
+    }
+    return activitySteps;
+  }
+
+  /**
+   * 保存された活動ごとの歩数を復元（未知の活動や不正な値は無視）
+   * @param {Object} [saved] - 保存された活動ごとの歩数
+   * @returns {Object} 活動の種類 → 歩数
+   */
+  restoreActivitySteps(saved) {
+    const activitySteps = this.createEmptyActivitySteps();
+    if (typeof saved !== 'object' || saved === null) {
+      return activitySteps;
+    }
+    for (const activity of Object.keys(activitySteps)) {
+      if (Number.isInteger(saved[activity]) && saved[activity] >= 0) {
+        activitySteps[activity] = saved[activity];
+      }
+    }
+    return activitySteps;
+  }
+
   /**
    * 現在の日次期間内かを確認
    * @param {number} timestamp - 確認するタイムスタンプ（Unix時間ミリ秒）
-   * @returns {boolean} 現在の日次期間内の場合はtrue
+   * @returns {Promise<boolean>} 現在の日次期間内の場合はtrue
    * 
    * 要件: 6.3 - タイムスタンプを検証し、データの新鮮性を確認
    */
-  isCurrentPeriod(timestamp) {
-    const resetTime = this.storageManager.getResetTime();
+  async isCurrentPeriod(timestamp) {
+    const resetTime = await this.storageManager.getResetTime();
     const lastReset = this.calculateLastResetTime(resetTime);
     return timestamp >= lastReset;
   }
@@ -216,6 +706,7 @@ class StepCounter {
   /**
    * オブザーバーを追加（UI更新用）
    * @param {Function} observer - 歩数が更新されたときに呼び出されるコールバック関数
+   *   （引数: 歩数、getCadence() と同じ形式のケイデンス情報）
    * 
    * 要件: 1.2 - 更新された歩数を即座に画面に表示する
    */
@@ -244,7 +735,7 @@ class StepCounter {
   notifyObservers() {
     for (const observer of this.observers) {
       try {
-        observer(this.currentSteps);
+        observer(this.currentSteps, this.getCadence());
       } catch (error) {
         console.error('Error notifying observer:', error);
       }
@@ -252,18 +743,85 @@ class StepCounter {
   }
 
   /**
-   * モーション検出を通知（デバッグ用）
+   * イベントのハンドラーを登録
+   * @param {string} type - イベントの種類（'step' | 'manual' | 'reset' | 'restore' | 'motion'）
+   * @param {Function} handler - イベントの発生時に呼び出されるコールバック関数（引数: イベントのペイロード）
+   * @returns {boolean} 登録できた場合はtrue（未知の種類の場合はfalse）
+   *
+   * restore は initialize() の中で購読より先に発行されるため、登録時に最後の restore イベントを渡す。
+   *
+   * ペイロードは共通して以下を持ち、種類ごとの項目が加わる。
+   * - type: イベントの種類
+   * - timestamp: イベントの発生時刻（ミリ秒）
+   * - delta: 歩数の増減（リセットは負の値、motion は0）
+   * - steps: イベント後の歩数
+   * - source: 発生元（'sensor' | 'manual' | 'storage' | リセットの要因）
+   * - detector: 使用中の検出アルゴリズム（type, parameters）
    */
-  notifyMotionDetected(acceleration, magnitude) {
-    // デバッグ情報をコンソールに出力
-    if (this.motionCount % 20 === 0) { // 20回に1回だけ出力
-      console.log(`📱 Motion #${this.motionCount}: x=${acceleration.x.toFixed(2)}, y=${acceleration.y.toFixed(2)}, z=${acceleration.z.toFixed(2)}, magnitude=${magnitude.toFixed(2)}, threshold=${this.stepThreshold}`);
+  on(type, handler) {
+    if (!this.EVENT_TYPES.includes(type) || typeof handler !== 'function') {
+      return false;
     }
-    
-    // 最大値を記録（デバッグ用）
-    if (!this.maxMagnitude || magnitude > this.maxMagnitude) {
-      this.maxMagnitude = magnitude;
-      console.log(`📱 新しい最大値: ${magnitude.toFixed(2)} m/s²`);
+    if (!this.eventHandlers[type]) {
+      this.eventHandlers[type] = [];
+    }
+    this.eventHandlers[type].push(handler);
+    if (type === 'restore' && this.lastRestoreEvent) {
+      this.invokeHandler(handler, this.lastRestoreEvent);
+    }
+    return true;
+  }
+
+  /**
+   * イベントのハンドラーを削除
+   * @param {string} type - イベントの種類
+   * @param {Function} handler - 削除するハンドラー
+   */
+  off(type, handler) {
+    const handlers = this.eventHandlers[type];
+    const index = handlers ? handlers.indexOf(handler) : -1;
+    if (index > -1) {
+      handlers.splice(index, 1);
+    }
+  }
+
+  /**
+   * イベントを発行し、登録されたハンドラーを呼び出す
+   * @param {string} type - イベントの種類
+   * @param {Object} details - 種類ごとのペイロードの項目（delta, source など）
+   */
+  emit(type, details) {
+    const handlers = this.eventHandlers[type] || [];
+    if (handlers.length === 0 && type !== 'restore') {
+      return;
+    }
+
+    const event = {
+      type,
+      timestamp: Date.now(),
+      steps: this.currentSteps,
+      detector: { type: this.detector.type, parameters: this.detector.getParameters() },
+      ...details
+    };
+    if (type === 'restore') {
+      this.lastRestoreEvent = event;
+    }
+    // ハンドラー内での登録・削除の影響を受けないようにコピーに対して呼び出す
+    for (const handler of [...handlers]) {
+      this.invokeHandler(handler, event);
+    }
+  }
+
+  /**
+   * イベントのハンドラーを呼び出す（ハンドラーのエラーは他のハンドラーに影響させない）
+   * @param {Function} handler - ハンドラー
+   * @param {Object} event - イベントのペイロード
+   */
+  invokeHandler(handler, event) {
+    try {
+      handler(event);
+    } catch (error) {
+      console.error(`Error handling ${event.type} event:`, error);
     }
   }
 
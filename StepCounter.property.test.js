@@ -4,14 +4,37 @@
  * Feature: step-counter-app
  * 
  * テスト対象のプロパティ:
- * - プロパティ1: 加速度閾値による歩数カウント（要件 1.1）
+ * - プロパティ1: 重力除去後の信号による歩数カウント（要件 1.1）
  * - プロパティ5: リセットによる歩数の初期化（要件 3.1）
  * - プロパティ10: 歩数の非負性（要件 6.1）
  * - プロパティ11: タイムスタンプの検証（要件 6.3）
+ * - プロパティ12: シミュレーションした歩行の歩数の再現（要件 1.1）
  */
 
 const fc = require('fast-check');
 const StepCounter = require('./StepCounter');
+const GaitSimulator = require('./GaitSimulator');
+
+/**
+ * 歩行のシミュレーション設定のジェネレーター
+ * （一般的な歩行の範囲のケイデンス・振幅、任意の端末の向き、ノイズ、立ち止まり）
+ */
+const gaitArbitrary = fc.record({
+  steps: fc.integer({ min: 20, max: 80 }),
+  cadence: fc.integer({ min: 80, max: 150 }),
+  amplitude: fc.double({ min: 2, max: 5, noNaN: true }),
+  orientation: fc.record({
+    pitch: fc.integer({ min: -90, max: 90 }),
+    roll: fc.integer({ min: -180, max: 180 })
+  }),
+  noise: fc.double({ min: 0, max: 0.3, noNaN: true }),
+  sampleRate: fc.constantFrom(50, 60, 100),
+  pause: fc.option(fc.record({
+    afterSteps: fc.integer({ min: 10, max: 60 }),
+    duration: fc.integer({ min: 2500, max: 6000 })
+  }), { nil: null }),
+  seed: fc.nat()
+});
 
 describe('StepCounter - Property-Based Tests', () => {
   let mockStorageManager;
@@ -22,10 +45,23 @@ describe('StepCounter - Property-Based Tests', () => {
     mockStorageManager = {
       loadStepData: jest.fn(() => null),
       saveStepData: jest.fn(() => true),
+      recordSteps: jest.fn(async () => true),
       getResetTime: jest.fn(() => '00:00'),
       setResetTime: jest.fn(() => true),
       saveHistory: jest.fn(() => true),
-      loadHistory: jest.fn(() => [])
+      loadHistory: jest.fn(() => []),
+      getDetectorType: jest.fn(() => null),
+      setDetectorType: jest.fn(() => true),
+      // 検出アルゴリズム単体の挙動を確認するため、歩行確認は既定で無効にする
+      getWalkingConfirmation: jest.fn(() => ({ enabled: false, requiredSteps: 8 })),
+      setWalkingConfirmation: jest.fn(() => true),
+      getCalibrationProfile: jest.fn(() => null),
+      setCalibrationProfile: jest.fn(() => true),
+      clearCalibrationProfile: jest.fn(() => true),
+      getCadenceTarget: jest.fn(() => ({ enabled: false, min: 160, max: 180 })),
+      setCadenceTarget: jest.fn(() => true),
+      getUserProfile: jest.fn(() => ({ height: null, weight: null, age: null, sex: null, strideLength: null, distanceUnit: 'km' })),
+      setUserProfile: jest.fn(() => true)
     };
 
     // SensorAdapterのモック
@@ -41,14 +77,15 @@ describe('StepCounter - Property-Based Tests', () => {
   });
 
   /**
-   * Feature: step-counter-app, Property 1: 加速度閾値による歩数カウント
+   * Feature: step-counter-app, Property 1: 重力除去後の信号による歩数カウント
    * 
-   * 任意の加速度データに対して、その大きさが閾値を超える場合にのみ歩数がカウントされるべきである
+   * 任意の向きで静止している端末（一定の加速度）では歩数がカウントされず、
+   * 歩数は加速度の大きさそのものではなく、重力を除去した信号の周期的な変化によってのみカウントされるべきである
    * 
    * **Validates: Requirements 1.1**
    */
-  describe('Property 1: 加速度閾値による歩数カウント', () => {
-    test('任意の加速度データに対して、大きさが閾値を超える場合にのみ歩数がカウントされる', async () => {
+  describe('Property 1: 重力除去後の信号による歩数カウント', () => {
+    test('任意の一定の加速度（静止した端末）に対して、歩数はカウントされない', async () => {
       await fc.assert(
         fc.asyncProperty(
           // 加速度データのジェネレーター（-20 ~ 20 m/s²の範囲）
@@ -57,74 +94,60 @@ describe('StepCounter - Property-Based Tests', () => {
             y: fc.float({ min: -20, max: 20, noNaN: true }),
             z: fc.float({ min: -20, max: 20, noNaN: true })
           }),
-          async (acceleration) => {
-            // 新しいStepCounterインスタンスを作成
+          fc.integer({ min: 1, max: 200 }),
+          async (acceleration, sampleCount) => {
             const stepCounter = new StepCounter(mockStorageManager, mockSensorAdapter);
             await stepCounter.initialize();
 
             const initialSteps = stepCounter.getCurrentSteps();
 
-            // 加速度の大きさを計算
-            const magnitude = Math.sqrt(
-              acceleration.x ** 2 + 
-              acceleration.y ** 2 + 
-              acceleration.z ** 2
-            );
-
-            // 最小歩数間隔をリセット（テストのため）
-            stepCounter.lastStepTime = 0;
-
-            // 加速度データを処理
-            stepCounter.onMotionDetected(acceleration);
-
-            const finalSteps = stepCounter.getCurrentSteps();
-            const threshold = stepCounter.stepThreshold;
-
-            // プロパティ: 大きさが閾値を超える場合にのみ歩数が増加する
-            if (magnitude > threshold) {
-              expect(finalSteps).toBe(initialSteps + 1);
-            } else {
-              expect(finalSteps).toBe(initialSteps);
+            for (let i = 0; i < sampleCount; i++) {
+              // 最小歩数間隔の影響を除外（テストのため）
+              stepCounter.detector.lastStepTime = 0;
+              stepCounter.onMotionDetected(acceleration);
             }
+
+            // プロパティ: 加速度の大きさに関わらず、変化がなければ歩数は増加しない
+            expect(stepCounter.getCurrentSteps()).toBe(initialSteps);
           }
         ),
         { numRuns: 100 }
       );
     });
 
-    test('閾値を超える加速度でも最小間隔内では1歩のみカウントされる', async () => {
+    test('任意の周期の信号に対して、カウントされる歩数の間隔はセンサー時刻で最小間隔以上である', async () => {
       await fc.assert(
         fc.asyncProperty(
-          // 閾値を超える加速度データのペア
-          fc.tuple(
-            fc.record({
-              x: fc.float({ min: 1.0, max: 10, noNaN: true }),
-              y: fc.float({ min: 1.0, max: 10, noNaN: true }),
-              z: fc.float({ min: 0, max: 5, noNaN: true })
-            }),
-            fc.record({
-              x: fc.float({ min: 1.0, max: 10, noNaN: true }),
-              y: fc.float({ min: 1.0, max: 10, noNaN: true }),
-              z: fc.float({ min: 0, max: 5, noNaN: true })
-            })
-          ),
-          async ([accel1, accel2]) => {
+          // 閾値を十分に超える振幅、振動の周波数、重力の向き、サンプリングレート
+          fc.float({ min: 3, max: 10, noNaN: true }),
+          fc.float({ min: 1, max: 8, noNaN: true }),
+          fc.constantFrom('x', 'y', 'z'),
+          fc.constantFrom(25, 50, 60, 100),
+          async (amplitude, frequency, axis, sampleRate) => {
             const stepCounter = new StepCounter(mockStorageManager, mockSensorAdapter);
             await stepCounter.initialize();
 
-            const initialSteps = stepCounter.getCurrentSteps();
+            const stepTimes = [];
+            let previousSteps = stepCounter.getCurrentSteps();
 
-            // 1回目の加速度データ
-            stepCounter.onMotionDetected(accel1);
-            const stepsAfterFirst = stepCounter.getCurrentSteps();
+            // 3秒分の信号をセンサー時刻付きで入力する
+            for (let i = 0; i < sampleRate * 3; i++) {
+              const timestamp = i * 1000 / sampleRate;
+              const acceleration = { x: 0, y: 0, z: 0, timestamp };
+              acceleration[axis] = 9.81 + amplitude * Math.sin(2 * Math.PI * frequency * timestamp / 1000);
+              stepCounter.onMotionDetected(acceleration);
 
-            // 最小間隔内に2回目の加速度データ（間隔をリセットしない）
-            stepCounter.onMotionDetected(accel2);
-            const stepsAfterSecond = stepCounter.getCurrentSteps();
+              if (stepCounter.getCurrentSteps() > previousSteps) {
+                stepTimes.push(timestamp);
+                previousSteps = stepCounter.getCurrentSteps();
+              }
+            }
 
-            // プロパティ: 1回目で歩数が増加し、2回目では増加しない
-            expect(stepsAfterFirst).toBe(initialSteps + 1);
-            expect(stepsAfterSecond).toBe(initialSteps + 1);
+            // プロパティ: 連続する歩数の間隔は最小歩数間隔以上
+            const { minStepInterval } = stepCounter.detector.getParameters();
+            for (let i = 1; i < stepTimes.length; i++) {
+              expect(stepTimes[i] - stepTimes[i - 1]).toBeGreaterThanOrEqual(minStepInterval);
+            }
           }
         ),
         { numRuns: 100 }
@@ -177,6 +200,9 @@ describe('StepCounter - Property-Based Tests', () => {
             // プロパティ: リセット時にストレージに0が保存される
             expect(mockStorageManager.saveStepData).toHaveBeenCalledWith({
               steps: 0,
+              activities: { walking: 0, running: 0, 'stairs-up': 0, 'stairs-down': 0 },
+              distance: 0,
+              calories: 0,
               timestamp: expect.any(Number)
             });
           }
@@ -317,7 +343,7 @@ describe('StepCounter - Property-Based Tests', () => {
             const expectedResult = testTimestamp >= lastResetTime;
 
             // プロパティ: タイムスタンプが最後のリセット時刻以降ならtrue
-            expect(stepCounter.isCurrentPeriod(testTimestamp)).toBe(expectedResult);
+            expect(await stepCounter.isCurrentPeriod(testTimestamp)).toBe(expectedResult);
           }
         ),
         { numRuns: 100 }
@@ -345,7 +371,7 @@ describe('StepCounter - Property-Based Tests', () => {
 
             // プロパティ: 24時間以上前のタイムスタンプはfalse
             // （ただし、リセット時刻によっては24時間以内でもfalseになる可能性がある）
-            const result = stepCounter.isCurrentPeriod(oldTimestamp);
+            const result = await stepCounter.isCurrentPeriod(oldTimestamp);
             
             // 最後のリセット時刻を計算
             const lastResetTime = stepCounter.calculateLastResetTime(resetTimeStr);
@@ -404,6 +430,9 @@ describe('StepCounter - Property-Based Tests', () => {
             expect(stepCounter.getCurrentSteps()).toBe(0);
             expect(mockStorageManager.saveStepData).toHaveBeenCalledWith({
               steps: 0,
+              activities: { walking: 0, running: 0, 'stairs-up': 0, 'stairs-down': 0 },
+              distance: 0,
+              calories: 0,
               timestamp: expect.any(Number)
             });
           }
@@ -412,4 +441,57 @@ describe('StepCounter - Property-Based Tests', () => {
       );
     });
   });
+
+  /**
+   * Feature: step-counter-app, Property 12: シミュレーションした歩行の歩数の再現
+   * 
+   * 任意のケイデンス・振幅・端末の向き・ノイズ・立ち止まりでシミュレーションした歩行に対して、
+   * カウントされる歩数はシミュレーションした歩数の±5%以内であるべきである
+   * 
+   * **Validates: Requirements 1.1**
+   */
+  describe('Property 12: シミュレーションした歩行の歩数の再現', () => {
+    /**
+     * 歩行をシミュレーションしてStepCounterに入力し、カウントされた歩数と正解の歩数を返す
+     */
+    async function countSimulatedSteps({ steps, pause, ...options }) {
+      const simulator = new GaitSimulator({ ...options, pauses: pause ? [pause] : [] });
+      const { samples } = simulator.generate(steps);
+
+      const stepCounter = new StepCounter(mockStorageManager, mockSensorAdapter);
+      await stepCounter.initialize();
+      for (const sample of samples) {
+        stepCounter.onMotionDetected(sample);
+      }
+      return stepCounter.getCurrentSteps();
+    }
+
+    test('カウントされる歩数はシミュレーションした歩数の±5%以内である', async () => {
+      await fc.assert(
+        fc.asyncProperty(gaitArbitrary, async (gait) => {
+          const counted = await countSimulatedSteps(gait);
+
+          expect(Math.abs(counted - gait.steps)).toBeLessThanOrEqual(Math.ceil(gait.steps * 0.05));
+        }),
+        { numRuns: 30 }
+      );
+    });
+
+    test('歩行確認を有効にしても、立ち止まりを挟んだ歩行の歩数は±5%以内である', async () => {
+      mockStorageManager.getWalkingConfirmation.mockReturnValue({ enabled: true, requiredSteps: 8 });
+
+      // 歩行確認に必要な歩数より十分長い区間のみ（短い区間の歩数は確定しないため）
+      const longBoutsArbitrary = gaitArbitrary.filter(({ steps, pause }) =>
+        steps >= 30 && (!pause || (pause.afterSteps >= 15 && steps - pause.afterSteps >= 15)));
+
+      await fc.assert(
+        fc.asyncProperty(longBoutsArbitrary, async (gait) => {
+          const counted = await countSimulatedSteps(gait);
+
+          expect(Math.abs(counted - gait.steps)).toBeLessThanOrEqual(Math.ceil(gait.steps * 0.05));
+        }),
+        { numRuns: 30 }
+      );
+    });
+  });
 });
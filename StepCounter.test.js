@@ -4,7 +4,7 @@
  * テスト対象:
  * - アプリ起動時のデータ読み込み（要件 2.2）
  * - 古いデータでの初期化時のリセット（要件 3.4, 6.4）
- * - 加速度データの分析と歩数カウント（要件 1.1）
+ * - 重力除去・ピーク検出による歩数カウント（要件 1.1）
  * - オブザーバーパターンによるUI更新通知（要件 1.2）
  */
 
@@ -19,11 +19,24 @@ describe('StepCounter', () => {
     // StorageManagerのモック
     mockStorageManager = {
       loadStepData: jest.fn(),
-      saveStepData: jest.fn(),
+      saveStepData: jest.fn(() => true),
+      recordSteps: jest.fn(async () => true),
       getResetTime: jest.fn(() => '00:00'),
       setResetTime: jest.fn(),
       saveHistory: jest.fn(),
-      loadHistory: jest.fn(() => [])
+      loadHistory: jest.fn(() => []),
+      getDetectorType: jest.fn(() => null),
+      setDetectorType: jest.fn(() => true),
+      // 検出アルゴリズム単体の挙動を確認するため、歩行確認は既定で無効にする
+      getWalkingConfirmation: jest.fn(() => ({ enabled: false, requiredSteps: 8 })),
+      setWalkingConfirmation: jest.fn(() => true),
+      getCalibrationProfile: jest.fn(() => null),
+      setCalibrationProfile: jest.fn(() => true),
+      clearCalibrationProfile: jest.fn(() => true),
+      getCadenceTarget: jest.fn(() => ({ enabled: false, min: 160, max: 180 })),
+      setCadenceTarget: jest.fn(() => true),
+      getUserProfile: jest.fn(() => ({ height: null, weight: null, age: null, sex: null, strideLength: null, distanceUnit: 'km' })),
+      setUserProfile: jest.fn(() => true)
     };
 
     // SensorAdapterのモック
@@ -49,6 +62,9 @@ describe('StepCounter', () => {
       expect(stepCounter.getCurrentSteps()).toBe(0);
       expect(mockStorageManager.saveStepData).toHaveBeenCalledWith({
         steps: 0,
+        activities: { walking: 0, running: 0, 'stairs-up': 0, 'stairs-down': 0 },
+        distance: 0,
+        calories: 0,
         timestamp: expect.any(Number)
       });
     });
@@ -80,6 +96,9 @@ describe('StepCounter', () => {
       expect(stepCounter.getCurrentSteps()).toBe(0);
       expect(mockStorageManager.saveStepData).toHaveBeenCalledWith({
         steps: 0,
+        activities: { walking: 0, running: 0, 'stairs-up': 0, 'stairs-down': 0 },
+        distance: 0,
+        calories: 0,
         timestamp: expect.any(Number)
       });
     });
@@ -105,51 +124,885 @@ describe('StepCounter', () => {
   });
 
   describe('歩数カウント', () => {
+    /**
+     * 歩行を模した加速度サンプル列を生成する（Z軸の重力 + 1歩1周期の上下動）
+     */
+    function createWalkingSamples(steps, { sampleRate = 60, stepsPerSecond = 2, amplitude = 2 } = {}) {
+      const samples = [];
+      const total = Math.round(steps * sampleRate / stepsPerSecond);
+      for (let i = 0; i < total; i++) {
+        const t = i / sampleRate;
+        samples.push({ x: 0, y: 0, z: 9.81 + amplitude * Math.sin(2 * Math.PI * stepsPerSecond * t) });
+      }
+      return samples;
+    }
+
+    /**
+     * サンプリング周期ごとのセンサー時刻を付けてサンプルを入力する
+     */
+    function feed(samples, sampleRate = 60) {
+      samples.forEach((sample, i) => {
+        stepCounter.onMotionDetected({ ...sample, timestamp: 1000 + i * 1000 / sampleRate });
+      });
+    }
+
     beforeEach(async () => {
       mockStorageManager.loadStepData.mockReturnValue(null);
       await stepCounter.initialize();
     });
 
-    test('閾値を超える加速度で歩数がカウントされる（要件 1.1）', () => {
-      const initialSteps = stepCounter.getCurrentSteps();
+    test('歩行パターンの加速度で歩数がカウントされる（要件 1.1）', () => {
+      feed(createWalkingSamples(20));
+
+      expect(stepCounter.getCurrentSteps()).toBeGreaterThanOrEqual(19);
+      expect(stepCounter.getCurrentSteps()).toBeLessThanOrEqual(20);
+    });
+
+    test('サンプルや歩数ごとにコンソールへ出力しない', () => {
+      const logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+
+      feed(createWalkingSamples(20));
+
+      expect(stepCounter.getCurrentSteps()).toBeGreaterThan(0);
+      expect(logSpy).not.toHaveBeenCalled();
+      logSpy.mockRestore();
+    });
+
+    test('静止状態（重力のみ）では歩数がカウントされない（要件 1.1）', () => {
+      // 机の上に置いた状態：重力＋微小なノイズ
+      const samples = [];
+      for (let i = 0; i < 600; i++) {
+        samples.push({ x: 0.02 * Math.sin(i), y: 0.02 * Math.cos(i * 1.7), z: 9.81 + 0.05 * Math.sin(i * 0.3) });
+      }
 
-      // 閾値（1.2）を超える加速度
-      stepCounter.onMotionDetected({ x: 1.0, y: 1.0, z: 0.5 });
+      feed(samples);
 
-      expect(stepCounter.getCurrentSteps()).toBe(initialSteps + 1);
+      expect(stepCounter.getCurrentSteps()).toBe(0);
     });
 
-    test('閾値以下の加速度では歩数がカウントされない（要件 1.1）', () => {
-      const initialSteps = stepCounter.getCurrentSteps();
+    test('端末の向きに関わらず、重力だけでは歩数がカウントされない', () => {
+      const samples = [];
+      for (let i = 0; i < 300; i++) {
+        samples.push({ x: 5.66, y: 5.66, z: 5.66 });
+      }
 
-      // 閾値（1.2）以下の加速度
-      stepCounter.onMotionDetected({ x: 0.1, y: 0.1, z: 0.1 });
+      feed(samples);
 
-      expect(stepCounter.getCurrentSteps()).toBe(initialSteps);
+      expect(stepCounter.getCurrentSteps()).toBe(0);
     });
 
-    test('最小歩数間隔内の連続した動きは1歩としてカウントされる', () => {
-      const initialSteps = stepCounter.getCurrentSteps();
+    test('閾値以下の小さな揺れでは歩数がカウントされない（要件 1.1）', () => {
+      feed(createWalkingSamples(20, { amplitude: 0.2 }));
 
-      // 1回目の歩数
-      stepCounter.onMotionDetected({ x: 1.0, y: 1.0, z: 0.5 });
-      expect(stepCounter.getCurrentSteps()).toBe(initialSteps + 1);
+      expect(stepCounter.getCurrentSteps()).toBe(0);
+    });
 
-      // 最小間隔（300ms）内の2回目の動き - カウントされない
-      stepCounter.onMotionDetected({ x: 1.0, y: 1.0, z: 0.5 });
-      expect(stepCounter.getCurrentSteps()).toBe(initialSteps + 1);
+    test('最小歩数間隔内の連続したピークはカウントされない', () => {
+      // 8Hzの振動（125ms周期）は最小間隔（250ms）より短い
+      feed(createWalkingSamples(40, { stepsPerSecond: 8, amplitude: 6 }));
+
+      const durationMs = 40 / 8 * 1000;
+      expect(stepCounter.getCurrentSteps()).toBeGreaterThan(0);
+      expect(stepCounter.getCurrentSteps()).toBeLessThanOrEqual(Math.ceil(durationMs / stepCounter.detector.parameters.minStepInterval));
     });
 
-    test('歩数が増加したときにストレージに保存される（要件 2.1）', () => {
+    test('歩数が増加した後、保存したときにストレージに書き込まれる（要件 2.1）', () => {
       mockStorageManager.saveStepData.mockClear();
 
-      stepCounter.onMotionDetected({ x: 1.0, y: 1.0, z: 0.5 });
+      feed(createWalkingSamples(1));
+      stepCounter.flushStepData();
 
       expect(mockStorageManager.saveStepData).toHaveBeenCalledWith({
         steps: 1,
+        activities: { walking: 1, running: 0, 'stairs-up': 0, 'stairs-down': 0 },
+        distance: expect.any(Number),
+        calories: expect.any(Number),
         timestamp: expect.any(Number)
       });
     });
+
+    test('resetDetector()でフィルタとピーク検出の状態が初期化される', () => {
+      feed(createWalkingSamples(3));
+
+      stepCounter.resetDetector();
+
+      expect(stepCounter.detector.gravityEstimate).toBeNull();
+      expect(stepCounter.detector.filteredSignal).toBe(0);
+      expect(stepCounter.detector.detectionPhase).toBe('awaitingPeak');
+      expect(stepCounter.detector.lastStepTime).toBe(-Infinity);
+    });
+
+    test('歩数間隔はイベントの処理時刻ではなくセンサー時刻で判定される', () => {
+      // 処理の遅延でイベントがまとめて届いても（Date.nowは進まない）、センサー時刻どおりにカウントされる
+      jest.spyOn(Date, 'now').mockReturnValue(1700000000000);
+
+      feed(createWalkingSamples(10));
+
+      expect(stepCounter.getCurrentSteps()).toBeGreaterThanOrEqual(9);
+      jest.restoreAllMocks();
+    });
+
+    test('サンプリングレートが異なっても同じ歩数がカウントされる', () => {
+      feed(createWalkingSamples(20, { sampleRate: 25 }), 25);
+
+      expect(stepCounter.getCurrentSteps()).toBeGreaterThanOrEqual(19);
+      expect(stepCounter.getCurrentSteps()).toBeLessThanOrEqual(20);
+    });
+
+    test('時刻を持たないサンプルは現在時刻で処理される', () => {
+      expect(stepCounter.getSampleTime({ x: 0, y: 0, z: 9.81 })).toBeCloseTo(Date.now(), -3);
+      expect(stepCounter.getSampleTime({ x: 0, y: 0, z: 9.81, timestamp: 1234.5 })).toBe(1234.5);
+    });
+  });
+
+  describe('歩数検出アルゴリズムの切り替え', () => {
+    test('既定ではピーク検出が使用される', () => {
+      expect(stepCounter.detector.type).toBe('peak');
+    });
+
+    test('保存された検出アルゴリズムが初期化時に復元される', async () => {
+      mockStorageManager.loadStepData.mockReturnValue(null);
+      mockStorageManager.getDetectorType.mockReturnValue('zero-crossing');
+
+      await stepCounter.initialize();
+
+      expect(stepCounter.detector.type).toBe('zero-crossing');
+    });
+
+    test('未知の検出アルゴリズムが保存されている場合は既定のまま初期化される', async () => {
+      mockStorageManager.loadStepData.mockReturnValue(null);
+      mockStorageManager.getDetectorType.mockReturnValue('unknown');
+
+      await stepCounter.initialize();
+
+      expect(stepCounter.detector.type).toBe('peak');
+    });
+
+    test('setDetector()で検出アルゴリズムを切り替え、選択が保存される', async () => {
+      const result = await stepCounter.setDetector('autocorrelation');
+
+      expect(result).toBe(true);
+      expect(stepCounter.detector.type).toBe('autocorrelation');
+      expect(mockStorageManager.setDetectorType).toHaveBeenCalledWith('autocorrelation');
+    });
+
+    test('未登録の検出アルゴリズムには切り替えられない', async () => {
+      const result = await stepCounter.setDetector('unknown');
+
+      expect(result).toBe(false);
+      expect(stepCounter.detector.type).toBe('peak');
+      expect(mockStorageManager.setDetectorType).not.toHaveBeenCalled();
+    });
+
+    test('isStep()は選択中の検出アルゴリズムに委譲される', () => {
+      const detect = jest.spyOn(stepCounter.detector, 'detect').mockReturnValue(true);
+      const acceleration = { x: 0, y: 0, z: 9.81 };
+
+      expect(stepCounter.isStep(acceleration)).toBe(true);
+      expect(detect).toHaveBeenCalledWith(acceleration, expect.any(Number));
+    });
+
+    test('選択可能な検出アルゴリズムの一覧を取得できる', () => {
+      const types = stepCounter.getAvailableDetectors().map(({ type }) => type);
+
+      expect(types).toEqual(expect.arrayContaining(['peak', 'threshold', 'zero-crossing', 'autocorrelation']));
+    });
+  });
+
+  describe('端末の向きに依存しない検出', () => {
+    const GaitSimulator = require('./GaitSimulator');
+
+    /**
+     * 指定した向きの歩行を入力し、検出した歩数を返す
+     */
+    async function countSteps(orientation) {
+      const counter = new StepCounter(mockStorageManager, mockSensorAdapter);
+      mockStorageManager.loadStepData.mockReturnValue(null);
+      await counter.initialize();
+      const { samples } = new GaitSimulator({ orientation, seed: 3 }).generate(40);
+      for (const sample of samples) {
+        counter.onMotionDetected(sample);
+      }
+      return counter.getCurrentSteps();
+    }
+
+    test('検出アルゴリズムには重力方向と水平方向の成分を加えたサンプルを渡す', () => {
+      const detect = jest.spyOn(stepCounter.detector, 'detect');
+
+      stepCounter.onMotionDetected({ x: 0, y: 9.81, z: 0, timestamp: 0 });
+      stepCounter.onMotionDetected({ x: 0, y: 11.81, z: 0, timestamp: 20 });
+
+      const [sample] = detect.mock.calls[1];
+      expect(sample).toEqual(expect.objectContaining({ x: 0, y: 11.81, z: 0 }));
+      expect(sample.vertical).toBeGreaterThan(1.9);
+      expect(sample.horizontal).toBeCloseTo(0);
+    });
+
+    test('水平・縦向き・斜めのいずれでも同じ歩数を検出する', async () => {
+      const flat = await countSteps({ pitch: 0, roll: 0 });
+      const portrait = await countSteps({ pitch: 90, roll: 0 });
+      const tilted = await countSteps({ pitch: 30, roll: -65 });
+
+      expect(Math.abs(flat - 40)).toBeLessThanOrEqual(2);
+      expect(portrait).toBe(flat);
+      expect(tilted).toBe(flat);
+    });
+
+    test('motionイベントに重力方向と水平方向の成分が含まれる', () => {
+      const handler = jest.fn();
+      stepCounter.on('motion', handler);
+
+      stepCounter.onMotionDetected({ x: 0, y: 0, z: 9.81, timestamp: 0 });
+
+      expect(handler).toHaveBeenCalledWith(expect.objectContaining({ vertical: 0, horizontal: 0 }));
+    });
+  });
+
+  describe('ジャイロスコープによる除外', () => {
+    const GaitSimulator = require('./GaitSimulator');
+
+    test('端末を手の中で回している間の歩数は数えない', async () => {
+      mockStorageManager.loadStepData.mockReturnValue(null);
+      await stepCounter.initialize();
+      jest.spyOn(stepCounter.detector, 'detect').mockReturnValue(true);
+
+      for (let i = 0; i < 100; i++) {
+        stepCounter.onMotionDetected({ x: 0, y: 0, z: 9.81, timestamp: i * 20, rotationRate: { alpha: 300, beta: 0, gamma: 0 } });
+      }
+
+      expect(stepCounter.getCurrentSteps()).toBeLessThan(5);
+      expect(stepCounter.rotationGate.rejectedSteps).toBeGreaterThan(90);
+    });
+
+    test('歩行による上下方向の加速度がある場合は角速度があっても数える', async () => {
+      mockStorageManager.loadStepData.mockReturnValue(null);
+      await stepCounter.initialize();
+      const { samples } = new GaitSimulator({ amplitude: 4, seed: 5 }).generate(30);
+
+      for (const sample of samples) {
+        // 脚の振りによる角速度（1ストライド＝2歩で1周期）
+        const swing = 150 * Math.sin(Math.PI * sample.timestamp / 1000 * 110 / 60);
+        stepCounter.onMotionDetected({ ...sample, rotationRate: { alpha: 0, beta: swing, gamma: 0 } });
+      }
+
+      expect(Math.abs(stepCounter.getCurrentSteps() - 30)).toBeLessThanOrEqual(2);
+      expect(stepCounter.rotationGate.rejectedSteps).toBe(0);
+    });
+  });
+
+  describe('歩行確認', () => {
+    /**
+     * 一定のリズムの歩行サンプルをセンサー時刻付きで入力する（2歩/秒、60Hz）
+     */
+    function feedWalking(steps, startTime = 1000) {
+      const total = steps * 30;
+      for (let i = 0; i < total; i++) {
+        const timestamp = startTime + i * 1000 / 60;
+        stepCounter.onMotionDetected({ x: 0, y: 0, z: 9.81 + 2 * Math.sin(2 * Math.PI * 2 * i / 60), timestamp });
+      }
+    }
+
+    beforeEach(async () => {
+      mockStorageManager.loadStepData.mockReturnValue(null);
+      mockStorageManager.getWalkingConfirmation.mockReturnValue({ enabled: true, requiredSteps: 8 });
+      await stepCounter.initialize();
+    });
+
+    test('保存された歩行確認の設定が初期化時に反映される', () => {
+      expect(stepCounter.regularityGate.enabled).toBe(true);
+      expect(stepCounter.regularityGate.requiredSteps).toBe(8);
+    });
+
+    test('必要な歩数に達するまで歩数は確定しない', () => {
+      feedWalking(5);
+
+      expect(stepCounter.getCurrentSteps()).toBe(0);
+      expect(stepCounter.regularityGate.getPendingCount()).toBeGreaterThan(0);
+    });
+
+    test('リズムのある連続した歩行では保留分を含めてすべての歩数がカウントされる', () => {
+      const observer = jest.fn();
+      stepCounter.addObserver(observer);
+
+      feedWalking(20);
+
+      expect(stepCounter.getCurrentSteps()).toBeGreaterThanOrEqual(19);
+      expect(stepCounter.getCurrentSteps()).toBeLessThanOrEqual(20);
+      // 保留分はまとめて1回で確定される
+      expect(observer.mock.calls[0][0]).toBe(8);
+    });
+
+    test('手動カウントは歩行確認を経由せずに即座に確定される', () => {
+      stepCounter.incrementStep();
+
+      expect(stepCounter.getCurrentSteps()).toBe(1);
+    });
+
+    test('リセット時に保留中の歩数は破棄される', () => {
+      feedWalking(5);
+
+      stepCounter.reset();
+
+      expect(stepCounter.regularityGate.getPendingCount()).toBe(0);
+    });
+
+    test('setWalkingConfirmation()で設定を変更し、ストレージに保存する', async () => {
+      const result = await stepCounter.setWalkingConfirmation({ enabled: true, requiredSteps: 4 });
+
+      expect(result).toBe(true);
+      expect(mockStorageManager.setWalkingConfirmation).toHaveBeenCalledWith({ enabled: true, requiredSteps: 4 });
+      expect(stepCounter.regularityGate.requiredSteps).toBe(4);
+    });
+
+    test('保存に失敗した場合は設定を変更しない', async () => {
+      mockStorageManager.setWalkingConfirmation.mockReturnValue(false);
+
+      const result = await stepCounter.setWalkingConfirmation({ enabled: false, requiredSteps: 100 });
+
+      expect(result).toBe(false);
+      expect(stepCounter.regularityGate.enabled).toBe(true);
+    });
+  });
+
+  describe('活動の分類', () => {
+    /**
+     * 一定のリズムの動きをセンサー時刻付きで入力する（60Hz）
+     */
+    function feedGait({ stepsPerSecond, amplitude, duration = 5000, startTime = 1000 }) {
+      const total = Math.round(duration * 60 / 1000);
+      for (let i = 0; i < total; i++) {
+        const z = 9.81 + amplitude * Math.sin(2 * Math.PI * stepsPerSecond * i / 60);
+        stepCounter.onMotionDetected({ x: 0, y: 0, z, timestamp: startTime + i * 1000 / 60 });
+      }
+    }
+
+    beforeEach(async () => {
+      mockStorageManager.loadStepData.mockReturnValue(null);
+      await stepCounter.initialize();
+    });
+
+    test('検出された歩数は現在の活動として記録される', () => {
+      feedGait({ stepsPerSecond: 2, amplitude: 2 });
+
+      expect(stepCounter.getCurrentActivity()).toBe('walking');
+      expect(stepCounter.getActivitySteps().walking).toBe(stepCounter.getCurrentSteps());
+    });
+
+    test('走行の歩数は走行として記録される', () => {
+      feedGait({ stepsPerSecond: 3, amplitude: 8 });
+
+      expect(stepCounter.getCurrentActivity()).toBe('running');
+      expect(stepCounter.getActivitySteps().running).toBeGreaterThan(0);
+    });
+
+    test('手動カウントの歩数は活動ごとの歩数に含めない', () => {
+      stepCounter.incrementStep();
+
+      expect(stepCounter.getCurrentSteps()).toBe(1);
+      expect(stepCounter.getActivitySteps()).toEqual({ walking: 0, running: 0, 'stairs-up': 0, 'stairs-down': 0 });
+    });
+
+    test('活動が変わったときにオブザーバーに通知される', () => {
+      const observer = jest.fn();
+      stepCounter.addObserver(observer);
+      feedGait({ stepsPerSecond: 2, amplitude: 2 });
+      observer.mockClear();
+
+      // 歩行を止める
+      feedGait({ stepsPerSecond: 2, amplitude: 0, duration: 3000, startTime: 6000 });
+
+      expect(stepCounter.getCurrentActivity()).toBe('idle');
+      expect(observer).toHaveBeenCalled();
+    });
+
+    test('歩行確認中（歩数が確定する前）は静止として扱う', () => {
+      stepCounter.regularityGate.configure({ enabled: true, requiredSteps: 50 });
+
+      feedGait({ stepsPerSecond: 2, amplitude: 2 });
+
+      expect(stepCounter.getCurrentActivity()).toBe('idle');
+    });
+
+    test('保存された活動ごとの歩数を復元する（不正な値は0とする）', async () => {
+      mockStorageManager.loadStepData.mockReturnValue({
+        steps: 150,
+        activities: { walking: 100, running: 50, 'stairs-up': -1, unknown: 5 },
+        timestamp: Date.now()
+      });
+
+      await stepCounter.initialize();
+
+      expect(stepCounter.getActivitySteps()).toEqual({ walking: 100, running: 50, 'stairs-up': 0, 'stairs-down': 0 });
+    });
+
+    test('リセット時に活動ごとの歩数も0になる', () => {
+      feedGait({ stepsPerSecond: 2, amplitude: 2 });
+
+      stepCounter.reset();
+
+      expect(stepCounter.getActivitySteps()).toEqual({ walking: 0, running: 0, 'stairs-up': 0, 'stairs-down': 0 });
+    });
+  });
+
+  describe('ケイデンス', () => {
+    /**
+     * 一定のリズムの歩行をセンサー時刻付きで入力する（60Hz）
+     */
+    function feedWalking(stepsPerSecond, duration = 6000, startTime = 1000) {
+      const total = Math.round(duration * 60 / 1000);
+      for (let i = 0; i < total; i++) {
+        const z = 9.81 + 2 * Math.sin(2 * Math.PI * stepsPerSecond * i / 60);
+        stepCounter.onMotionDetected({ x: 0, y: 0, z, timestamp: startTime + i * 1000 / 60 });
+      }
+    }
+
+    beforeEach(async () => {
+      mockStorageManager.loadStepData.mockReturnValue(null);
+      mockStorageManager.getCadenceTarget.mockReturnValue({ enabled: true, min: 160, max: 180 });
+      await stepCounter.initialize();
+    });
+
+    test('歩行中は歩数の間隔からケイデンスと平均ケイデンスを求める', () => {
+      feedWalking(2);
+
+      const { cadence, averageCadence } = stepCounter.getCadence();
+      expect(cadence).toBeCloseTo(120, -1);
+      expect(averageCadence).toBeCloseTo(120, -1);
+    });
+
+    test('静止中はケイデンスを持たない', () => {
+      expect(stepCounter.getCadence()).toEqual({
+        cadence: null,
+        averageCadence: null,
+        target: { enabled: true, min: 160, max: 180 },
+        inTargetRange: null
+      });
+    });
+
+    test('ケイデンスが目標範囲内かを判定する', () => {
+      feedWalking(2);
+      expect(stepCounter.getCadence().inTargetRange).toBe(false);
+
+      // 立ち止まった後、目標範囲のケイデンスで歩き出す
+      feedWalking(170 / 60, 8000, 20000);
+      expect(stepCounter.getCadence().inTargetRange).toBe(true);
+    });
+
+    test('目標が無効の場合は範囲を判定しない', async () => {
+      await stepCounter.setCadenceTarget({ enabled: false, min: 160, max: 180 });
+
+      feedWalking(2);
+
+      expect(stepCounter.getCadence().inTargetRange).toBeNull();
+    });
+
+    test('setCadenceTarget()で目標を保存し、オブザーバーに通知する', async () => {
+      const observer = jest.fn();
+      stepCounter.addObserver(observer);
+
+      const result = await stepCounter.setCadenceTarget({ enabled: true, min: 100, max: 130 });
+
+      expect(result).toBe(true);
+      expect(mockStorageManager.setCadenceTarget).toHaveBeenCalledWith({ enabled: true, min: 100, max: 130 });
+      expect(observer).toHaveBeenCalledWith(0, expect.objectContaining({ target: { enabled: true, min: 100, max: 130 } }));
+    });
+
+    test('保存に失敗した場合は目標を変更しない', async () => {
+      mockStorageManager.setCadenceTarget.mockReturnValue(false);
+
+      expect(await stepCounter.setCadenceTarget({ enabled: true, min: 100, max: 130 })).toBe(false);
+      expect(stepCounter.cadenceTarget).toEqual({ enabled: true, min: 160, max: 180 });
+    });
+  });
+
+  describe('移動距離', () => {
+    /**
+     * 一定のリズムの歩行をセンサー時刻付きで入力する（60Hz）
+     */
+    function feedWalking(stepsPerSecond, duration = 6000) {
+      const total = Math.round(duration * 60 / 1000);
+      for (let i = 0; i < total; i++) {
+        const z = 9.81 + 2 * Math.sin(2 * Math.PI * stepsPerSecond * i / 60);
+        stepCounter.onMotionDetected({ x: 0, y: 0, z, timestamp: 1000 + i * 1000 / 60 });
+      }
+    }
+
+    beforeEach(async () => {
+      mockStorageManager.loadStepData.mockReturnValue(null);
+      mockStorageManager.getUserProfile.mockReturnValue({ height: null, strideLength: 70, distanceUnit: 'km' });
+      await stepCounter.initialize();
+    });
+
+    test('手動カウントの歩数は基準の歩幅で距離を加算する', () => {
+      stepCounter.incrementStep();
+
+      expect(stepCounter.getDistance()).toBeCloseTo(0.7);
+    });
+
+    test('検出した歩数はケイデンスに応じた歩幅で距離を加算する', () => {
+      feedWalking(2);
+      const slowStride = stepCounter.getDistance() / stepCounter.getCurrentSteps();
+
+      stepCounter.reset();
+      stepCounter.regularityGate.reset();
+      stepCounter.resetDetector();
+      feedWalking(3);
+      const fastStride = stepCounter.getDistance() / stepCounter.getCurrentSteps();
+
+      expect(fastStride).toBeGreaterThan(slowStride);
+    });
+
+    test('移動距離がストレージに保存される', () => {
+      stepCounter.incrementStep();
+      stepCounter.flushStepData();
+
+      expect(mockStorageManager.saveStepData).toHaveBeenLastCalledWith(expect.objectContaining({ distance: 0.7 }));
+    });
+
+    test('保存された移動距離を復元する', async () => {
+      mockStorageManager.loadStepData.mockReturnValue({ steps: 100, distance: 70, timestamp: Date.now() });
+
+      await stepCounter.initialize();
+
+      expect(stepCounter.getDistance()).toBe(70);
+    });
+
+    test('リセット時に移動距離も0になる', () => {
+      stepCounter.incrementStep();
+
+      stepCounter.reset();
+
+      expect(stepCounter.getDistance()).toBe(0);
+    });
+
+    test('setUserProfile()でプロファイルを保存し、以降の距離の推定に反映する', async () => {
+      const result = await stepCounter.setUserProfile({ height: null, strideLength: 100, distanceUnit: 'mi' });
+      stepCounter.incrementStep();
+
+      expect(result).toBe(true);
+      expect(mockStorageManager.setUserProfile).toHaveBeenCalledWith({ height: null, strideLength: 100, distanceUnit: 'mi' });
+      expect(stepCounter.getDistance()).toBeCloseTo(1);
+    });
+
+    test('プロファイルの保存に失敗した場合は変更しない', async () => {
+      mockStorageManager.setUserProfile.mockReturnValue(false);
+
+      expect(await stepCounter.setUserProfile({ height: 999, strideLength: null, distanceUnit: 'km' })).toBe(false);
+      expect(stepCounter.userProfile.strideLength).toBe(70);
+    });
+  });
+
+  describe('消費カロリー', () => {
+    beforeEach(async () => {
+      mockStorageManager.loadStepData.mockReturnValue(null);
+      mockStorageManager.getUserProfile.mockReturnValue({
+        height: null, weight: 70, age: null, sex: null, strideLength: 80, distanceUnit: 'km'
+      });
+      await stepCounter.initialize();
+    });
+
+    test('歩数に応じて消費カロリーを加算する', () => {
+      for (let i = 0; i < 100; i++) {
+        stepCounter.incrementStep();
+      }
+
+      // 100歩・80m を 100歩/分（4.8km/h、3.5メッツ）で歩いた場合: (3.5 - 1) × 70kg × 1/60h
+      expect(stepCounter.getCalories()).toBeCloseTo(2.5 * 70 / 60, 5);
+      stepCounter.flushStepData();
+      expect(mockStorageManager.saveStepData).toHaveBeenLastCalledWith(
+        expect.objectContaining({ calories: stepCounter.getCalories() })
+      );
+    });
+
+    test('保存された消費カロリーを復元し、リセット時に0になる', async () => {
+      mockStorageManager.loadStepData.mockReturnValue({ steps: 100, calories: 3.2, timestamp: Date.now() });
+      await stepCounter.initialize();
+
+      expect(stepCounter.getCalories()).toBe(3.2);
+
+      stepCounter.reset();
+
+      expect(stepCounter.getCalories()).toBe(0);
+    });
+
+    test('体重を変更すると以降の推定に反映する', async () => {
+      await stepCounter.setUserProfile({ height: null, weight: 35, age: null, sex: null, strideLength: 80, distanceUnit: 'km' });
+      for (let i = 0; i < 100; i++) {
+        stepCounter.incrementStep();
+      }
+
+      expect(stepCounter.getCalories()).toBeCloseTo(2.5 * 35 / 60, 5);
+    });
+  });
+
+  describe('キャリブレーション', () => {
+    const profile = {
+      detectorType: 'peak',
+      parameters: { stepThreshold: 0.3, minStepInterval: 300 },
+      targetSteps: 20,
+      detectedSteps: 20,
+      calibratedAt: 1700000000000
+    };
+
+    /**
+     * 弱い歩行（振幅0.5m/s²）のサンプルをセンサー時刻付きで入力する（2歩/秒、60Hz）
+     */
+    function feedWeakWalking(steps) {
+      for (let i = 0; i < steps * 30; i++) {
+        stepCounter.onMotionDetected({ x: 0, y: 0, z: 9.81 + 0.5 * Math.sin(2 * Math.PI * 2 * i / 60), timestamp: 1000 + i * 1000 / 60 });
+      }
+    }
+
+    test('保存されたプロファイルのパラメータが初期化時に適用される', async () => {
+      mockStorageManager.getCalibrationProfile.mockReturnValue(profile);
+
+      await stepCounter.initialize();
+
+      expect(stepCounter.calibrationProfile).toEqual(profile);
+      expect(stepCounter.detector.getParameters().stepThreshold).toBe(0.3);
+      expect(stepCounter.detector.getParameters().minStepInterval).toBe(300);
+    });
+
+    test('プロファイルと異なる検出方式に切り替えた場合は既定のパラメータを使用する', async () => {
+      mockStorageManager.getCalibrationProfile.mockReturnValue(profile);
+      await stepCounter.initialize();
+
+      await stepCounter.setDetector('threshold');
+      expect(stepCounter.detector.getParameters().stepThreshold).toBe(0.8);
+
+      await stepCounter.setDetector('peak');
+      expect(stepCounter.detector.getParameters().stepThreshold).toBe(0.3);
+    });
+
+    test('キャリブレーション中に記録したデータからパラメータを求め、保存して適用する', async () => {
+      await stepCounter.initialize();
+
+      expect(stepCounter.startCalibration(20)).toBe(true);
+      feedWeakWalking(20);
+      const result = await stepCounter.finishCalibration();
+
+      expect(result.detectorType).toBe('peak');
+      expect(result.targetSteps).toBe(20);
+      expect(mockStorageManager.setCalibrationProfile).toHaveBeenCalledWith(result);
+      expect(stepCounter.calibrationProfile).toBe(result);
+      expect(stepCounter.detector.getParameters()).toEqual(expect.objectContaining(result.parameters));
+    });
+
+    test('キャリブレーション後は弱い歩行も検出される', async () => {
+      await stepCounter.initialize();
+      feedWeakWalking(20);
+      const before = stepCounter.getCurrentSteps();
+
+      stepCounter.startCalibration(20);
+      feedWeakWalking(20);
+      await stepCounter.finishCalibration();
+      stepCounter.resetDetector();
+      const calibratedStart = stepCounter.getCurrentSteps();
+      feedWeakWalking(20);
+
+      expect(stepCounter.getCurrentSteps() - calibratedStart).toBeGreaterThan(before);
+      expect(stepCounter.getCurrentSteps() - calibratedStart).toBeGreaterThanOrEqual(19);
+    });
+
+    test('保存に失敗した場合はプロファイルを適用しない', async () => {
+      await stepCounter.initialize();
+      mockStorageManager.setCalibrationProfile.mockReturnValue(false);
+
+      stepCounter.startCalibration(20);
+      feedWeakWalking(20);
+
+      expect(await stepCounter.finishCalibration()).toBeNull();
+      expect(stepCounter.calibrationProfile).toBeNull();
+      expect(stepCounter.detector.getParameters().stepThreshold).toBe(0.6);
+    });
+
+    test('clearCalibration()でプロファイルを削除し、既定のパラメータに戻す', async () => {
+      mockStorageManager.getCalibrationProfile.mockReturnValue(profile);
+      await stepCounter.initialize();
+
+      expect(await stepCounter.clearCalibration()).toBe(true);
+
+      expect(mockStorageManager.clearCalibrationProfile).toHaveBeenCalled();
+      expect(stepCounter.calibrationProfile).toBeNull();
+      expect(stepCounter.detector.getParameters().stepThreshold).toBe(0.6);
+    });
+  });
+
+  describe('歩数データの保存', () => {
+    beforeEach(async () => {
+      jest.useFakeTimers();
+      mockStorageManager.loadStepData.mockReturnValue(null);
+      await stepCounter.initialize();
+      mockStorageManager.saveStepData.mockClear();
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    test('1歩ごとには保存せず、待ち時間の経過後にまとめて保存する', () => {
+      stepCounter.incrementStep();
+      stepCounter.incrementStep();
+      jest.advanceTimersByTime(stepCounter.SAVE_INTERVAL_MS - 1);
+
+      expect(mockStorageManager.saveStepData).not.toHaveBeenCalled();
+
+      jest.advanceTimersByTime(1);
+
+      expect(mockStorageManager.saveStepData).toHaveBeenCalledTimes(1);
+      expect(mockStorageManager.saveStepData).toHaveBeenCalledWith(expect.objectContaining({ steps: 2 }));
+    });
+
+    test('歩き続けても最初の未保存の歩数から待ち時間以内に保存する', () => {
+      // 1秒ごとに1歩（更新のたびに予約を延ばすと保存されなくなる）
+      for (let i = 0; i < 5; i++) {
+        stepCounter.incrementStep();
+        jest.advanceTimersByTime(1000);
+      }
+
+      expect(mockStorageManager.saveStepData).toHaveBeenCalledTimes(1);
+    });
+
+    test('未保存の歩数が閾値に達した場合はすぐに保存する', () => {
+      for (let i = 0; i < stepCounter.SAVE_STEP_THRESHOLD; i++) {
+        stepCounter.incrementStep();
+      }
+
+      expect(mockStorageManager.saveStepData).toHaveBeenCalledTimes(1);
+      expect(mockStorageManager.saveStepData).toHaveBeenCalledWith(
+        expect.objectContaining({ steps: stepCounter.SAVE_STEP_THRESHOLD })
+      );
+
+      // 保存済みの歩数のために予約した保存は残らない
+      jest.advanceTimersByTime(stepCounter.SAVE_INTERVAL_MS);
+      expect(mockStorageManager.saveStepData).toHaveBeenCalledTimes(1);
+    });
+
+    test('flushStepData()は未保存の歩数をすぐに保存し、予約を取り消す', async () => {
+      stepCounter.incrementStep();
+
+      await stepCounter.flushStepData();
+      expect(mockStorageManager.saveStepData).toHaveBeenCalledTimes(1);
+
+      jest.advanceTimersByTime(stepCounter.SAVE_INTERVAL_MS);
+      expect(mockStorageManager.saveStepData).toHaveBeenCalledTimes(1);
+    });
+
+    test('未保存の歩数がない場合、flushStepData()は書き込まない', async () => {
+      expect(await stepCounter.flushStepData()).toBe(true);
+      expect(mockStorageManager.saveStepData).not.toHaveBeenCalled();
+    });
+
+    test('リセット時は予約を待たずに保存する', () => {
+      stepCounter.incrementStep();
+
+      stepCounter.reset();
+      jest.advanceTimersByTime(stepCounter.SAVE_INTERVAL_MS);
+
+      expect(mockStorageManager.saveStepData).toHaveBeenCalledTimes(1);
+      expect(mockStorageManager.saveStepData).toHaveBeenCalledWith(expect.objectContaining({ steps: 0 }));
+    });
+
+    test('保存時に未記録の歩数をタイムラインに記録する', () => {
+      stepCounter.incrementStep();
+      stepCounter.addSteps(3);
+
+      stepCounter.flushStepData();
+      stepCounter.flushStepData();
+
+      expect(mockStorageManager.recordSteps).toHaveBeenCalledTimes(1);
+      expect(mockStorageManager.recordSteps).toHaveBeenCalledWith([
+        { time: expect.any(Number), steps: 1 },
+        { time: expect.any(Number), steps: 3 }
+      ]);
+    });
+
+    test('書き込みに失敗した場合は未保存のまま残し、待ち時間の経過後に再試行する', async () => {
+      const StorageManager = require('./StorageManager');
+      const { MemoryStorageAdapter } = require('./StorageAdapter');
+      const adapter = new MemoryStorageAdapter();
+      const storageManager = new StorageManager(adapter);
+      const counter = new StepCounter(storageManager, mockSensorAdapter);
+      await counter.initialize();
+      const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      // 容量超過などで一度だけ書き込みに失敗する
+      const setItem = adapter.setItem.bind(adapter);
+      jest.spyOn(adapter, 'setItem')
+        .mockImplementationOnce(async () => { throw new Error('QuotaExceededError'); })
+        .mockImplementation(setItem);
+
+      for (let i = 0; i < counter.SAVE_STEP_THRESHOLD; i++) {
+        counter.incrementStep();
+      }
+      await jest.advanceTimersByTimeAsync(0);
+
+      expect((await storageManager.loadStepData()).steps).toBe(0);
+      expect(counter.hasUnsavedChanges).toBe(true);
+      expect(counter.unsavedSteps).toBe(counter.SAVE_STEP_THRESHOLD);
+
+      await jest.advanceTimersByTimeAsync(counter.SAVE_INTERVAL_MS);
+
+      expect((await storageManager.loadStepData()).steps).toBe(counter.SAVE_STEP_THRESHOLD);
+      expect(counter.hasUnsavedChanges).toBe(false);
+      errorSpy.mockRestore();
+    });
+
+    test('タイムラインの記録に失敗した場合は次の保存で記録し直す', async () => {
+      mockStorageManager.recordSteps.mockResolvedValueOnce(false);
+      stepCounter.incrementStep();
+
+      await stepCounter.flushStepData();
+      await jest.advanceTimersByTimeAsync(stepCounter.SAVE_INTERVAL_MS);
+
+      expect(mockStorageManager.recordSteps).toHaveBeenCalledTimes(2);
+      expect(mockStorageManager.recordSteps).toHaveBeenLastCalledWith([{ time: expect.any(Number), steps: 1 }]);
+    });
+
+    test('保存先が例外を投げた場合も未保存に戻し、タイムラインの歩数も記録し直す', async () => {
+      const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+      mockStorageManager.saveStepData.mockImplementationOnce(() => { throw new Error('adapter failure'); });
+      mockStorageManager.recordSteps.mockRejectedValueOnce(new Error('adapter failure'));
+      stepCounter.incrementStep();
+      stepCounter.incrementStep();
+
+      await expect(stepCounter.flushStepData()).resolves.toBe(false);
+      await jest.advanceTimersByTimeAsync(0);
+
+      expect(stepCounter.hasUnsavedChanges).toBe(true);
+      expect(stepCounter.unsavedSteps).toBe(2);
+      expect(stepCounter.unsavedTimelineEntries).toHaveLength(2);
+
+      await jest.advanceTimersByTimeAsync(stepCounter.SAVE_INTERVAL_MS);
+
+      expect(mockStorageManager.saveStepData).toHaveBeenLastCalledWith(expect.objectContaining({ steps: 2 }));
+      expect(mockStorageManager.recordSteps).toHaveBeenCalledTimes(2);
+      expect(stepCounter.hasUnsavedChanges).toBe(false);
+      errorSpy.mockRestore();
+    });
+
+    test('保存の間に強制終了した場合、失うのは最後の保存以降の歩数のみ', async () => {
+      const StorageManager = require('./StorageManager');
+      const { MemoryStorageAdapter } = require('./StorageAdapter');
+      const storageManager = new StorageManager(new MemoryStorageAdapter());
+      const first = new StepCounter(storageManager, mockSensorAdapter);
+      await first.initialize();
+
+      for (let i = 0; i < 3; i++) {
+        first.incrementStep();
+      }
+      await jest.advanceTimersByTimeAsync(first.SAVE_INTERVAL_MS);
+      first.incrementStep();
+      first.incrementStep();
+
+      // 予約した保存の前に強制終了（タイマーごと破棄）し、同じ保存先から起動し直す
+      jest.clearAllTimers();
+      const restarted = new StepCounter(storageManager, mockSensorAdapter);
+      await restarted.initialize();
+
+      expect(first.getCurrentSteps()).toBe(5);
+      expect(restarted.getCurrentSteps()).toBe(3);
+    });
   });
 
   describe('リセット機能', () => {
@@ -176,6 +1029,9 @@ describe('StepCounter', () => {
 
       expect(mockStorageManager.saveStepData).toHaveBeenCalledWith({
         steps: 0,
+        activities: { walking: 0, running: 0, 'stairs-up': 0, 'stairs-down': 0 },
+        distance: 0,
+        calories: 0,
         timestamp: expect.any(Number)
       });
     });
@@ -193,7 +1049,7 @@ describe('StepCounter', () => {
 
       stepCounter.incrementStep();
 
-      expect(observer).toHaveBeenCalledWith(1);
+      expect(observer).toHaveBeenCalledWith(1, expect.any(Object));
     });
 
     test('複数のオブザーバーに通知される（要件 1.2）', () => {
@@ -204,8 +1060,8 @@ describe('StepCounter', () => {
 
       stepCounter.incrementStep();
 
-      expect(observer1).toHaveBeenCalledWith(1);
-      expect(observer2).toHaveBeenCalledWith(1);
+      expect(observer1).toHaveBeenCalledWith(1, expect.any(Object));
+      expect(observer2).toHaveBeenCalledWith(1, expect.any(Object));
     });
 
     test('オブザーバーを削除できる', () => {
@@ -225,7 +1081,7 @@ describe('StepCounter', () => {
 
       stepCounter.reset();
 
-      expect(observer).toHaveBeenCalledWith(0);
+      expect(observer).toHaveBeenCalledWith(0, expect.any(Object));
     });
 
     test('オブザーバーでエラーが発生しても他のオブザーバーに通知される', () => {
@@ -241,7 +1097,172 @@ describe('StepCounter', () => {
       expect(() => stepCounter.incrementStep()).not.toThrow();
       
       // 正常なオブザーバーは呼び出される
-      expect(normalObserver).toHaveBeenCalledWith(1);
+      expect(normalObserver).toHaveBeenCalledWith(1, expect.any(Object));
+    });
+
+    test('歩数と一緒にケイデンス情報が通知される', () => {
+      const observer = jest.fn();
+      stepCounter.addObserver(observer);
+
+      stepCounter.incrementStep();
+
+      expect(observer).toHaveBeenCalledWith(1, {
+        cadence: null,
+        averageCadence: null,
+        target: { enabled: false, min: 160, max: 180 },
+        inTargetRange: null
+      });
+    });
+  });
+
+  describe('種類ごとのイベント', () => {
+    /**
+     * 一定のリズムの歩行をセンサー時刻付きで入力する（60Hz、1秒に2歩）
+     */
+    function feedWalking(duration = 3000) {
+      const total = Math.round(duration * 60 / 1000);
+      for (let i = 0; i < total; i++) {
+        const z = 9.81 + 2 * Math.sin(2 * Math.PI * 2 * i / 60);
+        stepCounter.onMotionDetected({ x: 0, y: 0, z, timestamp: 1000 + i * 1000 / 60 });
+      }
+    }
+
+    beforeEach(async () => {
+      mockStorageManager.loadStepData.mockReturnValue(null);
+      await stepCounter.initialize();
+    });
+
+    test('検出した歩数はstepイベントで通知される', () => {
+      const handler = jest.fn();
+      stepCounter.on('step', handler);
+
+      feedWalking();
+
+      expect(handler).toHaveBeenCalled();
+      const event = handler.mock.calls[0][0];
+      expect(event).toEqual(expect.objectContaining({
+        type: 'step',
+        delta: 1,
+        steps: 1,
+        source: 'sensor',
+        activity: 'walking',
+        sampleTime: expect.any(Number),
+        timestamp: expect.any(Number),
+        detector: { type: 'peak', parameters: stepCounter.detector.getParameters() }
+      }));
+      const total = handler.mock.calls.reduce((sum, [{ delta }]) => sum + delta, 0);
+      expect(total).toBe(stepCounter.getCurrentSteps());
+    });
+
+    test('手動カウントはmanualイベントで通知され、stepイベントは発行されない', () => {
+      const stepHandler = jest.fn();
+      const manualHandler = jest.fn();
+      stepCounter.on('step', stepHandler);
+      stepCounter.on('manual', manualHandler);
+
+      stepCounter.incrementStep();
+
+      expect(stepHandler).not.toHaveBeenCalled();
+      expect(manualHandler).toHaveBeenCalledWith(expect.objectContaining({ type: 'manual', delta: 1, steps: 1, source: 'manual' }));
+    });
+
+    test('リセットはresetイベントで減少した歩数と要因が通知される', () => {
+      const handler = jest.fn();
+      stepCounter.on('reset', handler);
+      stepCounter.incrementStep();
+      stepCounter.incrementStep();
+
+      stepCounter.reset();
+
+      expect(handler).toHaveBeenCalledWith(expect.objectContaining({
+        type: 'reset', delta: -2, steps: 0, previousSteps: 2, source: 'timer'
+      }));
+    });
+
+    test('保存データからの復元はrestoreイベントで通知される', async () => {
+      const handler = jest.fn();
+      const savedAt = Date.now();
+      stepCounter.on('restore', handler);
+      mockStorageManager.loadStepData.mockReturnValue({ steps: 42, timestamp: savedAt });
+
+      await stepCounter.initialize();
+
+      expect(handler).toHaveBeenCalledWith(expect.objectContaining({
+        type: 'restore', delta: 42, steps: 42, source: 'storage', savedAt
+      }));
+    });
+
+    test('initialize()の後に登録したハンドラーにも最後のrestoreイベントを渡す', async () => {
+      const savedAt = Date.now();
+      mockStorageManager.loadStepData.mockReturnValue({ steps: 42, timestamp: savedAt });
+      await stepCounter.initialize();
+
+      const handler = jest.fn();
+      stepCounter.on('restore', handler);
+
+      expect(handler).toHaveBeenCalledTimes(1);
+      expect(handler).toHaveBeenCalledWith(expect.objectContaining({
+        type: 'restore', delta: 42, steps: 42, source: 'storage', savedAt
+      }));
+    });
+
+    test('リセットの後に登録したハンドラーには復元前のrestoreイベントを渡さない', async () => {
+      mockStorageManager.loadStepData.mockReturnValue({ steps: 42, timestamp: Date.now() });
+      await stepCounter.initialize();
+      stepCounter.reset();
+
+      const handler = jest.fn();
+      stepCounter.on('restore', handler);
+
+      expect(handler).not.toHaveBeenCalled();
+    });
+
+    test('センサーのサンプルごとにmotionイベントが通知される', () => {
+      const handler = jest.fn();
+      stepCounter.on('motion', handler);
+
+      stepCounter.onMotionDetected({ x: 3, y: 4, z: 0, timestamp: 500 });
+
+      expect(handler).toHaveBeenCalledWith(expect.objectContaining({
+        type: 'motion',
+        delta: 0,
+        source: 'sensor',
+        sampleTime: 500,
+        acceleration: { x: 3, y: 4, z: 0 },
+        magnitude: 5,
+        motionCount: 1
+      }));
+    });
+
+    test('未知の種類のイベントは登録できない', () => {
+      expect(stepCounter.on('unknown', jest.fn())).toBe(false);
+      expect(stepCounter.on('step', 'not a function')).toBe(false);
+      expect(stepCounter.on('step', jest.fn())).toBe(true);
+    });
+
+    test('off()でハンドラーを削除できる', () => {
+      const handler = jest.fn();
+      stepCounter.on('manual', handler);
+      stepCounter.off('manual', handler);
+
+      stepCounter.incrementStep();
+
+      expect(handler).not.toHaveBeenCalled();
+    });
+
+    test('ハンドラーでエラーが発生しても他のハンドラーとオブザーバーに通知される', () => {
+      const observer = jest.fn();
+      const normalHandler = jest.fn();
+      stepCounter.addObserver(observer);
+      stepCounter.on('manual', () => {
+        throw new Error('Handler error');
+      });
+      stepCounter.on('manual', normalHandler);
+
+      expect(() => stepCounter.incrementStep()).not.toThrow();
+
+      expect(normalHandler).toHaveBeenCalled();
+      expect(observer).toHaveBeenCalledWith(1, expect.any(Object));
     });
   });
 
@@ -274,25 +1295,25 @@ describe('StepCounter', () => {
   });
 
   describe('日次期間の判定（要件 6.3）', () => {
-    test('現在の日次期間内のタイムスタンプはtrueを返す', () => {
+    test('現在の日次期間内のタイムスタンプはtrueを返す', async () => {
       mockStorageManager.getResetTime.mockReturnValue('00:00');
       
       // 1時間前のタイムスタンプ
       const recentTimestamp = Date.now() - (60 * 60 * 1000);
       
-      expect(stepCounter.isCurrentPeriod(recentTimestamp)).toBe(true);
+      expect(await stepCounter.isCurrentPeriod(recentTimestamp)).toBe(true);
     });
 
-    test('前の日次期間のタイムスタンプはfalseを返す', () => {
+    test('前の日次期間のタイムスタンプはfalseを返す', async () => {
       mockStorageManager.getResetTime.mockReturnValue('00:00');
       
       // 25時間前のタイムスタンプ（前日）
       const oldTimestamp = Date.now() - (25 * 60 * 60 * 1000);
       
-      expect(stepCounter.isCurrentPeriod(oldTimestamp)).toBe(false);
+      expect(await stepCounter.isCurrentPeriod(oldTimestamp)).toBe(false);
     });
 
-    test('カスタムリセット時刻での日次期間判定', () => {
+    test('カスタムリセット時刻での日次期間判定', async () => {
       // リセット時刻を6:00に設定
       mockStorageManager.getResetTime.mockReturnValue('06:00');
       
@@ -309,7 +1330,7 @@ describe('StepCounter', () => {
         testTime.setHours(7, 0, 0, 0); // 昨日の7:00
       }
       
-      expect(stepCounter.isCurrentPeriod(testTime.getTime())).toBe(true);
+      expect(await stepCounter.isCurrentPeriod(testTime.getTime())).toBe(true);
     });
   });
 
@@ -322,5 +1343,49 @@ describe('StepCounter', () => {
 
       expect(mockSensorAdapter.stopListening).toHaveBeenCalled();
     });
+
+    test('リスニングを再開すると検出アルゴリズムの状態を初期化する', async () => {
+      mockStorageManager.loadStepData.mockReturnValue(null);
+      await stepCounter.initialize();
+      await stepCounter.startSensorListening();
+      mockSensorAdapter.callback({ x: 0, y: 0, z: 9.81, timestamp: 1000 });
+      stepCounter.stopListening();
+
+      await stepCounter.startSensorListening();
+
+      expect(stepCounter.detector.lastSampleTime).toBeNull();
+    });
+
+    test('長時間停止した後にリスニングを再開すると、重力の推定・ゲート・活動とケイデンスの時間窓も初期化する', async () => {
+      mockStorageManager.loadStepData.mockReturnValue(null);
+      await stepCounter.initialize();
+      await stepCounter.startSensorListening();
+      // 端末を横向きにして歩く
+      for (let i = 0; i < 600; i++) {
+        const t = i / 60;
+        mockSensorAdapter.callback({
+          x: 9.81 + 2 * Math.sin(2 * Math.PI * 2 * t), y: 0, z: 0,
+          rotationRate: { alpha: 5, beta: 0, gamma: 0 },
+          timestamp: 1000 + i * 1000 / 60
+        });
+      }
+      expect(stepCounter.cadenceTracker.getCadence()).not.toBeNull();
+      stepCounter.stopListening();
+
+      // 1時間後に再開する
+      await stepCounter.startSensorListening();
+
+      expect(stepCounter.gravityProjector.getGravity()).toBeNull();
+      expect(stepCounter.rotationGate.samples).toEqual([]);
+      expect(stepCounter.activityClassifier.samples).toEqual([]);
+      expect(stepCounter.activityClassifier.stepTimes).toEqual([]);
+      expect(stepCounter.cadenceTracker.getCadence()).toBeNull();
+
+      // 再開後の最初のサンプルから重力を推定し直す（停止していた間の回転を適用しない）
+      mockSensorAdapter.callback({ x: 0, y: 0, z: 9.81, rotationRate: { alpha: 90, beta: 0, gamma: 0 }, timestamp: 1000 + 3600 * 1000 });
+      const gravity = stepCounter.gravityProjector.getGravity();
+      expect(gravity.z).toBeCloseTo(9.81, 1);
+      expect(stepCounter.currentActivity).toBe('idle');
+    });
   });
 });
@@ -0,0 +1,501 @@
+/**
+ * StepDetector - 歩数検出アルゴリズムの共通インターフェースと実装群
+ *
+ * StepCounter は検出処理を StepDetector に委譲する。各実装は同じ前処理
+ * （重力除去・バンドパスフィルタ）を共有し、フィルタ後の信号から歩数を判定する。
+ * 実装は type 名で登録され、設定画面から実行時に切り替えられる。
+ *
+ * 要件: 1.1 - 加速度センサーのデータを分析して歩数としてカウントする
+ */
+/**
+ * 1次ローパスフィルタの係数をカットオフ周波数とサンプル間隔から求める
+ * （GravityProjector と ActivityClassifier の重力の推定でも使用する）
+ * @param {number} cutoff - カットオフ周波数（Hz）
+ * @param {number} interval - サンプル間隔（ミリ秒）
+ * @returns {number} フィルタ係数（0〜1）
+ */
+function lowPassAlpha(cutoff, interval) {
+  const dt = interval / 1000;
+  const rc = 1 / (2 * Math.PI * cutoff);
+  return dt / (rc + dt);
+}
+
+class StepDetector {
+  /**
+   * StepDetectorのコンストラクタ
+   * @param {Object} [parameters] - 既定値を上書きする検出パラメータ
+   */
+  constructor(parameters = {}) {
+    this.parameters = {
+      gravityCutoff: 0.2, // 重力推定用ローパスフィルタのカットオフ周波数（Hz）
+      smoothingCutoff: 3, // ノイズ除去用ローパスフィルタのカットオフ周波数（Hz）
+      nominalInterval: 1000 / 60, // サンプル間隔が不明な場合に仮定する間隔（ミリ秒、約60Hz）
+      minStepInterval: 250, // 最小歩数間隔（ミリ秒）- 速い走行（約240歩/分）まで対応
+      ...this.constructor.defaultParameters,
+      ...parameters
+    };
+    this.reset();
+  }
+
+  /**
+   * 検出アルゴリズムの種類（登録名）
+   * @returns {string}
+   */
+  get type() {
+    return this.constructor.type;
+  }
+
+  /**
+   * 表示用の名前
+   * @returns {string}
+   */
+  get label() {
+    return this.constructor.label;
+  }
+
+  /**
+   * 加速度サンプルを処理し、歩数として認識するかを判定する
+   * @param {Object} acceleration - 加速度データ（x, y, z: m/s²、interval: サンプリング間隔（ミリ秒、任意））
+   * @param {number} timestamp - センサーがサンプルを取得した時刻（ミリ秒）
+   * @returns {boolean} 歩数として認識する場合はtrue
+   */
+  detect(acceleration, timestamp) {
+    const interval = this.getSampleInterval(acceleration, timestamp);
+    const signal = this.filterSample(acceleration, interval);
+    return this.processSignal(signal, timestamp, interval);
+  }
+
+  /**
+   * フィルタ後の信号から歩数を判定する（サブクラスで実装）
+   * @param {number} signal - 重力除去・バンドパス後の信号（m/s²）
+   * @param {number} timestamp - サンプルの時刻（ミリ秒）
+   * @param {number} interval - 直前のサンプルからの経過時間（ミリ秒）
+   * @returns {boolean} 歩数として認識する場合はtrue
+   */
+  processSignal(signal, timestamp, interval) {
+    throw new Error('processSignal() must be implemented by subclass');
+  }
+
+  /**
+   * 直前のサンプルからの経過時間（センサー時刻）を求める
+   * @param {Object} acceleration - 加速度データ
+   * @param {number} timestamp - サンプルの時刻（ミリ秒）
+   * @returns {number} 経過時間（ミリ秒）
+   *
+   * 時刻差が得られない場合（最初のサンプル、同一時刻のサンプル）は、
+   * センサーが報告するサンプリング間隔、それもなければ既定の間隔を使用する。
+   */
+  getSampleInterval(acceleration, timestamp) {
+    const elapsed = this.lastSampleTime === null ? 0 : timestamp - this.lastSampleTime;
+    this.lastSampleTime = timestamp;
+
+    if (elapsed > 0) {
+      return elapsed;
+    }
+    if (typeof acceleration.interval === 'number' && acceleration.interval > 0) {
+      return acceleration.interval;
+    }
+    return this.parameters.nominalInterval;
+  }
+
+  /**
+   * 加速度サンプルから重力を除去し、バンドパスフィルタを適用する
+   * @param {Object} acceleration - 加速度データ（x, y, z: m/s²、vertical: 重力方向の成分（任意））
+   * @param {number} interval - 直前のサンプルからの経過時間（ミリ秒）
+   * @returns {number} フィルタ後の信号（m/s²）
+   *
+   * GravityProjector で求めた重力方向の成分（vertical）があればそれを、なければ加速度の
+   * 大きさを入力とし、ローパスフィルタで推定した重力（直流）成分を差し引き（ハイパス）、
+   * さらにローパスフィルタで高周波ノイズを除去する。フィルタ係数はサンプル間隔から
+   * 計算するため、サンプリングレートが変動してもカットオフ周波数は一定に保たれる。
+   */
+  filterSample(acceleration, interval) {
+    const value = typeof acceleration.vertical === 'number'
+      ? acceleration.vertical
+      : Math.sqrt(acceleration.x ** 2 + acceleration.y ** 2 + acceleration.z ** 2);
+
+    // 最初のサンプルで重力推定を初期化（起動直後の誤検知を防ぐ）
+    if (this.gravityEstimate === null) {
+      this.gravityEstimate = value;
+    }
+    this.gravityEstimate += lowPassAlpha(this.parameters.gravityCutoff, interval) * (value - this.gravityEstimate);
+
+    const linear = value - this.gravityEstimate;
+    this.filteredSignal += lowPassAlpha(this.parameters.smoothingCutoff, interval) * (linear - this.filteredSignal);
+
+    return this.filteredSignal;
+  }
+
+  /**
+   * 最小歩数間隔を満たす場合に歩数として確定する
+   * @param {number} timestamp - 候補となる歩数の時刻（ミリ秒）
+   * @returns {boolean} 歩数として確定した場合はtrue
+   */
+  acceptStep(timestamp) {
+    if (timestamp - this.lastStepTime < this.parameters.minStepInterval) {
+      return false;
+    }
+    this.lastStepTime = timestamp;
+    return true;
+  }
+
+  /**
+   * 検出の内部状態（フィルタなど）を初期化
+   */
+  reset() {
+    this.gravityEstimate = null;
+    this.filteredSignal = 0;
+    this.lastSampleTime = null;
+    this.lastStepTime = -Infinity;
+  }
+
+  /**
+   * 現在の検出パラメータを取得
+   * @returns {Object} パラメータのコピー
+   */
+  getParameters() {
+    return { ...this.parameters };
+  }
+
+  /**
+   * 検出パラメータを更新（既知のパラメータで有限の数値のみ反映）
+   * @param {Object} parameters - 更新するパラメータ
+   * @returns {boolean} すべて反映できた場合はtrue
+   */
+  setParameters(parameters) {
+    if (typeof parameters !== 'object' || parameters === null) {
+      return false;
+    }
+
+    let allApplied = true;
+    for (const [name, value] of Object.entries(parameters)) {
+      if (!(name in this.parameters) || typeof value !== 'number' || !Number.isFinite(value)) {
+        allApplied = false;
+        continue;
+      }
+      this.parameters[name] = value;
+    }
+    return allApplied;
+  }
+
+  /**
+   * 検出アルゴリズムを登録
+   * @param {Function} DetectorClass - StepDetectorのサブクラス（static type, label を持つ）
+   */
+  static register(DetectorClass) {
+    StepDetector.registry[DetectorClass.type] = DetectorClass;
+  }
+
+  /**
+   * 登録名から検出アルゴリズムのインスタンスを生成
+   * @param {string} type - 検出アルゴリズムの種類
+   * @param {Object} [parameters] - 検出パラメータ
+   * @returns {StepDetector|null} 未登録の種類の場合はnull
+   */
+  static create(type, parameters) {
+    const DetectorClass = StepDetector.registry[type];
+    return DetectorClass ? new DetectorClass(parameters) : null;
+  }
+
+  /**
+   * キャリブレーションで探索するパラメータの範囲を取得
+   * @param {string} type - 検出アルゴリズムの種類
+   * @returns {Object|null} パラメータ名 → { min, max, step }、未登録の種類の場合はnull
+   */
+  static getCalibrationGrid(type) {
+    const DetectorClass = StepDetector.registry[type];
+    return DetectorClass ? DetectorClass.calibrationGrid : null;
+  }
+
+  /**
+   * 登録済みの検出アルゴリズムの一覧を取得（設定画面用）
+   * @returns {Array<{type: string, label: string}>}
+   */
+  static getAvailableTypes() {
+    return Object.values(StepDetector.registry).map((DetectorClass) => ({
+      type: DetectorClass.type,
+      label: DetectorClass.label
+    }));
+  }
+}
+
+StepDetector.registry = {};
+StepDetector.defaultParameters = {};
+// キャリブレーションで探索するパラメータの範囲（パラメータ名 → { min, max, step }）
+StepDetector.calibrationGrid = {};
+
+/**
+ * PeakStepDetector - ヒステリシス付きのピーク/谷検出
+ *
+ * ピークが閾値を超えた後に谷が閾値を下回った時点で1歩とする（既定のアルゴリズム）。
+ */
+class PeakStepDetector extends StepDetector {
+  processSignal(signal, timestamp) {
+    if (this.detectionPhase === 'awaitingPeak') {
+      // ピーク待ち：閾値を超えたらピーク区間に入る
+      if (signal > this.parameters.stepThreshold) {
+        this.detectionPhase = 'awaitingValley';
+        this.currentPeak = signal;
+      }
+      return false;
+    }
+
+    // 谷待ち：ピーク値を更新しつつ、谷の閾値を下回るのを待つ
+    this.currentPeak = Math.max(this.currentPeak, signal);
+    if (signal >= this.parameters.valleyThreshold) {
+      return false;
+    }
+
+    this.detectionPhase = 'awaitingPeak';
+    return this.acceptStep(timestamp);
+  }
+
+  reset() {
+    super.reset();
+    this.detectionPhase = 'awaitingPeak'; // 'awaitingPeak'（ピーク待ち） or 'awaitingValley'（谷待ち）
+    this.currentPeak = 0;
+  }
+}
+
+PeakStepDetector.type = 'peak';
+PeakStepDetector.label = 'ピーク検出';
+PeakStepDetector.defaultParameters = {
+  stepThreshold: 0.6, // ピークとして認識するフィルタ後信号の閾値（m/s²）
+  valleyThreshold: -0.3 // 谷として認識するフィルタ後信号の閾値（m/s²）
+};
+PeakStepDetector.calibrationGrid = {
+  stepThreshold: { min: 0.2, max: 2.0, step: 0.1 },
+  minStepInterval: { min: 200, max: 450, step: 50 }
+};
+
+/**
+ * ThresholdStepDetector - 閾値判定
+ *
+ * 重力除去後の信号が閾値を上向きに横切った時点で1歩とする。
+ * 閾値を下回るまで次の歩数は検出しない。
+ */
+class ThresholdStepDetector extends StepDetector {
+  processSignal(signal, timestamp) {
+    if (signal <= this.parameters.stepThreshold) {
+      this.armed = true;
+      return false;
+    }
+
+    if (!this.armed) {
+      return false;
+    }
+
+    this.armed = false;
+    return this.acceptStep(timestamp);
+  }
+
+  reset() {
+    super.reset();
+    this.armed = false;
+  }
+}
+
+ThresholdStepDetector.type = 'threshold';
+ThresholdStepDetector.label = '閾値判定';
+ThresholdStepDetector.defaultParameters = {
+  stepThreshold: 0.8 // 歩数として認識するフィルタ後信号の閾値（m/s²）
+};
+ThresholdStepDetector.calibrationGrid = {
+  stepThreshold: { min: 0.2, max: 2.0, step: 0.1 },
+  minStepInterval: { min: 200, max: 450, step: 50 }
+};
+
+/**
+ * ZeroCrossingStepDetector - ゼロ交差検出
+ *
+ * 信号が負から正へゼロを横切るごとに1周期（1歩）とする。
+ * 直前の正負の半周期がともに最小振幅を超えている場合のみカウントし、ノイズを除外する。
+ */
+class ZeroCrossingStepDetector extends StepDetector {
+  processSignal(signal, timestamp) {
+    const { minAmplitude } = this.parameters;
+    const wasNegative = this.previousSignal < 0;
+    this.previousSignal = signal;
+
+    if (signal < 0) {
+      this.trough = Math.min(this.trough, signal);
+      if (!wasNegative) {
+        // 正から負への交差：正の半周期のピークを確定
+        this.lastPeak = this.peak;
+        this.peak = 0;
+      }
+      return false;
+    }
+
+    this.peak = Math.max(this.peak, signal);
+    if (!wasNegative) {
+      return false;
+    }
+
+    // 負から正への交差：1周期が完了
+    const isStepCycle = this.lastPeak >= minAmplitude && this.trough <= -minAmplitude;
+    this.trough = 0;
+    this.lastPeak = 0;
+
+    return isStepCycle && this.acceptStep(timestamp);
+  }
+
+  reset() {
+    super.reset();
+    this.previousSignal = 0;
+    this.peak = 0;
+    this.lastPeak = 0;
+    this.trough = 0;
+  }
+}
+
+ZeroCrossingStepDetector.type = 'zero-crossing';
+ZeroCrossingStepDetector.label = 'ゼロ交差';
+ZeroCrossingStepDetector.defaultParameters = {
+  minAmplitude: 0.4 // 半周期ごとに必要な最小振幅（m/s²）
+};
+ZeroCrossingStepDetector.calibrationGrid = {
+  minAmplitude: { min: 0.1, max: 1.5, step: 0.1 },
+  minStepInterval: { min: 200, max: 450, step: 50 }
+};
+
+/**
+ * AutocorrelationStepDetector - 自己相関による周期推定
+ *
+ * 直近の信号の自己相関から歩行周期を推定し、周期的な動きが続いている間、
+ * 推定した周期ごとに1歩とする。非周期的な揺れ（端末の持ち替えなど）は相関が低く除外される。
+ */
+class AutocorrelationStepDetector extends StepDetector {
+  processSignal(signal, timestamp, interval) {
+    const { windowDuration, estimateInterval, maxPeriod } = this.parameters;
+
+    // 直近の一定時間分の信号を保持
+    this.buffer.push({ signal, timestamp });
+    while (timestamp - this.buffer[0].timestamp > windowDuration) {
+      this.buffer.shift();
+    }
+
+    // サンプルの間隔が空いた場合（一時停止・センサーの停止・バックグラウンドでの間引き）は、
+    // 以前の周期の推定を使わずにバッファが埋まるまで待つ（経過時間分の歩数を発生させない）
+    if (interval > maxPeriod || this.buffer.length === 1) {
+      this.period = null;
+      this.phase = 0;
+      return false;
+    }
+
+    // 一定時間ごとに周期を再推定（バッファが十分な長さになってから）
+    const span = timestamp - this.buffer[0].timestamp;
+    if (span >= windowDuration * 0.9 && timestamp - this.lastEstimateTime >= estimateInterval) {
+      this.lastEstimateTime = timestamp;
+      this.period = this.estimatePeriod();
+    }
+
+    if (!this.period) {
+      this.phase = 0;
+      return false;
+    }
+
+    // 推定周期ごとに1歩を発生させる
+    this.phase += interval / this.period;
+    if (this.phase < 1) {
+      return false;
+    }
+    this.phase -= 1;
+    return this.acceptStep(timestamp);
+  }
+
+  /**
+   * バッファ内の信号から歩行周期を推定
+   * @returns {number|null} 歩行周期（ミリ秒）、周期的な歩行でない場合はnull
+   */
+  estimatePeriod() {
+    const { minPeriod, maxPeriod, minCorrelation, minDeviation } = this.parameters;
+    const n = this.buffer.length;
+    const values = this.buffer.map((entry) => entry.signal);
+    const mean = values.reduce((sum, value) => sum + value, 0) / n;
+    const centered = values.map((value) => value - mean);
+    const energy = centered.reduce((sum, value) => sum + value * value, 0);
+
+    // 振幅が小さすぎる場合は静止とみなす
+    if (n < 3 || Math.sqrt(energy / n) < minDeviation) {
+      return null;
+    }
+
+    // 周期の範囲を平均サンプル間隔からラグ（サンプル数）に換算
+    const sampleInterval = (this.buffer[n - 1].timestamp - this.buffer[0].timestamp) / (n - 1);
+    const minLag = Math.max(1, Math.round(minPeriod / sampleInterval));
+    const lastLag = Math.min(Math.round(maxPeriod / sampleInterval) + 1, n - 1);
+
+    // 重なり長で正規化した相関係数を計算
+    const correlations = [];
+    for (let lag = minLag - 1; lag <= lastLag; lag++) {
+      let sum = 0;
+      for (let i = 0; i + lag < n; i++) {
+        sum += centered[i] * centered[i + lag];
+      }
+      correlations[lag] = (sum / (n - lag)) / (energy / n);
+    }
+
+    // 周期の整数倍を誤って選ばないよう、閾値を超える最初の極大を採用
+    for (let lag = minLag; lag < lastLag; lag++) {
+      const correlation = correlations[lag];
+      if (correlation >= minCorrelation &&
+          correlation >= correlations[lag - 1] &&
+          correlation >= correlations[lag + 1]) {
+        return lag * sampleInterval;
+      }
+    }
+    return null;
+  }
+
+  reset() {
+    super.reset();
+    this.buffer = [];
+    this.lastEstimateTime = -Infinity;
+    this.period = null;
+    this.phase = 0;
+  }
+}
+
+AutocorrelationStepDetector.type = 'autocorrelation';
+AutocorrelationStepDetector.label = '自己相関';
+AutocorrelationStepDetector.defaultParameters = {
+  windowDuration: 2000, // 相関を計算する時間窓（ミリ秒）
+  estimateInterval: 250, // 周期を再推定する間隔（ミリ秒）
+  minPeriod: 250, // 歩行周期の下限（ミリ秒、約240歩/分）
+  maxPeriod: 1500, // 歩行周期の上限（ミリ秒、約40歩/分）
+  minCorrelation: 0.5, // 周期的とみなす相関係数の下限
+  minDeviation: 0.3 // 歩行とみなす信号の標準偏差の下限（m/s²）
+};
+// 自己相関は計算量が大きいため、探索する組み合わせを少なくする
+AutocorrelationStepDetector.calibrationGrid = {
+  minCorrelation: { min: 0.3, max: 0.8, step: 0.1 },
+  minDeviation: { min: 0.1, max: 0.6, step: 0.1 }
+};
+
+StepDetector.register(PeakStepDetector);
+StepDetector.register(ThresholdStepDetector);
+StepDetector.register(ZeroCrossingStepDetector);
+StepDetector.register(AutocorrelationStepDetector);
+
+// エクスポート（Node.js環境用）
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    lowPassAlpha,
+    StepDetector,
+    PeakStepDetector,
+    ThresholdStepDetector,
+    ZeroCrossingStepDetector,
+    AutocorrelationStepDetector
+  };
+}
+
+// エクスポート（ブラウザ環境用）
+if (typeof window !== 'undefined') {
+  window.lowPassAlpha = lowPassAlpha;
+  window.StepDetector = StepDetector;
+  window.PeakStepDetector = PeakStepDetector;
+  window.ThresholdStepDetector = ThresholdStepDetector;
+  window.ZeroCrossingStepDetector = ZeroCrossingStepDetector;
+  window.AutocorrelationStepDetector = AutocorrelationStepDetector;
+}
@@ -0,0 +1,225 @@
+/**
+ * StepDetector ユニットテスト
+ *
+ * テスト対象:
+ * - 検出アルゴリズムの登録と生成
+ * - 各アルゴリズムによる歩行パターンの検出（要件 1.1）
+ * - 静止状態での誤検知の防止
+ * - 検出パラメータの取得と更新
+ */
+
+const {
+  StepDetector,
+  PeakStepDetector,
+  ThresholdStepDetector,
+  ZeroCrossingStepDetector,
+  AutocorrelationStepDetector
+} = require('./StepDetector');
+
+const SAMPLE_RATE = 60;
+
+/**
+ * 歩行を模した加速度サンプル列を生成する（Z軸の重力 + 1歩1周期の上下動）
+ */
+function createWalkingSamples(steps, { stepsPerSecond = 2, amplitude = 2 } = {}) {
+  const samples = [];
+  const total = Math.round(steps * SAMPLE_RATE / stepsPerSecond);
+  for (let i = 0; i < total; i++) {
+    const t = i / SAMPLE_RATE;
+    samples.push({ x: 0, y: 0, z: 9.81 + amplitude * Math.sin(2 * Math.PI * stepsPerSecond * t) });
+  }
+  return samples;
+}
+
+/**
+ * 机の上に置いた状態を模した加速度サンプル列を生成する（重力 + 微小なノイズ）
+ */
+function createStillSamples(count) {
+  const samples = [];
+  for (let i = 0; i < count; i++) {
+    samples.push({ x: 0.02 * Math.sin(i), y: 0.02 * Math.cos(i * 1.7), z: 9.81 + 0.05 * Math.sin(i * 0.3) });
+  }
+  return samples;
+}
+
+/**
+ * サンプル列を検出器に入力し、検出された歩数を返す
+ */
+function countSteps(detector, samples) {
+  let steps = 0;
+  samples.forEach((sample, i) => {
+    if (detector.detect(sample, i * 1000 / SAMPLE_RATE)) {
+      steps++;
+    }
+  });
+  return steps;
+}
+
+describe('StepDetector', () => {
+  describe('登録と生成', () => {
+    test('登録名から検出アルゴリズムを生成できる', () => {
+      expect(StepDetector.create('peak')).toBeInstanceOf(PeakStepDetector);
+      expect(StepDetector.create('threshold')).toBeInstanceOf(ThresholdStepDetector);
+      expect(StepDetector.create('zero-crossing')).toBeInstanceOf(ZeroCrossingStepDetector);
+      expect(StepDetector.create('autocorrelation')).toBeInstanceOf(AutocorrelationStepDetector);
+    });
+
+    test('未登録の名前の場合はnullを返す', () => {
+      expect(StepDetector.create('unknown')).toBeNull();
+    });
+
+    test('登録済みの検出アルゴリズムの一覧に種類と表示名が含まれる', () => {
+      const types = StepDetector.getAvailableTypes();
+
+      expect(types).toContainEqual({ type: 'peak', label: 'ピーク検出' });
+      expect(types).toHaveLength(4);
+    });
+
+    test('生成時に渡したパラメータが既定値を上書きする', () => {
+      const detector = StepDetector.create('peak', { stepThreshold: 1.5 });
+
+      expect(detector.getParameters().stepThreshold).toBe(1.5);
+      expect(detector.getParameters().minStepInterval).toBe(250);
+    });
+
+    test('キャリブレーションで探索するパラメータは既知のパラメータである', () => {
+      for (const { type } of StepDetector.getAvailableTypes()) {
+        const parameters = StepDetector.create(type).getParameters();
+
+        for (const name of Object.keys(StepDetector.getCalibrationGrid(type))) {
+          expect(parameters).toHaveProperty(name);
+        }
+      }
+      expect(StepDetector.getCalibrationGrid('unknown')).toBeNull();
+    });
+
+    test('基底クラスのprocessSignal()は実装が必要', () => {
+      const detector = new StepDetector();
+
+      expect(() => detector.detect({ x: 0, y: 0, z: 9.81 }, 0)).toThrow('processSignal() must be implemented by subclass');
+    });
+  });
+
+  describe.each([
+    ['peak'],
+    ['threshold'],
+    ['zero-crossing'],
+    ['autocorrelation']
+  ])('%s', (type) => {
+    test('歩行パターンの歩数をおおむね正しく検出する（要件 1.1）', () => {
+      const detector = StepDetector.create(type);
+
+      const steps = countSteps(detector, createWalkingSamples(30));
+
+      // 自己相関は周期推定に約2秒（4歩分）のウォームアップが必要
+      expect(steps).toBeGreaterThanOrEqual(type === 'autocorrelation' ? 24 : 28);
+      expect(steps).toBeLessThanOrEqual(30);
+    });
+
+    test('静止状態では歩数を検出しない', () => {
+      const detector = StepDetector.create(type);
+
+      expect(countSteps(detector, createStillSamples(600))).toBe(0);
+    });
+
+    test('reset()で内部状態が初期化される', () => {
+      const detector = StepDetector.create(type);
+      countSteps(detector, createWalkingSamples(5));
+
+      detector.reset();
+
+      expect(detector.gravityEstimate).toBeNull();
+      expect(detector.filteredSignal).toBe(0);
+      expect(detector.lastSampleTime).toBeNull();
+      expect(detector.lastStepTime).toBe(-Infinity);
+    });
+  });
+
+  describe('サンプル間隔（センサー時刻）', () => {
+    test('直前のサンプルとの時刻差をサンプル間隔とする', () => {
+      const detector = StepDetector.create('peak');
+
+      detector.getSampleInterval({}, 1000);
+
+      expect(detector.getSampleInterval({ interval: 16 }, 1040)).toBe(40);
+    });
+
+    test('時刻差が得られない場合はセンサーのサンプリング間隔を使用する', () => {
+      const detector = StepDetector.create('peak');
+
+      expect(detector.getSampleInterval({ interval: 20 }, 1000)).toBe(20);
+      expect(detector.getSampleInterval({ interval: 20 }, 1000)).toBe(20);
+    });
+
+    test('サンプリング間隔も不明な場合は既定の間隔を使用する', () => {
+      const detector = StepDetector.create('peak');
+
+      expect(detector.getSampleInterval({}, 1000)).toBe(detector.getParameters().nominalInterval);
+    });
+
+    test('最小歩数間隔はセンサー時刻で判定される', () => {
+      const detector = StepDetector.create('peak');
+
+      expect(detector.acceptStep(1000)).toBe(true);
+      expect(detector.acceptStep(1100)).toBe(false);
+      expect(detector.acceptStep(1250)).toBe(true);
+    });
+  });
+
+  describe('自己相関の周期推定', () => {
+    test('サンプルの間隔が空いた後は以前の周期で歩数を発生させない', () => {
+      const detector = StepDetector.create('autocorrelation');
+      const walking = createWalkingSamples(20);
+      walking.forEach((sample, i) => detector.detect(sample, i * 1000 / SAMPLE_RATE));
+      expect(detector.period).not.toBeNull();
+
+      // 10分後に再開し、静止状態のサンプルを5秒分入力する
+      const resumeAt = walking.length * 1000 / SAMPLE_RATE + 10 * 60 * 1000;
+      let steps = 0;
+      createStillSamples(5 * SAMPLE_RATE).forEach((sample, i) => {
+        if (detector.detect(sample, resumeAt + i * 1000 / SAMPLE_RATE)) {
+          steps++;
+        }
+      });
+
+      expect(steps).toBe(0);
+    });
+  });
+
+  describe('検出パラメータ', () => {
+    test('既知のパラメータを更新できる', () => {
+      const detector = StepDetector.create('peak');
+
+      const result = detector.setParameters({ stepThreshold: 1.0, minStepInterval: 300 });
+
+      expect(result).toBe(true);
+      expect(detector.getParameters().stepThreshold).toBe(1.0);
+      expect(detector.getParameters().minStepInterval).toBe(300);
+    });
+
+    test('未知のパラメータや数値以外の値は反映されない', () => {
+      const detector = StepDetector.create('peak');
+
+      const result = detector.setParameters({ unknown: 1, stepThreshold: 'abc', valleyThreshold: NaN });
+
+      expect(result).toBe(false);
+      expect(detector.getParameters()).not.toHaveProperty('unknown');
+      expect(detector.getParameters().stepThreshold).toBe(0.6);
+      expect(detector.getParameters().valleyThreshold).toBe(-0.3);
+    });
+
+    test('getParameters()はコピーを返す', () => {
+      const detector = StepDetector.create('peak');
+
+      detector.getParameters().stepThreshold = 100;
+
+      expect(detector.getParameters().stepThreshold).toBe(0.6);
+    });
+
+    test('閾値を上げると小さな振幅の歩行は検出されない', () => {
+      const detector = StepDetector.create('peak', { stepThreshold: 3 });
+
+      expect(countSteps(detector, createWalkingSamples(20))).toBe(0);
+    });
+  });
+});
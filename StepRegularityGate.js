@@ -0,0 +1,153 @@
+/**
+ * StepRegularityGate - 歩行確認（リズムのある連続した歩数のみをカウント）を担当するコンポーネント
+ *
+ * 端末を振る・持ち上げる・文字入力するといった動作は単発の歩数として検出されやすい。
+ * 検出された歩数を候補として保留し、一定のリズム（許容範囲内の間隔）で
+ * 指定数の歩数が連続した時点でまとめて確定する。リズムが崩れた候補や孤立した候補は破棄する。
+ * 歩行中と判定された後は、間隔が空くまで1歩ずつ即座に確定する。
+ *
+ * 要件: 1.1 - 加速度センサーのデータを分析して歩数としてカウントする
+ */
+class StepRegularityGate {
+  /**
+   * StepRegularityGateのコンストラクタ
+   * @param {Object} [settings] - 歩行確認の設定
+   * @param {boolean} [settings.enabled=true] - 歩行確認を有効にするか
+   * @param {number} [settings.requiredSteps=8] - 歩行と判定するのに必要な連続歩数
+   */
+  constructor(settings = {}) {
+    this.enabled = true;
+    this.requiredSteps = 8;
+    this.tolerance = 0.3; // 歩数間隔の許容ばらつき（平均間隔に対する比率）
+    this.maxStepInterval = 2000; // これ以上間隔が空いた場合は歩行終了とみなす（ミリ秒）
+    this.discardedSteps = 0; // デバッグ用：破棄された候補の累計
+    this.configure(settings);
+    this.reset();
+  }
+
+  /**
+   * 設定を反映
+   * @param {Object} settings - 歩行確認の設定（enabled, requiredSteps）
+   */
+  configure(settings) {
+    if (!settings) {
+      return;
+    }
+    if (typeof settings.enabled === 'boolean') {
+      this.enabled = settings.enabled;
+    }
+    if (Number.isInteger(settings.requiredSteps) && settings.requiredSteps >= 1) {
+      this.requiredSteps = settings.requiredSteps;
+    }
+  }
+
+  /**
+   * 検出された歩数を候補として追加し、確定する歩数を返す
+   * @param {number} timestamp - 歩数を検出したセンサー時刻（ミリ秒）
+   * @returns {number} 確定した歩数（保留中の場合は0）
+   */
+  push(timestamp) {
+    if (!this.enabled) {
+      return 1;
+    }
+
+    const lastTime = this.walking ? this.lastStepTime : this.candidates[this.candidates.length - 1];
+    const hasGap = lastTime !== undefined && timestamp - lastTime > this.maxStepInterval;
+
+    if (this.walking) {
+      if (!hasGap) {
+        this.lastStepTime = timestamp;
+        return 1;
+      }
+      // 間隔が空いたため歩行終了：改めて確認を行う
+      this.walking = false;
+    } else if (hasGap) {
+      // 孤立した候補は破棄
+      this.discardCandidates(this.candidates.length);
+    }
+
+    this.candidates.push(timestamp);
+
+    if (!this.isRhythmic()) {
+      // リズムが崩れた場合は、直前の候補から数え直す
+      this.discardCandidates(this.candidates.length - 2);
+    }
+
+    if (this.candidates.length < this.requiredSteps) {
+      return 0;
+    }
+
+    // 必要な歩数がリズムよく連続した：保留していた候補をまとめて確定
+    const confirmed = this.candidates.length;
+    this.walking = true;
+    this.lastStepTime = timestamp;
+    this.candidates = [];
+    return confirmed;
+  }
+
+  /**
+   * 保留中の候補の間隔が一定のリズムに収まっているかを確認
+   * @returns {boolean} 直近の間隔が平均間隔の許容範囲内の場合はtrue
+   */
+  isRhythmic() {
+    const count = this.candidates.length;
+    if (count < 3) {
+      return true;
+    }
+
+    const first = this.candidates[0];
+    const previous = this.candidates[count - 2];
+    const latest = this.candidates[count - 1];
+    const meanInterval = (previous - first) / (count - 2);
+    const latestInterval = latest - previous;
+
+    return Math.abs(latestInterval - meanInterval) <= meanInterval * this.tolerance;
+  }
+
+  /**
+   * 保留中の候補を先頭から破棄
+   * @param {number} count - 破棄する候補の数
+   */
+  discardCandidates(count) {
+    if (count <= 0) {
+      return;
+    }
+    this.candidates.splice(0, count);
+    this.discardedSteps += count;
+  }
+
+  /**
+   * 保留中の候補数を取得
+   * @returns {number}
+   */
+  getPendingCount() {
+    return this.candidates.length;
+  }
+
+  /**
+   * 歩行中と判定されているかを確認
+   * @returns {boolean}
+   */
+  isWalking() {
+    return this.walking;
+  }
+
+  /**
+   * 状態を初期化（保留中の候補は破棄される）
+   */
+  reset() {
+    this.candidates = [];
+    this.walking = false;
+    this.lastStepTime = null;
+  }
+}
+
+// エクスポート（Node.js環境用）
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = StepRegularityGate;
+}
+
+// エクスポート（ブラウザ環境用）
+if (typeof window !== 'undefined') {
+  window.StepRegularityGate = StepRegularityGate;
+}
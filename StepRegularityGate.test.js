@@ -0,0 +1,141 @@
+/**
+ * StepRegularityGate ユニットテスト
+ *
+ * テスト対象:
+ * - リズムのある連続した歩数の一括確定
+ * - 孤立した候補・リズムの崩れた候補の破棄
+ * - 歩行中の即時確定と、間隔が空いた後の再確認
+ * - 設定の反映
+ */
+
+const StepRegularityGate = require('./StepRegularityGate');
+
+/**
+ * 一定間隔の歩数候補を入力し、確定した歩数の合計を返す
+ */
+function pushSteps(gate, count, { start = 0, interval = 500 } = {}) {
+  let confirmed = 0;
+  for (let i = 0; i < count; i++) {
+    confirmed += gate.push(start + i * interval);
+  }
+  return confirmed;
+}
+
+describe('StepRegularityGate', () => {
+  let gate;
+
+  beforeEach(() => {
+    gate = new StepRegularityGate({ enabled: true, requiredSteps: 8 });
+  });
+
+  describe('歩行の確認', () => {
+    test('必要な歩数に達するまでは保留される', () => {
+      expect(pushSteps(gate, 7)).toBe(0);
+      expect(gate.getPendingCount()).toBe(7);
+      expect(gate.isWalking()).toBe(false);
+    });
+
+    test('一定のリズムで必要な歩数が揃うとまとめて確定される', () => {
+      const results = [];
+      for (let i = 0; i < 8; i++) {
+        results.push(gate.push(i * 500));
+      }
+
+      expect(results).toEqual([0, 0, 0, 0, 0, 0, 0, 8]);
+      expect(gate.getPendingCount()).toBe(0);
+      expect(gate.isWalking()).toBe(true);
+    });
+
+    test('歩行中は1歩ずつ即座に確定される', () => {
+      pushSteps(gate, 8);
+
+      expect(gate.push(8 * 500)).toBe(1);
+      expect(gate.push(9 * 500)).toBe(1);
+    });
+
+    test('許容範囲内の間隔のばらつきは同じリズムとみなされる', () => {
+      const intervals = [500, 540, 470, 520, 480, 530, 490];
+      let time = 0;
+      let confirmed = gate.push(time);
+      for (const interval of intervals) {
+        time += interval;
+        confirmed += gate.push(time);
+      }
+
+      expect(confirmed).toBe(8);
+    });
+  });
+
+  describe('誤検知の破棄', () => {
+    test('孤立した候補は次の候補が来たときに破棄される', () => {
+      gate.push(0);
+      gate.push(300);
+
+      // 間隔が大きく空いた後の候補
+      gate.push(10000);
+
+      expect(gate.getPendingCount()).toBe(1);
+      expect(gate.discardedSteps).toBe(2);
+    });
+
+    test('リズムが崩れた場合は直前の候補から数え直す', () => {
+      pushSteps(gate, 5, { interval: 500 });
+
+      // 急に短い間隔（振る動作など）
+      gate.push(4 * 500 + 100);
+
+      expect(gate.getPendingCount()).toBe(2);
+      expect(gate.discardedSteps).toBe(4);
+    });
+
+    test('不規則な動きの連続では歩数が確定しない', () => {
+      const times = [0, 150, 900, 1000, 1800, 1850, 2900, 3000, 3300, 4400];
+      let confirmed = 0;
+      for (const time of times) {
+        confirmed += gate.push(time);
+      }
+
+      expect(confirmed).toBe(0);
+    });
+
+    test('歩行中でも間隔が空いた場合は改めて確認を行う', () => {
+      pushSteps(gate, 8);
+
+      expect(gate.push(8 * 500 + 5000)).toBe(0);
+      expect(gate.isWalking()).toBe(false);
+      expect(gate.getPendingCount()).toBe(1);
+    });
+  });
+
+  describe('設定', () => {
+    test('無効の場合はすべての候補が即座に確定される', () => {
+      gate.configure({ enabled: false });
+
+      expect(gate.push(0)).toBe(1);
+      expect(gate.push(100)).toBe(1);
+    });
+
+    test('必要な連続歩数を変更できる', () => {
+      gate.configure({ requiredSteps: 4 });
+
+      expect(pushSteps(gate, 4)).toBe(4);
+    });
+
+    test('無効な設定値は無視される', () => {
+      gate.configure({ enabled: 'yes', requiredSteps: 2.5 });
+
+      expect(gate.enabled).toBe(true);
+      expect(gate.requiredSteps).toBe(8);
+    });
+
+    test('reset()で保留中の候補と歩行状態が初期化される', () => {
+      pushSteps(gate, 8);
+      gate.push(10000);
+
+      gate.reset();
+
+      expect(gate.getPendingCount()).toBe(0);
+      expect(gate.isWalking()).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,298 @@
+/**
+ * StorageAdapter - StorageManager が使う保存先の共通インターフェースと実装群
+ *
+ * StorageManager はデータの検証と形式の変換を担当し、文字列の読み書きを StorageAdapter に委譲する。
+ * インターフェースは Web Storage と同じキーと文字列の組を扱うが、すべて非同期（Promise を返す）。
+ * - getItem(key): 保存された文字列（ない場合はnull）
+ * - setItem(key, value): 文字列を保存
+ * - removeItem(key): 削除
+ *
+ * 実装:
+ * - LocalStorageAdapter: localStorage（同期APIを非同期のインターフェースで包む）
+ * - IndexedDBStorageAdapter: IndexedDB（容量が大きく、メインスレッドを止めない）
+ * - MemoryStorageAdapter: メモリ上（保存先が使えない環境とテスト用、再読み込みで消える）
+ * 利用できる場合は IndexedDB を既定とする（createDefault）。
+ *
+ * 要件: 2.1, 7.2
+ */
+class StorageAdapter {
+  /**
+   * 保存された値を取得
+   * @param {string} key - キー
+   * @returns {Promise<string|null>} 保存された文字列、ない場合はnull
+   */
+  async getItem(key) {
+    throw new Error(`${this.constructor.name} does not implement getItem`);
+  }
+
+  /**
+   * 値を保存
+   * @param {string} key - キー
+   * @param {string} value - 保存する文字列
+   * @returns {Promise<void>}
+   */
+  async setItem(key, value) {
+    throw new Error(`${this.constructor.name} does not implement setItem`);
+  }
+
+  /**
+   * 値を削除
+   * @param {string} key - キー
+   * @returns {Promise<void>}
+   */
+  async removeItem(key) {
+    throw new Error(`${this.constructor.name} does not implement removeItem`);
+  }
+
+  /**
+   * 保存先の種類（デバッグ表示用）
+   * @returns {string}
+   */
+  get type() {
+    return this.constructor.type;
+  }
+
+  /**
+   * 環境に応じた既定の保存先を作成（IndexedDB → localStorage → メモリの順に選ぶ）
+   * @returns {StorageAdapter} 保存先
+   */
+  static createDefault() {
+    const fallback = LocalStorageAdapter.isAvailable() ? new LocalStorageAdapter() : new MemoryStorageAdapter();
+    if (IndexedDBStorageAdapter.isAvailable()) {
+      // 開けない場合（プライベートブラウズなど）は localStorage を使い続ける
+      return new IndexedDBStorageAdapter({ fallback });
+    }
+    return fallback;
+  }
+}
+
+/**
+ * LocalStorageAdapter - localStorage への保存
+ */
+class LocalStorageAdapter extends StorageAdapter {
+  /**
+   * localStorage が使えるかどうか
+   * @returns {boolean} 使える場合はtrue
+   */
+  static isAvailable() {
+    try {
+      return typeof localStorage !== 'undefined' && localStorage !== null;
+    } catch (error) {
+      // Cookie がブロックされている場合などはアクセスしただけで例外になる
+      return false;
+    }
+  }
+
+  async getItem(key) {
+    return localStorage.getItem(key);
+  }
+
+  async setItem(key, value) {
+    localStorage.setItem(key, value);
+  }
+
+  async removeItem(key) {
+    localStorage.removeItem(key);
+  }
+}
+
+LocalStorageAdapter.type = 'localStorage';
+
+/**
+ * IndexedDBStorageAdapter - IndexedDB のオブジェクトストアへの保存
+ *
+ * データベースは最初の読み書きのときに開く。新しく作成した場合は、以前の版が localStorage に
+ * 保存したデータ（キーが legacyPrefix で始まるもの）を取り込む。
+ */
+class IndexedDBStorageAdapter extends StorageAdapter {
+  /**
+   * IndexedDBStorageAdapterのコンストラクタ
+   * @param {Object} [options] - 設定
+   * @param {string} [options.databaseName='stepCounter'] - データベース名
+   * @param {StorageAdapter} [options.fallback] - データベースを開けない場合に使う保存先
+   * @param {string|null} [options.legacyPrefix='stepCounter_'] - 取り込む localStorage のキーの接頭辞（nullの場合は取り込まない）
+   */
+  constructor({ databaseName = 'stepCounter', fallback = null, legacyPrefix = 'stepCounter_' } = {}) {
+    super();
+    this.DATABASE_VERSION = 1;
+    this.STORE_NAME = 'keyValue';
+    this.databaseName = databaseName;
+    this.fallback = fallback;
+    this.legacyPrefix = legacyPrefix;
+    this.databasePromise = null; // 開いている（開こうとしている）データベース
+    this.usingFallback = false; // データベースを開けず fallback を使っているかどうか
+  }
+
+  /**
+   * IndexedDB が使えるかどうか
+   * @returns {boolean} 使える場合はtrue
+   */
+  static isAvailable() {
+    return typeof indexedDB !== 'undefined' && indexedDB !== null;
+  }
+
+  /**
+   * データベースを開く（開いたデータベースは再利用する）
+   * @returns {Promise<IDBDatabase>} データベース
+   */
+  openDatabase() {
+    if (!this.databasePromise) {
+      this.databasePromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.databaseName, this.DATABASE_VERSION);
+        request.onupgradeneeded = (event) => {
+          const database = request.result;
+          const store = database.createObjectStore(this.STORE_NAME);
+          if (event.oldVersion === 0) {
+            this.importLegacyData(store);
+          }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+        request.onblocked = () => reject(new Error('IndexedDB open request was blocked'));
+      });
+      // 失敗した場合は次の読み書きで開き直す
+      this.databasePromise.catch(() => {
+        this.databasePromise = null;
+      });
+    }
+    return this.databasePromise;
+  }
+
+  /**
+   * localStorage に保存されていたデータをオブジェクトストアに取り込む
+   * @param {IDBObjectStore} store - 作成したばかりのオブジェクトストア
+   */
+  importLegacyData(store) {
+    if (this.legacyPrefix === null || !LocalStorageAdapter.isAvailable()) {
+      return;
+    }
+
+    try {
+      for (let i = 0; i < localStorage.length; i++) {
+        const key = localStorage.key(i);
+        if (key !== null && key.startsWith(this.legacyPrefix)) {
+          store.put(localStorage.getItem(key), key);
+        }
+      }
+    } catch (error) {
+      console.error('Failed to import data from localStorage:', error);
+    }
+  }
+
+  /**
+   * オブジェクトストアに対する1つの要求をトランザクションで実行
+   * @param {string} mode - 'readonly' または 'readwrite'
+   * @param {Function} operation - オブジェクトストアを受け取り IDBRequest を返す関数
+   * @returns {Promise<*>} 要求の結果（トランザクションの完了後）
+   */
+  async runTransaction(mode, operation) {
+    const database = await this.openDatabase();
+    return new Promise((resolve, reject) => {
+      const transaction = database.transaction(this.STORE_NAME, mode);
+      const request = operation(transaction.objectStore(this.STORE_NAME));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error || new Error('IndexedDB transaction was aborted'));
+    });
+  }
+
+  /**
+   * データベースの操作を実行し、開けない場合は fallback の保存先で実行
+   * @param {Function} operation - データベースの操作
+   * @param {Function} fallbackOperation - fallback の保存先を受け取る操作
+   * @returns {Promise<*>} 操作の結果
+   */
+  async withFallback(operation, fallbackOperation) {
+    if (this.usingFallback) {
+      return fallbackOperation(this.fallback);
+    }
+
+    try {
+      await this.openDatabase();
+    } catch (error) {
+      if (!this.fallback) {
+        throw error;
+      }
+      console.warn('IndexedDB could not be opened, falling back:', error);
+      this.usingFallback = true;
+      return fallbackOperation(this.fallback);
+    }
+    return operation();
+  }
+
+  async getItem(key) {
+    return this.withFallback(
+      async () => {
+        const value = await this.runTransaction('readonly', (store) => store.get(key));
+        return value === undefined ? null : value;
+      },
+      (fallback) => fallback.getItem(key)
+    );
+  }
+
+  async setItem(key, value) {
+    await this.withFallback(
+      () => this.runTransaction('readwrite', (store) => store.put(String(value), key)),
+      (fallback) => fallback.setItem(key, value)
+    );
+  }
+
+  async removeItem(key) {
+    await this.withFallback(
+      () => this.runTransaction('readwrite', (store) => store.delete(key)),
+      (fallback) => fallback.removeItem(key)
+    );
+  }
+
+  /**
+   * 保存先の種類（fallback を使っている場合はその種類）
+   * @returns {string}
+   */
+  get type() {
+    return this.usingFallback ? this.fallback.type : IndexedDBStorageAdapter.type;
+  }
+}
+
+IndexedDBStorageAdapter.type = 'indexedDB';
+
+/**
+ * MemoryStorageAdapter - メモリ上への保存（再読み込みで消える）
+ */
+class MemoryStorageAdapter extends StorageAdapter {
+  constructor() {
+    super();
+    this.items = new Map();
+  }
+
+  async getItem(key) {
+    return this.items.has(key) ? this.items.get(key) : null;
+  }
+
+  async setItem(key, value) {
+    this.items.set(key, String(value));
+  }
+
+  async removeItem(key) {
+    this.items.delete(key);
+  }
+}
+
+MemoryStorageAdapter.type = 'memory';
+
+// エクスポート（Node.js環境用）
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    StorageAdapter,
+    LocalStorageAdapter,
+    IndexedDBStorageAdapter,
+    MemoryStorageAdapter
+  };
+}
+
+// エクスポート（ブラウザ環境用）
+if (typeof window !== 'undefined') {
+  window.StorageAdapter = StorageAdapter;
+  window.LocalStorageAdapter = LocalStorageAdapter;
+  window.IndexedDBStorageAdapter = IndexedDBStorageAdapter;
+  window.MemoryStorageAdapter = MemoryStorageAdapter;
+}
@@ -0,0 +1,215 @@
+/**
+ * StorageAdapter ユニットテスト
+ *
+ * テスト対象:
+ * - メモリ・localStorage・IndexedDB の各保存先での読み書き
+ * - IndexedDB を新しく作成したときの localStorage のデータの取り込み
+ * - IndexedDB を開けない場合の fallback
+ * - 環境に応じた既定の保存先の選択
+ * - StorageManager からの利用
+ */
+
+const { StorageAdapter, LocalStorageAdapter, IndexedDBStorageAdapter, MemoryStorageAdapter } = require('./StorageAdapter');
+const StorageManager = require('./StorageManager');
+
+/**
+ * テスト用の最小限の IndexedDB（キーと値のオブジェクトストアのみ）
+ * @param {Object} [options]
+ * @param {boolean} [options.failOpen=false] - データベースを開く要求を失敗させるか
+ */
+function createFakeIndexedDB({ failOpen = false } = {}) {
+  const databases = new Map(); // データベース名 → { version, stores: Map<ストア名, Map> }
+  const later = (callback) => Promise.resolve().then(callback);
+
+  const createDatabase = (entry) => ({
+    createObjectStore: (name) => {
+      entry.stores.set(name, new Map());
+      return createStore(entry.stores.get(name));
+    },
+    transaction: (name) => {
+      const transaction = { oncomplete: null, onerror: null, onabort: null, error: null };
+      transaction.objectStore = () => createStore(entry.stores.get(name), transaction);
+      return transaction;
+    }
+  });
+
+  const createStore = (data, transaction = null) => {
+    const request = (operation) => {
+      const result = { result: undefined };
+      later(() => {
+        result.result = operation();
+        if (transaction && transaction.oncomplete) {
+          later(() => transaction.oncomplete());
+        }
+      });
+      return result;
+    };
+    return {
+      get: (key) => request(() => data.get(key)),
+      put: (value, key) => request(() => data.set(key, value) && key),
+      delete: (key) => request(() => data.delete(key) && undefined)
+    };
+  };
+
+  return {
+    databases,
+    open: jest.fn((name, version) => {
+      const request = { result: null, error: null };
+      later(() => {
+        if (failOpen) {
+          request.error = new Error('open failed');
+          request.onerror();
+          return;
+        }
+        let entry = databases.get(name);
+        const oldVersion = entry ? entry.version : 0;
+        if (!entry) {
+          entry = { version: 0, stores: new Map() };
+          databases.set(name, entry);
+        }
+        request.result = createDatabase(entry);
+        if (oldVersion < version) {
+          entry.version = version;
+          request.onupgradeneeded({ oldVersion, newVersion: version });
+        }
+        request.onsuccess();
+      });
+      return request;
+    })
+  };
+}
+
+describe('StorageAdapter', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  afterEach(() => {
+    delete global.indexedDB;
+  });
+
+  describe('基底クラス', () => {
+    test('実装されていないメソッドはエラーになる', async () => {
+      const adapter = new StorageAdapter();
+
+      await expect(adapter.getItem('key')).rejects.toThrow('does not implement getItem');
+      await expect(adapter.setItem('key', 'value')).rejects.toThrow('does not implement setItem');
+      await expect(adapter.removeItem('key')).rejects.toThrow('does not implement removeItem');
+    });
+  });
+
+  describe.each([
+    ['MemoryStorageAdapter', () => new MemoryStorageAdapter()],
+    ['LocalStorageAdapter', () => new LocalStorageAdapter()],
+    ['IndexedDBStorageAdapter', () => {
+      global.indexedDB = createFakeIndexedDB();
+      return new IndexedDBStorageAdapter();
+    }]
+  ])('%s', (name, createAdapter) => {
+    test('保存した文字列を読み込み、削除できる', async () => {
+      const adapter = createAdapter();
+
+      await adapter.setItem('stepCounter_resetTime', '06:30');
+      expect(await adapter.getItem('stepCounter_resetTime')).toBe('06:30');
+
+      await adapter.removeItem('stepCounter_resetTime');
+      expect(await adapter.getItem('stepCounter_resetTime')).toBeNull();
+    });
+
+    test('保存されていないキーはnullを返す', async () => {
+      expect(await createAdapter().getItem('stepCounter_missing')).toBeNull();
+    });
+  });
+
+  describe('IndexedDBStorageAdapter', () => {
+    test('データベースは一度だけ開く', async () => {
+      global.indexedDB = createFakeIndexedDB();
+      const adapter = new IndexedDBStorageAdapter();
+
+      await adapter.setItem('a', '1');
+      await adapter.getItem('a');
+
+      expect(indexedDB.open).toHaveBeenCalledTimes(1);
+      expect(adapter.type).toBe('indexedDB');
+    });
+
+    test('新しく作成した場合は以前の localStorage のデータを取り込む', async () => {
+      localStorage.setItem('stepCounter_resetTime', '07:00');
+      localStorage.setItem('otherApp_value', 'x');
+      global.indexedDB = createFakeIndexedDB();
+
+      const adapter = new IndexedDBStorageAdapter();
+
+      expect(await adapter.getItem('stepCounter_resetTime')).toBe('07:00');
+      expect(await adapter.getItem('otherApp_value')).toBeNull();
+    });
+
+    test('既に作成済みの場合は localStorage のデータを取り込まない', async () => {
+      global.indexedDB = createFakeIndexedDB();
+      await new IndexedDBStorageAdapter().setItem('stepCounter_resetTime', '06:00');
+      localStorage.setItem('stepCounter_resetTime', '07:00');
+
+      const adapter = new IndexedDBStorageAdapter();
+
+      expect(await adapter.getItem('stepCounter_resetTime')).toBe('06:00');
+    });
+
+    test('開けない場合は fallback の保存先を使う', async () => {
+      global.indexedDB = createFakeIndexedDB({ failOpen: true });
+      const fallback = new MemoryStorageAdapter();
+      const adapter = new IndexedDBStorageAdapter({ fallback });
+      const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+      await adapter.setItem('stepCounter_resetTime', '05:00');
+
+      expect(await fallback.getItem('stepCounter_resetTime')).toBe('05:00');
+      expect(await adapter.getItem('stepCounter_resetTime')).toBe('05:00');
+      expect(adapter.type).toBe('memory');
+      warnSpy.mockRestore();
+    });
+
+    test('開けず fallback もない場合はエラーになる', async () => {
+      global.indexedDB = createFakeIndexedDB({ failOpen: true });
+
+      await expect(new IndexedDBStorageAdapter().getItem('a')).rejects.toThrow('open failed');
+    });
+  });
+
+  describe('既定の保存先', () => {
+    test('IndexedDB が使える場合は IndexedDB を使う', () => {
+      global.indexedDB = createFakeIndexedDB();
+
+      const adapter = StorageAdapter.createDefault();
+
+      expect(adapter).toBeInstanceOf(IndexedDBStorageAdapter);
+      expect(adapter.fallback).toBeInstanceOf(LocalStorageAdapter);
+    });
+
+    test('IndexedDB が使えない場合は localStorage を使う', () => {
+      expect(StorageAdapter.createDefault()).toBeInstanceOf(LocalStorageAdapter);
+    });
+  });
+
+  describe('StorageManager からの利用', () => {
+    test('指定した保存先に読み書きする', async () => {
+      const adapter = new MemoryStorageAdapter();
+      const storageManager = new StorageManager(adapter);
+
+      expect(await storageManager.setResetTime('08:15')).toBe(true);
+
+      expect(await adapter.getItem(storageManager.KEYS.RESET_TIME)).toBe('08:15');
+      expect(await storageManager.getResetTime()).toBe('08:15');
+      expect(localStorage.getItem(storageManager.KEYS.RESET_TIME)).toBeNull();
+    });
+
+    test('保存先の読み書きに失敗した場合は既定値を返す', async () => {
+      const adapter = new MemoryStorageAdapter();
+      adapter.getItem = jest.fn(async () => { throw new Error('read failed'); });
+      const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      expect(await new StorageManager(adapter).getResetTime()).toBe('00:00');
+      expect(await new StorageManager(adapter).loadHistory()).toEqual([]);
+      errorSpy.mockRestore();
+    });
+  });
+});
@@ -1,29 +1,98 @@
 /**
- * StorageManager - ローカルストレージへのデータ保存と読み込みを管理するコンポーネント
- * 
+ * StorageManager - 端末へのデータ保存と読み込みを管理するコンポーネント
+ *
+ * データの検証と形式の変換を行い、実際の読み書きは StorageAdapter（IndexedDB、localStorage、メモリ）に委譲する。
+ * 保存先は非同期のため、すべての読み書きのメソッドは Promise を返す。
+ *
  * 要件: 2.1, 2.3, 2.4, 7.2
  */
 
+// 依存モジュールの取得（ブラウザ環境ではwindowに登録済み、Node.js環境（テスト用）ではrequire）
+const StorageManagerModules = (typeof module !== 'undefined' && module.exports)
+  ? require('./StorageAdapter.js')
+  : window;
+
 class StorageManager {
-  constructor() {
+  /**
+   * StorageManagerのコンストラクタ
+   * @param {StorageAdapter} [adapter] - 保存先（省略時は環境に応じた既定の保存先、IndexedDB が使える場合は IndexedDB）
+   */
+  constructor(adapter = null) {
+    this.adapter = adapter || StorageManagerModules.StorageAdapter.createDefault();
     this.KEYS = {
       STEP_DATA: 'stepCounter_currentData',
       RESET_TIME: 'stepCounter_resetTime',
-      HISTORY: 'stepCounter_history'
+      HISTORY: 'stepCounter_history', // 履歴（バージョン2まで。バージョン3以降は年ごとのキーに分けて保存する）
+      HISTORY_YEARS: 'stepCounter_historyYears', // 履歴を保存している年の一覧
+      DETECTOR_TYPE: 'stepCounter_detectorType',
+      WALKING_CONFIRMATION: 'stepCounter_walkingConfirmation',
+      CALIBRATION: 'stepCounter_calibration',
+      CADENCE_TARGET: 'stepCounter_cadenceTarget',
+      USER_PROFILE: 'stepCounter_userProfile',
+      SENSOR_SOURCE: 'stepCounter_sensorSource',
+      PERMISSION_STATE: 'stepCounter_permissionState',
+      SCHEMA_VERSION: 'stepCounter_schemaVersion',
+      MIGRATION_BACKUP: 'stepCounter_migrationBackup',
+      TIMELINE: 'stepCounter_timeline', // タイムライン（バージョン3まで。バージョン4以降は日ごと・月ごとのキーに分けて保存する）
+      TIMELINE_DAYS: 'stepCounter_timelineDays', // 分単位のバケットを保存している日の一覧
+      TIMELINE_MONTHS: 'stepCounter_timelineMonths' // 時間単位のバケットを保存している月の一覧
     };
     this.DEFAULT_RESET_TIME = '00:00'; // デフォルトは午前0時
+    this.DEFAULT_WALKING_CONFIRMATION = { enabled: true, requiredSteps: 8 }; // デフォルトは8歩連続で歩行と判定
+    this.MIN_REQUIRED_STEPS = 2; // 歩行確認に必要な連続歩数の下限
+    this.MAX_REQUIRED_STEPS = 50; // 歩行確認に必要な連続歩数の上限
+    this.DEFAULT_CADENCE_TARGET = { enabled: false, min: 160, max: 180 }; // デフォルトは目標なし（160〜180歩/分）
+    this.MIN_CADENCE = 30; // 目標ケイデンスの下限（歩/分）
+    this.MAX_CADENCE = 300; // 目標ケイデンスの上限（歩/分）
+    this.DEFAULT_USER_PROFILE = { // デフォルトは未入力（キロメートル表示）
+      height: null,
+      weight: null,
+      age: null,
+      sex: null,
+      strideLength: null,
+      distanceUnit: 'km'
+    };
+    this.HEIGHT_RANGE = { min: 100, max: 250 }; // 身長の入力範囲（cm）
+    this.WEIGHT_RANGE = { min: 20, max: 300 }; // 体重の入力範囲（kg）
+    this.AGE_RANGE = { min: 5, max: 120 }; // 年齢の入力範囲（歳）
+    this.SEXES = ['male', 'female']; // 性別の選択肢
+    this.STRIDE_LENGTH_RANGE = { min: 30, max: 200 }; // 歩幅の入力範囲（cm）
+    this.DISTANCE_UNITS = ['km', 'mi']; // 距離の表示単位
+    this.SENSOR_SOURCES = ['device', 'simulated']; // センサーの入力元（端末のセンサー、シミュレーション）
+    this.DEFAULT_SENSOR_SOURCE = 'device';
+    this.PERMISSION_STATES = ['prompt', 'granted', 'denied', 'unsupported']; // 保存するセンサーの権限の状態
+    this.TIMELINE_RESOLUTIONS = { minute: 60 * 1000, hour: 60 * 60 * 1000 }; // 歩数のタイムラインのバケットの幅（ミリ秒）
+    this.MINUTE_BUCKET_RETENTION_MS = 48 * 60 * 60 * 1000; // 分単位のバケットを残す期間（これより前に終わった日の分は削除する。時間単位は期限なく残す）
+    this.TIMELINE_PARTITION_LISTS = { minute: this.KEYS.TIMELINE_DAYS, hour: this.KEYS.TIMELINE_MONTHS }; // タイムラインの区分の一覧のキー
+    this.timelineWrites = Promise.resolve(); // タイムラインへの書き込みの順番待ち（読み込みと書き込みの間に他の書き込みを挟まない）
+    this.historyWrites = Promise.resolve(); // 履歴への書き込みの順番待ち（同上）
+    this.SCHEMA_VERSION = 4; // 保存するデータの形式のバージョン（記録のない以前の形式は1）
+    // 移行の対象（バックアップするキー、年ごとの履歴とタイムラインの区分のキーは createMigrationBackup() で加える）
+    this.VERSIONED_KEYS = [
+      this.KEYS.STEP_DATA, this.KEYS.RESET_TIME, this.KEYS.HISTORY, this.KEYS.HISTORY_YEARS,
+      this.KEYS.TIMELINE, this.KEYS.TIMELINE_DAYS, this.KEYS.TIMELINE_MONTHS
+    ];
+    // 移行の一覧（バージョンの昇順、各移行は1つ前のバージョンのデータを変換する）
+    this.MIGRATIONS = [
+      { version: 2, description: 'history entries to daily records', migrate: () => this.migrateHistoryToDailyRecords() },
+      { version: 3, description: 'daily records to yearly history of periods', migrate: () => this.migrateDailyRecordsToPeriods() },
+      { version: 4, description: 'timeline to daily minute and monthly hour partitions', migrate: () => this.migrateTimelineToPartitions() }
+    ];
   }
 
   /**
    * 歩数データを保存
    * @param {Object} data - 保存する歩数データ
    * @param {number} data.steps - 歩数（0以上の整数）
+   * @param {Object} [data.activities] - 活動ごとの歩数（活動の種類 → 0以上の整数）
+   * @param {number} [data.distance] - 推定移動距離（メートル）
+   * @param {number} [data.calories] - 推定活動消費カロリー（kcal）
    * @param {number} data.timestamp - 最終更新時刻（Unix時間ミリ秒）
-   * @returns {boolean} 保存に成功した場合はtrue、失敗した場合はfalse
+   * @returns {Promise<boolean>} 保存に成功した場合はtrue、失敗した場合はfalse
    * 
    * 要件: 2.1
    */
-  saveStepData(data) {
+  async saveStepData(data) {
     try {
       // データの検証
       if (typeof data !== 'object' || data === null) {
@@ -35,8 +104,17 @@ class StorageManager {
       if (typeof data.timestamp !== 'number' || data.timestamp < 0) {
         throw new Error('Invalid timestamp: must be a non-negative number');
       }
+      if (data.activities !== undefined && !this.isValidActivitySteps(data.activities)) {
+        throw new Error('Invalid activities: must map activity names to non-negative integers');
+      }
+      if (data.distance !== undefined && !this.isNonNegativeNumber(data.distance)) {
+        throw new Error('Invalid distance: must be a non-negative number');
+      }
+      if (data.calories !== undefined && !this.isNonNegativeNumber(data.calories)) {
+        throw new Error('Invalid calories: must be a non-negative number');
+      }
 
-      localStorage.setItem(this.KEYS.STEP_DATA, JSON.stringify(data));
+      await this.adapter.setItem(this.KEYS.STEP_DATA, JSON.stringify(data));
       return true;
     } catch (error) {
       console.error('Failed to save step data:', error);
@@ -46,13 +124,13 @@ class StorageManager {
 
   /**
    * 歩数データを読み込み
-   * @returns {Object|null} 保存された歩数データ、または読み込みに失敗した場合はnull
+   * @returns {Promise<Object|null>} 保存された歩数データ、または読み込みに失敗した場合はnull
    * 
    * 要件: 2.1
    */
-  loadStepData() {
+  async loadStepData() {
     try {
-      const data = localStorage.getItem(this.KEYS.STEP_DATA);
+      const data = await this.adapter.getItem(this.KEYS.STEP_DATA);
       if (!data) {
         return null;
       }
@@ -79,13 +157,13 @@ class StorageManager {
 
   /**
    * リセット時刻を取得
-   * @returns {string} リセット時刻（HH:MM形式）
+   * @returns {Promise<string>} リセット時刻（HH:MM形式）
    * 
    * 要件: 2.4
    */
-  getResetTime() {
+  async getResetTime() {
     try {
-      const resetTime = localStorage.getItem(this.KEYS.RESET_TIME);
+      const resetTime = await this.adapter.getItem(this.KEYS.RESET_TIME);
       
       // 保存されたリセット時刻がない場合はデフォルト値を返す
       if (!resetTime) {
@@ -108,18 +186,18 @@ class StorageManager {
   /**
    * リセット時刻を設定
    * @param {string} time - リセット時刻（HH:MM形式、00:00〜23:59）
-   * @returns {boolean} 設定に成功した場合はtrue、失敗した場合はfalse
+   * @returns {Promise<boolean>} 設定に成功した場合はtrue、失敗した場合はfalse
    * 
    * 要件: 2.4
    */
-  setResetTime(time) {
+  async setResetTime(time) {
     try {
       // 時刻形式の検証（HH:MM）
       if (!/^([0-1][0-9]|2[0-3]):[0-5][0-9]$/.test(time)) {
         throw new Error('Invalid time format: must be HH:MM (00:00-23:59)');
       }
 
-      localStorage.setItem(this.KEYS.RESET_TIME, time);
+      await this.adapter.setItem(this.KEYS.RESET_TIME, time);
       return true;
     } catch (error) {
       console.error('Failed to set reset time:', error);
@@ -128,34 +206,484 @@ class StorageManager {
   }
 
   /**
-   * 履歴を保存
-   * @param {Object} entry - 保存する履歴エントリ
-   * @param {number} entry.steps - その日の歩数（0以上の整数）
-   * @param {string} entry.date - 日付（ISO 8601形式）
-   * @returns {boolean} 保存に成功した場合はtrue、失敗した場合はfalse
+   * 歩数検出アルゴリズムの種類を取得
+   * @returns {Promise<string|null>} 保存された検出アルゴリズムの種類、未設定または読み込みに失敗した場合はnull
+   */
+  async getDetectorType() {
+    try {
+      const type = await this.adapter.getItem(this.KEYS.DETECTOR_TYPE);
+      return type || null;
+    } catch (error) {
+      console.error('Failed to get detector type:', error);
+      return null;
+    }
+  }
+
+  /**
+   * 歩数検出アルゴリズムの種類を保存
+   * @param {string} type - 検出アルゴリズムの種類（StepDetectorの登録名）
+   * @returns {Promise<boolean>} 保存に成功した場合はtrue、失敗した場合はfalse
+   */
+  async setDetectorType(type) {
+    try {
+      if (typeof type !== 'string' || !type) {
+        throw new Error('Invalid detector type: must be a non-empty string');
+      }
+
+      await this.adapter.setItem(this.KEYS.DETECTOR_TYPE, type);
+      return true;
+    } catch (error) {
+      console.error('Failed to set detector type:', error);
+      return false;
+    }
+  }
+
+  /**
+   * センサーの入力元を取得（デバッグ設定）
+   * @returns {Promise<string>} 保存された入力元、未設定・不正な値・読み込みに失敗した場合はデフォルト（'device'）
+   */
+  async getSensorSource() {
+    try {
+      const source = await this.adapter.getItem(this.KEYS.SENSOR_SOURCE);
+      return this.SENSOR_SOURCES.includes(source) ? source : this.DEFAULT_SENSOR_SOURCE;
+    } catch (error) {
+      console.error('Failed to get sensor source:', error);
+      return this.DEFAULT_SENSOR_SOURCE;
+    }
+  }
+
+  /**
+   * センサーの入力元を保存（デバッグ設定）
+   * @param {string} source - 入力元（'device' または 'simulated'）
+   * @returns {Promise<boolean>} 保存に成功した場合はtrue、失敗した場合はfalse
+   */
+  async setSensorSource(source) {
+    try {
+      if (!this.SENSOR_SOURCES.includes(source)) {
+        throw new Error(`Invalid sensor source: ${source}`);
+      }
+
+      await this.adapter.setItem(this.KEYS.SENSOR_SOURCE, source);
+      return true;
+    } catch (error) {
+      console.error('Failed to set sensor source:', error);
+      return false;
+    }
+  }
+
+  /**
+   * 最後に分かったセンサーの権限の状態を取得
+   * @returns {Promise<string|null>} 保存された状態、未設定・不正な値・読み込みに失敗した場合はnull
+   */
+  async getPermissionState() {
+    try {
+      const state = await this.adapter.getItem(this.KEYS.PERMISSION_STATE);
+      return this.PERMISSION_STATES.includes(state) ? state : null;
+    } catch (error) {
+      console.error('Failed to get permission state:', error);
+      return null;
+    }
+  }
+
+  /**
+   * センサーの権限の状態を保存
+   * @param {string} state - 'prompt'、'granted'、'denied' または 'unsupported'
+   * @returns {Promise<boolean>} 保存に成功した場合はtrue、失敗した場合はfalse
+   */
+  async setPermissionState(state) {
+    try {
+      if (!this.PERMISSION_STATES.includes(state)) {
+        throw new Error(`Invalid permission state: ${state}`);
+      }
+
+      await this.adapter.setItem(this.KEYS.PERMISSION_STATE, state);
+      return true;
+    } catch (error) {
+      console.error('Failed to set permission state:', error);
+      return false;
+    }
+  }
+
+  /**
+   * 歩行確認の設定を取得
+   * @returns {Promise<Object>} 歩行確認の設定（enabled: 有効かどうか, requiredSteps: 歩行と判定する連続歩数）
+   */
+  async getWalkingConfirmation() {
+    try {
+      const data = await this.adapter.getItem(this.KEYS.WALKING_CONFIRMATION);
+      if (!data) {
+        return { ...this.DEFAULT_WALKING_CONFIRMATION };
+      }
+
+      const parsed = JSON.parse(data);
+      if (!this.isValidWalkingConfirmation(parsed)) {
+        console.warn('Invalid walking confirmation settings in storage, using default');
+        return { ...this.DEFAULT_WALKING_CONFIRMATION };
+      }
+
+      return { enabled: parsed.enabled, requiredSteps: parsed.requiredSteps };
+    } catch (error) {
+      console.error('Failed to get walking confirmation settings:', error);
+      return { ...this.DEFAULT_WALKING_CONFIRMATION };
+    }
+  }
+
+  /**
+   * 歩行確認の設定を保存
+   * @param {Object} settings - 歩行確認の設定
+   * @param {boolean} settings.enabled - 歩行確認を有効にするか
+   * @param {number} settings.requiredSteps - 歩行と判定する連続歩数（2〜50の整数）
+   * @returns {Promise<boolean>} 保存に成功した場合はtrue、失敗した場合はfalse
+   */
+  async setWalkingConfirmation(settings) {
+    try {
+      if (!this.isValidWalkingConfirmation(settings)) {
+        throw new Error(`Invalid walking confirmation: requiredSteps must be an integer between ${this.MIN_REQUIRED_STEPS} and ${this.MAX_REQUIRED_STEPS}`);
+      }
+
+      await this.adapter.setItem(this.KEYS.WALKING_CONFIRMATION, JSON.stringify({
+        enabled: settings.enabled,
+        requiredSteps: settings.requiredSteps
+      }));
+      return true;
+    } catch (error) {
+      console.error('Failed to set walking confirmation settings:', error);
+      return false;
+    }
+  }
+
+  /**
+   * 歩行確認の設定を検証
+   * @param {Object} settings - 検証する設定
+   * @returns {boolean} 有効な設定の場合はtrue
+   */
+  isValidWalkingConfirmation(settings) {
+    return typeof settings === 'object' && settings !== null &&
+      typeof settings.enabled === 'boolean' &&
+      Number.isInteger(settings.requiredSteps) &&
+      settings.requiredSteps >= this.MIN_REQUIRED_STEPS &&
+      settings.requiredSteps <= this.MAX_REQUIRED_STEPS;
+  }
+
+  /**
+   * 目標ケイデンスの設定を取得
+   * @returns {Promise<Object>} 目標ケイデンスの設定（enabled: 有効かどうか, min/max: 目標範囲（歩/分））
+   */
+  async getCadenceTarget() {
+    try {
+      const data = await this.adapter.getItem(this.KEYS.CADENCE_TARGET);
+      if (!data) {
+        return { ...this.DEFAULT_CADENCE_TARGET };
+      }
+
+      const parsed = JSON.parse(data);
+      if (!this.isValidCadenceTarget(parsed)) {
+        console.warn('Invalid cadence target in storage, using default');
+        return { ...this.DEFAULT_CADENCE_TARGET };
+      }
+
+      return { enabled: parsed.enabled, min: parsed.min, max: parsed.max };
+    } catch (error) {
+      console.error('Failed to get cadence target:', error);
+      return { ...this.DEFAULT_CADENCE_TARGET };
+    }
+  }
+
+  /**
+   * 目標ケイデンスの設定を保存
+   * @param {Object} target - 目標ケイデンスの設定
+   * @param {boolean} target.enabled - 目標範囲を表示するか
+   * @param {number} target.min - 目標範囲の下限（歩/分、30〜300の整数）
+   * @param {number} target.max - 目標範囲の上限（歩/分、下限より大きい30〜300の整数）
+   * @returns {Promise<boolean>} 保存に成功した場合はtrue、失敗した場合はfalse
+   */
+  async setCadenceTarget(target) {
+    try {
+      if (!this.isValidCadenceTarget(target)) {
+        throw new Error(`Invalid cadence target: min and max must be integers between ${this.MIN_CADENCE} and ${this.MAX_CADENCE} with min < max`);
+      }
+
+      await this.adapter.setItem(this.KEYS.CADENCE_TARGET, JSON.stringify({
+        enabled: target.enabled,
+        min: target.min,
+        max: target.max
+      }));
+      return true;
+    } catch (error) {
+      console.error('Failed to set cadence target:', error);
+      return false;
+    }
+  }
+
+  /**
+   * 目標ケイデンスの設定を検証
+   * @param {Object} target - 検証する設定
+   * @returns {boolean} 有効な設定の場合はtrue
+   */
+  isValidCadenceTarget(target) {
+    const isCadence = (value) => Number.isInteger(value) && value >= this.MIN_CADENCE && value <= this.MAX_CADENCE;
+    return typeof target === 'object' && target !== null &&
+      typeof target.enabled === 'boolean' &&
+      isCadence(target.min) && isCadence(target.max) &&
+      target.min < target.max;
+  }
+
+  /**
+   * ユーザープロファイルを取得
+   * @returns {Promise<Object>} ユーザープロファイル（height: 身長（cm）, weight: 体重（kg）, age: 年齢, sex: 性別,
+   *   strideLength: 歩幅（cm）, distanceUnit: 距離の表示単位）、未入力の項目はnull
+   */
+  async getUserProfile() {
+    try {
+      const data = await this.adapter.getItem(this.KEYS.USER_PROFILE);
+      if (!data) {
+        return { ...this.DEFAULT_USER_PROFILE };
+      }
+
+      // 保存後に追加された項目は未入力として扱う
+      const parsed = { ...this.DEFAULT_USER_PROFILE, ...JSON.parse(data) };
+      if (!this.isValidUserProfile(parsed)) {
+        console.warn('Invalid user profile in storage, using default');
+        return { ...this.DEFAULT_USER_PROFILE };
+      }
+
+      return this.pickUserProfile(parsed);
+    } catch (error) {
+      console.error('Failed to get user profile:', error);
+      return { ...this.DEFAULT_USER_PROFILE };
+    }
+  }
+
+  /**
+   * ユーザープロファイルを保存
+   * @param {Object} profile - ユーザープロファイル
+   * @param {number|null} profile.height - 身長（cm、100〜250）、未入力の場合はnull
+   * @param {number|null} profile.weight - 体重（kg、20〜300）、未入力の場合はnull
+   * @param {number|null} profile.age - 年齢（5〜120の整数）、未入力の場合はnull
+   * @param {string|null} profile.sex - 性別（'male' または 'female'）、未入力の場合はnull
+   * @param {number|null} profile.strideLength - 実測した歩幅（cm、30〜200）、未入力の場合はnull
+   * @param {string} profile.distanceUnit - 距離の表示単位（'km' または 'mi'）
+   * @returns {Promise<boolean>} 保存に成功した場合はtrue、失敗した場合はfalse
+   */
+  async setUserProfile(profile) {
+    try {
+      if (!this.isValidUserProfile(profile)) {
+        throw new Error('Invalid user profile: a field is missing or out of range');
+      }
+
+      await this.adapter.setItem(this.KEYS.USER_PROFILE, JSON.stringify(this.pickUserProfile(profile)));
+      return true;
+    } catch (error) {
+      console.error('Failed to set user profile:', error);
+      return false;
+    }
+  }
+
+  /**
+   * ユーザープロファイルを検証
+   * @param {Object} profile - 検証するプロファイル
+   * @returns {boolean} 有効なプロファイルの場合はtrue
+   */
+  isValidUserProfile(profile) {
+    const isOptionalInRange = (value, { min, max }) => value === null ||
+      (typeof value === 'number' && Number.isFinite(value) && value >= min && value <= max);
+    return typeof profile === 'object' && profile !== null &&
+      isOptionalInRange(profile.height, this.HEIGHT_RANGE) &&
+      isOptionalInRange(profile.weight, this.WEIGHT_RANGE) &&
+      isOptionalInRange(profile.age, this.AGE_RANGE) && (profile.age === null || Number.isInteger(profile.age)) &&
+      (profile.sex === null || this.SEXES.includes(profile.sex)) &&
+      isOptionalInRange(profile.strideLength, this.STRIDE_LENGTH_RANGE) &&
+      this.DISTANCE_UNITS.includes(profile.distanceUnit);
+  }
+
+  /**
+   * ユーザープロファイルの項目のみを取り出す
+   * @param {Object} profile - ユーザープロファイル
+   * @returns {Object} 既知の項目のみのコピー
+   */
+  pickUserProfile(profile) {
+    return {
+      height: profile.height,
+      weight: profile.weight,
+      age: profile.age,
+      sex: profile.sex,
+      strideLength: profile.strideLength,
+      distanceUnit: profile.distanceUnit
+    };
+  }
+
+  /**
+   * 活動ごとの歩数を検証
+   * @param {Object} activities - 検証する活動ごとの歩数
+   * @returns {boolean} 活動の種類 → 0以上の整数のオブジェクトの場合はtrue
+   */
+  isValidActivitySteps(activities) {
+    return typeof activities === 'object' && activities !== null && !Array.isArray(activities) &&
+      Object.values(activities).every((steps) => Number.isInteger(steps) && steps >= 0);
+  }
+
+  /**
+   * 移動距離・消費カロリーなどの推定値を検証
+   * @param {number} value - 検証する値
+   * @returns {boolean} 0以上の有限の数値の場合はtrue
+   */
+  isNonNegativeNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+  }
+
+  /**
+   * 端末のキャリブレーションプロファイルを取得
+   * @returns {Promise<Object|null>} 保存されたプロファイル、未実施または読み込みに失敗した場合はnull
+   */
+  async getCalibrationProfile() {
+    try {
+      const data = await this.adapter.getItem(this.KEYS.CALIBRATION);
+      if (!data) {
+        return null;
+      }
+
+      const profile = JSON.parse(data);
+      if (!this.isValidCalibrationProfile(profile)) {
+        console.warn('Invalid calibration profile in storage, ignoring');
+        return null;
+      }
+
+      return profile;
+    } catch (error) {
+      console.error('Failed to get calibration profile:', error);
+      return null;
+    }
+  }
+
+  /**
+   * 端末のキャリブレーションプロファイルを保存
+   * @param {Object} profile - キャリブレーションプロファイル
+   * @param {string} profile.detectorType - キャリブレーションした検出アルゴリズムの種類
+   * @param {Object} profile.parameters - 検出パラメータ（パラメータ名 → 数値）
+   * @param {number} profile.targetSteps - キャリブレーションで歩いた歩数
+   * @param {number} profile.detectedSteps - 求めたパラメータで検出された歩数
+   * @param {number} profile.calibratedAt - キャリブレーションした時刻（Unix時間ミリ秒）
+   * @returns {Promise<boolean>} 保存に成功した場合はtrue、失敗した場合はfalse
+   */
+  async setCalibrationProfile(profile) {
+    try {
+      if (!this.isValidCalibrationProfile(profile)) {
+        throw new Error('Invalid calibration profile');
+      }
+
+      await this.adapter.setItem(this.KEYS.CALIBRATION, JSON.stringify({
+        detectorType: profile.detectorType,
+        parameters: { ...profile.parameters },
+        targetSteps: profile.targetSteps,
+        detectedSteps: profile.detectedSteps,
+        calibratedAt: profile.calibratedAt
+      }));
+      return true;
+    } catch (error) {
+      console.error('Failed to set calibration profile:', error);
+      return false;
+    }
+  }
+
+  /**
+   * 端末のキャリブレーションプロファイルを削除
+   * @returns {Promise<boolean>} 削除に成功した場合はtrue、失敗した場合はfalse
+   */
+  async clearCalibrationProfile() {
+    try {
+      await this.adapter.removeItem(this.KEYS.CALIBRATION);
+      return true;
+    } catch (error) {
+      console.error('Failed to clear calibration profile:', error);
+      return false;
+    }
+  }
+
+  /**
+   * キャリブレーションプロファイルを検証
+   * @param {Object} profile - 検証するプロファイル
+   * @returns {boolean} 有効なプロファイルの場合はtrue
+   */
+  isValidCalibrationProfile(profile) {
+    return typeof profile === 'object' && profile !== null &&
+      typeof profile.detectorType === 'string' && profile.detectorType !== '' &&
+      typeof profile.parameters === 'object' && profile.parameters !== null &&
+      Object.values(profile.parameters).every((value) => typeof value === 'number' && Number.isFinite(value)) &&
+      Number.isInteger(profile.targetSteps) && profile.targetSteps > 0 &&
+      Number.isInteger(profile.detectedSteps) && profile.detectedSteps >= 0 &&
+      typeof profile.calibratedAt === 'number';
+  }
+
+  /**
+   * 日次期間の記録を履歴に保存（同じ開始日・リセット時刻の記録がある場合は置き換える）
+   * @param {Object} record - 保存する日次期間の記録
+   * @param {number} record.startedAt - 期間の開始（リセット）時刻（Unix時間ミリ秒）
+   * @param {number} record.endedAt - 期間の終了（次のリセット）時刻（Unix時間ミリ秒）
+   * @param {string} record.resetTime - 期間のリセット時刻（HH:MM形式）
+   * @param {number} record.steps - 期間の歩数（0以上の整数）
+   * @param {Object} [record.activities] - 期間の活動ごとの歩数（活動の種類 → 0以上の整数）
+   * @param {number} [record.distance] - 期間の推定移動距離（メートル）
+   * @param {number} [record.calories] - 期間の推定活動消費カロリー（kcal）
+   * @param {number} [record.recordedAt] - 記録した時刻（Unix時間ミリ秒）
+   * @returns {Promise<boolean>} 保存に成功した場合はtrue、失敗した場合はfalse
+   *
+   * 記録は期間の開始日（端末のタイムゾーン）を date として持ち、開始日の年ごとのキーに分けて期限なく保存する。
+   * 同じ期間を保存し直しても（見逃したリセットの確認が重なった場合など）二重に数えない。
    * 
    * 要件: 2.3
    */
-  saveHistory(entry) {
+  saveHistory(record) {
+    this.historyWrites = this.historyWrites.then(() => this.writeHistoryRecord(record));
+    return this.historyWrites;
+  }
+
+  /**
+   * 日次期間の記録を年ごとの履歴に書き込む（saveHistory() から順番に呼び出す）
+   * @param {Object} record - 保存する日次期間の記録
+   * @returns {Promise<boolean>} 保存に成功した場合はtrue、失敗した場合はfalse
+   */
+  async writeHistoryRecord(record) {
     try {
-      // エントリの検証
-      if (typeof entry !== 'object' || entry === null) {
-        throw new Error('Invalid entry: must be an object');
+      // 記録の検証
+      if (typeof record !== 'object' || record === null) {
+        throw new Error('Invalid record: must be an object');
       }
-      if (typeof entry.steps !== 'number' || entry.steps < 0 || !Number.isInteger(entry.steps)) {
+      if (typeof record.steps !== 'number' || record.steps < 0 || !Number.isInteger(record.steps)) {
         throw new Error('Invalid steps: must be a non-negative integer');
       }
-      if (typeof entry.date !== 'string' || !entry.date) {
-        throw new Error('Invalid date: must be a non-empty string');
+      if (!this.isNonNegativeNumber(record.startedAt) || !this.isNonNegativeNumber(record.endedAt) ||
+          record.startedAt >= record.endedAt) {
+        throw new Error('Invalid period: startedAt must be before endedAt');
+      }
+      if (typeof record.resetTime !== 'string' || !/^([0-1][0-9]|2[0-3]):[0-5][0-9]$/.test(record.resetTime)) {
+        throw new Error('Invalid resetTime: must be HH:MM (00:00-23:59)');
+      }
+      if (record.activities !== undefined && !this.isValidActivitySteps(record.activities)) {
+        throw new Error('Invalid activities: must map activity names to non-negative integers');
+      }
+      if (record.distance !== undefined && !this.isNonNegativeNumber(record.distance)) {
+        throw new Error('Invalid distance: must be a non-negative number');
+      }
+      if (record.calories !== undefined && !this.isNonNegativeNumber(record.calories)) {
+        throw new Error('Invalid calories: must be a non-negative number');
+      }
+      if (record.recordedAt !== undefined && !this.isNonNegativeNumber(record.recordedAt)) {
+        throw new Error('Invalid recordedAt: must be a non-negative number');
       }
 
-      const history = this.loadHistory();
-      history.push(entry);
-      
-      // 最新30日分のみ保持
-      const recentHistory = history.slice(-30);
-      
-      localStorage.setItem(this.KEYS.HISTORY, JSON.stringify(recentHistory));
+      const normalized = this.normalizeHistoryRecord(record);
+      const year = normalized.date.slice(0, 4);
+      const records = (await this.loadHistoryYear(year))
+        .filter((existing) => existing.date !== normalized.date || existing.resetTime !== normalized.resetTime);
+      records.push(normalized);
+      records.sort((a, b) => a.startedAt - b.startedAt);
+      await this.adapter.setItem(this.getHistoryYearKey(year), JSON.stringify(records));
+
+      // 年の一覧は年の記録を保存した後に更新する（一覧にない年の記録は読み込まれない）
+      const years = await this.loadHistoryYears();
+      if (!years.includes(year)) {
+        await this.adapter.setItem(this.KEYS.HISTORY_YEARS, JSON.stringify([...years, year].sort()));
+      }
       return true;
     } catch (error) {
       console.error('Failed to save history:', error);
@@ -164,55 +692,783 @@ class StorageManager {
   }
 
   /**
-   * 履歴を読み込み
-   * @returns {Array} 履歴エントリの配列、または読み込みに失敗した場合は空配列
+   * すべての履歴を読み込み
+   * @returns {Promise<Array>} 日次期間の記録の配列（開始時刻の古い順）、または読み込みに失敗した場合は空配列
    * 
    * 要件: 2.3
    */
-  loadHistory() {
+  async loadHistory() {
     try {
-      const history = localStorage.getItem(this.KEYS.HISTORY);
-      
-      if (!history) {
-        return [];
+      const records = [];
+      for (const year of await this.loadHistoryYears()) {
+        records.push(...await this.loadHistoryYear(year));
       }
+      return records;
+    } catch (error) {
+      console.error('Failed to load history:', error);
+      return [];
+    }
+  }
 
-      const parsed = JSON.parse(history);
-      
-      // 配列であることを検証
-      if (!Array.isArray(parsed)) {
-        throw new Error('Invalid history format: must be an array');
+  /**
+   * 期間を指定して履歴を取得（該当する年の記録のみを読み込む）
+   * @param {string} fromDate - 最初の開始日（YYYY-MM-DD形式、この日を含む）
+   * @param {string} toDate - 最後の開始日（YYYY-MM-DD形式、この日を含む）
+   * @returns {Promise<Array>} 開始日が期間内の記録の配列（開始時刻の古い順）、または取得に失敗した場合は空配列
+   */
+  async getHistoryRange(fromDate, toDate) {
+    try {
+      if (!this.isValidDate(fromDate) || !this.isValidDate(toDate) || fromDate > toDate) {
+        throw new Error('Invalid range: dates must be YYYY-MM-DD with fromDate <= toDate');
+      }
+
+      const fromYear = fromDate.slice(0, 4);
+      const toYear = toDate.slice(0, 4);
+      const records = [];
+      for (const year of await this.loadHistoryYears()) {
+        if (year >= fromYear && year <= toYear) {
+          records.push(...await this.loadHistoryYear(year));
+        }
+      }
+      return records.filter((record) => record.date >= fromDate && record.date <= toDate);
+    } catch (error) {
+      console.error('Failed to get history range:', error);
+      return [];
+    }
+  }
+
+  /**
+   * 履歴を保存している年の一覧を読み込み
+   * @returns {Promise<Array<string>>} 年（YYYY形式）の昇順の配列
+   * @throws {Error} 一覧が破損している場合
+   */
+  async loadHistoryYears() {
+    const data = await this.adapter.getItem(this.KEYS.HISTORY_YEARS);
+    if (!data) {
+      return [];
+    }
+
+    const years = JSON.parse(data);
+    if (!Array.isArray(years) || !years.every((year) => typeof year === 'string' && /^\d{4}$/.test(year))) {
+      throw new Error('Invalid history years format');
+    }
+    return years;
+  }
+
+  /**
+   * 1年分の履歴を読み込み
+   * @param {string} year - 年（YYYY形式）
+   * @returns {Promise<Array>} その年に始まった日次期間の記録の配列（開始時刻の古い順）
+   * @throws {Error} 履歴が破損している場合（保存時に上書きしないよう、空の履歴としては扱わない）
+   */
+  async loadHistoryYear(year) {
+    const data = await this.adapter.getItem(this.getHistoryYearKey(year));
+    if (!data) {
+      return [];
+    }
+
+    const records = JSON.parse(data);
+    if (!Array.isArray(records)) {
+      throw new Error('Invalid history format: must be an array');
+    }
+    for (const record of records) {
+      if (typeof record !== 'object' || record === null) {
+        throw new Error('Invalid history record: must be an object');
+      }
+      if (typeof record.steps !== 'number' || record.steps < 0) {
+        throw new Error('Invalid steps in history record');
+      }
+      if (!this.isValidDate(record.date) || !this.isNonNegativeNumber(record.startedAt)) {
+        throw new Error('Invalid period in history record');
+      }
+    }
+    return records;
+  }
+
+  /**
+   * 1年分の履歴を保存するキー
+   * @param {string} year - 年（YYYY形式）
+   * @returns {string} キー
+   */
+  getHistoryYearKey(year) {
+    return `${this.KEYS.HISTORY}_${year}`;
+  }
+
+  /**
+   * 日次期間の記録を保存する形式にそろえる（省略された項目は0とする）
+   * @param {Object} record - 日次期間の記録
+   * @returns {Object} date（開始日）, resetTime, startedAt, endedAt, steps, activities, distance, calories,
+   *   recordedAt（不明な場合はnull）を持つ記録
+   */
+  normalizeHistoryRecord(record) {
+    return {
+      date: this.toLocalDate(record.startedAt),
+      resetTime: record.resetTime,
+      startedAt: record.startedAt,
+      endedAt: record.endedAt,
+      steps: record.steps,
+      activities: { ...(record.activities || {}) },
+      distance: this.isNonNegativeNumber(record.distance) ? record.distance : 0,
+      calories: this.isNonNegativeNumber(record.calories) ? record.calories : 0,
+      recordedAt: this.isNonNegativeNumber(record.recordedAt) ? record.recordedAt : null
+    };
+  }
+
+  /**
+   * 同じ開始日・リセット時刻の記録を合算し、開始時刻の古い順に並べる（移行で使用）
+   * @param {Array<Object>} records - 保存する形式にそろえた日次期間の記録
+   * @returns {Array<Object>} 開始日とリセット時刻の組ごとに1件の記録
+   */
+  mergeHistoryRecords(records) {
+    const byPeriod = new Map();
+    for (const record of records) {
+      const key = `${record.date} ${record.resetTime}`;
+      const existing = byPeriod.get(key);
+      if (!existing) {
+        byPeriod.set(key, { ...record, activities: { ...record.activities } });
+        continue;
       }
 
-      // 各エントリの検証
-      for (const entry of parsed) {
-        if (typeof entry !== 'object' || entry === null) {
-          throw new Error('Invalid history entry: must be an object');
+      this.addRecordTotals(existing, record);
+      existing.startedAt = Math.min(existing.startedAt, record.startedAt);
+      existing.endedAt = Math.max(existing.endedAt, record.endedAt);
+    }
+    return [...byPeriod.values()].sort((a, b) => a.startedAt - b.startedAt);
+  }
+
+  /**
+   * 記録の歩数・活動ごとの歩数・移動距離・消費カロリーを合算する（記録した時刻は新しい方）
+   * @param {Object} target - 合算先の記録（変更する）
+   * @param {Object} record - 加える記録
+   */
+  addRecordTotals(target, record) {
+    target.steps += record.steps;
+    target.distance += record.distance;
+    target.calories += record.calories;
+    for (const [activity, steps] of Object.entries(record.activities)) {
+      target.activities[activity] = (target.activities[activity] || 0) + steps;
+    }
+    if (record.recordedAt !== null && (target.recordedAt === null || record.recordedAt > target.recordedAt)) {
+      target.recordedAt = record.recordedAt;
+    }
+  }
+
+  /**
+   * 日次の記録の日付を検証
+   * @param {string} date - 検証する日付
+   * @returns {boolean} YYYY-MM-DD形式の実在する日付の場合はtrue
+   */
+  isValidDate(date) {
+    if (typeof date !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      return false;
+    }
+    const [year, month, day] = date.split('-').map(Number);
+    const parsed = new Date(year, month - 1, day);
+    return parsed.getFullYear() === year && parsed.getMonth() === month - 1 && parsed.getDate() === day;
+  }
+
+  /**
+   * 時刻を端末のタイムゾーンの日付に変換
+   * @param {number} time - 時刻（Unix時間ミリ秒）
+   * @returns {string} 日付（YYYY-MM-DD形式）
+   */
+  toLocalDate(time) {
+    const date = new Date(time);
+    const pad = (value) => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  }
+
+  /**
+   * 日次期間の終了（リセット）時刻から、その期間の日付を求める（バージョン2の履歴の形式、移行で使用）
+   * @param {number} endedAt - 日次期間の終了時刻（Unix時間ミリ秒）
+   * @returns {string} 期間の中央の時刻を含む日付（YYYY-MM-DD形式）
+   *
+   * 日次期間はリセット時刻から24時間のため、リセット時刻が午前0時でも夜でも期間の大半を占める日付になる。
+   */
+  getDailyRecordDate(endedAt) {
+    return this.toLocalDate(endedAt - 12 * 60 * 60 * 1000);
+  }
+
+  /**
+   * 日次の記録を保存する形式にそろえる（省略された項目は0とする、バージョン2の履歴の形式、移行で使用）
+   * @param {Object} record - 日次の記録
+   * @returns {Object} date, steps, activities, distance, calories, recordedAt（不明な場合はnull）を持つ記録
+   */
+  normalizeDailyRecord(record) {
+    return {
+      date: record.date,
+      steps: record.steps,
+      activities: { ...(record.activities || {}) },
+      distance: this.isNonNegativeNumber(record.distance) ? record.distance : 0,
+      calories: this.isNonNegativeNumber(record.calories) ? record.calories : 0,
+      recordedAt: this.isNonNegativeNumber(record.recordedAt) ? record.recordedAt : null
+    };
+  }
+
+  /**
+   * 同じ日付の記録を合算し、日付の古い順に並べる（バージョン2の履歴の形式、移行で使用）
+   * @param {Array<Object>} records - 保存する形式にそろえた日次の記録
+   * @returns {Array<Object>} 日付ごとに1件の記録
+   */
+  mergeDailyRecords(records) {
+    const byDate = new Map();
+    for (const record of records) {
+      const existing = byDate.get(record.date);
+      if (!existing) {
+        byDate.set(record.date, { ...record, activities: { ...record.activities } });
+        continue;
+      }
+
+      this.addRecordTotals(existing, record);
+    }
+    return [...byDate.values()].sort((a, b) => a.date.localeCompare(b.date));
+  }
+
+  /**
+   * 歩数をタイムライン（分単位と時間単位のバケット）に記録
+   * @param {Array<Object>} entries - 記録する歩数（time: 歩数を数えた時刻（Unix時間ミリ秒）, steps: 0以上の整数）
+   * @param {number} [now=Date.now()] - 保持期間の基準の時刻
+   * @returns {Promise<boolean>} 記録に成功した場合はtrue、失敗した場合はfalse
+   *
+   * 分単位のバケットは日ごと、時間単位のバケットは月ごとのキーに分けて保存し、歩数を加えたキーのみを書き込む。
+   * 時間単位のバケットは期限なく残し、分単位のバケットは記録するたびに保持期間を過ぎた日の分を削除する。
+   */
+  recordSteps(entries, now = Date.now()) {
+    this.timelineWrites = this.timelineWrites.then(() => this.writeTimelineSteps(entries, now));
+    return this.timelineWrites;
+  }
+
+  /**
+   * タイムラインに歩数を加算して保存（recordSteps() から順番に呼び出す）
+   * @param {Array<Object>} entries - 記録する歩数
+   * @param {number} now - 保持期間の基準の時刻
+   * @returns {Promise<boolean>} 保存に成功した場合はtrue、失敗した場合はfalse
+   */
+  async writeTimelineSteps(entries, now) {
+    try {
+      if (!Array.isArray(entries)) {
+        throw new Error('Invalid entries: must be an array');
+      }
+      for (const entry of entries) {
+        if (typeof entry !== 'object' || entry === null || !this.isNonNegativeNumber(entry.time)) {
+          throw new Error('Invalid entry time: must be a non-negative number');
         }
-        if (typeof entry.steps !== 'number' || entry.steps < 0) {
-          throw new Error('Invalid steps in history entry');
+        if (!Number.isInteger(entry.steps) || entry.steps < 0) {
+          throw new Error('Invalid entry steps: must be a non-negative integer');
         }
-        if (typeof entry.date !== 'string' || !entry.date) {
-          throw new Error('Invalid date in history entry');
+      }
+
+      const minutes = new Map();
+      const hours = new Map();
+      for (const { time, steps } of entries) {
+        if (steps > 0) {
+          this.addToTimelinePartitions(minutes, 'minute', this.getBucketStart(time, 'minute'), steps);
+          this.addToTimelinePartitions(hours, 'hour', this.getBucketStart(time, 'hour'), steps);
         }
       }
+      await this.addTimelineBuckets('minute', minutes);
+      await this.addTimelineBuckets('hour', hours);
+      await this.applyTimelineRetention(now);
+      return true;
+    } catch (error) {
+      console.error('Failed to record steps:', error);
+      return false;
+    }
+  }
+
+  /**
+   * タイムラインの歩数をバケットごとに取得
+   * @param {number} from - 期間の開始時刻（Unix時間ミリ秒、この時刻以降に始まるバケットを含む）
+   * @param {number} to - 期間の終了時刻（Unix時間ミリ秒、この時刻より前に始まるバケットを含む）
+   * @param {string} [resolution='hour'] - バケットの幅（'minute' または 'hour'）
+   * @returns {Promise<Array<Object>>} start（バケットの開始時刻）と steps を持つバケットの配列（開始時刻の順、
+   *   歩数のないバケットは含まない）、または取得に失敗した場合は空配列
+   *
+   * 時間単位は端末のタイムゾーンの正時で区切る。分単位のバケットは保持期間（MINUTE_BUCKET_RETENTION_MS）を過ぎた日の分を
+   * 削除するため、それより古い期間は時間単位でのみ取得できる。期間を含む日または月のキーのみを読み込む。
+   */
+  async getBuckets(from, to, resolution = 'hour') {
+    try {
+      if (!Number.isFinite(from) || !Number.isFinite(to) || from > to) {
+        throw new Error('Invalid range: from and to must be times with from <= to');
+      }
+      if (!(resolution in this.TIMELINE_RESOLUTIONS)) {
+        throw new Error(`Invalid resolution: ${resolution}`);
+      }
 
-      return parsed;
+      const first = this.getTimelinePartition(from, resolution);
+      const last = this.getTimelinePartition(to, resolution);
+      const buckets = [];
+      for (const partition of await this.loadTimelinePartitions(resolution)) {
+        if (partition < first || partition > last) {
+          continue;
+        }
+        for (const [start, steps] of Object.entries(await this.loadTimelinePartition(resolution, partition))) {
+          if (Number(start) >= from && Number(start) < to) {
+            buckets.push({ start: Number(start), steps });
+          }
+        }
+      }
+      return buckets.sort((a, b) => a.start - b.start);
     } catch (error) {
-      console.error('Failed to load history:', error);
+      console.error('Failed to get step buckets:', error);
+      return [];
+    }
+  }
+
+  /**
+   * 時刻を含むバケットの開始時刻を求める
+   * @param {number} time - 時刻（Unix時間ミリ秒）
+   * @param {string} resolution - バケットの幅（'minute' または 'hour'）
+   * @returns {number} バケットの開始時刻（Unix時間ミリ秒）
+   */
+  getBucketStart(time, resolution) {
+    if (resolution === 'hour') {
+      // タイムゾーンの時差が1時間単位でない地域もあるため、端末の時刻の正時で区切る
+      const date = new Date(time);
+      date.setMinutes(0, 0, 0);
+      return date.getTime();
+    }
+    const width = this.TIMELINE_RESOLUTIONS[resolution];
+    return Math.floor(time / width) * width;
+  }
+
+  /**
+   * 時刻を含むタイムラインの区分を求める
+   * @param {number} time - 時刻（Unix時間ミリ秒）
+   * @param {string} resolution - バケットの幅（'minute' または 'hour'）
+   * @returns {string} 分単位は日付（YYYY-MM-DD形式）、時間単位は月（YYYY-MM形式）、いずれも端末のタイムゾーン
+   */
+  getTimelinePartition(time, resolution) {
+    const date = this.toLocalDate(time);
+    return resolution === 'hour' ? date.slice(0, 7) : date;
+  }
+
+  /**
+   * タイムラインの区分のストレージキーを取得
+   * @param {string} resolution - バケットの幅（'minute' または 'hour'）
+   * @param {string} partition - 区分（getTimelinePartition() で求めた日付または月）
+   * @returns {string} ストレージキー
+   */
+  getTimelinePartitionKey(resolution, partition) {
+    return `${this.KEYS.TIMELINE}_${resolution}_${partition}`;
+  }
+
+  /**
+   * バケットの歩数を区分ごとの集計に加える
+   * @param {Map<string, Object>} partitions - 区分 → バケット（開始時刻 → 歩数）（変更する）
+   * @param {string} resolution - バケットの幅（'minute' または 'hour'）
+   * @param {number} start - バケットの開始時刻（Unix時間ミリ秒）
+   * @param {number} steps - 歩数
+   */
+  addToTimelinePartitions(partitions, resolution, start, steps) {
+    const partition = this.getTimelinePartition(start, resolution);
+    const buckets = partitions.get(partition) || {};
+    buckets[start] = (buckets[start] || 0) + steps;
+    partitions.set(partition, buckets);
+  }
+
+  /**
+   * 区分ごとのバケットの歩数を保存済みの歩数に加算して保存
+   * @param {string} resolution - バケットの幅（'minute' または 'hour'）
+   * @param {Map<string, Object>} partitions - 区分 → 加算するバケット（開始時刻 → 歩数）
+   * @returns {Promise<void>}
+   */
+  async addTimelineBuckets(resolution, partitions) {
+    if (partitions.size === 0) {
+      return;
+    }
+
+    for (const [partition, added] of partitions) {
+      const buckets = await this.loadTimelinePartition(resolution, partition);
+      for (const [start, steps] of Object.entries(added)) {
+        buckets[start] = (buckets[start] || 0) + steps;
+      }
+      await this.adapter.setItem(this.getTimelinePartitionKey(resolution, partition), JSON.stringify(buckets));
+    }
+
+    // 区分の一覧は区分を保存した後に更新する（一覧にない区分は読み込まれない）
+    const listed = await this.loadTimelinePartitions(resolution);
+    const unlisted = [...partitions.keys()].filter((partition) => !listed.includes(partition));
+    if (unlisted.length > 0) {
+      await this.adapter.setItem(this.TIMELINE_PARTITION_LISTS[resolution], JSON.stringify([...listed, ...unlisted].sort()));
+    }
+  }
+
+  /**
+   * 保持期間を過ぎた日の分単位のバケットを削除する（時間単位のバケットには記録時に加算済み）
+   * @param {number} now - 基準の時刻
+   * @returns {Promise<void>}
+   */
+  async applyTimelineRetention(now) {
+    const days = await this.loadTimelinePartitions('minute');
+    const expired = days.filter((date) => {
+      const [year, month, day] = date.split('-').map(Number);
+      return new Date(year, month - 1, day + 1).getTime() <= now - this.MINUTE_BUCKET_RETENTION_MS;
+    });
+    if (expired.length === 0) {
+      return;
+    }
+
+    // 一覧から先に外す（途中で失敗しても、一覧にない区分は読み込まれない）
+    await this.adapter.setItem(this.KEYS.TIMELINE_DAYS, JSON.stringify(days.filter((date) => !expired.includes(date))));
+    for (const date of expired) {
+      await this.adapter.removeItem(this.getTimelinePartitionKey('minute', date));
+    }
+  }
+
+  /**
+   * タイムラインの区分の一覧を読み込み
+   * @param {string} resolution - バケットの幅（'minute' または 'hour'）
+   * @returns {Promise<Array<string>>} 区分の昇順の配列、ない場合や破損している場合は空配列
+   */
+  async loadTimelinePartitions(resolution) {
+    const data = await this.adapter.getItem(this.TIMELINE_PARTITION_LISTS[resolution]);
+    if (!data) {
       return [];
     }
+
+    try {
+      const partitions = JSON.parse(data);
+      const pattern = resolution === 'hour' ? /^\d{4}-\d{2}$/ : /^\d{4}-\d{2}-\d{2}$/;
+      if (!Array.isArray(partitions) || !partitions.every((partition) => typeof partition === 'string' && pattern.test(partition))) {
+        throw new Error('Invalid timeline partitions format');
+      }
+      return partitions;
+    } catch (error) {
+      // 破損した一覧は記録し直す（区分のキーは残っているため、同じ区分に記録すると一覧に戻る）
+      console.error('Failed to load timeline partitions, starting a new list:', error);
+      return [];
+    }
+  }
+
+  /**
+   * タイムラインの区分のバケットを読み込み
+   * @param {string} resolution - バケットの幅（'minute' または 'hour'）
+   * @param {string} partition - 区分（日付または月）
+   * @returns {Promise<Object>} バケット（開始時刻 → 歩数）、ない場合や破損している場合は空のバケット
+   */
+  async loadTimelinePartition(resolution, partition) {
+    const data = await this.adapter.getItem(this.getTimelinePartitionKey(resolution, partition));
+    if (!data) {
+      return {};
+    }
+
+    try {
+      const buckets = JSON.parse(data);
+      if (!this.isValidTimelineBuckets(buckets)) {
+        throw new Error('Invalid timeline format');
+      }
+      return buckets;
+    } catch (error) {
+      // 破損した区分は記録し直す（歩数の合計は歩数データと履歴に残っている）
+      console.error('Failed to load timeline, starting a new one:', error);
+      return {};
+    }
+  }
+
+  /**
+   * タイムラインのバケットの形式が正しいか確認
+   * @param {*} buckets - 確認する値
+   * @returns {boolean} バケットの開始時刻 → 0以上の整数の歩数のオブジェクトの場合はtrue
+   */
+  isValidTimelineBuckets(buckets) {
+    return typeof buckets === 'object' && buckets !== null && !Array.isArray(buckets) &&
+      Object.entries(buckets).every(([start, steps]) => Number.isFinite(Number(start)) && Number.isInteger(steps) && steps >= 0);
+  }
+
+  /**
+   * 保存されたデータを現在のスキーマのバージョンに移行する（起動時に実行）
+   * @returns {Promise<boolean>} 移行が不要か成功した場合はtrue、失敗した場合はfalse（データは移行前に戻す）
+   *
+   * 移行の前に対象のデータをバックアップし、すべての移行が成功するまで残す。
+   * 移行の途中でアプリが終了した場合は、次回の起動時にバックアップから戻してやり直す。
+   */
+  async migrate() {
+    try {
+      const backup = await this.loadMigrationBackup();
+      if (backup) {
+        console.warn('Previous storage migration did not finish, restoring backup');
+        await this.restoreMigrationBackup(backup);
+      }
+
+      const version = await this.getSchemaVersion();
+      if (version === this.SCHEMA_VERSION) {
+        // 新しくインストールした場合もバージョンを記録する
+        await this.adapter.setItem(this.KEYS.SCHEMA_VERSION, String(version));
+        return true;
+      }
+      if (version > this.SCHEMA_VERSION) {
+        // 新しいバージョンのアプリで保存されたデータは変更しない
+        console.warn(`Stored schema version ${version} is newer than ${this.SCHEMA_VERSION}, skipping migration`);
+        return true;
+      }
+
+      await this.createMigrationBackup(version);
+      for (const migration of this.MIGRATIONS) {
+        if (migration.version <= version) {
+          continue;
+        }
+        console.log(`Migrating storage to schema version ${migration.version}: ${migration.description}`);
+        await migration.migrate();
+        await this.adapter.setItem(this.KEYS.SCHEMA_VERSION, String(migration.version));
+      }
+      await this.adapter.removeItem(this.KEYS.MIGRATION_BACKUP);
+      return true;
+    } catch (error) {
+      console.error('Failed to migrate storage:', error);
+      try {
+        // 移行前のデータに戻す（バックアップは次回の起動でやり直すまで残す）
+        const backup = await this.loadMigrationBackup();
+        if (backup) {
+          await this.restoreMigrationBackup(backup);
+        }
+      } catch (restoreError) {
+        console.error('Failed to restore storage backup:', restoreError);
+      }
+      return false;
+    }
+  }
+
+  /**
+   * 保存されたデータのスキーマのバージョンを取得
+   * @returns {Promise<number>} バージョン（記録がない場合、データがあれば1、なければ現在のバージョン）
+   */
+  async getSchemaVersion() {
+    const stored = await this.adapter.getItem(this.KEYS.SCHEMA_VERSION);
+    if (stored !== null) {
+      const version = Number(stored);
+      if (!Number.isInteger(version) || version < 1) {
+        throw new Error(`Invalid schema version in storage: ${stored}`);
+      }
+      return version;
+    }
+
+    // バージョンの記録は2から始まる。記録がなくデータがある場合はそれ以前の形式
+    for (const key of this.VERSIONED_KEYS) {
+      if (await this.adapter.getItem(key) !== null) {
+        return 1;
+      }
+    }
+    return this.SCHEMA_VERSION;
+  }
+
+  /**
+   * 移行の対象のデータをバックアップ
+   * @param {number} version - 移行前のバージョン
+   * @returns {Promise<void>}
+   */
+  async createMigrationBackup(version) {
+    // 移行前にない年の履歴やタイムラインの区分のキーは戻せないが、一覧を戻すため読み込まれない（移行をやり直すと上書きする）
+    const yearKeys = (await this.loadHistoryYears()).map((year) => this.getHistoryYearKey(year));
+    const partitionKeys = [];
+    for (const resolution of Object.keys(this.TIMELINE_PARTITION_LISTS)) {
+      for (const partition of await this.loadTimelinePartitions(resolution)) {
+        partitionKeys.push(this.getTimelinePartitionKey(resolution, partition));
+      }
+    }
+    const items = {};
+    for (const key of [...this.VERSIONED_KEYS, ...yearKeys, ...partitionKeys]) {
+      items[key] = await this.adapter.getItem(key);
+    }
+    await this.adapter.setItem(this.KEYS.MIGRATION_BACKUP, JSON.stringify({ version, createdAt: Date.now(), items }));
+  }
+
+  /**
+   * 移行のバックアップを読み込み
+   * @returns {Promise<Object|null>} バックアップ（version, createdAt, items: キー → 保存されていた文字列）、ない場合はnull
+   */
+  async loadMigrationBackup() {
+    const data = await this.adapter.getItem(this.KEYS.MIGRATION_BACKUP);
+    if (data === null) {
+      return null;
+    }
+
+    const backup = JSON.parse(data);
+    if (typeof backup !== 'object' || backup === null || !Number.isInteger(backup.version) ||
+        typeof backup.items !== 'object' || backup.items === null) {
+      throw new Error('Invalid migration backup in storage');
+    }
+    return backup;
+  }
+
+  /**
+   * バックアップから移行前のデータとバージョンに戻す
+   * @param {Object} backup - loadMigrationBackup() で読み込んだバックアップ
+   * @returns {Promise<void>}
+   */
+  async restoreMigrationBackup(backup) {
+    for (const [key, value] of Object.entries(backup.items)) {
+      if (value === null) {
+        await this.adapter.removeItem(key);
+      } else {
+        await this.adapter.setItem(key, value);
+      }
+    }
+    await this.adapter.setItem(this.KEYS.SCHEMA_VERSION, String(backup.version));
+  }
+
+  /**
+   * 移行（バージョン1 → 2）: 履歴をリセット時刻のISO 8601形式の日時から日付ごとの記録に変換する
+   * @returns {Promise<void>}
+   * @throws {Error} 履歴が読み込めない形式の場合
+   */
+  async migrateHistoryToDailyRecords() {
+    const data = await this.adapter.getItem(this.KEYS.HISTORY);
+    if (!data) {
+      return;
+    }
+
+    const entries = JSON.parse(data);
+    if (!Array.isArray(entries)) {
+      throw new Error('Invalid history format: must be an array');
+    }
+
+    const records = [];
+    for (const entry of entries) {
+      // 日時を解釈できない記録は移行できないため除外する
+      const resetAt = entry && typeof entry.date === 'string' ? Date.parse(entry.date) : NaN;
+      if (Number.isNaN(resetAt) || !Number.isInteger(entry.steps) || entry.steps < 0) {
+        console.warn('Dropping history entry that cannot be migrated:', entry);
+        continue;
+      }
+      records.push(this.normalizeDailyRecord({
+        date: this.getDailyRecordDate(resetAt),
+        steps: entry.steps,
+        activities: this.isValidActivitySteps(entry.activities) ? entry.activities : {},
+        distance: entry.distance,
+        calories: entry.calories,
+        recordedAt: resetAt
+      }));
+    }
+
+    await this.adapter.setItem(this.KEYS.HISTORY, JSON.stringify(this.mergeDailyRecords(records)));
+  }
+
+  /**
+   * 移行（バージョン2 → 3）: 日付ごとの記録を、開始日とリセット時刻を持つ日次期間の記録に変換し、年ごとのキーに分けて保存する
+   * @returns {Promise<void>}
+   * @throws {Error} 履歴が読み込めない形式の場合
+   *
+   * バージョン2の日付は期間の中央の時刻を含む日付のため、現在のリセット時刻が正午以降の場合は前日に始まった期間とする。
+   * 年ごとの履歴は追記せずに書き直すため、途中で失敗してやり直しても記録は重複しない。
+   */
+  async migrateDailyRecordsToPeriods() {
+    const data = await this.adapter.getItem(this.KEYS.HISTORY);
+    if (!data) {
+      return;
+    }
+
+    const entries = JSON.parse(data);
+    if (!Array.isArray(entries)) {
+      throw new Error('Invalid history format: must be an array');
+    }
+
+    const resetTime = await this.getResetTime();
+    const [hours, minutes] = resetTime.split(':').map(Number);
+    const byYear = new Map();
+    for (const entry of entries) {
+      if (!entry || !this.isValidDate(entry.date) || !Number.isInteger(entry.steps) || entry.steps < 0) {
+        console.warn('Dropping history record that cannot be migrated:', entry);
+        continue;
+      }
+      const [year, month, day] = entry.date.split('-').map(Number);
+      const start = new Date(year, month - 1, hours >= 12 ? day - 1 : day, hours, minutes);
+      const end = new Date(start);
+      end.setDate(end.getDate() + 1);
+
+      const record = this.normalizeHistoryRecord({
+        ...entry,
+        activities: this.isValidActivitySteps(entry.activities) ? entry.activities : {},
+        startedAt: start.getTime(),
+        endedAt: end.getTime(),
+        resetTime
+      });
+      const recordYear = record.date.slice(0, 4);
+      byYear.set(recordYear, [...(byYear.get(recordYear) || []), record]);
+    }
+
+    for (const [year, records] of byYear) {
+      await this.adapter.setItem(this.getHistoryYearKey(year), JSON.stringify(this.mergeHistoryRecords(records)));
+    }
+    await this.adapter.setItem(this.KEYS.HISTORY_YEARS, JSON.stringify([...byYear.keys()].sort()));
+    await this.adapter.removeItem(this.KEYS.HISTORY);
+  }
+
+  /**
+   * 移行（バージョン3 → 4）: 1つのキーに保存していたタイムラインを、分単位は日ごと、時間単位は月ごとのキーに分けて保存する
+   * @returns {Promise<void>}
+   *
+   * バージョン3では保持期間を過ぎた分単位のバケットを時間単位にまとめていたが、バージョン4では記録するときに両方に加算するため、
+   * 分単位のバケットは時間単位のバケットにも加える。区分は追記せずに書き直すため、途中で失敗してやり直しても歩数は重複しない。
+   */
+  async migrateTimelineToPartitions() {
+    const data = await this.adapter.getItem(this.KEYS.TIMELINE);
+    if (!data) {
+      return;
+    }
+
+    const minutes = new Map();
+    const hours = new Map();
+    let timeline = null;
+    try {
+      timeline = JSON.parse(data);
+    } catch (error) {
+      // 破損したタイムラインは移行せずに記録し直す（歩数の合計は歩数データと履歴に残っている）
+    }
+    if (typeof timeline === 'object' && timeline !== null &&
+        this.isValidTimelineBuckets(timeline.minutes) && this.isValidTimelineBuckets(timeline.hours)) {
+      for (const [start, steps] of Object.entries(timeline.minutes)) {
+        this.addToTimelinePartitions(minutes, 'minute', Number(start), steps);
+        this.addToTimelinePartitions(hours, 'hour', this.getBucketStart(Number(start), 'hour'), steps);
+      }
+      for (const [start, steps] of Object.entries(timeline.hours)) {
+        this.addToTimelinePartitions(hours, 'hour', Number(start), steps);
+      }
+    } else {
+      console.warn('Dropping timeline that cannot be migrated');
+    }
+
+    for (const [resolution, partitions] of [['minute', minutes], ['hour', hours]]) {
+      for (const [partition, buckets] of partitions) {
+        await this.adapter.setItem(this.getTimelinePartitionKey(resolution, partition), JSON.stringify(buckets));
+      }
+      await this.adapter.setItem(this.TIMELINE_PARTITION_LISTS[resolution], JSON.stringify([...partitions.keys()].sort()));
+    }
+    await this.adapter.removeItem(this.KEYS.TIMELINE);
   }
 
   /**
    * すべてのデータをクリア（テスト用）
-   * @returns {boolean} クリアに成功した場合はtrue、失敗した場合はfalse
+   * @returns {Promise<boolean>} クリアに成功した場合はtrue、失敗した場合はfalse
    */
-  clearAll() {
+  async clearAll() {
     try {
-      localStorage.removeItem(this.KEYS.STEP_DATA);
-      localStorage.removeItem(this.KEYS.RESET_TIME);
-      localStorage.removeItem(this.KEYS.HISTORY);
+      // 年の一覧が破損していても、ほかのデータはクリアする
+      const years = await this.loadHistoryYears().catch(() => []);
+      for (const year of years) {
+        await this.adapter.removeItem(this.getHistoryYearKey(year));
+      }
+      for (const resolution of Object.keys(this.TIMELINE_PARTITION_LISTS)) {
+        for (const partition of await this.loadTimelinePartitions(resolution)) {
+          await this.adapter.removeItem(this.getTimelinePartitionKey(resolution, partition));
+        }
+        await this.adapter.removeItem(this.TIMELINE_PARTITION_LISTS[resolution]);
+      }
+      await this.adapter.removeItem(this.KEYS.STEP_DATA);
+      await this.adapter.removeItem(this.KEYS.RESET_TIME);
+      await this.adapter.removeItem(this.KEYS.HISTORY);
+      await this.adapter.removeItem(this.KEYS.HISTORY_YEARS);
+      await this.adapter.removeItem(this.KEYS.DETECTOR_TYPE);
+      await this.adapter.removeItem(this.KEYS.WALKING_CONFIRMATION);
+      await this.adapter.removeItem(this.KEYS.CALIBRATION);
+      await this.adapter.removeItem(this.KEYS.CADENCE_TARGET);
+      await this.adapter.removeItem(this.KEYS.USER_PROFILE);
+      await this.adapter.removeItem(this.KEYS.SENSOR_SOURCE);
+      await this.adapter.removeItem(this.KEYS.PERMISSION_STATE);
+      await this.adapter.removeItem(this.KEYS.SCHEMA_VERSION);
+      await this.adapter.removeItem(this.KEYS.MIGRATION_BACKUP);
+      await this.adapter.removeItem(this.KEYS.TIMELINE);
       return true;
     } catch (error) {
       console.error('Failed to clear all data:', error);
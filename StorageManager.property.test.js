@@ -38,27 +38,27 @@ describe('StorageManager - Property-Based Tests', () => {
    * **Validates: Requirements 2.1, 2.3**
    */
   describe('Property 3: 歩数データのラウンドトリップ', () => {
-    test('任意の有効な歩数データを保存して読み込むと同等のデータが返される', () => {
-      fc.assert(
-        fc.property(
+    test('任意の有効な歩数データを保存して読み込むと同等のデータが返される', async () => {
+      await fc.assert(
+        fc.asyncProperty(
           // 歩数: 0以上の整数
           fc.nat(),
           // タイムスタンプ: 0以上の数値（Unix時間ミリ秒）
           fc.nat({ max: Date.now() + 365 * 24 * 60 * 60 * 1000 }), // 現在から1年後まで
-          (steps, timestamp) => {
+          async (steps, timestamp) => {
             // 各プロパティテストの前にストレージをクリア
-            storageManager.clearAll();
+            await storageManager.clearAll();
 
             const originalData = { steps, timestamp };
             
             // データを保存
-            const saveResult = storageManager.saveStepData(originalData);
+            const saveResult = await storageManager.saveStepData(originalData);
             
             // 保存が成功することを確認
             expect(saveResult).toBe(true);
             
             // データを読み込み
-            const loadedData = storageManager.loadStepData();
+            const loadedData = await storageManager.loadStepData();
             
             // 読み込んだデータが元のデータと同等であることを確認
             expect(loadedData).not.toBeNull();
@@ -70,9 +70,9 @@ describe('StorageManager - Property-Based Tests', () => {
       );
     });
 
-    test('複数回の保存と読み込みでデータの整合性が保たれる', () => {
-      fc.assert(
-        fc.property(
+    test('複数回の保存と読み込みでデータの整合性が保たれる', async () => {
+      await fc.assert(
+        fc.asyncProperty(
           // 複数の歩数データを生成
           fc.array(
             fc.record({
@@ -81,16 +81,16 @@ describe('StorageManager - Property-Based Tests', () => {
             }),
             { minLength: 1, maxLength: 10 }
           ),
-          (dataArray) => {
+          async (dataArray) => {
             // 各プロパティテストの前にストレージをクリア
-            storageManager.clearAll();
+            await storageManager.clearAll();
 
             // 各データを順番に保存して読み込み
             for (const originalData of dataArray) {
-              const saveResult = storageManager.saveStepData(originalData);
+              const saveResult = await storageManager.saveStepData(originalData);
               expect(saveResult).toBe(true);
               
-              const loadedData = storageManager.loadStepData();
+              const loadedData = await storageManager.loadStepData();
               expect(loadedData).not.toBeNull();
               expect(loadedData.steps).toBe(originalData.steps);
               expect(loadedData.timestamp).toBe(originalData.timestamp);
@@ -101,9 +101,9 @@ describe('StorageManager - Property-Based Tests', () => {
       );
     });
 
-    test('境界値の歩数データでもラウンドトリップが成功する', () => {
-      fc.assert(
-        fc.property(
+    test('境界値の歩数データでもラウンドトリップが成功する', async () => {
+      await fc.assert(
+        fc.asyncProperty(
           // 境界値を含む歩数: 0, 小さい値, 大きい値
           fc.oneof(
             fc.constant(0),
@@ -116,16 +116,16 @@ describe('StorageManager - Property-Based Tests', () => {
             fc.constant(Date.now()),
             fc.nat({ max: Date.now() + 365 * 24 * 60 * 60 * 1000 })
           ),
-          (steps, timestamp) => {
+          async (steps, timestamp) => {
             // 各プロパティテストの前にストレージをクリア
-            storageManager.clearAll();
+            await storageManager.clearAll();
 
             const originalData = { steps, timestamp };
             
-            const saveResult = storageManager.saveStepData(originalData);
+            const saveResult = await storageManager.saveStepData(originalData);
             expect(saveResult).toBe(true);
             
-            const loadedData = storageManager.loadStepData();
+            const loadedData = await storageManager.loadStepData();
             expect(loadedData).not.toBeNull();
             expect(loadedData.steps).toBe(originalData.steps);
             expect(loadedData.timestamp).toBe(originalData.timestamp);
@@ -145,28 +145,28 @@ describe('StorageManager - Property-Based Tests', () => {
    * **Validates: Requirements 2.4, 4.3**
    */
   describe('Property 4: リセット時刻のラウンドトリップ', () => {
-    test('任意の有効なリセット時刻を保存して読み込むと同じ時刻が返される', () => {
-      fc.assert(
-        fc.property(
+    test('任意の有効なリセット時刻を保存して読み込むと同じ時刻が返される', async () => {
+      await fc.assert(
+        fc.asyncProperty(
           // 時: 0-23
           fc.integer({ min: 0, max: 23 }),
           // 分: 0-59
           fc.integer({ min: 0, max: 59 }),
-          (hour, minute) => {
+          async (hour, minute) => {
             // 各プロパティテストの前にストレージをクリア
-            storageManager.clearAll();
+            await storageManager.clearAll();
 
             // HH:MM形式の時刻文字列を生成
             const originalTime = `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
             
             // リセット時刻を設定
-            const setResult = storageManager.setResetTime(originalTime);
+            const setResult = await storageManager.setResetTime(originalTime);
             
             // 設定が成功することを確認
             expect(setResult).toBe(true);
             
             // リセット時刻を取得
-            const loadedTime = storageManager.getResetTime();
+            const loadedTime = await storageManager.getResetTime();
             
             // 取得した時刻が元の時刻と同じであることを確認
             expect(loadedTime).toBe(originalTime);
@@ -176,9 +176,9 @@ describe('StorageManager - Property-Based Tests', () => {
       );
     });
 
-    test('複数回の設定と取得でリセット時刻の整合性が保たれる', () => {
-      fc.assert(
-        fc.property(
+    test('複数回の設定と取得でリセット時刻の整合性が保たれる', async () => {
+      await fc.assert(
+        fc.asyncProperty(
           // 複数のリセット時刻を生成
           fc.array(
             fc.record({
@@ -187,18 +187,18 @@ describe('StorageManager - Property-Based Tests', () => {
             }),
             { minLength: 1, maxLength: 10 }
           ),
-          (timeArray) => {
+          async (timeArray) => {
             // 各プロパティテストの前にストレージをクリア
-            storageManager.clearAll();
+            await storageManager.clearAll();
 
             // 各時刻を順番に設定して取得
             for (const { hour, minute } of timeArray) {
               const originalTime = `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
               
-              const setResult = storageManager.setResetTime(originalTime);
+              const setResult = await storageManager.setResetTime(originalTime);
               expect(setResult).toBe(true);
               
-              const loadedTime = storageManager.getResetTime();
+              const loadedTime = await storageManager.getResetTime();
               expect(loadedTime).toBe(originalTime);
             }
           }
@@ -207,9 +207,9 @@ describe('StorageManager - Property-Based Tests', () => {
       );
     });
 
-    test('境界値のリセット時刻でもラウンドトリップが成功する', () => {
-      fc.assert(
-        fc.property(
+    test('境界値のリセット時刻でもラウンドトリップが成功する', async () => {
+      await fc.assert(
+        fc.asyncProperty(
           // 境界値を含む時刻: 00:00, 23:59, その他のランダムな時刻
           fc.oneof(
             fc.constant({ hour: 0, minute: 0 }),    // 00:00
@@ -222,16 +222,16 @@ describe('StorageManager - Property-Based Tests', () => {
               minute: fc.integer({ min: 0, max: 59 })
             })
           ),
-          ({ hour, minute }) => {
+          async ({ hour, minute }) => {
             // 各プロパティテストの前にストレージをクリア
-            storageManager.clearAll();
+            await storageManager.clearAll();
 
             const originalTime = `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
             
-            const setResult = storageManager.setResetTime(originalTime);
+            const setResult = await storageManager.setResetTime(originalTime);
             expect(setResult).toBe(true);
             
-            const loadedTime = storageManager.getResetTime();
+            const loadedTime = await storageManager.getResetTime();
             expect(loadedTime).toBe(originalTime);
           }
         ),
@@ -239,9 +239,9 @@ describe('StorageManager - Property-Based Tests', () => {
       );
     });
 
-    test('無効な時刻形式は拒否され、デフォルト値が保持される', () => {
-      fc.assert(
-        fc.property(
+    test('無効な時刻形式は拒否され、デフォルト値が保持される', async () => {
+      await fc.assert(
+        fc.asyncProperty(
           // 無効な時刻形式を生成
           fc.oneof(
             fc.constant('25:00'),           // 無効な時
@@ -255,18 +255,18 @@ describe('StorageManager - Property-Based Tests', () => {
             fc.constant(''),                // 空文字列
             fc.string().filter(s => !/^([0-1][0-9]|2[0-3]):[0-5][0-9]$/.test(s)) // その他の無効な文字列
           ),
-          (invalidTime) => {
+          async (invalidTime) => {
             // 各プロパティテストの前にストレージをクリア
-            storageManager.clearAll();
+            await storageManager.clearAll();
 
             // 無効な時刻を設定しようとする
-            const setResult = storageManager.setResetTime(invalidTime);
+            const setResult = await storageManager.setResetTime(invalidTime);
             
             // 設定が失敗することを確認
             expect(setResult).toBe(false);
             
             // デフォルト値が返されることを確認
-            const loadedTime = storageManager.getResetTime();
+            const loadedTime = await storageManager.getResetTime();
             expect(loadedTime).toBe('00:00');
           }
         ),
@@ -274,9 +274,9 @@ describe('StorageManager - Property-Based Tests', () => {
       );
     });
 
-    test('有効な時刻を設定した後、無効な時刻で上書きしようとしても元の値が保持される', () => {
-      fc.assert(
-        fc.property(
+    test('有効な時刻を設定した後、無効な時刻で上書きしようとしても元の値が保持される', async () => {
+      await fc.assert(
+        fc.asyncProperty(
           // 有効な時刻
           fc.record({
             hour: fc.integer({ min: 0, max: 23 }),
@@ -288,21 +288,21 @@ describe('StorageManager - Property-Based Tests', () => {
             fc.constant('12:60'),
             fc.constant('invalid')
           ),
-          ({ hour, minute }, invalidTime) => {
+          async ({ hour, minute }, invalidTime) => {
             // 各プロパティテストの前にストレージをクリア
-            storageManager.clearAll();
+            await storageManager.clearAll();
 
             // 有効な時刻を設定
             const validTime = `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
-            const setResult1 = storageManager.setResetTime(validTime);
+            const setResult1 = await storageManager.setResetTime(validTime);
             expect(setResult1).toBe(true);
             
             // 無効な時刻で上書きしようとする
-            const setResult2 = storageManager.setResetTime(invalidTime);
+            const setResult2 = await storageManager.setResetTime(invalidTime);
             expect(setResult2).toBe(false);
             
             // 元の有効な時刻が保持されていることを確認
-            const loadedTime = storageManager.getResetTime();
+            const loadedTime = await storageManager.getResetTime();
             expect(loadedTime).toBe(validTime);
           }
         ),
@@ -320,28 +320,28 @@ describe('StorageManager - Property-Based Tests', () => {
    * **Validates: Requirements 2.4, 4.3**
    */
   describe('Property 4: リセット時刻のラウンドトリップ', () => {
-    test('任意の有効なリセット時刻を保存して読み込むと同じ時刻が返される', () => {
-      fc.assert(
-        fc.property(
+    test('任意の有効なリセット時刻を保存して読み込むと同じ時刻が返される', async () => {
+      await fc.assert(
+        fc.asyncProperty(
           // 時: 0-23
           fc.integer({ min: 0, max: 23 }),
           // 分: 0-59
           fc.integer({ min: 0, max: 59 }),
-          (hour, minute) => {
+          async (hour, minute) => {
             // 各プロパティテストの前にストレージをクリア
-            storageManager.clearAll();
+            await storageManager.clearAll();
 
             // HH:MM形式の時刻文字列を生成
             const originalTime = `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
             
             // リセット時刻を設定
-            const setResult = storageManager.setResetTime(originalTime);
+            const setResult = await storageManager.setResetTime(originalTime);
             
             // 設定が成功することを確認
             expect(setResult).toBe(true);
             
             // リセット時刻を取得
-            const loadedTime = storageManager.getResetTime();
+            const loadedTime = await storageManager.getResetTime();
             
             // 取得した時刻が元の時刻と同じであることを確認
             expect(loadedTime).toBe(originalTime);
@@ -351,9 +351,9 @@ describe('StorageManager - Property-Based Tests', () => {
       );
     });
 
-    test('複数回の設定と取得でリセット時刻の整合性が保たれる', () => {
-      fc.assert(
-        fc.property(
+    test('複数回の設定と取得でリセット時刻の整合性が保たれる', async () => {
+      await fc.assert(
+        fc.asyncProperty(
           // 複数のリセット時刻を生成
           fc.array(
             fc.record({
@@ -362,18 +362,18 @@ describe('StorageManager - Property-Based Tests', () => {
             }),
             { minLength: 1, maxLength: 10 }
           ),
-          (timeArray) => {
+          async (timeArray) => {
             // 各プロパティテストの前にストレージをクリア
-            storageManager.clearAll();
+            await storageManager.clearAll();
 
             // 各時刻を順番に設定して取得
             for (const { hour, minute } of timeArray) {
               const originalTime = `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
               
-              const setResult = storageManager.setResetTime(originalTime);
+              const setResult = await storageManager.setResetTime(originalTime);
               expect(setResult).toBe(true);
               
-              const loadedTime = storageManager.getResetTime();
+              const loadedTime = await storageManager.getResetTime();
               expect(loadedTime).toBe(originalTime);
             }
           }
@@ -382,9 +382,9 @@ describe('StorageManager - Property-Based Tests', () => {
       );
     });
 
-    test('境界値のリセット時刻でもラウンドトリップが成功する', () => {
-      fc.assert(
-        fc.property(
+    test('境界値のリセット時刻でもラウンドトリップが成功する', async () => {
+      await fc.assert(
+        fc.asyncProperty(
           // 境界値を含む時刻: 00:00, 23:59, その他のランダムな時刻
           fc.oneof(
             fc.constant({ hour: 0, minute: 0 }),    // 00:00
@@ -397,16 +397,16 @@ describe('StorageManager - Property-Based Tests', () => {
               minute: fc.integer({ min: 0, max: 59 })
             })
           ),
-          ({ hour, minute }) => {
+          async ({ hour, minute }) => {
             // 各プロパティテストの前にストレージをクリア
-            storageManager.clearAll();
+            await storageManager.clearAll();
 
             const originalTime = `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
             
-            const setResult = storageManager.setResetTime(originalTime);
+            const setResult = await storageManager.setResetTime(originalTime);
             expect(setResult).toBe(true);
             
-            const loadedTime = storageManager.getResetTime();
+            const loadedTime = await storageManager.getResetTime();
             expect(loadedTime).toBe(originalTime);
           }
         ),
@@ -414,9 +414,9 @@ describe('StorageManager - Property-Based Tests', () => {
       );
     });
 
-    test('無効な時刻形式は拒否され、デフォルト値が保持される', () => {
-      fc.assert(
-        fc.property(
+    test('無効な時刻形式は拒否され、デフォルト値が保持される', async () => {
+      await fc.assert(
+        fc.asyncProperty(
           // 無効な時刻形式を生成
           fc.oneof(
             fc.constant('25:00'),           // 無効な時
@@ -430,18 +430,18 @@ describe('StorageManager - Property-Based Tests', () => {
             fc.constant(''),                // 空文字列
             fc.string().filter(s => !/^([0-1][0-9]|2[0-3]):[0-5][0-9]$/.test(s)) // その他の無効な文字列
           ),
-          (invalidTime) => {
+          async (invalidTime) => {
             // 各プロパティテストの前にストレージをクリア
-            storageManager.clearAll();
+            await storageManager.clearAll();
 
             // 無効な時刻を設定しようとする
-            const setResult = storageManager.setResetTime(invalidTime);
+            const setResult = await storageManager.setResetTime(invalidTime);
             
             // 設定が失敗することを確認
             expect(setResult).toBe(false);
             
             // デフォルト値が返されることを確認
-            const loadedTime = storageManager.getResetTime();
+            const loadedTime = await storageManager.getResetTime();
             expect(loadedTime).toBe('00:00');
           }
         ),
@@ -449,9 +449,9 @@ describe('StorageManager - Property-Based Tests', () => {
       );
     });
 
-    test('有効な時刻を設定した後、無効な時刻で上書きしようとしても元の値が保持される', () => {
-      fc.assert(
-        fc.property(
+    test('有効な時刻を設定した後、無効な時刻で上書きしようとしても元の値が保持される', async () => {
+      await fc.assert(
+        fc.asyncProperty(
           // 有効な時刻
           fc.record({
             hour: fc.integer({ min: 0, max: 23 }),
@@ -463,21 +463,21 @@ describe('StorageManager - Property-Based Tests', () => {
             fc.constant('12:60'),
             fc.constant('invalid')
           ),
-          ({ hour, minute }, invalidTime) => {
+          async ({ hour, minute }, invalidTime) => {
             // 各プロパティテストの前にストレージをクリア
-            storageManager.clearAll();
+            await storageManager.clearAll();
 
             // 有効な時刻を設定
             const validTime = `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
-            const setResult1 = storageManager.setResetTime(validTime);
+            const setResult1 = await storageManager.setResetTime(validTime);
             expect(setResult1).toBe(true);
             
             // 無効な時刻で上書きしようとする
-            const setResult2 = storageManager.setResetTime(invalidTime);
+            const setResult2 = await storageManager.setResetTime(invalidTime);
             expect(setResult2).toBe(false);
             
             // 元の有効な時刻が保持されていることを確認
-            const loadedTime = storageManager.getResetTime();
+            const loadedTime = await storageManager.getResetTime();
             expect(loadedTime).toBe(validTime);
           }
         ),
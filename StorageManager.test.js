@@ -10,6 +10,17 @@ describe('StorageManager', () => {
   let storageManager;
   const store = {};
 
+  // 日次期間の記録（午前0時にリセットする期間）
+  const createPeriod = (date, fields = {}) => {
+    const [year, month, day] = date.split('-').map(Number);
+    return {
+      startedAt: new Date(year, month - 1, day).getTime(),
+      endedAt: new Date(year, month - 1, day + 1).getTime(),
+      resetTime: '00:00',
+      ...fields
+    };
+  };
+
   // 各テストの前にlocalStorageモックをリセット
   beforeEach(() => {
     // ストアの内容をクリア
@@ -41,50 +52,50 @@ describe('StorageManager', () => {
   });
 
   describe('歩数データの保存と読み込み', () => {
-    test('有効な歩数データを保存できる', () => {
+    test('有効な歩数データを保存できる', async () => {
       const data = { steps: 100, timestamp: Date.now() };
-      const result = storageManager.saveStepData(data);
+      const result = await storageManager.saveStepData(data);
       
       expect(result).toBe(true);
     });
 
-    test('保存した歩数データを読み込める', () => {
+    test('保存した歩数データを読み込める', async () => {
       const data = { steps: 100, timestamp: Date.now() };
-      storageManager.saveStepData(data);
+      await storageManager.saveStepData(data);
       
-      const loaded = storageManager.loadStepData();
+      const loaded = await storageManager.loadStepData();
       
       expect(loaded).toEqual(data);
     });
 
-    test('データがない場合はnullを返す', () => {
-      const loaded = storageManager.loadStepData();
+    test('データがない場合はnullを返す', async () => {
+      const loaded = await storageManager.loadStepData();
       
       expect(loaded).toBeNull();
     });
 
-    test('負の歩数は保存できない', () => {
+    test('負の歩数は保存できない', async () => {
       const data = { steps: -1, timestamp: Date.now() };
-      const result = storageManager.saveStepData(data);
+      const result = await storageManager.saveStepData(data);
       
       expect(result).toBe(false);
     });
 
-    test('小数の歩数は保存できない', () => {
+    test('小数の歩数は保存できない', async () => {
       const data = { steps: 10.5, timestamp: Date.now() };
-      const result = storageManager.saveStepData(data);
+      const result = await storageManager.saveStepData(data);
       
       expect(result).toBe(false);
     });
 
-    test('無効なタイムスタンプは保存できない', () => {
+    test('無効なタイムスタンプは保存できない', async () => {
       const data = { steps: 100, timestamp: -1 };
-      const result = storageManager.saveStepData(data);
+      const result = await storageManager.saveStepData(data);
       
       expect(result).toBe(false);
     });
 
-    test('データ読み込み失敗時はnullを返す（要件6.2）', () => {
+    test('データ読み込み失敗時はnullを返す（要件6.2）', async () => {
       // 無効なJSONを返すようにモックを上書き
       const originalGetItem = global.localStorage.getItem;
       global.localStorage.getItem = jest.fn((key) => {
@@ -94,12 +105,12 @@ describe('StorageManager', () => {
         return originalGetItem(key);
       });
       
-      const loaded = storageManager.loadStepData();
+      const loaded = await storageManager.loadStepData();
       
       expect(loaded).toBeNull();
     });
 
-    test('破損したデータの読み込み時はnullを返す', () => {
+    test('破損したデータの読み込み時はnullを返す', async () => {
       // 無効な形式のデータを返すようにモックを上書き
       const originalGetItem = global.localStorage.getItem;
       global.localStorage.getItem = jest.fn((key) => {
@@ -109,53 +120,53 @@ describe('StorageManager', () => {
         return originalGetItem(key);
       });
       
-      const loaded = storageManager.loadStepData();
+      const loaded = await storageManager.loadStepData();
       
       expect(loaded).toBeNull();
     });
   });
 
   describe('リセット時刻の管理', () => {
-    test('デフォルトのリセット時刻は00:00', () => {
-      const resetTime = storageManager.getResetTime();
+    test('デフォルトのリセット時刻は00:00', async () => {
+      const resetTime = await storageManager.getResetTime();
       
       expect(resetTime).toBe('00:00');
     });
 
-    test('有効なリセット時刻を設定できる', () => {
-      const result = storageManager.setResetTime('06:30');
+    test('有効なリセット時刻を設定できる', async () => {
+      const result = await storageManager.setResetTime('06:30');
       
       expect(result).toBe(true);
-      expect(storageManager.getResetTime()).toBe('06:30');
+      expect(await storageManager.getResetTime()).toBe('06:30');
     });
 
-    test('無効な時刻形式は拒否される', () => {
-      const result = storageManager.setResetTime('25:00');
+    test('無効な時刻形式は拒否される', async () => {
+      const result = await storageManager.setResetTime('25:00');
       
       expect(result).toBe(false);
     });
 
-    test('時刻形式でない文字列は拒否される', () => {
-      const result = storageManager.setResetTime('invalid');
+    test('時刻形式でない文字列は拒否される', async () => {
+      const result = await storageManager.setResetTime('invalid');
       
       expect(result).toBe(false);
     });
 
-    test('境界値の時刻を設定できる（00:00）', () => {
-      const result = storageManager.setResetTime('00:00');
+    test('境界値の時刻を設定できる（00:00）', async () => {
+      const result = await storageManager.setResetTime('00:00');
       
       expect(result).toBe(true);
-      expect(storageManager.getResetTime()).toBe('00:00');
+      expect(await storageManager.getResetTime()).toBe('00:00');
     });
 
-    test('境界値の時刻を設定できる（23:59）', () => {
-      const result = storageManager.setResetTime('23:59');
+    test('境界値の時刻を設定できる（23:59）', async () => {
+      const result = await storageManager.setResetTime('23:59');
       
       expect(result).toBe(true);
-      expect(storageManager.getResetTime()).toBe('23:59');
+      expect(await storageManager.getResetTime()).toBe('23:59');
     });
 
-    test('無効な形式の保存データがある場合はデフォルト値を返す', () => {
+    test('無効な形式の保存データがある場合はデフォルト値を返す', async () => {
       // 無効なデータを返すようにモックを上書き
       const originalGetItem = global.localStorage.getItem;
       global.localStorage.getItem = jest.fn((key) => {
@@ -165,109 +176,497 @@ describe('StorageManager', () => {
         return originalGetItem(key);
       });
       
-      const resetTime = storageManager.getResetTime();
+      const resetTime = await storageManager.getResetTime();
       
       expect(resetTime).toBe('00:00');
     });
   });
 
+  describe('歩数検出アルゴリズムの設定', () => {
+    beforeEach(async () => {
+      await storageManager.clearAll();
+    });
+
+    test('未設定の場合はnullを返す', async () => {
+      expect(await storageManager.getDetectorType()).toBeNull();
+    });
+
+    test('検出アルゴリズムの種類を保存して読み込める', async () => {
+      const result = await storageManager.setDetectorType('zero-crossing');
+
+      expect(result).toBe(true);
+      expect(await storageManager.getDetectorType()).toBe('zero-crossing');
+    });
+
+    test('空文字列や文字列以外は拒否される', async () => {
+      expect(await storageManager.setDetectorType('')).toBe(false);
+      expect(await storageManager.setDetectorType(null)).toBe(false);
+      expect(await storageManager.getDetectorType()).toBeNull();
+    });
+  });
+
+  describe('センサーの入力元の設定', () => {
+    beforeEach(async () => {
+      await storageManager.clearAll();
+    });
+
+    test('未設定の場合は端末のセンサーを返す', async () => {
+      expect(await storageManager.getSensorSource()).toBe('device');
+    });
+
+    test('入力元を保存して読み込める', async () => {
+      expect(await storageManager.setSensorSource('simulated')).toBe(true);
+      expect(await storageManager.getSensorSource()).toBe('simulated');
+    });
+
+    test('不正な入力元は拒否される', async () => {
+      expect(await storageManager.setSensorSource('replay')).toBe(false);
+      expect(await storageManager.getSensorSource()).toBe('device');
+    });
+  });
+
+  describe('センサーの権限の状態', () => {
+    beforeEach(async () => {
+      await storageManager.clearAll();
+    });
+
+    test('未設定の場合はnullを返す', async () => {
+      expect(await storageManager.getPermissionState()).toBeNull();
+    });
+
+    test('権限の状態を保存して読み込める', async () => {
+      expect(await storageManager.setPermissionState('granted')).toBe(true);
+      expect(await storageManager.getPermissionState()).toBe('granted');
+    });
+
+    test('不正な状態は拒否される', async () => {
+      expect(await storageManager.setPermissionState('unknown')).toBe(false);
+      expect(await storageManager.getPermissionState()).toBeNull();
+    });
+  });
+
+  describe('歩行確認の設定', () => {
+    beforeEach(async () => {
+      await storageManager.clearAll();
+    });
+
+    test('未設定の場合はデフォルト値（有効、8歩）を返す', async () => {
+      expect(await storageManager.getWalkingConfirmation()).toEqual({ enabled: true, requiredSteps: 8 });
+    });
+
+    test('歩行確認の設定を保存して読み込める', async () => {
+      const result = await storageManager.setWalkingConfirmation({ enabled: false, requiredSteps: 12 });
+
+      expect(result).toBe(true);
+      expect(await storageManager.getWalkingConfirmation()).toEqual({ enabled: false, requiredSteps: 12 });
+    });
+
+    test('範囲外や整数以外の歩数は拒否される', async () => {
+      expect(await storageManager.setWalkingConfirmation({ enabled: true, requiredSteps: 1 })).toBe(false);
+      expect(await storageManager.setWalkingConfirmation({ enabled: true, requiredSteps: 51 })).toBe(false);
+      expect(await storageManager.setWalkingConfirmation({ enabled: true, requiredSteps: 8.5 })).toBe(false);
+      expect(await storageManager.setWalkingConfirmation({ enabled: 'yes', requiredSteps: 8 })).toBe(false);
+      expect(await storageManager.setWalkingConfirmation(null)).toBe(false);
+    });
+
+    test('破損した設定が保存されている場合はデフォルト値を返す', async () => {
+      localStorage.setItem(storageManager.KEYS.WALKING_CONFIRMATION, '{invalid');
+
+      expect(await storageManager.getWalkingConfirmation()).toEqual({ enabled: true, requiredSteps: 8 });
+    });
+  });
+
+  describe('目標ケイデンスの設定', () => {
+    beforeEach(async () => {
+      await storageManager.clearAll();
+    });
+
+    test('未設定の場合はデフォルト値（無効、160〜180歩/分）を返す', async () => {
+      expect(await storageManager.getCadenceTarget()).toEqual({ enabled: false, min: 160, max: 180 });
+    });
+
+    test('目標ケイデンスを保存して読み込める', async () => {
+      expect(await storageManager.setCadenceTarget({ enabled: true, min: 100, max: 120 })).toBe(true);
+
+      expect(await storageManager.getCadenceTarget()).toEqual({ enabled: true, min: 100, max: 120 });
+    });
+
+    test('範囲外や下限が上限以上の設定は拒否される', async () => {
+      expect(await storageManager.setCadenceTarget({ enabled: true, min: 20, max: 120 })).toBe(false);
+      expect(await storageManager.setCadenceTarget({ enabled: true, min: 100, max: 301 })).toBe(false);
+      expect(await storageManager.setCadenceTarget({ enabled: true, min: 120, max: 120 })).toBe(false);
+      expect(await storageManager.setCadenceTarget({ enabled: 1, min: 100, max: 120 })).toBe(false);
+    });
+
+    test('破損した設定が保存されている場合はデフォルト値を返す', async () => {
+      localStorage.setItem(storageManager.KEYS.CADENCE_TARGET, JSON.stringify({ enabled: true, min: 200, max: 100 }));
+
+      expect(await storageManager.getCadenceTarget()).toEqual({ enabled: false, min: 160, max: 180 });
+    });
+  });
+
+  describe('ユーザープロファイル', () => {
+    beforeEach(async () => {
+      await storageManager.clearAll();
+    });
+
+    const emptyProfile = { height: null, weight: null, age: null, sex: null, strideLength: null, distanceUnit: 'km' };
+
+    test('未設定の場合はデフォルト値を返す', async () => {
+      expect(await storageManager.getUserProfile()).toEqual(emptyProfile);
+    });
+
+    test('プロファイルを保存して読み込める', async () => {
+      const profile = { height: 172.5, weight: 64.5, age: 35, sex: 'female', strideLength: 75, distanceUnit: 'mi' };
+
+      expect(await storageManager.setUserProfile(profile)).toBe(true);
+
+      expect(await storageManager.getUserProfile()).toEqual(profile);
+    });
+
+    test('範囲外の値や未知の単位は拒否される', async () => {
+      expect(await storageManager.setUserProfile({ ...emptyProfile, height: 99 })).toBe(false);
+      expect(await storageManager.setUserProfile({ ...emptyProfile, strideLength: 201 })).toBe(false);
+      expect(await storageManager.setUserProfile({ ...emptyProfile, distanceUnit: 'm' })).toBe(false);
+      expect(await storageManager.setUserProfile({ ...emptyProfile, height: '170' })).toBe(false);
+    });
+
+    test('体重・年齢・性別を検証する', async () => {
+      expect(await storageManager.setUserProfile({ ...emptyProfile, weight: 19 })).toBe(false);
+      expect(await storageManager.setUserProfile({ ...emptyProfile, weight: 301 })).toBe(false);
+      expect(await storageManager.setUserProfile({ ...emptyProfile, age: 4 })).toBe(false);
+      expect(await storageManager.setUserProfile({ ...emptyProfile, age: 30.5 })).toBe(false);
+      expect(await storageManager.setUserProfile({ ...emptyProfile, sex: 'other' })).toBe(false);
+      expect(await storageManager.setUserProfile({ ...emptyProfile, weight: 20, age: 120, sex: 'male' })).toBe(true);
+    });
+
+    test('体重などの項目がない以前のプロファイルは未入力として読み込む', async () => {
+      localStorage.setItem(storageManager.KEYS.USER_PROFILE, JSON.stringify({ height: 170, strideLength: null, distanceUnit: 'km' }));
+
+      expect(await storageManager.getUserProfile()).toEqual({ ...emptyProfile, height: 170 });
+    });
+
+    test('移動距離は0以上の数値のみ保存できる', async () => {
+      expect(await storageManager.saveStepData({ steps: 10, distance: 7.5, timestamp: Date.now() })).toBe(true);
+      expect(await storageManager.saveStepData({ steps: 10, distance: -1, timestamp: Date.now() })).toBe(false);
+      expect(await storageManager.saveHistory(createPeriod('2024-01-01', { steps: 10, distance: Infinity }))).toBe(false);
+    });
+
+    test('消費カロリーは0以上の数値のみ保存できる', async () => {
+      expect(await storageManager.saveStepData({ steps: 10, calories: 0.4, timestamp: Date.now() })).toBe(true);
+      expect(await storageManager.saveStepData({ steps: 10, calories: -0.1, timestamp: Date.now() })).toBe(false);
+      expect(await storageManager.saveHistory(createPeriod('2024-01-01', { steps: 10, calories: NaN }))).toBe(false);
+    });
+  });
+
+  describe('活動ごとの歩数', () => {
+    beforeEach(async () => {
+      await storageManager.clearAll();
+    });
+
+    test('歩数データと一緒に活動ごとの歩数を保存して読み込める', async () => {
+      const data = { steps: 120, activities: { walking: 100, running: 20 }, timestamp: Date.now() };
+
+      expect(await storageManager.saveStepData(data)).toBe(true);
+      expect(await storageManager.loadStepData()).toEqual(data);
+    });
+
+    test('不正な活動ごとの歩数は拒否される', async () => {
+      expect(await storageManager.saveStepData({ steps: 10, activities: { walking: -1 }, timestamp: Date.now() })).toBe(false);
+      expect(await storageManager.saveStepData({ steps: 10, activities: [10], timestamp: Date.now() })).toBe(false);
+    });
+
+    test('履歴に活動ごとの歩数を含めて保存できる', async () => {
+      const entry = createPeriod('2024-01-01', { steps: 120, activities: { walking: 100, running: 20 } });
+
+      expect(await storageManager.saveHistory(entry)).toBe(true);
+      expect((await storageManager.loadHistory())[0].activities).toEqual({ walking: 100, running: 20 });
+      expect(await storageManager.saveHistory({ ...entry, activities: { walking: 1.5 } })).toBe(false);
+    });
+  });
+
+  describe('キャリブレーションプロファイル', () => {
+    const profile = {
+      detectorType: 'peak',
+      parameters: { stepThreshold: 0.4, minStepInterval: 300 },
+      targetSteps: 20,
+      detectedSteps: 20,
+      calibratedAt: 1700000000000
+    };
+
+    beforeEach(async () => {
+      await storageManager.clearAll();
+    });
+
+    test('未実施の場合はnullを返す', async () => {
+      expect(await storageManager.getCalibrationProfile()).toBeNull();
+    });
+
+    test('プロファイルを保存して読み込める', async () => {
+      expect(await storageManager.setCalibrationProfile(profile)).toBe(true);
+
+      expect(await storageManager.getCalibrationProfile()).toEqual(profile);
+    });
+
+    test('不正なプロファイルは拒否される', async () => {
+      expect(await storageManager.setCalibrationProfile(null)).toBe(false);
+      expect(await storageManager.setCalibrationProfile({ ...profile, detectorType: '' })).toBe(false);
+      expect(await storageManager.setCalibrationProfile({ ...profile, parameters: { stepThreshold: NaN } })).toBe(false);
+      expect(await storageManager.setCalibrationProfile({ ...profile, targetSteps: 0 })).toBe(false);
+      expect(await storageManager.getCalibrationProfile()).toBeNull();
+    });
+
+    test('破損したプロファイルが保存されている場合はnullを返す', async () => {
+      localStorage.setItem(storageManager.KEYS.CALIBRATION, '{invalid');
+
+      expect(await storageManager.getCalibrationProfile()).toBeNull();
+    });
+
+    test('clearCalibrationProfile()でプロファイルを削除できる', async () => {
+      await storageManager.setCalibrationProfile(profile);
+
+      expect(await storageManager.clearCalibrationProfile()).toBe(true);
+      expect(await storageManager.getCalibrationProfile()).toBeNull();
+    });
+
+    test('clearCalibrationProfile()は目標ケイデンスを削除しない', async () => {
+      const target = { enabled: true, min: 150, max: 170 };
+      await storageManager.setCadenceTarget(target);
+      await storageManager.setCalibrationProfile(profile);
+
+      await storageManager.clearCalibrationProfile();
+
+      expect(await storageManager.getCadenceTarget()).toEqual(target);
+    });
+
+    test('clearCalibrationProfile()はユーザープロファイルを削除しない', async () => {
+      const userProfile = { height: 170, weight: 60, age: 30, sex: 'female', strideLength: 75, distanceUnit: 'km' };
+      await storageManager.setUserProfile(userProfile);
+      await storageManager.setCalibrationProfile(profile);
+
+      await storageManager.clearCalibrationProfile();
+
+      expect(await storageManager.getUserProfile()).toEqual(userProfile);
+    });
+  });
+
   describe('履歴データの管理', () => {
-    test('履歴エントリを保存できる', () => {
-      const entry = { steps: 5000, date: '2024-01-01T00:00:00.000Z' };
-      const result = storageManager.saveHistory(entry);
+    test('履歴エントリを保存できる', async () => {
+      const entry = createPeriod('2024-01-01', { steps: 5000 });
+      const result = await storageManager.saveHistory(entry);
       
       expect(result).toBe(true);
     });
 
-    test('保存した履歴を読み込める', () => {
-      const entry = { steps: 5000, date: '2024-01-01T00:00:00.000Z' };
-      storageManager.saveHistory(entry);
+    test('保存した履歴を読み込める', async () => {
+      const entry = createPeriod('2024-01-01', { steps: 5000 });
+      await storageManager.saveHistory(entry);
       
-      const history = storageManager.loadHistory();
+      const history = await storageManager.loadHistory();
       
       expect(history).toHaveLength(1);
-      expect(history[0]).toEqual(entry);
+      expect(history[0]).toEqual({ ...entry, date: '2024-01-01', activities: {}, distance: 0, calories: 0, recordedAt: null });
     });
 
-    test('複数の履歴エントリを保存できる', () => {
+    test('複数の履歴エントリを保存できる', async () => {
       const entries = [
-        { steps: 5000, date: '2024-01-01T00:00:00.000Z' },
-        { steps: 6000, date: '2024-01-02T00:00:00.000Z' },
-        { steps: 7000, date: '2024-01-03T00:00:00.000Z' }
+        createPeriod('2024-01-01', { steps: 5000 }),
+        createPeriod('2024-01-02', { steps: 6000 }),
+        createPeriod('2024-01-03', { steps: 7000 })
       ];
       
-      entries.forEach(entry => storageManager.saveHistory(entry));
+      for (const entry of entries) {
+        await storageManager.saveHistory(entry);
+      }
       
-      const history = storageManager.loadHistory();
+      const history = await storageManager.loadHistory();
       
       expect(history).toHaveLength(3);
-      expect(history).toEqual(entries);
+      expect(history.map(({ date, steps }) => ({ date, steps }))).toEqual([
+        { date: '2024-01-01', steps: 5000 },
+        { date: '2024-01-02', steps: 6000 },
+        { date: '2024-01-03', steps: 7000 }
+      ]);
     });
 
-    test('履歴がない場合は空配列を返す', () => {
-      const history = storageManager.loadHistory();
+    test('履歴がない場合は空配列を返す', async () => {
+      const history = await storageManager.loadHistory();
       
       expect(history).toEqual([]);
     });
 
-    test('30日を超える履歴は古いものから削除される', () => {
-      // 35日分の履歴を作成
-      for (let i = 0; i < 35; i++) {
-        const entry = { 
-          steps: 1000 + i, 
-          date: `2024-01-${String(i + 1).padStart(2, '0')}T00:00:00.000Z` 
-        };
-        storageManager.saveHistory(entry);
-      }
-      
-      const history = storageManager.loadHistory();
-      
-      expect(history).toHaveLength(30);
-      // 最新の30日分が保持されている
-      expect(history[0].steps).toBe(1005); // 6日目から
-      expect(history[29].steps).toBe(1034); // 35日目まで
-    });
-
-    test('無効な履歴エントリは保存できない', () => {
+    test('無効な履歴エントリは保存できない', async () => {
       const entry = { invalid: 'data' };
-      const result = storageManager.saveHistory(entry);
+      const result = await storageManager.saveHistory(entry);
       
       expect(result).toBe(false);
     });
 
-    test('履歴読み込み失敗時は空配列を返す（要件7.2）', () => {
+    test('期間やリセット時刻が不正な記録は保存できない', async () => {
+      const entry = createPeriod('2024-01-01', { steps: 10 });
+
+      expect(await storageManager.saveHistory({ ...entry, endedAt: entry.startedAt })).toBe(false);
+      expect(await storageManager.saveHistory({ ...entry, startedAt: undefined })).toBe(false);
+      expect(await storageManager.saveHistory({ ...entry, resetTime: '24:00' })).toBe(false);
+    });
+
+    describe('長期間の履歴', () => {
+      const { MemoryStorageAdapter } = require('./StorageAdapter');
+      let adapter;
+      let manager;
+
+      beforeEach(() => {
+        adapter = new MemoryStorageAdapter();
+        manager = new StorageManager(adapter);
+      });
+
+      test('件数の上限なく保存し、開始日の年ごとに分けて保存する', async () => {
+        // 2023-12-01から400日分
+        for (let i = 0; i < 400; i++) {
+          const date = manager.toLocalDate(new Date(2023, 11, 1 + i).getTime());
+          await manager.saveHistory(createPeriod(date, { steps: 1000 + i }));
+        }
+
+        const history = await manager.loadHistory();
+
+        expect(history).toHaveLength(400);
+        expect(history[0]).toMatchObject({ date: '2023-12-01', steps: 1000 });
+        expect(history[399]).toMatchObject({ date: '2025-01-03', steps: 1399 });
+        expect(JSON.parse(await adapter.getItem(manager.KEYS.HISTORY_YEARS))).toEqual(['2023', '2024', '2025']);
+        expect(JSON.parse(await adapter.getItem(manager.getHistoryYearKey('2024')))).toHaveLength(366);
+      });
+
+      test('記録の日付は期間の開始日になる', async () => {
+        // 20:00にリセットする場合、1月1日20:00から1月2日20:00までの期間は1月1日の記録
+        await manager.saveHistory({
+          startedAt: new Date(2024, 0, 1, 20, 0).getTime(),
+          endedAt: new Date(2024, 0, 2, 20, 0).getTime(),
+          resetTime: '20:00',
+          steps: 100
+        });
+
+        expect(await manager.loadHistory()).toEqual([expect.objectContaining({ date: '2024-01-01', resetTime: '20:00' })]);
+      });
+
+      test('同じ開始日とリセット時刻の記録は合算せずに置き換える', async () => {
+        await manager.saveHistory(createPeriod('2024-01-01', { steps: 100, activities: { walking: 100 }, distance: 70, recordedAt: 1 }));
+        await manager.saveHistory(createPeriod('2024-01-01', { steps: 150, activities: { walking: 130, running: 20 }, calories: 2, recordedAt: 2 }));
+
+        expect(await manager.loadHistory()).toEqual([{
+          ...createPeriod('2024-01-01'),
+          date: '2024-01-01',
+          steps: 150,
+          activities: { walking: 130, running: 20 },
+          distance: 0,
+          calories: 2,
+          recordedAt: 2
+        }]);
+      });
+
+      test('同時に保存しても書き込みは順番に行われ、記録は失われない', async () => {
+        await Promise.all([
+          manager.saveHistory(createPeriod('2024-01-01', { steps: 100 })),
+          manager.saveHistory(createPeriod('2024-01-02', { steps: 200 })),
+          manager.saveHistory(createPeriod('2024-01-01', { steps: 100 }))
+        ]);
+
+        expect((await manager.loadHistory()).map(({ date, steps }) => ({ date, steps }))).toEqual([
+          { date: '2024-01-01', steps: 100 },
+          { date: '2024-01-02', steps: 200 }
+        ]);
+      });
+
+      test('リセット時刻が異なる記録は別の期間として保存する', async () => {
+        await manager.saveHistory(createPeriod('2024-01-01', { steps: 100 }));
+        await manager.saveHistory({
+          startedAt: new Date(2024, 0, 1, 6, 0).getTime(),
+          endedAt: new Date(2024, 0, 2, 6, 0).getTime(),
+          resetTime: '06:00',
+          steps: 50
+        });
+
+        expect((await manager.loadHistory()).map(({ resetTime, steps }) => ({ resetTime, steps }))).toEqual([
+          { resetTime: '00:00', steps: 100 },
+          { resetTime: '06:00', steps: 50 }
+        ]);
+      });
+
+      test('期間を指定して取得する場合は該当する年の記録のみを読み込む', async () => {
+        await manager.saveHistory(createPeriod('2023-12-31', { steps: 1 }));
+        await manager.saveHistory(createPeriod('2024-01-01', { steps: 2 }));
+        await manager.saveHistory(createPeriod('2024-06-30', { steps: 3 }));
+        await manager.saveHistory(createPeriod('2025-01-01', { steps: 4 }));
+        const getItemSpy = jest.spyOn(adapter, 'getItem');
+
+        const records = await manager.getHistoryRange('2024-01-01', '2024-06-30');
+
+        expect(records.map((record) => record.steps)).toEqual([2, 3]);
+        expect(getItemSpy).not.toHaveBeenCalledWith(manager.getHistoryYearKey('2023'));
+        expect(getItemSpy).not.toHaveBeenCalledWith(manager.getHistoryYearKey('2025'));
+      });
+
+      test('不正な期間の指定は空配列を返す', async () => {
+        const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+        await manager.saveHistory(createPeriod('2024-01-01', { steps: 1 }));
+
+        expect(await manager.getHistoryRange('2024-02-01', '2024-01-01')).toEqual([]);
+        expect(await manager.getHistoryRange('2024-01', '2024-12-31')).toEqual([]);
+        errorSpy.mockRestore();
+      });
+
+      test('破損した年の履歴がある場合は上書きせずに保存に失敗する', async () => {
+        const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+        await manager.saveHistory(createPeriod('2024-01-01', { steps: 1 }));
+        await adapter.setItem(manager.getHistoryYearKey('2024'), 'invalid json');
+
+        expect(await manager.saveHistory(createPeriod('2024-01-02', { steps: 2 }))).toBe(false);
+        expect(await adapter.getItem(manager.getHistoryYearKey('2024'))).toBe('invalid json');
+        errorSpy.mockRestore();
+      });
+
+      test('clearAll()で年ごとの履歴も削除する', async () => {
+        await manager.saveHistory(createPeriod('2024-01-01', { steps: 1 }));
+
+        expect(await manager.clearAll()).toBe(true);
+
+        expect(await adapter.getItem(manager.getHistoryYearKey('2024'))).toBeNull();
+        expect(await manager.loadHistory()).toEqual([]);
+      });
+    });
+
+    test('履歴読み込み失敗時は空配列を返す（要件7.2）', async () => {
       // 無効なJSONを返すようにモックを上書き
       const originalGetItem = global.localStorage.getItem;
       global.localStorage.getItem = jest.fn((key) => {
-        if (key === storageManager.KEYS.HISTORY) {
+        if (key === storageManager.KEYS.HISTORY_YEARS) {
           return 'invalid json';
         }
         return originalGetItem(key);
       });
       
-      const history = storageManager.loadHistory();
+      const history = await storageManager.loadHistory();
       
       expect(history).toEqual([]);
     });
 
-    test('破損した履歴データの読み込み時は空配列を返す', () => {
+    test('破損した履歴データの読み込み時は空配列を返す', async () => {
       // 配列でないデータを返すようにモックを上書き
       const originalGetItem = global.localStorage.getItem;
       global.localStorage.getItem = jest.fn((key) => {
-        if (key === storageManager.KEYS.HISTORY) {
+        if (key === storageManager.KEYS.HISTORY_YEARS) {
           return JSON.stringify({ invalid: 'data' });
         }
         return originalGetItem(key);
       });
       
-      const history = storageManager.loadHistory();
+      const history = await storageManager.loadHistory();
       
       expect(history).toEqual([]);
     });
   });
 
   describe('エラーハンドリング（要件7.2）', () => {
-    test('localStorageアクセス失敗時も適切に処理される', () => {
+    test('localStorageアクセス失敗時も適切に処理される', async () => {
       // 新しいStorageManagerインスタンスを作成し、setItemをモック
       const mockSetItem = jest.fn(() => {
         console.log('Mock setItem called - throwing error');
@@ -279,7 +678,7 @@ describe('StorageManager', () => {
       const testManager = new StorageManager();
       
       const data = { steps: 100, timestamp: Date.now() };
-      const result = testManager.saveStepData(data);
+      const result = await testManager.saveStepData(data);
       
       console.log('Mock was called:', mockSetItem.mock.calls.length, 'times');
       console.log('Result:', result);
@@ -287,7 +686,7 @@ describe('StorageManager', () => {
       expect(result).toBe(false);
     });
 
-    test('localStorage読み込み失敗時も適切に処理される', () => {
+    test('localStorage読み込み失敗時も適切に処理される', async () => {
       // getItemをモック
       const mockGetItem = jest.fn(() => {
         throw new Error('Storage access denied');
@@ -297,12 +696,12 @@ describe('StorageManager', () => {
       // 新しいインスタンスを作成
       const testManager = new StorageManager();
       
-      const loaded = testManager.loadStepData();
+      const loaded = await testManager.loadStepData();
       
       expect(loaded).toBeNull();
     });
 
-    test('リセット時刻の読み込み失敗時はデフォルト値を返す（要件7.2）', () => {
+    test('リセット時刻の読み込み失敗時はデフォルト値を返す（要件7.2）', async () => {
       // getItemをモック
       const mockGetItem = jest.fn(() => {
         throw new Error('Storage access denied');
@@ -312,12 +711,12 @@ describe('StorageManager', () => {
       // 新しいインスタンスを作成
       const testManager = new StorageManager();
       
-      const resetTime = testManager.getResetTime();
+      const resetTime = await testManager.getResetTime();
       
       expect(resetTime).toBe('00:00');
     });
 
-    test('リセット時刻の保存失敗時はfalseを返す（要件7.2）', () => {
+    test('リセット時刻の保存失敗時はfalseを返す（要件7.2）', async () => {
       // setItemをモック
       const mockSetItem = jest.fn(() => {
         throw new Error('Storage quota exceeded');
@@ -327,12 +726,12 @@ describe('StorageManager', () => {
       // 新しいインスタンスを作成
       const testManager = new StorageManager();
       
-      const result = testManager.setResetTime('06:00');
+      const result = await testManager.setResetTime('06:00');
       
       expect(result).toBe(false);
     });
 
-    test('履歴の保存失敗時はfalseを返す（要件7.2）', () => {
+    test('履歴の保存失敗時はfalseを返す（要件7.2）', async () => {
       // getItemをモック（履歴読み込みで失敗）
       const mockGetItem = jest.fn(() => {
         throw new Error('Storage access denied');
@@ -342,23 +741,385 @@ describe('StorageManager', () => {
       // 新しいインスタンスを作成
       const testManager = new StorageManager();
       
-      const entry = { steps: 5000, date: '2024-01-01T00:00:00.000Z' };
-      const result = testManager.saveHistory(entry);
+      const entry = createPeriod('2024-01-01', { steps: 5000 });
+      const result = await testManager.saveHistory(entry);
       
       expect(result).toBe(false);
     });
   });
 
+  describe('歩数のタイムライン', () => {
+    const { MemoryStorageAdapter } = require('./StorageAdapter');
+    const MINUTE = 60 * 1000;
+    const HOUR = 60 * MINUTE;
+    const now = new Date(2024, 0, 10, 12, 0).getTime();
+    let adapter;
+    let manager;
+
+    beforeEach(() => {
+      adapter = new MemoryStorageAdapter();
+      manager = new StorageManager(adapter);
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('歩数を分単位のバケットに記録する', async () => {
+      expect(await manager.recordSteps([
+        { time: now - 10 * MINUTE + 5000, steps: 3 },
+        { time: now - 10 * MINUTE + 40000, steps: 2 },
+        { time: now - 5 * MINUTE, steps: 4 }
+      ], now)).toBe(true);
+
+      expect(await manager.getBuckets(now - HOUR, now, 'minute')).toEqual([
+        { start: now - 10 * MINUTE, steps: 5 },
+        { start: now - 5 * MINUTE, steps: 4 }
+      ]);
+    });
+
+    test('時間単位では分単位のバケットを正時ごとに合算する', async () => {
+      await manager.recordSteps([
+        { time: now - 90 * MINUTE, steps: 10 },
+        { time: now - 70 * MINUTE, steps: 5 },
+        { time: now - 30 * MINUTE, steps: 7 }
+      ], now);
+
+      expect(await manager.getBuckets(now - 2 * HOUR, now)).toEqual([
+        { start: now - 2 * HOUR, steps: 15 },
+        { start: now - HOUR, steps: 7 }
+      ]);
+    });
+
+    test('期間は開始時刻を含み終了時刻を含まない', async () => {
+      await manager.recordSteps([
+        { time: now - 2 * MINUTE, steps: 1 },
+        { time: now - MINUTE, steps: 2 },
+        { time: now, steps: 3 }
+      ], now);
+
+      expect(await manager.getBuckets(now - MINUTE, now, 'minute')).toEqual([{ start: now - MINUTE, steps: 2 }]);
+    });
+
+    test('同時に記録しても歩数を失わない', async () => {
+      await Promise.all([
+        manager.recordSteps([{ time: now - MINUTE, steps: 1 }], now),
+        manager.recordSteps([{ time: now - MINUTE, steps: 2 }], now)
+      ]);
+
+      expect(await manager.getBuckets(now - HOUR, now, 'minute')).toEqual([{ start: now - MINUTE, steps: 3 }]);
+    });
+
+    test('保持期間を過ぎた日の分単位のバケットは削除し、時間単位のバケットは残す', async () => {
+      // 1月7日12:00（1月7日は保持期間の始まりの1月8日12:00より前に終わる）
+      const old = now - manager.MINUTE_BUCKET_RETENTION_MS - 24 * HOUR;
+      await manager.recordSteps([
+        { time: old + MINUTE, steps: 10 },
+        { time: old + 2 * MINUTE, steps: 20 }
+      ], old + 3 * MINUTE);
+
+      await manager.recordSteps([{ time: now - MINUTE, steps: 1 }], now);
+
+      expect(await manager.getBuckets(old, now, 'minute')).toEqual([{ start: now - MINUTE, steps: 1 }]);
+      expect(await manager.getBuckets(old, now)).toEqual([
+        { start: old, steps: 30 },
+        { start: now - HOUR, steps: 1 }
+      ]);
+    });
+
+    test('時間単位のバケットは期限なく残す', async () => {
+      const old = new Date(2023, 0, 10, 12, 0).getTime();
+      await manager.recordSteps([{ time: old + MINUTE, steps: 10 }], old + HOUR);
+      await manager.recordSteps([{ time: now - MINUTE, steps: 1 }], now);
+
+      expect(await manager.getBuckets(0, now)).toEqual([
+        { start: old, steps: 10 },
+        { start: now - HOUR, steps: 1 }
+      ]);
+      expect(await manager.getBuckets(0, now, 'minute')).toEqual([{ start: now - MINUTE, steps: 1 }]);
+    });
+
+    test('分単位は日ごと、時間単位は月ごとに保存し、歩数を加えたキーのみを書き込む', async () => {
+      await manager.recordSteps([
+        { time: new Date(2023, 11, 31, 12, 0).getTime(), steps: 10 },
+        { time: now - 24 * HOUR, steps: 20 },
+        { time: now - 2 * HOUR, steps: 30 }
+      ], now);
+      const setItem = jest.spyOn(adapter, 'setItem');
+
+      await manager.recordSteps([{ time: now - MINUTE, steps: 1 }], now);
+
+      expect(setItem.mock.calls.map(([key]) => key)).toEqual([
+        manager.getTimelinePartitionKey('minute', '2024-01-10'),
+        manager.getTimelinePartitionKey('hour', '2024-01')
+      ]);
+      expect(JSON.parse(await adapter.getItem(manager.KEYS.TIMELINE_DAYS))).toEqual(['2024-01-09', '2024-01-10']);
+      expect(JSON.parse(await adapter.getItem(manager.KEYS.TIMELINE_MONTHS))).toEqual(['2023-12', '2024-01']);
+      expect(await manager.getBuckets(0, now)).toEqual([
+        { start: new Date(2023, 11, 31, 12, 0).getTime(), steps: 10 },
+        { start: now - 24 * HOUR, steps: 20 },
+        { start: now - 2 * HOUR, steps: 30 },
+        { start: now - HOUR, steps: 1 }
+      ]);
+    });
+
+    test('不正な歩数や期間、バケットの幅は拒否される', async () => {
+      expect(await manager.recordSteps([{ time: now, steps: -1 }], now)).toBe(false);
+      expect(await manager.recordSteps([{ time: NaN, steps: 1 }], now)).toBe(false);
+      expect(await manager.recordSteps(null, now)).toBe(false);
+      expect(await manager.getBuckets(now, now - HOUR)).toEqual([]);
+      expect(await manager.getBuckets(0, now, 'day')).toEqual([]);
+    });
+
+    test('破損したタイムラインは新しく記録し直す', async () => {
+      await adapter.setItem(manager.KEYS.TIMELINE_DAYS, JSON.stringify(['2024-01-10']));
+      await adapter.setItem(manager.getTimelinePartitionKey('minute', '2024-01-10'), '[]');
+      await adapter.setItem(manager.KEYS.TIMELINE_MONTHS, '{}');
+
+      expect(await manager.getBuckets(0, now, 'minute')).toEqual([]);
+      expect(await manager.recordSteps([{ time: now - MINUTE, steps: 1 }], now)).toBe(true);
+      expect(await manager.getBuckets(0, now, 'minute')).toEqual([{ start: now - MINUTE, steps: 1 }]);
+      expect(await manager.getBuckets(0, now)).toEqual([{ start: now - HOUR, steps: 1 }]);
+    });
+  });
+
+  describe('スキーマの移行', () => {
+    const { MemoryStorageAdapter } = require('./StorageAdapter');
+    let adapter;
+    let manager;
+
+    beforeEach(() => {
+      adapter = new MemoryStorageAdapter();
+      manager = new StorageManager(adapter);
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('以前の形式の履歴を日次期間の記録に変換する', async () => {
+      // 午前0時のリセットで記録された履歴は前日に始まった期間の記録になる
+      const resetAt = new Date(2024, 0, 2, 0, 0);
+      await adapter.setItem(manager.KEYS.HISTORY, JSON.stringify([
+        { steps: 5000, activities: { walking: 5000 }, distance: 3500, date: resetAt.toISOString() },
+        { steps: 10, date: 'invalid' }
+      ]));
+
+      expect(await manager.migrate()).toBe(true);
+
+      expect(await manager.loadHistory()).toEqual([{
+        ...createPeriod('2024-01-01'),
+        date: '2024-01-01',
+        steps: 5000,
+        activities: { walking: 5000 },
+        distance: 3500,
+        calories: 0,
+        recordedAt: resetAt.getTime()
+      }]);
+      expect(await adapter.getItem(manager.KEYS.HISTORY)).toBeNull();
+      expect(await adapter.getItem(manager.KEYS.SCHEMA_VERSION)).toBe(String(manager.SCHEMA_VERSION));
+      expect(await adapter.getItem(manager.KEYS.MIGRATION_BACKUP)).toBeNull();
+    });
+
+    test('新しくインストールした場合はバージョンだけを記録する', async () => {
+      expect(await manager.migrate()).toBe(true);
+
+      expect(await adapter.getItem(manager.KEYS.SCHEMA_VERSION)).toBe(String(manager.SCHEMA_VERSION));
+      expect(await adapter.getItem(manager.KEYS.HISTORY)).toBeNull();
+    });
+
+    test('バージョン2の日付ごとの記録を、リセット時刻から求めた日次期間の記録に変換する', async () => {
+      await adapter.setItem(manager.KEYS.SCHEMA_VERSION, '2');
+      await adapter.setItem(manager.KEYS.RESET_TIME, '20:00');
+      // バージョン2の日付は期間の中央を含む日付（1月1日20:00からの期間は1月2日）
+      await adapter.setItem(manager.KEYS.HISTORY, JSON.stringify([
+        { date: '2024-01-02', steps: 100, activities: {}, distance: 0, calories: 0, recordedAt: null },
+        { date: '2025-01-01', steps: 200, activities: {}, distance: 0, calories: 0, recordedAt: null }
+      ]));
+
+      expect(await manager.migrate()).toBe(true);
+
+      expect(await manager.loadHistory()).toEqual([
+        expect.objectContaining({
+          date: '2024-01-01',
+          resetTime: '20:00',
+          startedAt: new Date(2024, 0, 1, 20, 0).getTime(),
+          endedAt: new Date(2024, 0, 2, 20, 0).getTime(),
+          steps: 100
+        }),
+        expect.objectContaining({ date: '2024-12-31', steps: 200 })
+      ]);
+      expect(await adapter.getItem(manager.KEYS.SCHEMA_VERSION)).toBe(String(manager.SCHEMA_VERSION));
+    });
+
+    test('バージョン3のタイムラインを日ごと・月ごとのキーに分け、分単位の歩数を時間単位にも加える', async () => {
+      const hour = new Date(2024, 0, 10, 12, 0).getTime();
+      const oldHour = new Date(2023, 11, 20, 8, 0).getTime();
+      await adapter.setItem(manager.KEYS.SCHEMA_VERSION, '3');
+      await adapter.setItem(manager.KEYS.TIMELINE, JSON.stringify({
+        minutes: { [hour + 60 * 1000]: 3, [hour + 2 * 60 * 1000]: 4 },
+        hours: { [oldHour]: 50, [hour]: 10 }
+      }));
+
+      expect(await manager.migrate()).toBe(true);
+
+      expect(await manager.getBuckets(0, hour + 60 * 60 * 1000, 'minute')).toEqual([
+        { start: hour + 60 * 1000, steps: 3 },
+        { start: hour + 2 * 60 * 1000, steps: 4 }
+      ]);
+      expect(await manager.getBuckets(0, hour + 60 * 60 * 1000)).toEqual([
+        { start: oldHour, steps: 50 },
+        { start: hour, steps: 17 }
+      ]);
+      expect(JSON.parse(await adapter.getItem(manager.KEYS.TIMELINE_MONTHS))).toEqual(['2023-12', '2024-01']);
+      expect(await adapter.getItem(manager.KEYS.TIMELINE)).toBeNull();
+      expect(await adapter.getItem(manager.KEYS.SCHEMA_VERSION)).toBe(String(manager.SCHEMA_VERSION));
+    });
+
+    test('バージョン3からの移行を途中からやり直しても歩数は重複しない', async () => {
+      const hour = new Date(2024, 0, 10, 12, 0).getTime();
+      await adapter.setItem(manager.KEYS.SCHEMA_VERSION, '3');
+      await adapter.setItem(manager.KEYS.TIMELINE, JSON.stringify({ minutes: { [hour]: 3 }, hours: {} }));
+      // 区分を保存した後、月の一覧を保存する前に失敗する
+      const setItem = adapter.setItem.bind(adapter);
+      jest.spyOn(adapter, 'setItem').mockImplementation(async (key, value) => {
+        if (key === manager.KEYS.TIMELINE_MONTHS) {
+          throw new Error('quota exceeded');
+        }
+        return setItem(key, value);
+      });
+
+      expect(await manager.migrate()).toBe(false);
+      expect(await adapter.getItem(manager.KEYS.SCHEMA_VERSION)).toBe('3');
+
+      adapter.setItem.mockRestore();
+      expect(await manager.migrate()).toBe(true);
+
+      expect(await manager.getBuckets(0, hour + 60 * 60 * 1000)).toEqual([{ start: hour, steps: 3 }]);
+    });
+
+    test('バージョン2からの移行を途中からやり直しても記録は重複しない', async () => {
+      await adapter.setItem(manager.KEYS.SCHEMA_VERSION, '2');
+      await adapter.setItem(manager.KEYS.HISTORY, JSON.stringify([
+        { date: '2024-01-01', steps: 100, activities: {}, distance: 0, calories: 0, recordedAt: null }
+      ]));
+      // 年ごとの履歴を保存した後、年の一覧を保存する前に失敗する
+      const setItem = adapter.setItem.bind(adapter);
+      jest.spyOn(adapter, 'setItem').mockImplementation(async (key, value) => {
+        if (key === manager.KEYS.HISTORY_YEARS) {
+          throw new Error('quota exceeded');
+        }
+        return setItem(key, value);
+      });
+
+      expect(await manager.migrate()).toBe(false);
+      expect(await adapter.getItem(manager.KEYS.SCHEMA_VERSION)).toBe('2');
+
+      adapter.setItem.mockRestore();
+      expect(await manager.migrate()).toBe(true);
+
+      expect(await manager.loadHistory()).toEqual([expect.objectContaining({ date: '2024-01-01', steps: 100 })]);
+    });
+
+    test('現在のバージョンのデータは変換しない', async () => {
+      await manager.saveHistory(createPeriod('2024-01-01', { steps: 100 }));
+      await adapter.setItem(manager.KEYS.SCHEMA_VERSION, String(manager.SCHEMA_VERSION));
+      const migrateSpy = jest.spyOn(manager, 'migrateHistoryToDailyRecords');
+      const periodsSpy = jest.spyOn(manager, 'migrateDailyRecordsToPeriods');
+
+      expect(await manager.migrate()).toBe(true);
+
+      expect(migrateSpy).not.toHaveBeenCalled();
+      expect(periodsSpy).not.toHaveBeenCalled();
+      expect(await manager.loadHistory()).toHaveLength(1);
+    });
+
+    test('新しいバージョンのデータは変更しない', async () => {
+      const history = JSON.stringify([{ future: true }]);
+      await adapter.setItem(manager.KEYS.SCHEMA_VERSION, String(manager.SCHEMA_VERSION + 1));
+      await adapter.setItem(manager.KEYS.HISTORY, history);
+
+      expect(await manager.migrate()).toBe(true);
+
+      expect(await adapter.getItem(manager.KEYS.HISTORY)).toBe(history);
+      expect(await adapter.getItem(manager.KEYS.SCHEMA_VERSION)).toBe(String(manager.SCHEMA_VERSION + 1));
+    });
+
+    test('移行に失敗した場合は移行前のデータに戻し、バックアップを残す', async () => {
+      const history = JSON.stringify([{ steps: 5000, date: '2024-01-01T15:00:00.000Z' }]);
+      await adapter.setItem(manager.KEYS.HISTORY, history);
+      jest.spyOn(manager, 'migrateHistoryToDailyRecords').mockImplementation(async () => {
+        await adapter.setItem(manager.KEYS.HISTORY, 'partial');
+        throw new Error('migration failed');
+      });
+
+      expect(await manager.migrate()).toBe(false);
+
+      expect(await adapter.getItem(manager.KEYS.HISTORY)).toBe(history);
+      expect(await adapter.getItem(manager.KEYS.SCHEMA_VERSION)).toBe('1');
+      expect(await adapter.getItem(manager.KEYS.MIGRATION_BACKUP)).not.toBeNull();
+    });
+
+    test('前回の移行が終わっていない場合はバックアップから戻してやり直す', async () => {
+      const resetAt = new Date(2024, 0, 2, 0, 0);
+      await adapter.setItem(manager.KEYS.MIGRATION_BACKUP, JSON.stringify({
+        version: 1,
+        createdAt: Date.now(),
+        items: {
+          [manager.KEYS.HISTORY]: JSON.stringify([{ steps: 5000, date: resetAt.toISOString() }]),
+          [manager.KEYS.STEP_DATA]: null
+        }
+      }));
+      // 途中まで変換された状態
+      await adapter.setItem(manager.KEYS.HISTORY, 'partial');
+      await adapter.setItem(manager.KEYS.STEP_DATA, 'partial');
+
+      expect(await manager.migrate()).toBe(true);
+
+      expect(await manager.loadHistory()).toEqual([{
+        ...createPeriod('2024-01-01'),
+        date: '2024-01-01',
+        steps: 5000,
+        activities: {},
+        distance: 0,
+        calories: 0,
+        recordedAt: resetAt.getTime()
+      }]);
+      expect(await adapter.getItem(manager.KEYS.STEP_DATA)).toBeNull();
+      expect(await adapter.getItem(manager.KEYS.MIGRATION_BACKUP)).toBeNull();
+    });
+  });
+
   describe('データのクリア', () => {
-    test('すべてのデータをクリアできる', () => {
+    test('すべてのデータをクリアできる', async () => {
       // データを設定
-      storageManager.saveStepData({ steps: 100, timestamp: Date.now() });
-      storageManager.setResetTime('06:00');
-      storageManager.saveHistory({ steps: 5000, date: '2024-01-01T00:00:00.000Z' });
+      await storageManager.saveStepData({ steps: 100, timestamp: Date.now() });
+      await storageManager.setResetTime('06:00');
+      await storageManager.saveHistory(createPeriod('2024-01-01', { steps: 5000 }));
       
-      const result = storageManager.clearAll();
+      const result = await storageManager.clearAll();
       
       expect(result).toBe(true);
     });
+
+    test('clearAll()は目標ケイデンスも削除する', async () => {
+      await storageManager.setCadenceTarget({ enabled: true, min: 150, max: 170 });
+
+      expect(await storageManager.clearAll()).toBe(true);
+
+      expect(await storageManager.getCadenceTarget()).toEqual(storageManager.DEFAULT_CADENCE_TARGET);
+    });
+
+    test('clearAll()はユーザープロファイルも削除する', async () => {
+      await storageManager.setUserProfile({ height: 170, weight: 60, age: 30, sex: 'female', strideLength: 75, distanceUnit: 'km' });
+
+      expect(await storageManager.clearAll()).toBe(true);
+
+      expect(await storageManager.getUserProfile()).toEqual(storageManager.DEFAULT_USER_PROFILE);
+    });
   });
 });
@@ -20,6 +20,7 @@ class UIController {
     this.stepCounter = stepCounter;
     this.resetTimer = resetTimer;
     this.elements = {};
+    this.lastTrace = null; // 最後に記録したセンサーのトレース
   }
 
   /**
@@ -28,11 +29,17 @@ class UIController {
    * 要件:
    * - 4.1: リセット時刻を設定するためのユーザーインターフェースを提供する
    * - 5.3: リセット時刻を変更するための設定画面を提供する
+   * @returns {Promise<void>}
    */
-  initialize() {
+  async initialize() {
     // DOM要素を取得
     this.elements = {
       stepDisplay: document.getElementById('step-display'),
+      distanceDisplay: document.getElementById('distance-display'),
+      caloriesDisplay: document.getElementById('calories-display'),
+      activityDisplay: document.getElementById('activity-display'),
+      cadenceDisplay: document.getElementById('cadence-display'),
+      cadenceIndicator: document.getElementById('cadence-indicator'),
       nextResetDisplay: document.getElementById('next-reset'),
       resetTimeInput: document.getElementById('reset-time-input'),
       saveButton: document.getElementById('save-reset-time'),
@@ -42,12 +49,48 @@ class UIController {
       debugInfo: document.getElementById('debug-info'),
       sensorStatus: document.getElementById('sensor-status'),
       sensorStatusText: document.getElementById('sensor-status-text'),
-      iosSettingsHelp: document.getElementById('ios-settings-help')
+      iosSettingsHelp: document.getElementById('ios-settings-help'),
+      detectorSelect: document.getElementById('detector-select'),
+      walkingConfirmationEnabled: document.getElementById('walking-confirmation-enabled'),
+      walkingConfirmationSteps: document.getElementById('walking-confirmation-steps'),
+      saveWalkingConfirmationButton: document.getElementById('save-walking-confirmation'),
+      calibrationSteps: document.getElementById('calibration-steps'),
+      startCalibrationButton: document.getElementById('start-calibration'),
+      finishCalibrationButton: document.getElementById('finish-calibration'),
+      cancelCalibrationButton: document.getElementById('cancel-calibration'),
+      clearCalibrationButton: document.getElementById('clear-calibration'),
+      calibrationStatus: document.getElementById('calibration-status'),
+      cadenceTargetEnabled: document.getElementById('cadence-target-enabled'),
+      cadenceTargetMin: document.getElementById('cadence-target-min'),
+      cadenceTargetMax: document.getElementById('cadence-target-max'),
+      saveCadenceTargetButton: document.getElementById('save-cadence-target'),
+      profileHeight: document.getElementById('profile-height'),
+      profileWeight: document.getElementById('profile-weight'),
+      profileAge: document.getElementById('profile-age'),
+      profileSex: document.getElementById('profile-sex'),
+      profileStrideLength: document.getElementById('profile-stride-length'),
+      profileDistanceUnit: document.getElementById('profile-distance-unit'),
+      saveProfileButton: document.getElementById('save-profile'),
+      traceRecordButton: document.getElementById('trace-record-btn'),
+      traceDownloadJsonButton: document.getElementById('trace-download-json'),
+      traceDownloadCsvButton: document.getElementById('trace-download-csv'),
+      traceStatus: document.getElementById('trace-status'),
+      sensorSourceSimulated: document.getElementById('sensor-source-simulated'),
+      simulationControls: document.getElementById('simulation-controls'),
+      simulationStartStopButton: document.getElementById('simulation-start-stop'),
+      simulationPauseButton: document.getElementById('simulation-pause'),
+      simulationStepButton: document.getElementById('simulation-step'),
+      simulationMode: document.getElementById('simulation-mode'),
+      simulationSpeed: document.getElementById('simulation-speed'),
+      simulationStatus: document.getElementById('simulation-status')
     };
 
     // デバッグ情報を表示
     this.showDebugInfo();
 
+    // センサーの権限の状態と、停止・再開を表示
+    this.setupSensorEventHandlers();
+
     // 必須要素の存在確認
     const requiredElements = ['stepDisplay', 'nextResetDisplay', 'resetTimeInput', 'saveButton', 'errorMessage'];
     for (const elementName of requiredElements) {
@@ -60,7 +103,7 @@ class UIController {
     this.setupEventListeners();
 
     // 現在のリセット時刻を入力フィールドに設定
-    const currentResetTime = this.resetTimer.storageManager.getResetTime();
+    const currentResetTime = await this.resetTimer.storageManager.getResetTime();
     this.elements.resetTimeInput.value = currentResetTime;
 
     // 初期表示を更新
@@ -109,82 +152,430 @@ class UIController {
       });
     }
 
-    // センサー権限リクエストボタン
+    // センサー権限リクエストボタン（権限の要求は SensorAdapter が行い、ここでは状態を表示するだけ）
     if (this.elements.permissionButton) {
       this.elements.permissionButton.style.display = 'block';
       
       this.elements.permissionButton.addEventListener('click', async (event) => {
         event.preventDefault();
         event.stopPropagation();
-        
-        try {
-          console.log('=== センサー起動ボタンがクリックされました ===');
-          console.log('PWAモード:', isPWA);
-          
-          // iOS 13+の場合、権限をリクエスト
-          if (typeof DeviceMotionEvent !== 'undefined' && 
-              typeof DeviceMotionEvent.requestPermission === 'function') {
-            console.log('iOS 13+: requestPermission を呼び出します');
-            
-            const permission = await DeviceMotionEvent.requestPermission();
-            console.log('権限の結果:', permission);
-            
-            if (permission === 'granted') {
-              console.log('✅ 権限が許可されました');
-              
-              // センサーのリスニングを開始
-              this.stepCounter.sensorAdapter.permissionGranted = true;
-              await this.stepCounter.sensorAdapter.startListening(
-                this.stepCounter.onMotionDetected.bind(this.stepCounter),
-                true
-              );
-              
-              this.showSuccess('✅ センサーが起動しました！歩いてみてください');
-              this.elements.permissionButton.textContent = '✅ センサー動作中';
-              this.elements.permissionButton.disabled = true;
-              this.elements.permissionButton.style.background = '#28a745';
-              
-              // PWA案内を非表示
-              if (pwaPrompt) {
-                pwaPrompt.style.display = 'none';
-              }
-            } else {
-              console.error('❌ 権限が拒否されました');
-              this.showError('センサーへのアクセスが拒否されました');
-              
-              // 手動カウントボタンを表示
-              if (this.elements.manualCountButton) {
-                this.elements.manualCountButton.style.display = 'block';
-              }
-            }
-          } else {
-            // iOS 13未満、またはAndroidなど
-            console.log('権限リクエスト不要な環境です');
-            await this.stepCounter.startSensorListening();
-            this.showSuccess('✅ センサーが起動しました！');
-            this.elements.permissionButton.textContent = '✅ センサー動作中';
-            this.elements.permissionButton.disabled = true;
-            this.elements.permissionButton.style.background = '#28a745';
-          }
-          
-        } catch (error) {
-          console.error('❌ センサーの起動に失敗:', error);
-          this.showError('センサーの起動に失敗しました: ' + error.message);
-          
-          // 手動カウントボタンを表示
-          if (this.elements.manualCountButton) {
-            this.elements.manualCountButton.style.display = 'block';
-          }
-        }
+        console.log('=== センサー起動ボタンがクリックされました ===');
+        await this.handleSensorStart();
+      });
+
+      if (this.stepCounter.sensorAdapter) {
+        this.renderPermissionState(this.stepCounter.sensorAdapter.getPermissionState());
+      }
+    }
+
+    // 歩数検出方式の選択（同じ端末でアルゴリズムを比較するため）
+    if (this.elements.detectorSelect) {
+      this.renderDetectorOptions();
+      this.elements.detectorSelect.addEventListener('change', () => {
+        this.handleDetectorChange();
+      });
+    }
+
+    // 歩行確認の設定
+    if (this.elements.walkingConfirmationEnabled && this.elements.walkingConfirmationSteps &&
+        this.elements.saveWalkingConfirmationButton) {
+      const { enabled, requiredSteps } = this.stepCounter.regularityGate;
+      this.elements.walkingConfirmationEnabled.checked = enabled;
+      this.elements.walkingConfirmationSteps.value = String(requiredSteps);
+      this.elements.saveWalkingConfirmationButton.addEventListener('click', () => {
+        this.handleWalkingConfirmationChange();
+      });
+    }
+
+    // キャリブレーション（決まった歩数を歩いて検出パラメータを調整）
+    if (this.elements.calibrationSteps && this.elements.startCalibrationButton &&
+        this.elements.finishCalibrationButton && this.elements.cancelCalibrationButton &&
+        this.elements.calibrationStatus) {
+      this.elements.startCalibrationButton.addEventListener('click', () => {
+        this.handleCalibrationStart();
+      });
+      this.elements.finishCalibrationButton.addEventListener('click', () => {
+        this.handleCalibrationFinish();
+      });
+      this.elements.cancelCalibrationButton.addEventListener('click', () => {
+        this.handleCalibrationCancel();
+      });
+      if (this.elements.clearCalibrationButton) {
+        this.elements.clearCalibrationButton.addEventListener('click', () => {
+          this.handleCalibrationClear();
+        });
+      }
+      this.updateCalibrationStatus();
+    }
+
+    // 目標ケイデンスの設定
+    if (this.elements.cadenceTargetEnabled && this.elements.cadenceTargetMin &&
+        this.elements.cadenceTargetMax && this.elements.saveCadenceTargetButton) {
+      const { enabled, min, max } = this.stepCounter.cadenceTarget;
+      this.elements.cadenceTargetEnabled.checked = enabled;
+      this.elements.cadenceTargetMin.value = String(min);
+      this.elements.cadenceTargetMax.value = String(max);
+      this.elements.saveCadenceTargetButton.addEventListener('click', () => {
+        this.handleCadenceTargetChange();
+      });
+    }
+
+    // ユーザープロファイル（距離・消費カロリーの推定に使用）
+    if (this.elements.profileHeight && this.elements.profileWeight && this.elements.profileAge &&
+        this.elements.profileSex && this.elements.profileStrideLength &&
+        this.elements.profileDistanceUnit && this.elements.saveProfileButton) {
+      const { height, weight, age, sex, strideLength, distanceUnit } = this.stepCounter.userProfile;
+      const toInputValue = (value) => (value === null ? '' : String(value));
+      this.elements.profileHeight.value = toInputValue(height);
+      this.elements.profileWeight.value = toInputValue(weight);
+      this.elements.profileAge.value = toInputValue(age);
+      this.elements.profileSex.value = sex || '';
+      this.elements.profileStrideLength.value = toInputValue(strideLength);
+      this.elements.profileDistanceUnit.value = distanceUnit;
+      this.elements.saveProfileButton.addEventListener('click', () => {
+        this.handleUserProfileChange();
+      });
+    }
+
+    // センサーデータの記録（誤カウントの再現用のトレース）
+    if (this.elements.traceRecordButton && this.elements.traceDownloadJsonButton &&
+        this.elements.traceDownloadCsvButton && this.elements.traceStatus) {
+      this.elements.traceRecordButton.addEventListener('click', () => {
+        this.handleTraceRecordToggle();
+      });
+      this.elements.traceDownloadJsonButton.addEventListener('click', () => {
+        this.handleTraceDownload('json');
+      });
+      this.elements.traceDownloadCsvButton.addEventListener('click', () => {
+        this.handleTraceDownload('csv');
+      });
+    }
+
+    // センサーの入力元（デバッグ設定、再読み込みで反映）
+    if (this.elements.sensorSourceSimulated) {
+      this.resetTimer.storageManager.getSensorSource().then((source) => {
+        this.elements.sensorSourceSimulated.checked = source === 'simulated';
+      });
+      this.elements.sensorSourceSimulated.addEventListener('change', () => {
+        this.handleSensorSourceChange();
       });
     }
 
+    // シミュレーションのセンサーの操作（画面のボタンとキー操作）
+    if (this.isSimulatedSensor() && this.elements.simulationControls && this.elements.simulationStartStopButton &&
+        this.elements.simulationPauseButton && this.elements.simulationStepButton &&
+        this.elements.simulationMode && this.elements.simulationSpeed && this.elements.simulationStatus) {
+      this.setupSimulationControls();
+    }
+
     // 歩数カウンターの変更を監視（リアルタイム更新）
     this.stepCounter.addObserver(() => {
       this.updateDisplay();
     });
   }
 
+  /**
+   * センサーがシミュレーション（SimulatedSensorAdapter）かどうか
+   * @returns {boolean} シミュレーションの場合はtrue
+   */
+  isSimulatedSensor() {
+    const sensorAdapter = this.stepCounter.sensorAdapter;
+    return !!sensorAdapter && typeof sensorAdapter.triggerStep === 'function';
+  }
+
+  /**
+   * シミュレーションの操作パネルを表示し、ボタンとキー操作を登録
+   */
+  setupSimulationControls() {
+    const sensorAdapter = this.stepCounter.sensorAdapter;
+    this.elements.simulationControls.style.display = 'block';
+
+    this.elements.simulationSpeed.innerHTML = '';
+    for (const speed of sensorAdapter.SPEEDS) {
+      const option = document.createElement('option');
+      option.value = String(speed);
+      option.textContent = `×${speed}`;
+      this.elements.simulationSpeed.appendChild(option);
+    }
+
+    this.elements.simulationStartStopButton.addEventListener('click', () => {
+      this.handleSimulationStartStop();
+    });
+    this.elements.simulationPauseButton.addEventListener('click', () => {
+      this.handleSimulationPause();
+    });
+    this.elements.simulationStepButton.addEventListener('click', () => {
+      this.handleSimulationStep();
+    });
+    this.elements.simulationMode.addEventListener('change', () => {
+      this.handleSimulationModeChange(this.elements.simulationMode.value);
+    });
+    this.elements.simulationSpeed.addEventListener('change', () => {
+      this.handleSimulationSpeedChange(Number(this.elements.simulationSpeed.value));
+    });
+    document.addEventListener('keydown', (event) => {
+      this.handleSimulationKey(event);
+    });
+
+    this.updateSimulationStatus();
+  }
+
+  /**
+   * シミュレーションのキー操作を処理
+   * （Space/↑: 1歩、P: 一時停止、M: モード切替、+/-: 速度、S: 開始/停止）
+   * @param {KeyboardEvent} event - keydown イベント
+   */
+  handleSimulationKey(event) {
+    // 入力欄への入力や修飾キー付きのショートカットは横取りしない
+    const tagName = event.target && event.target.tagName;
+    if (['INPUT', 'SELECT', 'TEXTAREA'].includes(tagName) || event.ctrlKey || event.metaKey || event.altKey) {
+      return;
+    }
+
+    const sensorAdapter = this.stepCounter.sensorAdapter;
+    const speedIndex = sensorAdapter.SPEEDS.indexOf(sensorAdapter.speed);
+    switch (event.key) {
+      case ' ':
+      case 'ArrowUp':
+        this.handleSimulationStep();
+        break;
+      case 'p':
+      case 'P':
+        this.handleSimulationPause();
+        break;
+      case 'm':
+      case 'M':
+        this.handleSimulationModeChange(sensorAdapter.mode === 'gait' ? 'keyboard' : 'gait');
+        break;
+      case '+':
+      case '=':
+        this.handleSimulationSpeedChange(sensorAdapter.SPEEDS[Math.min(speedIndex + 1, sensorAdapter.SPEEDS.length - 1)]);
+        break;
+      case '-':
+        this.handleSimulationSpeedChange(sensorAdapter.SPEEDS[Math.max(speedIndex - 1, 0)]);
+        break;
+      case 's':
+      case 'S':
+        this.handleSimulationStartStop();
+        break;
+      default:
+        return;
+    }
+    event.preventDefault();
+  }
+
+  /**
+   * シミュレーションの開始・停止を切り替える
+   * @returns {Promise<void>}
+   */
+  async handleSimulationStartStop() {
+    const sensorAdapter = this.stepCounter.sensorAdapter;
+
+    if (sensorAdapter.isListening) {
+      this.stepCounter.stopListening();
+    } else {
+      try {
+        await this.stepCounter.startSensorListening();
+      } catch (error) {
+        this.showError('シミュレーションの開始に失敗しました: ' + error.message);
+        return;
+      }
+    }
+    this.renderPermissionState(sensorAdapter.getPermissionState());
+    this.updateSimulationStatus();
+  }
+
+  /**
+   * シミュレーションの一時停止・再開を切り替える
+   */
+  handleSimulationPause() {
+    const sensorAdapter = this.stepCounter.sensorAdapter;
+    if (sensorAdapter.isPaused()) {
+      sensorAdapter.resume();
+    } else {
+      sensorAdapter.pause();
+    }
+    this.updateSimulationStatus();
+  }
+
+  /**
+   * キー入力モードで1歩分のサンプルを送る
+   */
+  handleSimulationStep() {
+    if (!this.stepCounter.sensorAdapter.triggerStep()) {
+      this.showError('1歩ずつ送るには、シミュレーションを開始してキー入力モードにしてください');
+    }
+    this.updateSimulationStatus();
+  }
+
+  /**
+   * シミュレーションのモードを変更
+   * @param {string} mode - 'gait' または 'keyboard'
+   */
+  handleSimulationModeChange(mode) {
+    this.stepCounter.sensorAdapter.setMode(mode);
+    this.updateSimulationStatus();
+  }
+
+  /**
+   * シミュレーションの速度の倍率を変更
+   * @param {number} speed - 速度の倍率
+   */
+  handleSimulationSpeedChange(speed) {
+    this.stepCounter.sensorAdapter.setSpeed(speed);
+    this.updateSimulationStatus();
+  }
+
+  /**
+   * シミュレーションの操作パネルの表示を更新
+   */
+  updateSimulationStatus() {
+    const sensorAdapter = this.stepCounter.sensorAdapter;
+    const modeLabels = { gait: '連続歩行', keyboard: 'キー入力' };
+    const state = !sensorAdapter.isListening ? '停止中' : sensorAdapter.isPaused() ? '一時停止中' : '実行中';
+
+    this.elements.simulationStartStopButton.textContent = sensorAdapter.isListening ? '⏹ 停止' : '▶ 開始';
+    this.elements.simulationPauseButton.textContent = sensorAdapter.isPaused() ? '▶ 再開' : '⏸ 一時停止';
+    this.elements.simulationStepButton.disabled = sensorAdapter.mode !== 'keyboard';
+    this.elements.simulationMode.value = sensorAdapter.mode;
+    this.elements.simulationSpeed.value = String(sensorAdapter.speed);
+    this.elements.simulationStatus.textContent =
+      `${state}（${modeLabels[sensorAdapter.mode]}、×${sensorAdapter.speed}）送った歩数: ${sensorAdapter.getSimulatedSteps()}歩`;
+  }
+
+  /**
+   * センサーの入力元のデバッグ設定の変更を処理
+   */
+  async handleSensorSourceChange() {
+    const source = this.elements.sensorSourceSimulated.checked ? 'simulated' : 'device';
+
+    if (await this.resetTimer.storageManager.setSensorSource(source)) {
+      this.showSuccess(`センサーの入力元を「${source === 'simulated' ? 'シミュレーション' : '端末のセンサー'}」に変更しました（再読み込みで反映）`);
+    } else {
+      this.elements.sensorSourceSimulated.checked = !this.elements.sensorSourceSimulated.checked;
+      this.showError('センサーの入力元の変更に失敗しました');
+    }
+  }
+
+  /**
+   * センサーを起動する（権限が必要な場合は SensorAdapter がユーザー操作の中で要求する）
+   * @returns {Promise<void>}
+   */
+  async handleSensorStart() {
+    const sensorAdapter = this.stepCounter.sensorAdapter;
+
+    try {
+      // 停止からの再開の場合はリスナーを付け直す
+      if (sensorAdapter.isListening) {
+        this.stepCounter.stopListening();
+      }
+      await this.stepCounter.startSensorListening();
+      this.showSuccess('✅ センサーが起動しました！歩いてみてください');
+
+      // PWA案内を非表示
+      const pwaPrompt = document.getElementById('pwa-install-prompt');
+      if (pwaPrompt) {
+        pwaPrompt.style.display = 'none';
+      }
+    } catch (error) {
+      console.error('❌ センサーの起動に失敗:', error);
+      if (sensorAdapter.getPermissionState() === 'denied') {
+        this.showError('センサーへのアクセスが拒否されました');
+      } else {
+        this.showError('センサーの起動に失敗しました: ' + error.message);
+      }
+
+      // 手動カウントボタンを表示
+      if (this.elements.manualCountButton) {
+        this.elements.manualCountButton.style.display = 'block';
+      }
+    }
+    this.renderPermissionState(sensorAdapter.getPermissionState());
+  }
+
+  /**
+   * センサーの権限の状態と起動状態に応じて起動ボタンを表示
+   * @param {string} state - 権限の状態（'unknown'、'prompt'、'granted'、'denied'、'unsupported'）
+   */
+  renderPermissionState(state) {
+    const button = this.elements.permissionButton;
+    const sensorAdapter = this.stepCounter.sensorAdapter;
+    if (!button || !sensorAdapter) return;
+
+    if (sensorAdapter.isListening) {
+      // イベントが途絶えている間の表示は handleSensorStall / handleSensorRetry に任せる
+      if (!sensorAdapter.isStalled()) {
+        button.textContent = '✅ センサー動作中';
+        button.disabled = true;
+        button.style.background = '#28a745';
+      }
+      return;
+    }
+
+    const labels = {
+      denied: '🔒 センサーが許可されていません（タップして再試行）',
+      unsupported: '❌ センサーを利用できません'
+    };
+    button.textContent = labels[state] || '🚀 センサーを起動する';
+    button.disabled = state === 'unsupported';
+    button.style.background = '';
+
+    // センサーを使えない場合は手動カウントボタンを表示
+    if ((state === 'denied' || state === 'unsupported') && this.elements.manualCountButton) {
+      this.elements.manualCountButton.style.display = 'block';
+    }
+  }
+
+  /**
+   * センサーのイベント（権限の状態、停止・再接続・再開）のハンドラーを登録
+   */
+  setupSensorEventHandlers() {
+    const sensorAdapter = this.stepCounter.sensorAdapter;
+    if (!sensorAdapter || typeof sensorAdapter.on !== 'function') return;
+
+    sensorAdapter.on('permission', (event) => this.renderPermissionState(event.state));
+
+    sensorAdapter.on('stall', () => this.handleSensorStall());
+    sensorAdapter.on('retry', (event) => this.handleSensorRetry(event));
+    sensorAdapter.on('recover', () => this.handleSensorRecover());
+  }
+
+  /**
+   * センサーのイベントが途絶えたときの処理
+   */
+  handleSensorStall() {
+    if (this.elements.sensorStatus && this.elements.sensorStatusText) {
+      this.elements.sensorStatus.style.background = '#f8d7da';
+      this.elements.sensorStatus.style.color = '#721c24';
+      this.elements.sensorStatusText.textContent = '⚠️ センサーが停止しました（再接続中…）';
+    }
+  }
+
+  /**
+   * センサーの再接続を試みたときの処理（権限を確認できない場合はユーザーに再開を促す）
+   * @param {Object} event - 'retry' イベント
+   */
+  handleSensorRetry(event) {
+    if (event.permissionGranted || !this.elements.permissionButton) return;
+
+    this.elements.permissionButton.textContent = '🔄 センサーを再開する';
+    this.elements.permissionButton.disabled = false;
+    this.elements.permissionButton.style.background = '';
+    this.showError('センサーが停止しました。「センサーを再開する」をタップしてください');
+  }
+
+  /**
+   * 途絶えていたセンサーのイベントが再開したときの処理
+   */
+  handleSensorRecover() {
+    if (this.elements.permissionButton && this.elements.permissionButton.disabled === false) {
+      this.elements.permissionButton.textContent = '✅ センサー動作中';
+      this.elements.permissionButton.disabled = true;
+      this.elements.permissionButton.style.background = '#28a745';
+    }
+    this.showSuccess('✅ センサーが再開しました');
+  }
+
   /**
    * デバッグ情報を表示
    */
@@ -194,8 +585,6 @@ class UIController {
     const updateDebugInfo = () => {
       const info = [];
       const isIOS = /iPhone|iPad|iPod/.test(navigator.userAgent);
-      const hasRequestPermission = typeof DeviceMotionEvent !== 'undefined' && 
-                                    typeof DeviceMotionEvent.requestPermission === 'function';
       
       // iOSバージョンを取得
       let iosVersion = 'N/A';
@@ -210,11 +599,48 @@ class UIController {
       info.push(`PWAモード: ${window.matchMedia('(display-mode: standalone)').matches || window.navigator.standalone === true ? '✅ はい' : '❌ いいえ（ブラウザ）'}`);
       info.push(`HTTPS: ${location.protocol === 'https:' ? '✅ はい' : '❌ いいえ'}`);
       info.push(`DeviceMotion: ${typeof DeviceMotionEvent !== 'undefined' ? '✅ 利用可能' : '❌ 利用不可'}`);
-      info.push(`requestPermission: ${hasRequestPermission ? '必要（iOS 13+）' : '不要'}`);
-      info.push(`権限状態: ${this.stepCounter.sensorAdapter.permissionGranted ? '✅ 許可済み' : '❌ 未許可'}`);
+      const permissionLabels = {
+        unknown: '未確認',
+        prompt: '❓ 未許可（起動時に確認）',
+        granted: '✅ 許可済み',
+        denied: '❌ 拒否',
+        unsupported: '❌ 利用不可'
+      };
+      info.push(`権限状態: ${permissionLabels[this.stepCounter.sensorAdapter.getPermissionState()]}`);
       info.push(`センサー起動: ${this.stepCounter.sensorAdapter.isListening ? '✅ はい' : '❌ いいえ'}`);
-      info.push(`閾値: ${this.stepCounter.stepThreshold} m/s²`);
-      info.push(`最小間隔: ${this.stepCounter.minStepInterval} ms`);
+      info.push(`センサー停止: ${this.stepCounter.sensorAdapter.stallCount}回${this.stepCounter.sensorAdapter.isStalled() ? `（停止中、再接続${this.stepCounter.sensorAdapter.recoveryAttempts}回）` : ''}`);
+      const backendLabels = {
+        accelerometer: 'Generic Sensor API（Accelerometer）',
+        'linear-acceleration': 'Generic Sensor API（LinearAccelerationSensor + GravitySensor）',
+        devicemotion: 'devicemotion',
+        replay: '記録の再生',
+        simulated: 'シミュレーション'
+      };
+      const backend = this.stepCounter.sensorAdapter.getBackend();
+      const sampleRate = this.stepCounter.sensorAdapter.getSampleRate();
+      info.push(`センサー方式: ${backend ? backendLabels[backend] || backend : '--'}`);
+      info.push(`サンプリング周波数: ${sampleRate === null ? '--' : `${sampleRate.toFixed(1)} Hz`}`);
+      const detectorParameters = Object.entries(this.stepCounter.detector.getParameters())
+        .map(([name, value]) => `${name}=${value}`)
+        .join(', ');
+      info.push(`検出方式: ${this.stepCounter.detector.label}`);
+      info.push(`検出パラメータ: ${detectorParameters}`);
+      const calibrationProfile = this.stepCounter.calibrationProfile;
+      info.push(`キャリブレーション: ${calibrationProfile ? `済み（${calibrationProfile.detectorType}、${calibrationProfile.targetSteps}歩中${calibrationProfile.detectedSteps}歩検出）` : '未実施'}`);
+      info.push(`歩行確認: ${this.stepCounter.regularityGate.enabled ? `有効（${this.stepCounter.regularityGate.requiredSteps}歩）` : '無効'}`);
+      info.push(`保留中の歩数: ${this.stepCounter.regularityGate.getPendingCount()}歩（破棄: ${this.stepCounter.regularityGate.discardedSteps}歩）`);
+      const { cadence, peakAmplitude, verticalVariance } = this.stepCounter.activityClassifier.getFeatures();
+      const activitySteps = Object.entries(this.stepCounter.getActivitySteps())
+        .map(([activity, count]) => `${this.stepCounter.activityClassifier.getLabel(activity)}=${count}`)
+        .join(', ');
+      info.push(`活動: ${this.stepCounter.activityClassifier.getLabel(this.stepCounter.getCurrentActivity())}`);
+      info.push(`活動の特徴量: ケイデンス=${cadence === null ? '--' : cadence.toFixed(0)}歩/分, ピーク振幅=${peakAmplitude.toFixed(2)} m/s², 上下分散=${verticalVariance.toFixed(2)}`);
+      info.push(`活動別歩数: ${activitySteps}`);
+      const { rotationRms } = this.stepCounter.rotationGate.getFeatures();
+      info.push(`角速度: ${rotationRms === null ? '-- （ジャイロスコープなし）' : `${rotationRms.toFixed(0)}°/s${this.stepCounter.rotationGate.isHandling() ? '（端末の操作中）' : ''}`}`);
+      info.push(`操作中として除外した歩数: ${this.stepCounter.rotationGate.rejectedSteps}歩`);
+      const sensorAdapter = this.stepCounter.sensorAdapter;
+      info.push(`センサー記録: ${sensorAdapter.isRecording() ? `記録中（${sensorAdapter.getRecordedSampleCount()}サンプル）` : '停止中'}`);
       info.push(`モーション検出: ${this.stepCounter.motionCount}回`);
       info.push(`最大加速度: ${this.stepCounter.maxMagnitude.toFixed(2)} m/s²`);
       
@@ -222,7 +648,11 @@ class UIController {
       
       // センサー状態を更新
       if (this.elements.sensorStatus && this.elements.sensorStatusText) {
-        if (this.stepCounter.sensorAdapter.isListening && this.stepCounter.motionCount > 0) {
+        if (this.stepCounter.sensorAdapter.isStalled()) {
+          this.elements.sensorStatus.style.background = '#f8d7da';
+          this.elements.sensorStatus.style.color = '#721c24';
+          this.elements.sensorStatusText.textContent = '⚠️ センサーが停止しました（再接続中…）';
+        } else if (this.stepCounter.sensorAdapter.isListening && this.stepCounter.motionCount > 0) {
           this.elements.sensorStatus.style.background = '#d4edda';
           this.elements.sensorStatus.style.color = '#155724';
           this.elements.sensorStatusText.textContent = `✅ センサー動作中 (${this.stepCounter.motionCount}回検出)`;
@@ -259,8 +689,38 @@ class UIController {
     const steps = this.stepCounter.getCurrentSteps();
     this.elements.stepDisplay.textContent = steps.toLocaleString('ja-JP');
 
-    // 次のリセット時刻を表示
+    // 推定移動距離を表示
+    if (this.elements.distanceDisplay) {
+      this.elements.distanceDisplay.textContent =
+        this.formatDistance(this.stepCounter.getDistance(), this.stepCounter.userProfile.distanceUnit);
+    }
+
+    // 推定活動消費カロリーを表示
+    if (this.elements.caloriesDisplay) {
+      this.elements.caloriesDisplay.textContent = `🔥 ${Math.round(this.stepCounter.getCalories()).toLocaleString('ja-JP')} kcal`;
+    }
+
+    // 現在の活動を表示
+    if (this.elements.activityDisplay) {
+      const activity = this.stepCounter.getCurrentActivity();
+      this.elements.activityDisplay.textContent = this.stepCounter.activityClassifier.getLabel(activity);
+    }
+
+    // ケイデンスと目標範囲を表示
+    if (this.elements.cadenceDisplay) {
+      this.renderCadence(this.stepCounter.getCadence());
+    }
+
+    // シミュレーションの状態（送った歩数）を表示
+    if (this.elements.simulationStatus && this.isSimulatedSensor()) {
+      this.updateSimulationStatus();
+    }
+
+    // 次のリセット時刻を表示（タイマーがリセット時刻を読み込む前は表示しない）
     const nextReset = this.resetTimer.getNextResetTime();
+    if (nextReset === null) {
+      return;
+    }
     const nextResetDate = new Date(nextReset);
     this.elements.nextResetDisplay.textContent = nextResetDate.toLocaleString('ja-JP', {
       year: 'numeric',
@@ -271,13 +731,61 @@ class UIController {
     });
   }
 
+  /**
+   * 移動距離を表示用の文字列に変換
+   * @param {number} meters - 移動距離（メートル）
+   * @param {string} unit - 表示単位（'km' または 'mi'）
+   * @returns {string} 小数点以下2桁の距離と単位（例: '1.23 km'）
+   */
+  formatDistance(meters, unit) {
+    if (unit === 'mi') {
+      return `${(meters / 1609.344).toFixed(2)} mi`;
+    }
+    return `${(meters / 1000).toFixed(2)} km`;
+  }
+
+  /**
+   * ケイデンスと目標範囲の判定を表示
+   * @param {Object} cadenceInfo - StepCounter.getCadence() の戻り値
+   */
+  renderCadence({ cadence, averageCadence, target, inTargetRange }) {
+    this.elements.cadenceDisplay.textContent = cadence === null
+      ? 'ケイデンス: -- 歩/分'
+      : `ケイデンス: ${Math.round(cadence)} 歩/分（平均 ${Math.round(averageCadence)}）`;
+
+    const indicator = this.elements.cadenceIndicator;
+    if (!indicator) {
+      return;
+    }
+    if (!target || !target.enabled) {
+      indicator.style.display = 'none';
+      return;
+    }
+
+    const range = `${target.min}〜${target.max}`;
+    indicator.style.display = 'inline-block';
+    if (inTargetRange === null) {
+      indicator.textContent = `🎯 目標 ${range} 歩/分`;
+      indicator.className = 'cadence-indicator';
+    } else if (inTargetRange) {
+      indicator.textContent = `✅ 目標範囲内（${range}）`;
+      indicator.className = 'cadence-indicator in-range';
+    } else if (cadence < target.min) {
+      indicator.textContent = `⬆️ ペースを上げましょう（目標 ${range}）`;
+      indicator.className = 'cadence-indicator out-of-range';
+    } else {
+      indicator.textContent = `⬇️ ペースを落としましょう（目標 ${range}）`;
+      indicator.className = 'cadence-indicator out-of-range';
+    }
+  }
+
   /**
    * リセット時刻の変更を処理
    * 
    * 要件:
    * - 4.2: ユーザーがリセット時刻を変更した場合、新しいリセット時刻を検証し、有効な時刻形式であることを確認する
    */
-  handleResetTimeChange() {
+  async handleResetTimeChange() {
     const newTime = this.elements.resetTimeInput.value;
     
     // 時刻形式の検証（HH:MM、00:00〜23:59）
@@ -287,7 +795,7 @@ class UIController {
     }
 
     // リセット時刻を更新
-    const success = this.resetTimer.updateResetTime(newTime);
+    const success = await this.resetTimer.updateResetTime(newTime);
     
     if (success) {
       // 表示を更新
@@ -298,6 +806,262 @@ class UIController {
     }
   }
 
+  /**
+   * 歩数検出方式の選択肢を描画
+   */
+  renderDetectorOptions() {
+    const select = this.elements.detectorSelect;
+    select.innerHTML = '';
+
+    for (const { type, label } of this.stepCounter.getAvailableDetectors()) {
+      const option = document.createElement('option');
+      option.value = type;
+      option.textContent = label;
+      select.appendChild(option);
+    }
+
+    select.value = this.stepCounter.detector.type;
+  }
+
+  /**
+   * 歩数検出方式の変更を処理
+   */
+  async handleDetectorChange() {
+    const type = this.elements.detectorSelect.value;
+
+    if (await this.stepCounter.setDetector(type)) {
+      this.showSuccess(`歩数検出方式を「${this.stepCounter.detector.label}」に変更しました`);
+    } else {
+      this.elements.detectorSelect.value = this.stepCounter.detector.type;
+      this.showError('歩数検出方式の変更に失敗しました');
+    }
+  }
+
+  /**
+   * 歩行確認の設定変更を処理
+   */
+  async handleWalkingConfirmationChange() {
+    const enabled = this.elements.walkingConfirmationEnabled.checked;
+    const requiredSteps = Number(this.elements.walkingConfirmationSteps.value);
+    const { MIN_REQUIRED_STEPS, MAX_REQUIRED_STEPS } = this.resetTimer.storageManager;
+
+    if (!Number.isInteger(requiredSteps) || requiredSteps < MIN_REQUIRED_STEPS || requiredSteps > MAX_REQUIRED_STEPS) {
+      this.showError(`歩行確認の歩数は${MIN_REQUIRED_STEPS}〜${MAX_REQUIRED_STEPS}の整数で入力してください`);
+      return;
+    }
+
+    if (await this.stepCounter.setWalkingConfirmation({ enabled, requiredSteps })) {
+      this.showSuccess(enabled ? `歩行確認を${requiredSteps}歩に設定しました` : '歩行確認を無効にしました');
+    } else {
+      this.showError('歩行確認の設定に失敗しました');
+    }
+  }
+
+  /**
+   * 目標ケイデンスの設定変更を処理
+   */
+  async handleCadenceTargetChange() {
+    const enabled = this.elements.cadenceTargetEnabled.checked;
+    const min = Number(this.elements.cadenceTargetMin.value);
+    const max = Number(this.elements.cadenceTargetMax.value);
+    const { MIN_CADENCE, MAX_CADENCE } = this.resetTimer.storageManager;
+    const isCadence = (value) => Number.isInteger(value) && value >= MIN_CADENCE && value <= MAX_CADENCE;
+
+    if (!isCadence(min) || !isCadence(max) || min >= max) {
+      this.showError(`目標ケイデンスは${MIN_CADENCE}〜${MAX_CADENCE}の整数で、下限を上限より小さくしてください`);
+      return;
+    }
+
+    if (await this.stepCounter.setCadenceTarget({ enabled, min, max })) {
+      this.updateDisplay();
+      this.showSuccess(enabled ? `目標ケイデンスを${min}〜${max}歩/分に設定しました` : '目標ケイデンスを無効にしました');
+    } else {
+      this.showError('目標ケイデンスの設定に失敗しました');
+    }
+  }
+
+  /**
+   * ユーザープロファイルの変更を処理（空欄の項目は未入力として扱う）
+   */
+  async handleUserProfileChange() {
+    const parseOptional = (value) => (value.trim() === '' ? null : Number(value));
+    const height = parseOptional(this.elements.profileHeight.value);
+    const weight = parseOptional(this.elements.profileWeight.value);
+    const age = parseOptional(this.elements.profileAge.value);
+    const sex = this.elements.profileSex.value || null;
+    const strideLength = parseOptional(this.elements.profileStrideLength.value);
+    const distanceUnit = this.elements.profileDistanceUnit.value;
+    // 入力範囲は保存先（StorageManager）の検証と同じものを使う
+    const { HEIGHT_RANGE, WEIGHT_RANGE, AGE_RANGE, STRIDE_LENGTH_RANGE } = this.resetTimer.storageManager;
+    const isInRange = (value, range) => value >= range.min && value <= range.max;
+
+    if (height !== null && !isInRange(height, HEIGHT_RANGE)) {
+      this.showError(`身長は${HEIGHT_RANGE.min}〜${HEIGHT_RANGE.max}cmの範囲で入力してください`);
+      return;
+    }
+    if (weight !== null && !isInRange(weight, WEIGHT_RANGE)) {
+      this.showError(`体重は${WEIGHT_RANGE.min}〜${WEIGHT_RANGE.max}kgの範囲で入力してください`);
+      return;
+    }
+    if (age !== null && !(Number.isInteger(age) && isInRange(age, AGE_RANGE))) {
+      this.showError(`年齢は${AGE_RANGE.min}〜${AGE_RANGE.max}の整数で入力してください`);
+      return;
+    }
+    if (strideLength !== null && !isInRange(strideLength, STRIDE_LENGTH_RANGE)) {
+      this.showError(`歩幅は${STRIDE_LENGTH_RANGE.min}〜${STRIDE_LENGTH_RANGE.max}cmの範囲で入力してください`);
+      return;
+    }
+
+    if (await this.stepCounter.setUserProfile({ height, weight, age, sex, strideLength, distanceUnit })) {
+      this.updateDisplay();
+      this.showSuccess('プロフィールを保存しました');
+    } else {
+      this.showError('プロフィールの保存に失敗しました');
+    }
+  }
+
+  /**
+   * キャリブレーションの開始を処理
+   */
+  handleCalibrationStart() {
+    const targetSteps = Number(this.elements.calibrationSteps.value);
+    const { MIN_TARGET_STEPS, MAX_TARGET_STEPS } = this.stepCounter.calibrator;
+
+    if (!this.stepCounter.sensorAdapter.isListening) {
+      this.showError('キャリブレーションの前にセンサーを起動してください');
+      return;
+    }
+
+    if (!this.stepCounter.startCalibration(targetSteps)) {
+      this.showError(`キャリブレーションの歩数は${MIN_TARGET_STEPS}〜${MAX_TARGET_STEPS}の整数で入力してください`);
+      return;
+    }
+
+    this.updateCalibrationStatus();
+  }
+
+  /**
+   * キャリブレーションの完了を処理
+   */
+  async handleCalibrationFinish() {
+    const profile = await this.stepCounter.finishCalibration();
+
+    if (profile) {
+      this.showSuccess(`キャリブレーションが完了しました（${profile.targetSteps}歩中${profile.detectedSteps}歩を検出）`);
+    } else {
+      this.showError('キャリブレーションに失敗しました。もう一度歩いてください');
+    }
+    this.updateCalibrationStatus();
+  }
+
+  /**
+   * キャリブレーションの中止を処理
+   */
+  handleCalibrationCancel() {
+    this.stepCounter.cancelCalibration();
+    this.updateCalibrationStatus();
+  }
+
+  /**
+   * キャリブレーションの解除を処理
+   */
+  async handleCalibrationClear() {
+    if (await this.stepCounter.clearCalibration()) {
+      this.showSuccess('キャリブレーションを解除しました');
+    } else {
+      this.showError('キャリブレーションの解除に失敗しました');
+    }
+    this.updateCalibrationStatus();
+  }
+
+  /**
+   * キャリブレーションの状態とボタンの表示を更新
+   */
+  updateCalibrationStatus() {
+    const recording = this.stepCounter.calibrator.isRecording();
+    const profile = this.stepCounter.calibrationProfile;
+
+    this.elements.startCalibrationButton.style.display = recording ? 'none' : 'inline-block';
+    this.elements.finishCalibrationButton.style.display = recording ? 'inline-block' : 'none';
+    this.elements.cancelCalibrationButton.style.display = recording ? 'inline-block' : 'none';
+    if (this.elements.clearCalibrationButton) {
+      this.elements.clearCalibrationButton.style.display = !recording && profile ? 'inline-block' : 'none';
+    }
+
+    if (recording) {
+      this.elements.calibrationStatus.textContent =
+        `🚶 ${this.stepCounter.calibrator.targetSteps}歩を普段どおりに歩き、止まってから「完了」を押してください`;
+    } else if (profile) {
+      const calibratedAt = new Date(profile.calibratedAt).toLocaleString('ja-JP');
+      this.elements.calibrationStatus.textContent = `✅ キャリブレーション済み（${calibratedAt}）`;
+    } else {
+      this.elements.calibrationStatus.textContent = '未実施（既定の検出パラメータを使用中）';
+    }
+  }
+
+  /**
+   * センサーデータの記録の開始・停止を処理
+   */
+  handleTraceRecordToggle() {
+    const sensorAdapter = this.stepCounter.sensorAdapter;
+
+    if (sensorAdapter.isRecording()) {
+      this.lastTrace = sensorAdapter.stopRecording();
+      const count = this.lastTrace.samples.length;
+      this.elements.traceRecordButton.textContent = '⏺ センサーデータを記録';
+      this.elements.traceDownloadJsonButton.disabled = count === 0;
+      this.elements.traceDownloadCsvButton.disabled = count === 0;
+      this.elements.traceStatus.textContent = count >= sensorAdapter.MAX_RECORDED_SAMPLES
+        ? `上限に達したため、直近の${count}サンプルを記録しました`
+        : `${count}サンプルを記録しました`;
+      return;
+    }
+
+    if (!sensorAdapter.isListening) {
+      this.showError('記録の前にセンサーを起動してください');
+      return;
+    }
+
+    sensorAdapter.startRecording();
+    // 上限を超えると古いサンプルから上書きされるため、残る時間の目安を表示する
+    const minutes = Math.round(sensorAdapter.MAX_RECORDED_SAMPLES / sensorAdapter.SENSOR_FREQUENCY / 60);
+    this.elements.traceRecordButton.textContent = '⏹ 記録を停止';
+    this.elements.traceStatus.textContent =
+      `記録中…（直近の${sensorAdapter.MAX_RECORDED_SAMPLES}サンプル（約${minutes}分）まで残ります。誤カウントが起きる動作をしてから停止してください）`;
+  }
+
+  /**
+   * 記録したトレースをファイルとしてダウンロード
+   * @param {string} format - ファイル形式（'json' または 'csv'）
+   */
+  handleTraceDownload(format) {
+    if (!this.lastTrace) {
+      this.showError('記録したセンサーデータがありません');
+      return;
+    }
+
+    const content = this.stepCounter.sensorAdapter.constructor.serializeTrace(this.lastTrace, format);
+    const mimeType = format === 'csv' ? 'text/csv' : 'application/json';
+    const recordedAt = this.lastTrace.recordedAt.replace(/[:.]/g, '-');
+    this.downloadFile(content, `sensor-trace-${recordedAt}.${format}`, mimeType);
+  }
+
+  /**
+   * 文字列をファイルとしてダウンロード
+   * @param {string} content - ファイルの内容
+   * @param {string} filename - ファイル名
+   * @param {string} mimeType - MIMEタイプ
+   */
+  downloadFile(content, filename, mimeType) {
+    const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    // click() の直後に破棄するとブラウザによってはダウンロードが始まる前にURLが無効になるため、次のタスクまで待つ
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+
   /**
    * エラーメッセージを表示
    * @param {string} message - 表示するエラーメッセージ
@@ -11,6 +11,8 @@
  */
 
 const UIController = require('./UIController');
+const StorageManager = require('./StorageManager');
+const { MemoryStorageAdapter } = require('./StorageAdapter');
 
 describe('UIController', () => {
   let uiController;
@@ -52,9 +54,13 @@ describe('UIController', () => {
     });
 
     // StorageManagerのモック
+    // 入力範囲は実際のStorageManagerのものを使う
+    const { MIN_REQUIRED_STEPS, MAX_REQUIRED_STEPS, MIN_CADENCE, MAX_CADENCE, HEIGHT_RANGE, WEIGHT_RANGE, AGE_RANGE, STRIDE_LENGTH_RANGE } =
+      new StorageManager(new MemoryStorageAdapter());
     mockStorageManager = {
-      getResetTime: jest.fn(() => '00:00'),
-      setResetTime: jest.fn(() => true)
+      MIN_REQUIRED_STEPS, MAX_REQUIRED_STEPS, MIN_CADENCE, MAX_CADENCE, HEIGHT_RANGE, WEIGHT_RANGE, AGE_RANGE, STRIDE_LENGTH_RANGE,
+      getResetTime: jest.fn(async () => '00:00'),
+      setResetTime: jest.fn(async () => true)
     };
 
     // StepCounterのモック
@@ -79,13 +85,13 @@ describe('UIController', () => {
   });
 
   describe('初期化', () => {
-    test('すべての必須UI要素が正しく取得される', () => {
+    test('すべての必須UI要素が正しく取得される', async () => {
       // Debug: check if getElementById is working
       const stepDisplayElement = document.getElementById('step-display');
       expect(stepDisplayElement).toBeTruthy();
       expect(stepDisplayElement).toBe(mockElements.stepDisplay);
       
-      uiController.initialize();
+      await uiController.initialize();
 
       expect(uiController.elements.stepDisplay).toBe(mockElements.stepDisplay);
       expect(uiController.elements.nextResetDisplay).toBe(mockElements.nextResetDisplay);
@@ -94,60 +100,58 @@ describe('UIController', () => {
       expect(uiController.elements.errorMessage).toBe(mockElements.errorMessage);
     });
 
-    test('リセット時刻設定UIが存在する（要件 4.1）', () => {
-      uiController.initialize();
+    test('リセット時刻設定UIが存在する（要件 4.1）', async () => {
+      await uiController.initialize();
 
       expect(uiController.elements.resetTimeInput).toBeDefined();
       expect(uiController.elements.saveButton).toBeDefined();
     });
 
-    test('設定画面が存在する（要件 5.3）', () => {
-      uiController.initialize();
+    test('設定画面が存在する（要件 5.3）', async () => {
+      await uiController.initialize();
 
       // リセット時刻の入力フィールドと保存ボタンが設定画面の一部
       expect(uiController.elements.resetTimeInput).toBeDefined();
       expect(uiController.elements.saveButton).toBeDefined();
     });
 
-    test('必須要素が見つからない場合、エラーをスローする', () => {
+    test('必須要素が見つからない場合、エラーをスローする', async () => {
       // step-displayが見つからない場合
       document.getElementById = jest.fn((id) => {
         if (id === 'step-display') return null;
         return mockElements[id] || null;
       });
 
-      expect(() => {
-        uiController.initialize();
-      }).toThrow('Required UI element not found: stepDisplay');
+      await expect(uiController.initialize()).rejects.toThrow('Required UI element not found: stepDisplay');
     });
 
-    test('イベントリスナーが正しく設定される', () => {
-      uiController.initialize();
+    test('イベントリスナーが正しく設定される', async () => {
+      await uiController.initialize();
 
       expect(mockElements.saveButton.addEventListener).toHaveBeenCalledWith('click', expect.any(Function));
       expect(mockStepCounter.addObserver).toHaveBeenCalledWith(expect.any(Function));
     });
 
-    test('現在のリセット時刻が入力フィールドに設定される', () => {
-      mockStorageManager.getResetTime.mockReturnValue('06:30');
+    test('現在のリセット時刻が入力フィールドに設定される', async () => {
+      mockStorageManager.getResetTime.mockResolvedValue('06:30');
 
-      uiController.initialize();
+      await uiController.initialize();
 
       expect(mockElements.resetTimeInput.value).toBe('06:30');
     });
 
-    test('初期表示が更新される', () => {
+    test('初期表示が更新される', async () => {
       mockStepCounter.getCurrentSteps.mockReturnValue(1234);
 
-      uiController.initialize();
+      await uiController.initialize();
 
       expect(mockElements.stepDisplay.textContent).toBe('1,234');
     });
   });
 
   describe('表示の更新', () => {
-    beforeEach(() => {
-      uiController.initialize();
+    beforeEach(async () => {
+      await uiController.initialize();
     });
 
     test('歩数が正しく表示される（カンマ区切り）', () => {
@@ -189,9 +193,35 @@ describe('UIController', () => {
     });
   });
 
-  describe('リセット時刻の変更', () => {
+  describe('活動の表示', () => {
     beforeEach(() => {
-      uiController.initialize();
+      mockElements.activityDisplay = { textContent: '' };
+      uiController.elements = mockElements;
+      mockStepCounter.getCurrentActivity = jest.fn(() => 'running');
+      mockStepCounter.activityClassifier = {
+        getLabel: jest.fn((activity) => ({ running: '🏃 走行' }[activity]))
+      };
+    });
+
+    test('歩数の横に現在の活動が表示される', () => {
+      uiController.updateDisplay();
+
+      expect(mockElements.activityDisplay.textContent).toBe('🏃 走行');
+    });
+
+    test('活動の表示要素がない場合も歩数は更新される', () => {
+      delete mockElements.activityDisplay;
+      mockStepCounter.getCurrentSteps.mockReturnValue(10);
+
+      uiController.updateDisplay();
+
+      expect(mockElements.stepDisplay.textContent).toBe('10');
+    });
+  });
+
+  describe('リセット時刻の変更', () => {
+    beforeEach(async () => {
+      await uiController.initialize();
       jest.useFakeTimers();
     });
 
@@ -199,74 +229,74 @@ describe('UIController', () => {
       jest.useRealTimers();
     });
 
-    test('有効な時刻形式の場合、リセット時刻が更新される', () => {
+    test('有効な時刻形式の場合、リセット時刻が更新される', async () => {
       mockElements.resetTimeInput.value = '06:30';
 
-      uiController.handleResetTimeChange();
+      await uiController.handleResetTimeChange();
 
       expect(mockResetTimer.updateResetTime).toHaveBeenCalledWith('06:30');
     });
 
-    test('有効な時刻形式の場合、成功メッセージが表示される', () => {
+    test('有効な時刻形式の場合、成功メッセージが表示される', async () => {
       mockElements.resetTimeInput.value = '06:30';
 
-      uiController.handleResetTimeChange();
+      await uiController.handleResetTimeChange();
 
       expect(mockElements.errorMessage.textContent).toBe('リセット時刻を更新しました');
       expect(mockElements.errorMessage.className).toBe('message success');
     });
 
-    test('無効な時刻形式の場合、エラーメッセージが表示される（要件 4.2）', () => {
+    test('無効な時刻形式の場合、エラーメッセージが表示される（要件 4.2）', async () => {
       mockElements.resetTimeInput.value = '25:00'; // 無効な時刻
 
-      uiController.handleResetTimeChange();
+      await uiController.handleResetTimeChange();
 
       expect(mockElements.errorMessage.textContent).toBe('有効な時刻形式（HH:MM）を入力してください');
       expect(mockElements.errorMessage.className).toBe('message error');
       expect(mockResetTimer.updateResetTime).not.toHaveBeenCalled();
     });
 
-    test('無効な時刻形式: 24:00', () => {
+    test('無効な時刻形式: 24:00', async () => {
       mockElements.resetTimeInput.value = '24:00';
 
-      uiController.handleResetTimeChange();
+      await uiController.handleResetTimeChange();
 
       expect(mockElements.errorMessage.textContent).toBe('有効な時刻形式（HH:MM）を入力してください');
       expect(mockElements.errorMessage.className).toBe('message error');
     });
 
-    test('無効な時刻形式: 12:60', () => {
+    test('無効な時刻形式: 12:60', async () => {
       mockElements.resetTimeInput.value = '12:60';
 
-      uiController.handleResetTimeChange();
+      await uiController.handleResetTimeChange();
 
       expect(mockElements.errorMessage.textContent).toBe('有効な時刻形式（HH:MM）を入力してください');
       expect(mockElements.errorMessage.className).toBe('message error');
     });
 
-    test('無効な時刻形式: abc', () => {
+    test('無効な時刻形式: abc', async () => {
       mockElements.resetTimeInput.value = 'abc';
 
-      uiController.handleResetTimeChange();
+      await uiController.handleResetTimeChange();
 
       expect(mockElements.errorMessage.textContent).toBe('有効な時刻形式（HH:MM）を入力してください');
       expect(mockElements.errorMessage.className).toBe('message error');
     });
 
-    test('リセット時刻の更新に失敗した場合、エラーメッセージが表示される', () => {
+    test('リセット時刻の更新に失敗した場合、エラーメッセージが表示される', async () => {
       mockElements.resetTimeInput.value = '06:30';
       mockResetTimer.updateResetTime.mockReturnValue(false);
 
-      uiController.handleResetTimeChange();
+      await uiController.handleResetTimeChange();
 
       expect(mockElements.errorMessage.textContent).toBe('リセット時刻の更新に失敗しました');
       expect(mockElements.errorMessage.className).toBe('message error');
     });
 
-    test('成功メッセージは3秒後に消える', () => {
+    test('成功メッセージは3秒後に消える', async () => {
       mockElements.resetTimeInput.value = '06:30';
 
-      uiController.handleResetTimeChange();
+      await uiController.handleResetTimeChange();
 
       expect(mockElements.errorMessage.textContent).toBe('リセット時刻を更新しました');
 
@@ -276,10 +306,10 @@ describe('UIController', () => {
       expect(mockElements.errorMessage.className).toBe('message');
     });
 
-    test('エラーメッセージは3秒後に消える', () => {
+    test('エラーメッセージは3秒後に消える', async () => {
       mockElements.resetTimeInput.value = 'invalid';
 
-      uiController.handleResetTimeChange();
+      await uiController.handleResetTimeChange();
 
       expect(mockElements.errorMessage.textContent).toBe('有効な時刻形式（HH:MM）を入力してください');
 
@@ -291,8 +321,8 @@ describe('UIController', () => {
   });
 
   describe('エラーメッセージ表示', () => {
-    beforeEach(() => {
-      uiController.initialize();
+    beforeEach(async () => {
+      await uiController.initialize();
       jest.useFakeTimers();
     });
 
@@ -318,8 +348,8 @@ describe('UIController', () => {
   });
 
   describe('成功メッセージ表示', () => {
-    beforeEach(() => {
-      uiController.initialize();
+    beforeEach(async () => {
+      await uiController.initialize();
       jest.useFakeTimers();
     });
 
@@ -344,31 +374,614 @@ describe('UIController', () => {
     });
   });
 
-  describe('境界値テスト', () => {
+  describe('移動距離とプロフィール', () => {
+    beforeEach(() => {
+      jest.useFakeTimers();
+      mockElements.distanceDisplay = { textContent: '' };
+      mockElements.caloriesDisplay = { textContent: '' };
+      mockElements.profileHeight = { value: '170' };
+      mockElements.profileWeight = { value: '62.5' };
+      mockElements.profileAge = { value: '' };
+      mockElements.profileSex = { value: '' };
+      mockElements.profileStrideLength = { value: '' };
+      mockElements.profileDistanceUnit = { value: 'km' };
+      uiController.elements = mockElements;
+      mockStepCounter.userProfile = { height: 170, weight: 62.5, age: null, sex: null, strideLength: null, distanceUnit: 'km' };
+      mockStepCounter.getDistance = jest.fn(() => 1234.5);
+      mockStepCounter.getCalories = jest.fn(() => 1234.6);
+      mockStepCounter.setUserProfile = jest.fn(() => true);
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    test('歩数の横に推定移動距離が表示される', () => {
+      uiController.updateDisplay();
+
+      expect(mockElements.distanceDisplay.textContent).toBe('1.23 km');
+    });
+
+    test('推定消費カロリーが整数で表示される', () => {
+      uiController.updateDisplay();
+
+      expect(mockElements.caloriesDisplay.textContent).toBe('🔥 1,235 kcal');
+    });
+
+    test('マイル表示に切り替えられる', () => {
+      expect(uiController.formatDistance(1609.344, 'mi')).toBe('1.00 mi');
+      expect(uiController.formatDistance(0, 'km')).toBe('0.00 km');
+    });
+
+    test('プロフィールを保存する（空欄は未入力として扱う）', async () => {
+      await uiController.handleUserProfileChange();
+
+      expect(mockStepCounter.setUserProfile).toHaveBeenCalledWith({
+        height: 170, weight: 62.5, age: null, sex: null, strideLength: null, distanceUnit: 'km'
+      });
+      expect(mockElements.errorMessage.textContent).toBe('プロフィールを保存しました');
+    });
+
+    test('年齢と性別を保存する', async () => {
+      mockElements.profileAge.value = '42';
+      mockElements.profileSex.value = 'male';
+
+      await uiController.handleUserProfileChange();
+
+      expect(mockStepCounter.setUserProfile).toHaveBeenCalledWith(expect.objectContaining({ age: 42, sex: 'male' }));
+    });
+
+    test('範囲外の体重や整数でない年齢の場合はエラーメッセージを表示する', async () => {
+      mockElements.profileWeight.value = '500';
+      await uiController.handleUserProfileChange();
+      expect(mockElements.errorMessage.textContent).toBe('体重は20〜300kgの範囲で入力してください');
+
+      mockElements.profileWeight.value = '62.5';
+      mockElements.profileAge.value = '30.5';
+      await uiController.handleUserProfileChange();
+      expect(mockElements.errorMessage.textContent).toBe('年齢は5〜120の整数で入力してください');
+
+      expect(mockStepCounter.setUserProfile).not.toHaveBeenCalled();
+    });
+
+    test('範囲外の身長の場合はエラーメッセージを表示する', async () => {
+      mockElements.profileHeight.value = '30';
+
+      await uiController.handleUserProfileChange();
+
+      expect(mockStepCounter.setUserProfile).not.toHaveBeenCalled();
+      expect(mockElements.errorMessage.textContent).toBe('身長は100〜250cmの範囲で入力してください');
+    });
+
+    test('範囲外の歩幅の場合はエラーメッセージを表示する', async () => {
+      mockElements.profileStrideLength.value = 'abc';
+
+      await uiController.handleUserProfileChange();
+
+      expect(mockElements.errorMessage.textContent).toBe('歩幅は30〜200cmの範囲で入力してください');
+    });
+  });
+
+  describe('ケイデンスの表示', () => {
+    const target = { enabled: true, min: 160, max: 180 };
+
+    beforeEach(() => {
+      jest.useFakeTimers();
+      mockElements.cadenceDisplay = { textContent: '' };
+      mockElements.cadenceIndicator = { textContent: '', className: '', style: {} };
+      mockElements.cadenceTargetEnabled = { checked: true };
+      mockElements.cadenceTargetMin = { value: '160' };
+      mockElements.cadenceTargetMax = { value: '180' };
+      uiController.elements = mockElements;
+      mockStepCounter.setCadenceTarget = jest.fn(() => true);
+      mockStepCounter.getCadence = jest.fn(() => ({ cadence: null, averageCadence: null, target, inTargetRange: null }));
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    test('ケイデンスと平均ケイデンスが表示される', () => {
+      uiController.renderCadence({ cadence: 171.6, averageCadence: 168.2, target, inTargetRange: true });
+
+      expect(mockElements.cadenceDisplay.textContent).toBe('ケイデンス: 172 歩/分（平均 168）');
+      expect(mockElements.cadenceIndicator.textContent).toBe('✅ 目標範囲内（160〜180）');
+      expect(mockElements.cadenceIndicator.className).toBe('cadence-indicator in-range');
+    });
+
+    test('目標より低い場合と高い場合で表示が変わる', () => {
+      uiController.renderCadence({ cadence: 150, averageCadence: 150, target, inTargetRange: false });
+      expect(mockElements.cadenceIndicator.textContent).toBe('⬆️ ペースを上げましょう（目標 160〜180）');
+
+      uiController.renderCadence({ cadence: 190, averageCadence: 190, target, inTargetRange: false });
+      expect(mockElements.cadenceIndicator.textContent).toBe('⬇️ ペースを落としましょう（目標 160〜180）');
+      expect(mockElements.cadenceIndicator.className).toBe('cadence-indicator out-of-range');
+    });
+
+    test('静止中は目標範囲のみ表示される', () => {
+      uiController.renderCadence({ cadence: null, averageCadence: null, target, inTargetRange: null });
+
+      expect(mockElements.cadenceDisplay.textContent).toBe('ケイデンス: -- 歩/分');
+      expect(mockElements.cadenceIndicator.textContent).toBe('🎯 目標 160〜180 歩/分');
+    });
+
+    test('目標が無効の場合は判定を表示しない', () => {
+      uiController.renderCadence({ cadence: 170, averageCadence: 170, target: { ...target, enabled: false }, inTargetRange: null });
+
+      expect(mockElements.cadenceIndicator.style.display).toBe('none');
+    });
+
+    test('目標ケイデンスの変更を保存する', async () => {
+      mockElements.cadenceTargetMin.value = '100';
+      mockElements.cadenceTargetMax.value = '120';
+
+      await uiController.handleCadenceTargetChange();
+
+      expect(mockStepCounter.setCadenceTarget).toHaveBeenCalledWith({ enabled: true, min: 100, max: 120 });
+      expect(mockElements.errorMessage.textContent).toBe('目標ケイデンスを100〜120歩/分に設定しました');
+    });
+
+    test('下限が上限以上の場合はエラーメッセージを表示する', async () => {
+      mockElements.cadenceTargetMin.value = '180';
+      mockElements.cadenceTargetMax.value = '160';
+
+      await uiController.handleCadenceTargetChange();
+
+      expect(mockStepCounter.setCadenceTarget).not.toHaveBeenCalled();
+      expect(mockElements.errorMessage.textContent).toBe('目標ケイデンスは30〜300の整数で、下限を上限より小さくしてください');
+    });
+  });
+
+  describe('センサーデータの記録', () => {
+    const SensorAdapter = require('./SensorAdapter');
+    let sensorAdapter;
+
+    beforeEach(() => {
+      jest.useFakeTimers();
+      mockElements.traceRecordButton = { textContent: '' };
+      mockElements.traceDownloadJsonButton = { disabled: true };
+      mockElements.traceDownloadCsvButton = { disabled: true };
+      mockElements.traceStatus = { textContent: '' };
+      uiController.elements = mockElements;
+      sensorAdapter = new SensorAdapter();
+      sensorAdapter.isListening = true;
+      mockStepCounter.sensorAdapter = sensorAdapter;
+      jest.spyOn(uiController, 'downloadFile').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    test('記録を開始し、停止すると記録したサンプル数を表示する', () => {
+      uiController.handleTraceRecordToggle();
+
+      expect(sensorAdapter.isRecording()).toBe(true);
+      expect(mockElements.traceRecordButton.textContent).toBe('⏹ 記録を停止');
+      expect(mockElements.traceStatus.textContent).toContain('直近の36000サンプル（約10分）まで残ります');
+
+      sensorAdapter.handleMotion({ accelerationIncludingGravity: { x: 0, y: 0, z: 9.8 }, timeStamp: 10 });
+      uiController.handleTraceRecordToggle();
+
+      expect(sensorAdapter.isRecording()).toBe(false);
+      expect(mockElements.traceStatus.textContent).toBe('1サンプルを記録しました');
+      expect(mockElements.traceDownloadJsonButton.disabled).toBe(false);
+      expect(mockElements.traceDownloadCsvButton.disabled).toBe(false);
+    });
+
+    test('上限に達した場合は直近のサンプルのみを記録したことを表示する', () => {
+      sensorAdapter.MAX_RECORDED_SAMPLES = 2;
+      uiController.handleTraceRecordToggle();
+      for (const timeStamp of [10, 20, 30]) {
+        sensorAdapter.handleMotion({ accelerationIncludingGravity: { x: 0, y: 0, z: 9.8 }, timeStamp });
+      }
+
+      uiController.handleTraceRecordToggle();
+
+      expect(mockElements.traceStatus.textContent).toBe('上限に達したため、直近の2サンプルを記録しました');
+    });
+
+    test('センサーが起動していない場合は記録を開始しない', () => {
+      sensorAdapter.isListening = false;
+
+      uiController.handleTraceRecordToggle();
+
+      expect(sensorAdapter.isRecording()).toBe(false);
+      expect(mockElements.errorMessage.textContent).toBe('記録の前にセンサーを起動してください');
+    });
+
+    test('記録したトレースをJSONとCSVでダウンロードできる', () => {
+      uiController.handleTraceRecordToggle();
+      sensorAdapter.handleMotion({ accelerationIncludingGravity: { x: 0, y: 0, z: 9.8 }, timeStamp: 10 });
+      uiController.handleTraceRecordToggle();
+
+      uiController.handleTraceDownload('json');
+      uiController.handleTraceDownload('csv');
+
+      const [jsonCall, csvCall] = uiController.downloadFile.mock.calls;
+      expect(JSON.parse(jsonCall[0]).samples).toHaveLength(1);
+      expect(jsonCall[1]).toMatch(/^sensor-trace-.+\.json$/);
+      expect(jsonCall[2]).toBe('application/json');
+      expect(csvCall[0].split('\n')).toHaveLength(2);
+      expect(csvCall[2]).toBe('text/csv');
+    });
+
+    test('記録していない場合はダウンロードしない', () => {
+      uiController.handleTraceDownload('json');
+
+      expect(uiController.downloadFile).not.toHaveBeenCalled();
+      expect(mockElements.errorMessage.textContent).toBe('記録したセンサーデータがありません');
+    });
+
+    test('ダウンロードを開始した後にオブジェクトURLを破棄する', () => {
+      uiController.downloadFile.mockRestore();
+      const link = { click: jest.fn() };
+      const originalCreateElement = document.createElement;
+      const originalCreateObjectURL = URL.createObjectURL;
+      const originalRevokeObjectURL = URL.revokeObjectURL;
+      document.createElement = jest.fn(() => link);
+      URL.createObjectURL = jest.fn(() => 'blob:trace');
+      URL.revokeObjectURL = jest.fn();
+
+      try {
+        uiController.downloadFile('{}', 'sensor-trace.json', 'application/json');
+
+        expect(link.href).toBe('blob:trace');
+        expect(link.download).toBe('sensor-trace.json');
+        expect(link.click).toHaveBeenCalled();
+        expect(URL.revokeObjectURL).not.toHaveBeenCalled();
+
+        jest.runAllTimers();
+
+        expect(URL.revokeObjectURL).toHaveBeenCalledWith('blob:trace');
+      } finally {
+        document.createElement = originalCreateElement;
+        URL.createObjectURL = originalCreateObjectURL;
+        URL.revokeObjectURL = originalRevokeObjectURL;
+      }
+    });
+  });
+
+  describe('センサーの停止と再開', () => {
+    const SensorAdapter = require('./SensorAdapter');
+    let sensorAdapter;
+
+    beforeEach(() => {
+      jest.useFakeTimers();
+      mockElements.sensorStatus = { style: {} };
+      mockElements.sensorStatusText = { textContent: '' };
+      mockElements.permissionButton = { textContent: '✅ センサー動作中', disabled: true, style: {} };
+      uiController.elements = mockElements;
+      sensorAdapter = new SensorAdapter();
+      mockStepCounter.sensorAdapter = sensorAdapter;
+      uiController.setupSensorEventHandlers();
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    test('イベントが途絶えるとセンサーの状態に停止を表示する', () => {
+      sensorAdapter.emit('stall', { silentFor: 2000, everReceived: true, stallCount: 1 });
+
+      expect(mockElements.sensorStatusText.textContent).toBe('⚠️ センサーが停止しました（再接続中…）');
+    });
+
+    test('権限を確認できない場合は再開ボタンを表示する', () => {
+      sensorAdapter.emit('retry', { attempt: 1, permissionGranted: false });
+
+      expect(mockElements.permissionButton.textContent).toBe('🔄 センサーを再開する');
+      expect(mockElements.permissionButton.disabled).toBe(false);
+      expect(mockElements.errorMessage.className).toBe('message error');
+    });
+
+    test('権限を確認できた場合は再開ボタンを表示しない', () => {
+      sensorAdapter.emit('retry', { attempt: 1, permissionGranted: true });
+
+      expect(mockElements.permissionButton.disabled).toBe(true);
+    });
+
+    test('イベントが再開するとボタンを元に戻し、成功メッセージを表示する', () => {
+      sensorAdapter.emit('retry', { attempt: 1, permissionGranted: false });
+      sensorAdapter.emit('recover', { stalledFor: 5000, attempts: 1 });
+
+      expect(mockElements.permissionButton.textContent).toBe('✅ センサー動作中');
+      expect(mockElements.permissionButton.disabled).toBe(true);
+      expect(mockElements.errorMessage.textContent).toBe('✅ センサーが再開しました');
+    });
+
+    test('停止・再接続・再開のイベントはコンソールに出力しない', () => {
+      const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+      const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+      sensorAdapter.emit('stall', { silentFor: 2000, everReceived: true, stallCount: 1 });
+      sensorAdapter.emit('retry', { attempt: 1, permissionGranted: true });
+      sensorAdapter.emit('recover', { stalledFor: 5000, attempts: 1 });
+
+      expect(log).not.toHaveBeenCalled();
+      expect(warn).not.toHaveBeenCalled();
+      log.mockRestore();
+      warn.mockRestore();
+    });
+  });
+
+  describe('センサーの権限の表示', () => {
+    const SensorAdapter = require('./SensorAdapter');
+    let sensorAdapter;
+
+    beforeEach(() => {
+      jest.useFakeTimers();
+      mockElements.permissionButton = { textContent: '', disabled: false, style: {} };
+      mockElements.manualCountButton = { style: { display: 'none' } };
+      uiController.elements = mockElements;
+      sensorAdapter = new SensorAdapter();
+      mockStepCounter.sensorAdapter = sensorAdapter;
+      mockStepCounter.startSensorListening = jest.fn();
+      mockStepCounter.stopListening = jest.fn();
+      uiController.setupSensorEventHandlers();
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    test('権限の状態が変化すると起動ボタンの表示を更新する', () => {
+      sensorAdapter.setPermissionState('denied');
+
+      expect(mockElements.permissionButton.textContent).toBe('🔒 センサーが許可されていません（タップして再試行）');
+      expect(mockElements.permissionButton.disabled).toBe(false);
+      expect(mockElements.manualCountButton.style.display).toBe('block');
+
+      sensorAdapter.setPermissionState('unsupported');
+
+      expect(mockElements.permissionButton.disabled).toBe(true);
+    });
+
+    test('センサーの起動中は動作中と表示する', () => {
+      sensorAdapter.isListening = true;
+
+      sensorAdapter.setPermissionState('granted');
+
+      expect(mockElements.permissionButton.textContent).toBe('✅ センサー動作中');
+      expect(mockElements.permissionButton.disabled).toBe(true);
+    });
+
+    test('起動ボタンでセンサーを起動し、成功メッセージを表示する', async () => {
+      mockStepCounter.startSensorListening.mockImplementation(async () => {
+        sensorAdapter.isListening = true;
+      });
+
+      await uiController.handleSensorStart();
+
+      expect(mockStepCounter.startSensorListening).toHaveBeenCalled();
+      expect(mockElements.permissionButton.textContent).toBe('✅ センサー動作中');
+      expect(mockElements.errorMessage.textContent).toBe('✅ センサーが起動しました！歩いてみてください');
+    });
+
+    test('権限が拒否されて起動できない場合はエラーを表示する', async () => {
+      mockStepCounter.startSensorListening.mockImplementation(async () => {
+        sensorAdapter.setPermissionState('denied');
+        throw new Error('DeviceMotion permission denied');
+      });
+
+      await uiController.handleSensorStart();
+
+      expect(mockElements.errorMessage.textContent).toBe('センサーへのアクセスが拒否されました');
+      expect(mockElements.manualCountButton.style.display).toBe('block');
+    });
+  });
+
+  describe('シミュレーションの操作', () => {
+    const SimulatedSensorAdapter = require('./SimulatedSensorAdapter');
+    let sensorAdapter;
+
+    beforeEach(() => {
+      jest.useFakeTimers();
+      mockElements.simulationStartStopButton = { textContent: '' };
+      mockElements.simulationPauseButton = { textContent: '' };
+      mockElements.simulationStepButton = { disabled: false };
+      mockElements.simulationMode = { value: '' };
+      mockElements.simulationSpeed = { value: '' };
+      mockElements.simulationStatus = { textContent: '' };
+      mockElements.sensorSourceSimulated = { checked: false };
+      uiController.elements = mockElements;
+      sensorAdapter = new SimulatedSensorAdapter({ mode: 'keyboard' });
+      mockStepCounter.sensorAdapter = sensorAdapter;
+      mockStepCounter.startSensorListening = jest.fn(() => sensorAdapter.startListening(jest.fn()));
+      mockStepCounter.stopListening = jest.fn(() => sensorAdapter.stopListening());
+    });
+
+    afterEach(() => {
+      sensorAdapter.stopListening();
+      jest.useRealTimers();
+    });
+
+    test('開始・停止を切り替え、状態を表示する', async () => {
+      await uiController.handleSimulationStartStop();
+
+      expect(mockStepCounter.startSensorListening).toHaveBeenCalled();
+      expect(mockElements.simulationStartStopButton.textContent).toBe('⏹ 停止');
+      expect(mockElements.simulationStatus.textContent).toMatch(/^実行中（キー入力、×1）/);
+
+      await uiController.handleSimulationStartStop();
+
+      expect(mockStepCounter.stopListening).toHaveBeenCalled();
+      expect(mockElements.simulationStatus.textContent).toMatch(/^停止中/);
+    });
+
+    test('キー操作で1歩送る・一時停止・速度とモードを変更できる', async () => {
+      await uiController.handleSimulationStartStop();
+      const keydown = (key, target = { tagName: 'BODY' }) => {
+        const event = { key, target, preventDefault: jest.fn() };
+        uiController.handleSimulationKey(event);
+        return event;
+      };
+
+      expect(keydown(' ').preventDefault).toHaveBeenCalled();
+      expect(sensorAdapter.queue.length).toBeGreaterThan(0);
+
+      keydown('+');
+      keydown('+');
+      expect(sensorAdapter.speed).toBe(5);
+      keydown('-');
+      expect(sensorAdapter.speed).toBe(2);
+
+      keydown('p');
+      expect(sensorAdapter.isPaused()).toBe(true);
+      expect(mockElements.simulationPauseButton.textContent).toBe('▶ 再開');
+
+      keydown('m');
+      expect(sensorAdapter.mode).toBe('gait');
+      expect(mockElements.simulationStepButton.disabled).toBe(true);
+    });
+
+    test('入力欄でのキー入力と関係のないキーは処理しない', () => {
+      const inInput = { key: 'p', target: { tagName: 'INPUT' }, preventDefault: jest.fn() };
+      const unrelated = { key: 'x', target: { tagName: 'BODY' }, preventDefault: jest.fn() };
+
+      uiController.handleSimulationKey(inInput);
+      uiController.handleSimulationKey(unrelated);
+
+      expect(sensorAdapter.isPaused()).toBe(false);
+      expect(inInput.preventDefault).not.toHaveBeenCalled();
+      expect(unrelated.preventDefault).not.toHaveBeenCalled();
+    });
+
+    test('開始していない場合に1歩送ろうとするとエラーを表示する', () => {
+      uiController.handleSimulationStep();
+
+      expect(mockElements.errorMessage.className).toBe('message error');
+    });
+
+    test('センサーの入力元の設定を保存する', async () => {
+      mockStorageManager.setSensorSource = jest.fn(async () => true);
+      mockElements.sensorSourceSimulated.checked = true;
+
+      await uiController.handleSensorSourceChange();
+
+      expect(mockStorageManager.setSensorSource).toHaveBeenCalledWith('simulated');
+      expect(mockElements.errorMessage.className).toBe('message success');
+    });
+  });
+
+  describe('キャリブレーション', () => {
     beforeEach(() => {
-      uiController.initialize();
+      jest.useFakeTimers();
+
+      mockElements.calibrationSteps = { value: '20' };
+      mockElements.startCalibrationButton = { style: {} };
+      mockElements.finishCalibrationButton = { style: {} };
+      mockElements.cancelCalibrationButton = { style: {} };
+      mockElements.clearCalibrationButton = { style: {} };
+      mockElements.calibrationStatus = { textContent: '' };
+      uiController.elements = mockElements;
+
+      let recording = false;
+      mockStepCounter.sensorAdapter = { isListening: true };
+      mockStepCounter.calibrationProfile = null;
+      mockStepCounter.calibrator = {
+        MIN_TARGET_STEPS: 10,
+        MAX_TARGET_STEPS: 200,
+        targetSteps: 20,
+        isRecording: jest.fn(() => recording)
+      };
+      mockStepCounter.startCalibration = jest.fn((targetSteps) => {
+        recording = Number.isInteger(targetSteps) && targetSteps >= 10 && targetSteps <= 200;
+        return recording;
+      });
+      mockStepCounter.finishCalibration = jest.fn(() => {
+        recording = false;
+        return { detectorType: 'peak', parameters: {}, targetSteps: 20, detectedSteps: 19, calibratedAt: Date.now() };
+      });
+      mockStepCounter.cancelCalibration = jest.fn(() => {
+        recording = false;
+      });
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    test('開始すると記録中の案内と完了・中止ボタンが表示される', () => {
+      uiController.handleCalibrationStart();
+
+      expect(mockStepCounter.startCalibration).toHaveBeenCalledWith(20);
+      expect(mockElements.calibrationStatus.textContent).toContain('20歩');
+      expect(mockElements.startCalibrationButton.style.display).toBe('none');
+      expect(mockElements.finishCalibrationButton.style.display).toBe('inline-block');
+      expect(mockElements.cancelCalibrationButton.style.display).toBe('inline-block');
+    });
+
+    test('センサーが起動していない場合はエラーメッセージを表示する', () => {
+      mockStepCounter.sensorAdapter.isListening = false;
+
+      uiController.handleCalibrationStart();
+
+      expect(mockStepCounter.startCalibration).not.toHaveBeenCalled();
+      expect(mockElements.errorMessage.className).toBe('message error');
+    });
+
+    test('範囲外の歩数の場合はエラーメッセージを表示する', () => {
+      mockElements.calibrationSteps.value = '5';
+
+      uiController.handleCalibrationStart();
+
+      expect(mockElements.errorMessage.textContent).toBe('キャリブレーションの歩数は10〜200の整数で入力してください');
+    });
+
+    test('完了すると検出された歩数を表示し、開始ボタンに戻る', async () => {
+      uiController.handleCalibrationStart();
+
+      await uiController.handleCalibrationFinish();
+
+      expect(mockElements.errorMessage.textContent).toBe('キャリブレーションが完了しました（20歩中19歩を検出）');
+      expect(mockElements.startCalibrationButton.style.display).toBe('inline-block');
+      expect(mockElements.finishCalibrationButton.style.display).toBe('none');
+    });
+
+    test('パラメータを求められなかった場合はエラーメッセージを表示する', async () => {
+      mockStepCounter.finishCalibration.mockReturnValue(null);
+
+      await uiController.handleCalibrationFinish();
+
+      expect(mockElements.errorMessage.className).toBe('message error');
+    });
+
+    test('中止すると記録を破棄して開始ボタンに戻る', () => {
+      uiController.handleCalibrationStart();
+
+      uiController.handleCalibrationCancel();
+
+      expect(mockStepCounter.cancelCalibration).toHaveBeenCalled();
+      expect(mockElements.startCalibrationButton.style.display).toBe('inline-block');
+    });
+  });
+
+  describe('境界値テスト', () => {
+    beforeEach(async () => {
+      await uiController.initialize();
     });
 
-    test('有効な時刻: 00:00', () => {
+    test('有効な時刻: 00:00', async () => {
       mockElements.resetTimeInput.value = '00:00';
 
-      uiController.handleResetTimeChange();
+      await uiController.handleResetTimeChange();
 
       expect(mockResetTimer.updateResetTime).toHaveBeenCalledWith('00:00');
     });
 
-    test('有効な時刻: 23:59', () => {
+    test('有効な時刻: 23:59', async () => {
       mockElements.resetTimeInput.value = '23:59';
 
-      uiController.handleResetTimeChange();
+      await uiController.handleResetTimeChange();
 
       expect(mockResetTimer.updateResetTime).toHaveBeenCalledWith('23:59');
     });
 
-    test('有効な時刻: 12:00', () => {
+    test('有効な時刻: 12:00', async () => {
       mockElements.resetTimeInput.value = '12:00';
 
-      uiController.handleResetTimeChange();
+      await uiController.handleResetTimeChange();
 
       expect(mockResetTimer.updateResetTime).toHaveBeenCalledWith('12:00');
     });
@@ -9,7 +9,7 @@
 // ブラウザ環境とNode.js環境の両方に対応
 // ブラウザ環境では、各コンポーネントファイルがwindowオブジェクトに登録される
 // Node.js環境（テスト用）では、requireでインポートする
-let StorageManager, SensorAdapter, StepCounter, ResetTimer, UIController;
+let StorageManager, SensorAdapter, StepCounter, ResetTimer, UIController, SimulatedSensorAdapter;
 
 if (typeof window !== 'undefined') {
   // ブラウザ環境：windowから取得（既に登録済み）
@@ -18,6 +18,7 @@ if (typeof window !== 'undefined') {
   StepCounter = window.StepCounter;
   ResetTimer = window.ResetTimer;
   UIController = window.UIController;
+  SimulatedSensorAdapter = window.SimulatedSensorAdapter;
 } else {
   // Node.js環境（テスト用）
   StorageManager = require('./StorageManager.js');
@@ -25,6 +26,7 @@ if (typeof window !== 'undefined') {
   StepCounter = require('./StepCounter.js');
   ResetTimer = require('./ResetTimer.js');
   UIController = require('./UIController.js');
+  SimulatedSensorAdapter = require('./SimulatedSensorAdapter.js');
 }
 
 // グローバル変数（アプリケーションのライフサイクル管理用）
@@ -42,6 +44,10 @@ class StepCounterApp {
         this.resetTimer = null;
         this.uiController = null;
         this.isInitialized = false;
+        this.sensorSource = 'device';
+        this.isPageHidden = false; // ページが非表示（バックグラウンド・凍結）かどうか
+        this.sensorPausedByLifecycle = false; // ページが非表示になったためにセンサーを止めたかどうか
+        this.lifecycleHandlers = null; // 登録したライフサイクルイベントのハンドラー（解除用）
     }
 
     /**
@@ -65,9 +71,15 @@ class StepCounterApp {
             console.log('StorageManagerを初期化中...');
             this.storageManager = new StorageManager();
 
-            // 2. SensorAdapterの初期化
+            // 以前のバージョンで保存されたデータを現在の形式に移行（失敗した場合は移行前のデータのまま継続）
+            if (!(await this.storageManager.migrate())) {
+                displayError('保存されたデータの更新に失敗しました。次回の起動時に再試行します。');
+            }
+
+            // 2. SensorAdapterの初期化（シミュレーションの場合は合成した歩行のデータを送る）
             console.log('SensorAdapterを初期化中...');
-            this.sensorAdapter = new SensorAdapter();
+            this.sensorSource = await getSensorSource(this.storageManager);
+            this.sensorAdapter = this.sensorSource === 'simulated' ? createSimulatedSensorAdapter() : new SensorAdapter(this.storageManager);
 
             // センサーの利用可否を確認
             if (!this.sensorAdapter.isAvailable()) {
@@ -76,35 +88,43 @@ class StepCounterApp {
                 // センサーが利用できなくても、アプリケーションは継続
             }
 
-            // 3. StepCounterの初期化
+            // 3. StepCounterとResetTimerの初期化
             console.log('StepCounterを初期化中...');
             this.stepCounter = new StepCounter(this.storageManager, this.sensorAdapter);
-
-            // 保存されたデータを読み込む（センサーは後で手動で開始）
-            await this.stepCounter.initialize();
-            console.log('StepCounterの初期化に成功しました（センサーは未起動）');
-
-            // 4. ResetTimerの初期化
-            console.log('ResetTimerを初期化中...');
             this.resetTimer = new ResetTimer(this.stepCounter, this.storageManager);
-            
+
             // タイマーを開始（過去のリセット時刻チェックを含む）
-            this.resetTimer.start();
+            // 起動していない間に過ぎたリセットの期間を履歴に残すため、StepCounter が古いデータを破棄する前に行う
+            console.log('ResetTimerを初期化中...');
+            await this.resetTimer.start();
             console.log('ResetTimerの初期化に成功しました');
 
-            // 5. UIControllerの初期化
+            // 保存されたデータを読み込む
+            await this.stepCounter.initialize();
+            console.log('StepCounterの初期化に成功しました');
+
+            // 権限が既に許可されている場合はセンサーを自動で起動（それ以外はボタンで起動）
+            await this.startSensorIfPermitted();
+
+            // 4. UIControllerの初期化
             console.log('UIControllerを初期化中...');
             this.uiController = new UIController(this.stepCounter, this.resetTimer);
             
             try {
-                this.uiController.initialize();
+                await this.uiController.initialize();
                 console.log('UIControllerの初期化に成功しました');
+                if (this.sensorSource === 'simulated') {
+                    this.uiController.showSuccess('シミュレーション: 「センサーを起動する」で合成した歩行のデータを送ります');
+                }
             } catch (error) {
                 console.error('UIの初期化に失敗しました:', error);
                 displayError('UIの初期化に失敗しました。一部の機能が利用できない可能性があります。');
                 // UIエラーでもアプリケーションは継続
             }
 
+            // 5. ページの表示状態の変化（バックグラウンド・凍結・復帰）を監視
+            this.setupLifecycleHandlers();
+
             this.isInitialized = true;
             console.log('アプリケーションの起動に成功しました');
 
@@ -115,6 +135,164 @@ class StepCounterApp {
         }
     }
 
+    /**
+     * センサーの権限を確認し、既に許可されている場合はセンサーを起動する
+     * シミュレーションでは開始の操作を待つため自動では起動しない
+     * @returns {Promise<boolean>} センサーを起動した場合はtrue
+     */
+    async startSensorIfPermitted() {
+        if (this.sensorSource !== 'device') {
+            return false;
+        }
+
+        const permissionState = await this.sensorAdapter.checkPermission();
+        console.log('センサーの権限:', permissionState);
+        if (permissionState !== 'granted') {
+            return false;
+        }
+
+        try {
+            await this.stepCounter.startSensorListening();
+            console.log('センサーを自動で起動しました');
+            return true;
+        } catch (error) {
+            // 起動できない場合もボタンから再試行できるため、アプリケーションは継続
+            console.warn('センサーを自動で起動できませんでした:', error);
+            return false;
+        }
+    }
+
+    /**
+     * ページのライフサイクルイベントのハンドラーを登録
+     * iOSのPWAでは beforeunload がほとんど発生しないため、非表示になった時点で保存する
+     * - 非表示: visibilitychange（hidden）、pagehide、freeze
+     * - 再表示: visibilitychange（visible）、pageshow、resume
+     */
+    setupLifecycleHandlers() {
+        this.removeLifecycleHandlers();
+
+        const onVisibilityChange = () => {
+            if (document.visibilityState === 'hidden') {
+                this.handlePageHidden('visibilitychange');
+            } else {
+                this.handlePageVisible('visibilitychange');
+            }
+        };
+        const onPageHide = () => this.handlePageHidden('pagehide');
+        const onPageShow = () => this.handlePageVisible('pageshow');
+        const onFreeze = () => this.handlePageHidden('freeze');
+        const onResume = () => this.handlePageVisible('resume');
+
+        this.lifecycleHandlers = [
+            [document, 'visibilitychange', onVisibilityChange],
+            [window, 'pagehide', onPageHide],
+            [window, 'pageshow', onPageShow],
+            [document, 'freeze', onFreeze],
+            [document, 'resume', onResume]
+        ];
+        for (const [target, type, handler] of this.lifecycleHandlers) {
+            target.addEventListener(type, handler);
+        }
+    }
+
+    /**
+     * ページのライフサイクルイベントのハンドラーを解除
+     */
+    removeLifecycleHandlers() {
+        if (!this.lifecycleHandlers) {
+            return;
+        }
+
+        for (const [target, type, handler] of this.lifecycleHandlers) {
+            target.removeEventListener(type, handler);
+        }
+        this.lifecycleHandlers = null;
+    }
+
+    /**
+     * ページが非表示になったときの処理（保存してセンサーを止める）
+     * 非表示のまま凍結・破棄されることがあるため、非表示になった時点で保存する
+     * （既に非表示の場合は保存しない。中断中にリセット時刻を過ぎた後で保存すると、
+     * 保存時刻が新しくなり ResetTimer が見逃したリセットを検出できなくなるため）
+     * @param {string} reason - きっかけになったイベント
+     */
+    handlePageHidden(reason) {
+        if (this.isPageHidden) {
+            return;
+        }
+        this.isPageHidden = true;
+        console.log(`ページが非表示になりました（${reason}）`);
+        this.flushPendingWrites();
+
+        // バックグラウンドではイベントが届かないため、センサーを止める（ウォッチドッグの誤検知も防ぐ）
+        if (this.sensorAdapter && this.sensorAdapter.isListening) {
+            this.stepCounter.stopListening();
+            this.sensorPausedByLifecycle = true;
+        }
+    }
+
+    /**
+     * ページが再表示されたときの処理（リセットの確認、センサーの再開、表示の更新）
+     * @param {string} reason - きっかけになったイベント
+     * @returns {Promise<void>}
+     */
+    async handlePageVisible(reason) {
+        if (!this.isPageHidden) {
+            return;
+        }
+        this.isPageHidden = false;
+        console.log(`ページが再表示されました（${reason}）`);
+
+        // 中断中は setTimeout が発火しないため、見逃したリセットを確認してタイマーを設定し直す
+        // （再表示と同時に発火するタイマーと重ならないよう、予約済みのリセットを取り消し、実行中のリセットを待つ）
+        if (this.resetTimer) {
+            try {
+                this.resetTimer.stop();
+                await this.resetTimer.waitForPendingReset();
+                await this.resetTimer.start();
+            } catch (error) {
+                console.error('リセットの確認に失敗しました:', error);
+            }
+        }
+
+        if (this.sensorPausedByLifecycle) {
+            this.sensorPausedByLifecycle = false;
+            try {
+                await this.stepCounter.startSensorListening();
+            } catch (error) {
+                // 権限を確認し直す必要がある場合など（ボタンから再開できる）
+                console.warn('センサーを再開できませんでした:', error);
+            }
+        }
+
+        if (this.uiController) {
+            try {
+                this.uiController.updateDisplay();
+                this.uiController.renderPermissionState(this.sensorAdapter.getPermissionState());
+            } catch (error) {
+                console.error('表示の更新に失敗しました:', error);
+            }
+        }
+    }
+
+    /**
+     * 保存されていない歩数データをストレージに書き込む
+     * StepCounter は歩数の保存をまとめて行うため、凍結・終了の前に予約中の保存を待たずに書き込む。
+     * 書き込みは呼び出した時点で始まるため、ページが凍結される前に完了を待つ必要はない
+     * @returns {Promise<void>}
+     */
+    async flushPendingWrites() {
+        if (!this.stepCounter) {
+            return;
+        }
+
+        try {
+            await this.stepCounter.flushStepData();
+        } catch (error) {
+            console.error('歩数データの保存に失敗しました:', error);
+        }
+    }
+
     /**
      * アプリケーションをシャットダウン
      * リソースをクリーンアップします
@@ -123,6 +301,10 @@ class StepCounterApp {
         console.log('アプリケーションをシャットダウン中...');
 
         try {
+            // 保存されていないデータを書き込み、ライフサイクルイベントの監視を解除
+            this.flushPendingWrites();
+            this.removeLifecycleHandlers();
+
             // センサーのリスニングを停止
             if (this.stepCounter) {
                 this.stepCounter.stopListening();
@@ -166,6 +348,43 @@ window.addEventListener('beforeunload', () => {
     }
 });
 
+/**
+ * センサーの入力元を決定する
+ * URLの ?sensor=simulated|device（?demo は ?sensor=simulated と同じ）を優先し、
+ * 指定がない場合はデバッグ設定で保存された入力元を使う
+ * @param {StorageManager} storageManager - 設定の読み込みに使うStorageManager
+ * @returns {Promise<string>} 'device' または 'simulated'
+ */
+async function getSensorSource(storageManager) {
+    const params = new URLSearchParams(typeof window !== 'undefined' ? window.location.search : '');
+    const source = params.get('sensor');
+    if (source === 'simulated' || source === 'device') {
+        return source;
+    }
+    if (params.has('demo')) {
+        return 'simulated';
+    }
+    return storageManager.getSensorSource();
+}
+
+/**
+ * シミュレーションのセンサーアダプターを作成する
+ * センサーのないデスクトップでも、合成した歩行のデータやキー入力で一連の動作を確認できる
+ * URLの ?simMode=gait|keyboard と ?simSpeed=倍率 で初期状態を指定できる（不正な値は無視する）
+ * @returns {SimulatedSensorAdapter} シミュレーションのセンサーアダプター
+ */
+function createSimulatedSensorAdapter() {
+    const params = new URLSearchParams(typeof window !== 'undefined' ? window.location.search : '');
+    const adapter = new SimulatedSensorAdapter();
+    if (params.has('simMode')) {
+        adapter.setMode(params.get('simMode'));
+    }
+    if (params.has('simSpeed')) {
+        adapter.setSpeed(Number(params.get('simSpeed')));
+    }
+    return adapter;
+}
+
 /**
  * エラーメッセージを表示する
  * @param {string} message - 表示するエラーメッセージ
@@ -188,6 +407,8 @@ function displayError(message) {
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
         StepCounterApp,
-        displayError
+        displayError,
+        getSensorSource,
+        createSimulatedSensorAdapter
     };
 }
@@ -189,7 +189,7 @@ describe('App Entry Point', () => {
       expect(app.stepCounter.getCurrentSteps()).toBe(1);
 
       // ストレージに保存されていることを確認
-      const savedData = app.storageManager.loadStepData();
+      const savedData = await app.storageManager.loadStepData();
       expect(savedData).not.toBeNull();
       expect(savedData.steps).toBe(1);
 
@@ -198,7 +198,7 @@ describe('App Entry Point', () => {
       expect(app.stepCounter.getCurrentSteps()).toBe(0);
 
       // ストレージも更新されていることを確認
-      const resetData = app.storageManager.loadStepData();
+      const resetData = await app.storageManager.loadStepData();
       expect(resetData).not.toBeNull();
       expect(resetData.steps).toBe(0);
 
@@ -214,11 +214,11 @@ describe('App Entry Point', () => {
 
       // リセット時刻を設定
       const newResetTime = '06:00';
-      const success = app.resetTimer.updateResetTime(newResetTime);
+      const success = await app.resetTimer.updateResetTime(newResetTime);
       expect(success).toBe(true);
 
       // ストレージに保存されていることを確認
-      const savedResetTime = app.storageManager.getResetTime();
+      const savedResetTime = await app.storageManager.getResetTime();
       expect(savedResetTime).toBe(newResetTime);
 
       // 次のリセット時刻が計算されることを確認
@@ -258,11 +258,138 @@ describe('App Entry Point', () => {
       expect(app.resetTimer).not.toBeNull();
       
       // リセット時刻の変更は可能
-      const success = app.resetTimer.updateResetTime('12:00');
+      const success = await app.resetTimer.updateResetTime('12:00');
       expect(success).toBe(true);
 
       // クリーンアップ
       app.shutdown();
     });
   });
+
+  describe('Page lifecycle', () => {
+    let app;
+    let listening;
+
+    beforeEach(() => {
+      const { StepCounterApp } = require('./app.js');
+      app = new StepCounterApp();
+      listening = true;
+      app.sensorAdapter = {
+        get isListening() { return listening; },
+        getPermissionState: jest.fn(() => 'granted')
+      };
+      app.stepCounter = {
+        flushStepData: jest.fn(async () => true),
+        stopListening: jest.fn(() => { listening = false; }),
+        startSensorListening: jest.fn(async () => { listening = true; })
+      };
+      app.resetTimer = { start: jest.fn(async () => {}), stop: jest.fn(), waitForPendingReset: jest.fn(async () => {}) };
+      app.uiController = { updateDisplay: jest.fn(), renderPermissionState: jest.fn() };
+    });
+
+    afterEach(() => {
+      app.removeLifecycleHandlers();
+    });
+
+    test('should flush writes and pause the sensor when the page is hidden', () => {
+      app.handlePageHidden('visibilitychange');
+      app.handlePageHidden('pagehide');
+
+      expect(app.stepCounter.flushStepData).toHaveBeenCalledTimes(1);
+      expect(app.stepCounter.stopListening).toHaveBeenCalledTimes(1);
+      expect(app.sensorPausedByLifecycle).toBe(true);
+    });
+
+    test('should re-run the reset check, resume the sensor and refresh the UI when shown again', async () => {
+      app.handlePageHidden('freeze');
+      await app.handlePageVisible('resume');
+
+      expect(app.resetTimer.start).toHaveBeenCalled();
+      expect(app.stepCounter.startSensorListening).toHaveBeenCalled();
+      expect(app.uiController.updateDisplay).toHaveBeenCalled();
+      expect(app.uiController.renderPermissionState).toHaveBeenCalledWith('granted');
+    });
+
+    test('should cancel the scheduled reset and wait for a running one before re-running the check', async () => {
+      const calls = [];
+      app.resetTimer.stop.mockImplementation(() => calls.push('stop'));
+      app.resetTimer.waitForPendingReset.mockImplementation(async () => calls.push('wait'));
+      app.resetTimer.start.mockImplementation(async () => calls.push('start'));
+
+      app.handlePageHidden('freeze');
+      await app.handlePageVisible('resume');
+
+      expect(calls).toEqual(['stop', 'wait', 'start']);
+    });
+
+    test('should not resume a sensor that was not running before the page was hidden', async () => {
+      listening = false;
+
+      app.handlePageHidden('visibilitychange');
+      await app.handlePageVisible('visibilitychange');
+
+      expect(app.stepCounter.startSensorListening).not.toHaveBeenCalled();
+    });
+
+    test('should ignore show events while the page is visible', async () => {
+      await app.handlePageVisible('pageshow');
+
+      expect(app.resetTimer.start).not.toHaveBeenCalled();
+    });
+
+    test('should react to lifecycle events once handlers are registered', () => {
+      app.setupLifecycleHandlers();
+
+      window.dispatchEvent(new Event('pagehide'));
+
+      expect(app.stepCounter.flushStepData).toHaveBeenCalled();
+      expect(app.isPageHidden).toBe(true);
+    });
+  });
+
+  describe('Missed reset on startup', () => {
+    let app;
+
+    beforeEach(() => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      if (app) {
+        app.shutdown();
+        app = null;
+      }
+      jest.restoreAllMocks();
+    });
+
+    test('should archive the period the app was closed through before starting a new one', async () => {
+      // 各コンポーネントはブラウザと同じく window に登録されたものを使う
+      let StepCounterApp;
+      jest.isolateModules(() => {
+        ['./StorageAdapter.js', './StorageManager.js', './SensorAdapter.js', './StepCounter.js',
+          './ResetTimer.js', './UIController.js', './SimulatedSensorAdapter.js'].forEach((path) => require(path));
+        ({ StepCounterApp } = require('./app.js'));
+      });
+
+      // 3日前の日次期間の歩数が保存されたまま、アプリが起動されていなかった
+      const savedAt = new Date();
+      savedAt.setDate(savedAt.getDate() - 3);
+      savedAt.setHours(15, 0, 0, 0);
+      localStorage.setItem('stepCounter_schemaVersion', '3');
+      localStorage.setItem('stepCounter_resetTime', '00:00');
+      localStorage.setItem('stepCounter_currentData', JSON.stringify({ steps: 4321, timestamp: savedAt.getTime() }));
+
+      app = new StepCounterApp();
+      await app.initialize();
+
+      const periodStart = new Date(savedAt);
+      periodStart.setHours(0, 0, 0, 0);
+      expect(await app.storageManager.loadHistory()).toEqual([
+        expect.objectContaining({ steps: 4321, startedAt: periodStart.getTime(), resetTime: '00:00' })
+      ]);
+      expect(app.stepCounter.getCurrentSteps()).toBe(0);
+    });
+  });
 });
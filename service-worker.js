@@ -3,14 +3,27 @@
  * PWA対応のためのサービスワーカー
  */
 
-const CACHE_NAME = 'step-counter-v3';
+const CACHE_NAME = 'step-counter-v16';
 const urlsToCache = [
   './',
   './index.html',
   './styles.css',
   './app.js',
+  './StorageAdapter.js',
   './StorageManager.js',
   './SensorAdapter.js',
+  './ReplaySensorAdapter.js',
+  './GaitSimulator.js',
+  './SimulatedSensorAdapter.js',
+  './GravityProjector.js',
+  './RotationGate.js',
+  './StepDetector.js',
+  './StepRegularityGate.js',
+  './StepCalibrator.js',
+  './ActivityClassifier.js',
+  './CadenceTracker.js',
+  './DistanceEstimator.js',
+  './CalorieEstimator.js',
   './StepCounter.js',
   './ResetTimer.js',
   './UIController.js',